@@ -0,0 +1,12 @@
+// Question answering over the stored notes (POST /api/ask)
+const askConfig = {
+  // Passages retrieved (by semantic search) and given to the model per question
+  passages: parseInt(process.env.ASK_PASSAGES) || 8,
+  // Passages less similar than this to the question are not used. The scale depends on the
+  // embedder: around 0.2 suits the local embedder, 0.5-0.6 suits embedding models.
+  minScore: process.env.ASK_MIN_SCORE !== undefined ? parseFloat(process.env.ASK_MIN_SCORE) || 0 : 0.2,
+  // Longest question accepted
+  maxQuestionChars: parseInt(process.env.ASK_MAX_QUESTION_CHARS) || 1000
+};
+
+module.exports = askConfig;
@@ -0,0 +1,14 @@
+// User authentication and session settings
+const authConfig = {
+  // How long a login session stays valid
+  sessionTtlHours: parseInt(process.env.AUTH_SESSION_TTL_HOURS) || 24 * 7,
+  // Set AUTH_PUBLIC_READ=false to require at least the viewer role to read notes
+  publicRead: process.env.AUTH_PUBLIC_READ !== 'false',
+  // First admin account, created at startup when no users exist yet
+  bootstrapAdmin: {
+    username: process.env.ADMIN_USERNAME || 'admin',
+    password: process.env.ADMIN_PASSWORD || ''
+  }
+};
+
+module.exports = authConfig;
@@ -0,0 +1,21 @@
+// Long-lecture segmentation settings (map-reduce note generation)
+const chunkingConfig = {
+  // Text is split into segments of roughly this many characters
+  textSegmentChars: parseInt(process.env.CHUNK_TEXT_CHARS) || 12000,
+  // Characters repeated at the start of the next text segment
+  textOverlapChars: parseInt(process.env.CHUNK_TEXT_OVERLAP_CHARS) || 800,
+  // WAV audio is split into segments of this many seconds
+  audioSegmentSeconds: parseInt(process.env.CHUNK_AUDIO_SECONDS) || 600,
+  // Seconds repeated at the start of the next audio segment
+  audioOverlapSeconds: parseInt(process.env.CHUNK_AUDIO_OVERLAP_SECONDS) || 15,
+  // MP3 audio (no cheap time index) is split by size instead
+  audioSegmentBytes: (parseInt(process.env.CHUNK_AUDIO_MB) || 8) * 1024 * 1024,
+  audioOverlapBytes: (parseInt(process.env.CHUNK_AUDIO_OVERLAP_KB) || 256) * 1024,
+  // Output token caps for per-segment notes and for the merged study guide
+  segmentMaxOutputTokens: parseInt(process.env.SEGMENT_MAX_OUTPUT_TOKENS) || 2048,
+  mergeMaxOutputTokens: parseInt(process.env.MERGE_MAX_OUTPUT_TOKENS) || 8192,
+  // Output token cap for the time-stamped transcript of one audio segment
+  transcriptMaxOutputTokens: parseInt(process.env.TRANSCRIPT_MAX_OUTPUT_TOKENS) || 8192
+};
+
+module.exports = chunkingConfig;
@@ -1,16 +1,65 @@
-import mongoose from 'mongoose';
-import dotenv from 'dotenv';
+const mongoose = require('mongoose');
 
-dotenv.config();
+// Track database connection status across requests and the job worker
+let isDatabaseConnected = false;
 
+// Database connection function
 const connectDB = async () => {
     try {
-        await mongoose.connect(process.env.MONGO_URI);
+        const mongoUri = process.env.MONGO_URI;
+        if (!mongoUri) {
+            console.warn('⚠️ MONGO_URI environment variable is not set. Database features will be disabled.');
+            return false;
+        }
+
+        // Check if already connected
+        if (mongoose.connection.readyState === 1) {
+            console.log('✅ MongoDB Already Connected');
+            return true;
+        }
+
+        // For serverless environments, use connection pooling
+        await mongoose.connect(mongoUri, {
+            useNewUrlParser: true,
+            useUnifiedTopology: true,
+            maxPoolSize: 10,
+            serverSelectionTimeoutMS: 5000,
+            socketTimeoutMS: 45000,
+            bufferCommands: false
+        });
+
         console.log('✅ MongoDB Connected Successfully');
+        return true;
     } catch (error) {
         console.error('❌ MongoDB Connection Error:', error.message);
-        process.exit(1); // Exit process on failure
+        console.warn('⚠️ Continuing without database connection...');
+        return false;
+    }
+};
+
+// Ensure database connection for each request
+const ensureDBConnection = async () => {
+    if (!isDatabaseConnected) {
+        console.log('🔄 Attempting to connect to database...');
+        isDatabaseConnected = await connectDB();
     }
+    return isDatabaseConnected;
 };
 
-export default connectDB;
+// Express middleware rejecting requests while the database is unavailable
+const requireDatabase = (feature) => async (req, res, next) => {
+    const dbConnected = await ensureDBConnection();
+    if (!dbConnected) {
+        return res.status(503).json({
+            status: 'error',
+            message: `Database not connected. ${feature} unavailable.`
+        });
+    }
+    next();
+};
+
+module.exports = {
+    connectDB,
+    ensureDBConnection,
+    requireDatabase
+};
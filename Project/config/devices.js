@@ -0,0 +1,7 @@
+// Lecture recorder (device) authentication settings
+const deviceConfig = {
+  // Set DEVICE_AUTH_REQUIRED=false to accept uploads without a device key (local development)
+  authRequired: process.env.DEVICE_AUTH_REQUIRED !== 'false'
+};
+
+module.exports = deviceConfig;
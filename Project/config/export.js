@@ -0,0 +1,17 @@
+// Note export settings
+const exportConfig = {
+  // Chrome or Chromium binary used to print PDFs (PDF export is unavailable without it)
+  chromePath: process.env.EXPORT_CHROME_PATH || process.env.PUPPETEER_EXECUTABLE_PATH || '',
+  // Most notes in one bulk (zip) export
+  maxNotes: parseInt(process.env.EXPORT_MAX_NOTES) || 200,
+  // Stylesheet for KaTeX math in HTML and PDF exports (defaults to the CDN copy of the installed version)
+  katexCssUrl: process.env.EXPORT_KATEX_CSS_URL || '',
+  // Web fonts covering Latin and Indic scripts in HTML and PDF exports
+  fontCssUrl: process.env.EXPORT_FONT_CSS_URL ||
+    'https://fonts.googleapis.com/css2?family=Noto+Sans:wght@400;700&family=Noto+Sans+Devanagari:wght@400;700' +
+    '&family=Noto+Sans+Kannada:wght@400;700&family=Noto+Sans+Tamil:wght@400;700&family=Noto+Sans+Telugu:wght@400;700' +
+    '&family=Noto+Sans+Malayalam:wght@400;700&family=Noto+Sans+Bengali:wght@400;700&family=Noto+Sans+Gujarati:wght@400;700' +
+    '&family=Noto+Sans+Gurmukhi:wght@400;700&family=Noto+Sans+Oriya:wght@400;700&display=swap'
+};
+
+module.exports = exportConfig;
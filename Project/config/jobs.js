@@ -0,0 +1,28 @@
+// Note-generation job queue configuration
+const jobConfig = {
+  // Total attempts per job (first run + retries)
+  maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 3,
+  // Base delay before a failed job is retried (doubled on every attempt)
+  retryDelayMs: parseInt(process.env.JOB_RETRY_DELAY_MS) || 5000,
+  // How often the worker looks for queued jobs
+  pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000,
+  // Set JOB_WORKER_ENABLED=false to run no worker in this process (serverless deployments
+  // never start one)
+  workerEnabled: process.env.JOB_WORKER_ENABLED !== 'false',
+  // Without a worker, /generate-notes runs its job in the request; set to false when a worker
+  // in another process (or the scheduled /api/maintenance/run) picks up the jobs
+  processInRequest: process.env.JOB_PROCESS_IN_REQUEST !== 'false',
+  // Secret the scheduler sends as "Authorization: Bearer <secret>" to /api/maintenance/run
+  // (Vercel Cron sends CRON_SECRET); admins can call it without one
+  cronSecret: process.env.CRON_SECRET || '',
+  // Time a /api/maintenance/run call spends on queued jobs before it stops claiming more
+  drainBudgetSeconds: parseInt(process.env.JOB_DRAIN_BUDGET_SECONDS) || 240,
+  // Running jobs without progress for this long are re-queued by /api/maintenance/run
+  staleAfterMinutes: parseInt(process.env.JOB_STALE_AFTER_MINUTES) || 15,
+  // Directory where uploads are kept until their job has finished
+  uploadDir: process.env.UPLOAD_DIR || 'uploads',
+  // Largest accepted upload (long lectures are split into segments later)
+  maxUploadBytes: (parseInt(process.env.MAX_UPLOAD_MB) || 200) * 1024 * 1024
+};
+
+module.exports = jobConfig;
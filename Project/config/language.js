@@ -0,0 +1,9 @@
+// Language detection settings
+const languageConfig = {
+  // Below this local-detection confidence (0-1) the model is asked as well
+  minConfidence: parseFloat(process.env.LANGUAGE_MIN_CONFIDENCE) || 0.5,
+  // Set LANGUAGE_MODEL_FALLBACK=false to never spend a model call on language detection
+  modelFallback: process.env.LANGUAGE_MODEL_FALLBACK !== 'false'
+};
+
+module.exports = languageConfig;
@@ -0,0 +1,19 @@
+// Note-generation provider configuration (selected with NOTES_PROVIDER)
+const providerConfig = {
+  name: process.env.NOTES_PROVIDER || 'gemini',
+  gemini: {
+    apiKey: process.env.GEMINI_API_KEY,
+    model: process.env.GEMINI_MODEL || 'gemini-2.5-flash-lite'
+  },
+  openai: {
+    // Any OpenAI-compatible chat completions endpoint (OpenAI, vLLM, Ollama, LM Studio, ...)
+    baseURL: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    apiKey: process.env.OPENAI_API_KEY,
+    model: process.env.OPENAI_MODEL || 'gpt-4o-mini'
+  },
+  stub: {
+    model: process.env.STUB_MODEL || 'stub-v1'
+  }
+};
+
+module.exports = providerConfig;
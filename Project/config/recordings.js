@@ -0,0 +1,10 @@
+// Resumable recording upload settings (ESP32 chunked upload protocol)
+const recordingConfig = {
+  // Largest accepted chunk; devices are told to use `defaultChunkBytes`
+  maxChunkBytes: (parseInt(process.env.RECORDING_MAX_CHUNK_KB) || 1024) * 1024,
+  defaultChunkBytes: (parseInt(process.env.RECORDING_CHUNK_KB) || 256) * 1024,
+  // Unfinished upload sessions (and their chunks) are removed after this long
+  sessionTtlHours: parseInt(process.env.RECORDING_SESSION_TTL_HOURS) || 24
+};
+
+module.exports = recordingConfig;
@@ -0,0 +1,9 @@
+// Flashcard review scheduling settings
+const reviewConfig = {
+  // New (never reviewed) cards introduced per user per day
+  newCardsPerDay: process.env.REVIEW_NEW_CARDS_PER_DAY !== undefined ? parseInt(process.env.REVIEW_NEW_CARDS_PER_DAY) || 0 : 20,
+  // Most cards returned by one request for due cards
+  sessionLimit: parseInt(process.env.REVIEW_SESSION_LIMIT) || 100
+};
+
+module.exports = reviewConfig;
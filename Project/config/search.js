@@ -0,0 +1,7 @@
+// Full-text search settings
+const searchConfig = {
+  // Characters of context in each highlighted snippet
+  snippetLength: parseInt(process.env.SEARCH_SNIPPET_LENGTH) || 160
+};
+
+module.exports = searchConfig;
@@ -0,0 +1,32 @@
+// Semantic search settings: note passages are embedded (EMBEDDING_PROVIDER) into a vector index
+const semanticSearchConfig = {
+  provider: process.env.EMBEDDING_PROVIDER || 'local',
+  gemini: {
+    apiKey: process.env.GEMINI_API_KEY,
+    model: process.env.GEMINI_EMBEDDING_MODEL || 'text-embedding-004'
+  },
+  openai: {
+    // Any OpenAI-compatible embeddings endpoint (OpenAI, vLLM, Ollama, LM Studio, ...)
+    baseURL: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    apiKey: process.env.OPENAI_API_KEY,
+    model: process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small'
+  },
+  local: {
+    // Length of the hashed feature vectors of the offline embedder
+    dimensions: parseInt(process.env.LOCAL_EMBEDDING_DIMENSIONS) || 512
+  },
+  // Notes and transcripts are split into passages of roughly this many characters
+  passageChars: parseInt(process.env.SEMANTIC_PASSAGE_CHARS) || 800,
+  passageOverlapChars: parseInt(process.env.SEMANTIC_PASSAGE_OVERLAP_CHARS) || 120,
+  // Passages sent to the embedding provider per request
+  batchSize: parseInt(process.env.SEMANTIC_BATCH_SIZE) || 32,
+  // Passages returned by default and at most per query
+  defaultResults: parseInt(process.env.SEMANTIC_DEFAULT_RESULTS) || 10,
+  maxResults: parseInt(process.env.SEMANTIC_MAX_RESULTS) || 50,
+  // How often notes that changed are embedded again (0 = only when a note is saved and at startup)
+  indexIntervalSeconds: process.env.SEMANTIC_INDEX_INTERVAL_SECONDS !== undefined
+    ? parseInt(process.env.SEMANTIC_INDEX_INTERVAL_SECONDS) || 0
+    : 300
+};
+
+module.exports = semanticSearchConfig;
@@ -0,0 +1,13 @@
+// Quiz and flashcard generation settings
+const studyConfig = {
+  // Questions of each type in a generated quiz (requests may ask for other counts)
+  multipleChoice: parseInt(process.env.STUDY_MULTIPLE_CHOICE) || 5,
+  trueFalse: parseInt(process.env.STUDY_TRUE_FALSE) || 3,
+  shortAnswer: parseInt(process.env.STUDY_SHORT_ANSWER) || 2,
+  // Most questions one quiz may ask for
+  maxQuestions: parseInt(process.env.STUDY_MAX_QUESTIONS) || 30,
+  // Characters of the note sent to the model
+  maxNoteChars: parseInt(process.env.STUDY_MAX_NOTE_CHARS) || 30000
+};
+
+module.exports = studyConfig;
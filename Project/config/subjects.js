@@ -0,0 +1,11 @@
+// Subject classification settings
+const subjectConfig = {
+  // Most subjects kept per note (the first is the primary subject)
+  maxLabels: parseInt(process.env.SUBJECT_MAX_LABELS) || 3,
+  // Subjects below this confidence (0-1) are dropped from the ranking
+  minConfidence: parseFloat(process.env.SUBJECT_MIN_CONFIDENCE) || 0.1,
+  // ?subject= also matches notes whose secondary subject reaches this confidence
+  filterThreshold: parseFloat(process.env.SUBJECT_FILTER_THRESHOLD) || 0.25
+};
+
+module.exports = subjectConfig;
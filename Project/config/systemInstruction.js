@@ -6,6 +6,7 @@ The output MUST include:
 3. The main content organized with bolded Level 2 Headings (## Heading), bullet points, and numbered lists where appropriate.
 4. Key Definitions highlighted at the end.
 If the source material (e.g., an audio transcript) contains mathematical expressions, equations, or formulas, they must be properly included in the notes within the relevant sections, written in clear mathematical notation and integrated into explanatory paragraphs. 
+Write math in LaTeX: $...$ for inline math and $$...$$ on lines of their own for displayed equations. Write chemical formulas and reaction equations with \\ce{...} (e.g. $\\ce{2H2 + O2 -> 2H2O}$), code in fenced code blocks tagged with their language, and tabular data as Markdown tables.
 Do not include any preamble, just start with the Title.`;
 
 
@@ -0,0 +1,12 @@
+// Note translation settings (POST /api/notes/:id/translations)
+const translationConfig = {
+  // Notes longer than this are translated a few sections at a time
+  batchChars: parseInt(process.env.TRANSLATION_BATCH_CHARS) || 6000,
+  // Languages offered in the note viewer (ISO 639-1 codes); any known language can be requested
+  languages: (process.env.TRANSLATION_LANGUAGES || 'en,hi,kn')
+    .split(',')
+    .map((code) => code.trim().toLowerCase())
+    .filter(Boolean)
+};
+
+module.exports = translationConfig;
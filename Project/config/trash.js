@@ -0,0 +1,9 @@
+// Trash bin settings for deleted notes
+const trashConfig = {
+  // Trashed notes are purged permanently after this many days (0 keeps them until purged by hand)
+  retentionDays: process.env.TRASH_RETENTION_DAYS !== undefined ? parseInt(process.env.TRASH_RETENTION_DAYS) || 0 : 30,
+  // How often the purge of expired trash runs
+  purgeIntervalMinutes: parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 60
+};
+
+module.exports = trashConfig;
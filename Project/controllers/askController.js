@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const Note = require('../models/Note');
+const Course = require('../models/Course');
+const { AskError, answerQuestion } = require('../services/ask');
+const { buildNoteFilter, NOTE_LIST_FIELDS } = require('./noteController');
+
+// Answer a question from the stored notes (body: { question, subject?, courseId?, noteId? }).
+// The optional fields limit the notes searched to a subject, a course or a single note.
+// Every field is a string; courseId and noteId are ids.
+const askQuestion = async (req, res, provider) => {
+  try {
+    const { question, subject, courseId, noteId } = req.body || {};
+
+    for (const [field, value] of Object.entries({ question, subject, courseId, noteId })) {
+      if (value !== undefined && value !== null && typeof value !== 'string') {
+        return res.status(400).json({ status: 'error', message: `${field} must be a string` });
+      }
+    }
+    for (const [field, value] of Object.entries({ courseId, noteId })) {
+      if (value && !mongoose.isValidObjectId(value)) {
+        return res.status(400).json({ status: 'error', message: `${field} must be a valid id` });
+      }
+    }
+
+    if (noteId && !(await Note.exists({ _id: noteId, deletedAt: null }))) {
+      return res.status(404).json({ status: 'error', message: 'Note not found' });
+    }
+    if (courseId && !(await Course.exists({ _id: courseId }))) {
+      return res.status(404).json({ status: 'error', message: 'Course not found' });
+    }
+
+    const { query: filter } = buildNoteFilter({ subject, course: courseId });
+    if (noteId) filter._id = noteId;
+
+    const result = await answerQuestion({ provider, question, filter });
+    // The cited notes, so citations can be opened without fetching each note
+    const notes = await Note.find({ _id: { $in: result.citations.map((citation) => citation.noteId) } }).select(NOTE_LIST_FIELDS);
+
+    console.log(`💬 Question answered: ${result.answered ? `${result.citations.length} citation(s)` : 'nothing relevant found'}`);
+    res.json({
+      status: 'success',
+      question: String(question).trim(),
+      scope: { subject: subject || null, courseId: courseId || null, noteId: noteId || null },
+      ...result,
+      notes
+    });
+  } catch (error) {
+    if (error instanceof AskError) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    console.error('❌ Error answering question:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to answer question',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  askQuestion
+};
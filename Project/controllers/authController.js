@@ -0,0 +1,215 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { hashPassword, verifyPassword, hashSessionToken, createSession } = require('../services/auth');
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Non-empty string (JSON bodies can carry numbers, arrays and objects too)
+const isFilledString = (value) => typeof value === 'string' && value.trim() !== '';
+
+// User document without its password hash
+const formatUser = (user) => ({
+  _id: user._id,
+  username: user.username,
+  role: user.role,
+  status: user.status,
+  lastLoginAt: user.lastLoginAt,
+  createdAt: user.createdAt,
+  updatedAt: user.updatedAt
+});
+
+// Sign in with username and password and start a session
+const login = async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    if (!isFilledString(username) || !isFilledString(password)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'username and password are required'
+      });
+    }
+
+    const user = await User.findOne({ username: username.trim().toLowerCase() });
+    const valid = user && user.status === 'active' && await verifyPassword(password, user.passwordHash);
+    if (!valid) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid username or password'
+      });
+    }
+
+    const { token, expiresAt } = await createSession(user);
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    console.log('✅ User signed in:', user.username);
+    res.json({
+      status: 'success',
+      token,
+      expiresAt,
+      user: formatUser(user)
+    });
+  } catch (error) {
+    console.error('❌ Error signing in:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to sign in',
+      error: error.message
+    });
+  }
+};
+
+// End the current session
+const logout = async (req, res) => {
+  try {
+    if (req.sessionToken) {
+      await Session.deleteOne({ tokenHash: hashSessionToken(req.sessionToken) });
+    }
+    res.json({
+      status: 'success',
+      message: 'Signed out'
+    });
+  } catch (error) {
+    console.error('❌ Error signing out:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to sign out',
+      error: error.message
+    });
+  }
+};
+
+// Return the signed-in user
+const getCurrentUser = async (req, res) => {
+  res.json({
+    status: 'success',
+    user: formatUser(req.user)
+  });
+};
+
+// List all user accounts (admin)
+const listUsers = async (req, res) => {
+  try {
+    const users = await User.find().sort({ createdAt: -1 });
+    res.json({
+      status: 'success',
+      users: users.map(formatUser)
+    });
+  } catch (error) {
+    console.error('❌ Error fetching users:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch users',
+      error: error.message
+    });
+  }
+};
+
+// Create a user account with a role (admin)
+const createUser = async (req, res) => {
+  try {
+    const { username, password, role } = req.body || {};
+    if (!isFilledString(username)) {
+      return res.status(400).json({ status: 'error', message: 'username is required' });
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        status: 'error',
+        message: `password must be at least ${MIN_PASSWORD_LENGTH} characters`
+      });
+    }
+    if (role && !User.ROLES.includes(role)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `role must be one of: ${User.ROLES.join(', ')}`
+      });
+    }
+    if (await User.exists({ username: username.trim().toLowerCase() })) {
+      return res.status(409).json({ status: 'error', message: 'Username is already taken' });
+    }
+
+    const user = await new User({
+      username,
+      passwordHash: await hashPassword(password),
+      role: role || undefined
+    }).save();
+
+    console.log('✅ User created:', user.username, user.role);
+    res.status(201).json({
+      status: 'success',
+      message: 'User created successfully',
+      user: formatUser(user)
+    });
+  } catch (error) {
+    console.error('❌ Error creating user:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create user',
+      error: error.message
+    });
+  }
+};
+
+// Change a user's role, status or password (admin). Disabling a user or
+// resetting their password ends their sessions.
+const updateUser = async (req, res) => {
+  try {
+    const user = mongoose.isValidObjectId(req.params.id) ? await User.findById(req.params.id) : null;
+    if (!user) {
+      return res.status(404).json({ status: 'error', message: 'User not found' });
+    }
+
+    const { role, status, password } = req.body || {};
+    if (role !== undefined && !User.ROLES.includes(role)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `role must be one of: ${User.ROLES.join(', ')}`
+      });
+    }
+    if (status !== undefined && !['active', 'disabled'].includes(status)) {
+      return res.status(400).json({ status: 'error', message: 'status must be active or disabled' });
+    }
+    if (password !== undefined && (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `password must be at least ${MIN_PASSWORD_LENGTH} characters`
+      });
+    }
+    // Keep at least the signed-in admin able to manage users
+    if (user._id.equals(req.user._id) && ((role && role !== 'admin') || status === 'disabled')) {
+      return res.status(400).json({ status: 'error', message: 'You cannot demote or disable yourself' });
+    }
+
+    if (role !== undefined) user.role = role;
+    if (status !== undefined) user.status = status;
+    if (password !== undefined) user.passwordHash = await hashPassword(password);
+    await user.save();
+
+    if (status === 'disabled' || password !== undefined) {
+      await Session.deleteMany({ user: user._id });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'User updated successfully',
+      user: formatUser(user)
+    });
+  } catch (error) {
+    console.error('❌ Error updating user:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update user',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  login,
+  logout,
+  getCurrentUser,
+  listUsers,
+  createUser,
+  updateUser
+};
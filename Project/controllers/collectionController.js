@@ -0,0 +1,311 @@
+const mongoose = require('mongoose');
+const Collection = require('../models/Collection');
+const Note = require('../models/Note');
+const { NOTE_LIST_FIELDS } = require('./noteController');
+
+// Check a collection name is present and not used by another of the user's collections
+// (returns { status, message } or null)
+const validateName = async (userId, name, excludeId = null) => {
+  if (!name) return { status: 400, message: 'name is required' };
+  const existing = await Collection.findOne({ user: userId, name });
+  if (existing && (!excludeId || !existing._id.equals(excludeId))) {
+    return { status: 409, message: `You already have a collection named "${name}"` };
+  }
+  return null;
+};
+
+// Check a list of note ids: distinct, valid and of notes that are not in the trash
+// (returns { noteIds } or { error })
+const validateNoteIds = async (value) => {
+  if (!Array.isArray(value)) return { error: 'notes must be a list of note ids' };
+  const noteIds = [...new Set(value.map(String))];
+  if (noteIds.some((id) => !mongoose.isValidObjectId(id))) {
+    return { error: 'notes must be a list of note ids' };
+  }
+  const found = await Note.countDocuments({ _id: { $in: noteIds }, deletedAt: null });
+  if (found !== noteIds.length) return { error: 'Some notes were not found' };
+  return { noteIds };
+};
+
+// Load one of the signed-in user's collections by the :id route parameter or send 404
+// (returns null when handled); other users' collections are not visible
+const findCollection = async (req, res) => {
+  const collection = mongoose.isValidObjectId(req.params.id)
+    ? await Collection.findOne({ _id: req.params.id, user: req.user._id })
+    : null;
+  if (!collection) {
+    res.status(404).json({
+      status: 'error',
+      message: 'Collection not found'
+    });
+    return null;
+  }
+  return collection;
+};
+
+// Shape a collection for API responses; `notes` are the visible notes in order
+const formatCollection = (collection, notes) => ({
+  _id: collection._id,
+  name: collection.name,
+  description: collection.description,
+  noteCount: notes.length,
+  createdAt: collection.createdAt,
+  updatedAt: collection.updatedAt
+});
+
+// The collection's notes in its order, leaving out trashed notes
+const loadCollectionNotes = async (collection, select = NOTE_LIST_FIELDS) => {
+  const notes = await Note.find({ _id: { $in: collection.notes }, deletedAt: null }).select(select);
+  const byId = new Map(notes.map((note) => [String(note._id), note]));
+  return collection.notes.map((id) => byId.get(String(id))).filter(Boolean);
+};
+
+// The signed-in user's collections, most recently changed first
+const listCollections = async (req, res) => {
+  try {
+    const collections = await Collection.find({ user: req.user._id }).sort({ updatedAt: -1 });
+    const visible = new Set((await Note.find({
+      _id: { $in: collections.flatMap((c) => c.notes) },
+      deletedAt: null
+    }).select('_id')).map((note) => String(note._id)));
+
+    res.json({
+      status: 'success',
+      collections: collections.map((collection) => formatCollection(
+        collection,
+        collection.notes.filter((id) => visible.has(String(id)))
+      ))
+    });
+  } catch (error) {
+    console.error('❌ Error fetching collections:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch collections',
+      error: error.message
+    });
+  }
+};
+
+// Create a collection (body: name, optional description and notes)
+const createCollection = async (req, res) => {
+  try {
+    const { description, notes } = req.body || {};
+    const name = String((req.body || {}).name || '').trim();
+    const nameError = await validateName(req.user._id, name);
+    if (nameError) {
+      return res.status(nameError.status).json({ status: 'error', message: nameError.message });
+    }
+    const { noteIds, error } = notes !== undefined ? await validateNoteIds(notes) : { noteIds: [] };
+    if (error) {
+      return res.status(400).json({ status: 'error', message: error });
+    }
+
+    const collection = await new Collection({
+      user: req.user._id,
+      name,
+      description: description || '',
+      notes: noteIds
+    }).save();
+
+    console.log('📁 Collection created:', collection._id);
+    res.status(201).json({
+      status: 'success',
+      message: 'Collection created successfully',
+      collection: formatCollection(collection, noteIds)
+    });
+  } catch (error) {
+    console.error('❌ Error creating collection:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create collection',
+      error: error.message
+    });
+  }
+};
+
+// Get a collection with its notes in order
+const getCollection = async (req, res) => {
+  try {
+    const collection = await findCollection(req, res);
+    if (!collection) return;
+
+    const notes = await loadCollectionNotes(collection);
+    res.json({
+      status: 'success',
+      collection: formatCollection(collection, notes),
+      notes
+    });
+  } catch (error) {
+    console.error('❌ Error fetching collection:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch collection',
+      error: error.message
+    });
+  }
+};
+
+// Rename a collection or change its description
+const updateCollection = async (req, res) => {
+  try {
+    const collection = await findCollection(req, res);
+    if (!collection) return;
+
+    const { name, description } = req.body || {};
+    if (name !== undefined) {
+      const newName = String(name).trim();
+      const nameError = await validateName(req.user._id, newName, collection._id);
+      if (nameError) {
+        return res.status(nameError.status).json({ status: 'error', message: nameError.message });
+      }
+      collection.name = newName;
+    }
+    if (description !== undefined) collection.description = description;
+    await collection.save();
+
+    res.json({
+      status: 'success',
+      message: 'Collection updated successfully',
+      collection: formatCollection(collection, await loadCollectionNotes(collection, '_id'))
+    });
+  } catch (error) {
+    console.error('❌ Error updating collection:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update collection',
+      error: error.message
+    });
+  }
+};
+
+// Replace the collection's notes with an ordered list (body: { notes: [id, ...] }); used to reorder
+const setCollectionNotes = async (req, res) => {
+  try {
+    const collection = await findCollection(req, res);
+    if (!collection) return;
+
+    const { noteIds, error } = await validateNoteIds((req.body || {}).notes);
+    if (error) {
+      return res.status(400).json({ status: 'error', message: error });
+    }
+
+    // Trashed notes are not shown, so keep them (after the visible ones) rather than dropping them
+    const trashed = (await Note.find({ _id: { $in: collection.notes }, deletedAt: { $ne: null } }).select('_id'))
+      .map((note) => String(note._id));
+    collection.notes = [...noteIds, ...trashed.filter((id) => !noteIds.includes(id))];
+    await collection.save();
+
+    const notes = await loadCollectionNotes(collection);
+    res.json({
+      status: 'success',
+      message: 'Collection notes updated',
+      collection: formatCollection(collection, notes),
+      notes
+    });
+  } catch (error) {
+    console.error('❌ Error updating collection notes:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update collection notes',
+      error: error.message
+    });
+  }
+};
+
+// Add a note to a collection (body: { noteId, position? }; appended when position is left out)
+const addCollectionNote = async (req, res) => {
+  try {
+    const collection = await findCollection(req, res);
+    if (!collection) return;
+
+    const { noteId, position } = req.body || {};
+    const { error } = await validateNoteIds([noteId]);
+    if (!noteId || error) {
+      return res.status(400).json({ status: 'error', message: 'Note not found' });
+    }
+    if (collection.notes.some((id) => String(id) === String(noteId))) {
+      return res.status(409).json({ status: 'error', message: 'The note is already in this collection' });
+    }
+
+    const index = parseInt(position);
+    const notes = collection.notes.map(String);
+    notes.splice(isNaN(index) ? notes.length : Math.max(0, index), 0, String(noteId));
+    collection.notes = notes;
+    await collection.save();
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Note added to the collection',
+      collection: formatCollection(collection, await loadCollectionNotes(collection, '_id'))
+    });
+  } catch (error) {
+    console.error('❌ Error adding note to collection:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to add note to collection',
+      error: error.message
+    });
+  }
+};
+
+// Remove a note from a collection
+const removeCollectionNote = async (req, res) => {
+  try {
+    const collection = await findCollection(req, res);
+    if (!collection) return;
+
+    const notes = collection.notes.filter((id) => String(id) !== req.params.noteId);
+    if (notes.length === collection.notes.length) {
+      return res.status(404).json({ status: 'error', message: 'The note is not in this collection' });
+    }
+    collection.notes = notes;
+    await collection.save();
+
+    res.json({
+      status: 'success',
+      message: 'Note removed from the collection',
+      collection: formatCollection(collection, await loadCollectionNotes(collection, '_id'))
+    });
+  } catch (error) {
+    console.error('❌ Error removing note from collection:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to remove note from collection',
+      error: error.message
+    });
+  }
+};
+
+// Delete a collection (its notes are not affected)
+const deleteCollection = async (req, res) => {
+  try {
+    const collection = await findCollection(req, res);
+    if (!collection) return;
+
+    await Collection.deleteOne({ _id: collection._id });
+
+    console.log('🗑️ Collection deleted:', collection._id);
+    res.json({
+      status: 'success',
+      message: 'Collection deleted successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error deleting collection:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete collection',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  listCollections,
+  createCollection,
+  getCollection,
+  updateCollection,
+  setCollectionNotes,
+  addCollectionNote,
+  removeCollectionNote,
+  deleteCollection
+};
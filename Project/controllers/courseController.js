@@ -0,0 +1,208 @@
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const Lecture = require('../models/Lecture');
+const Note = require('../models/Note');
+const { normalizeCourseCode } = require('../services/courses');
+const { escapeRegex } = require('../services/search');
+
+// Course fields accepted from the request body
+const readCourseFields = (body = {}) => {
+  const fields = {};
+  if (body.code !== undefined) fields.code = normalizeCourseCode(body.code);
+  if (body.title !== undefined) fields.title = body.title;
+  if (body.instructor !== undefined) fields.instructor = body.instructor;
+  if (body.semester !== undefined) fields.semester = String(body.semester).trim();
+  if (body.subject !== undefined) fields.subject = body.subject;
+  if (body.description !== undefined) fields.description = body.description;
+  return fields;
+};
+
+// Check a course code is present and not used by another course in the same semester
+// (returns { status, message } or null)
+const validateCode = async (code, semester, excludeId = null) => {
+  if (!code) return { status: 400, message: 'code is required' };
+  const existing = await Course.findOne({ code, semester: semester || '' });
+  if (existing && (!excludeId || !existing._id.equals(excludeId))) {
+    return { status: 409, message: `Course ${code}${existing.semester ? ` (${existing.semester})` : ''} already exists` };
+  }
+  return null;
+};
+
+// Load a course by the :id route parameter or send 404 (returns null when handled)
+const findCourse = async (req, res) => {
+  const course = mongoose.isValidObjectId(req.params.id) ? await Course.findById(req.params.id) : null;
+  if (!course) {
+    res.status(404).json({
+      status: 'error',
+      message: 'Course not found'
+    });
+    return null;
+  }
+  return course;
+};
+
+// Count documents per value of `field` (Map id -> count)
+const countBy = async (Model, field, match) => {
+  const groups = await Model.aggregate([
+    { $match: match },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } }
+  ]);
+  return new Map(groups.map((group) => [String(group._id), group.count]));
+};
+
+// List courses (?semester=, ?subject=, ?instructor=) with their lecture and note counts
+const listCourses = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.semester) query.semester = String(req.query.semester);
+    if (req.query.subject) query.subject = String(req.query.subject);
+    // Any part of the instructor's name, ignoring case
+    if (req.query.instructor) query.instructor = { $regex: escapeRegex(String(req.query.instructor)), $options: 'i' };
+
+    const courses = await Course.find(query).sort({ createdAt: -1, code: 1 }).select('-__v');
+    const ids = courses.map((course) => course._id);
+    const lectureCounts = await countBy(Lecture, 'course', { course: { $in: ids } });
+    const noteCounts = await countBy(Note, 'course', { course: { $in: ids }, deletedAt: null });
+
+    res.json({
+      status: 'success',
+      courses: courses.map((course) => ({
+        ...course.toObject(),
+        lectureCount: lectureCounts.get(String(course._id)) || 0,
+        noteCount: noteCounts.get(String(course._id)) || 0
+      }))
+    });
+  } catch (error) {
+    console.error('❌ Error fetching courses:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch courses',
+      error: error.message
+    });
+  }
+};
+
+// Get a course with its lectures in order, each with its note count
+const getCourse = async (req, res) => {
+  try {
+    const course = await findCourse(req, res);
+    if (!course) return;
+
+    const lectures = await Lecture.find({ course: course._id }).sort({ number: 1 }).select('-__v');
+    const noteCounts = await countBy(Note, 'lecture', { course: course._id, deletedAt: null });
+
+    res.json({
+      status: 'success',
+      course,
+      lectures: lectures.map((lecture) => ({
+        ...lecture.toObject(),
+        noteCount: noteCounts.get(String(lecture._id)) || 0
+      })),
+      // Notes of the course that are not filed under a lecture
+      unassignedNotes: noteCounts.get('null') || 0
+    });
+  } catch (error) {
+    console.error('❌ Error fetching course:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch course',
+      error: error.message
+    });
+  }
+};
+
+// Add a course (editor)
+const createCourse = async (req, res) => {
+  try {
+    const fields = readCourseFields(req.body);
+    const codeError = await validateCode(fields.code, fields.semester);
+    if (codeError) {
+      return res.status(codeError.status).json({ status: 'error', message: codeError.message });
+    }
+
+    const course = await new Course(fields).save();
+
+    console.log('✅ Course created:', course.code, course.semester);
+    res.status(201).json({
+      status: 'success',
+      message: 'Course created successfully',
+      course
+    });
+  } catch (error) {
+    console.error('❌ Error creating course:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create course',
+      error: error.message
+    });
+  }
+};
+
+// Update a course (editor)
+const updateCourse = async (req, res) => {
+  try {
+    const course = await findCourse(req, res);
+    if (!course) return;
+
+    const fields = readCourseFields(req.body);
+    const code = fields.code !== undefined ? fields.code : course.code;
+    const semester = fields.semester !== undefined ? fields.semester : course.semester;
+    if (code !== course.code || semester !== course.semester) {
+      const codeError = await validateCode(code, semester, course._id);
+      if (codeError) {
+        return res.status(codeError.status).json({ status: 'error', message: codeError.message });
+      }
+    }
+
+    Object.assign(course, fields);
+    await course.save();
+
+    res.json({
+      status: 'success',
+      message: 'Course updated successfully',
+      course
+    });
+  } catch (error) {
+    console.error('❌ Error updating course:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update course',
+      error: error.message
+    });
+  }
+};
+
+// Delete a course and its lectures (admin); its notes are kept without a course
+const deleteCourse = async (req, res) => {
+  try {
+    const course = await findCourse(req, res);
+    if (!course) return;
+
+    const result = await Note.updateMany({ course: course._id }, { $set: { course: null, lecture: null } });
+    await Lecture.deleteMany({ course: course._id });
+    await Course.deleteOne({ _id: course._id });
+
+    console.log(`🗑️ Course deleted: ${course.code} (${result.modifiedCount} notes detached)`);
+    res.json({
+      status: 'success',
+      message: 'Course deleted successfully',
+      detachedNotes: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('❌ Error deleting course:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete course',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  findCourse,
+  listCourses,
+  getCourse,
+  createCourse,
+  updateCourse,
+  deleteCourse
+};
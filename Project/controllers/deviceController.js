@@ -0,0 +1,187 @@
+const mongoose = require('mongoose');
+const Device = require('../models/Device');
+const { generateDeviceKey } = require('../services/deviceKeys');
+
+// Device document without its key hash
+const formatDevice = (device) => {
+  const data = device.toObject();
+  delete data.keyHash;
+  delete data.__v;
+  return data;
+};
+
+// Load a device by the :id route parameter or send 404 (returns null when handled)
+const findDevice = async (req, res) => {
+  const device = mongoose.isValidObjectId(req.params.id) ? await Device.findById(req.params.id) : null;
+  if (!device) {
+    res.status(404).json({
+      status: 'error',
+      message: 'Device not found'
+    });
+    return null;
+  }
+  return device;
+};
+
+// Register a new recorder and issue its API key (shown only once)
+const registerDevice = async (req, res) => {
+  try {
+    const { name, room } = req.body || {};
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'name is required'
+      });
+    }
+    if (room !== undefined && room !== null && typeof room !== 'string') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'room must be a string'
+      });
+    }
+
+    const { key, keyHash, keyPrefix } = generateDeviceKey();
+    const device = await new Device({ name, room: room || '', keyHash, keyPrefix }).save();
+
+    console.log('✅ Device registered:', device._id, device.name);
+    res.status(201).json({
+      status: 'success',
+      message: 'Device registered. Store the API key now; it cannot be shown again.',
+      device: formatDevice(device),
+      apiKey: key
+    });
+  } catch (error) {
+    console.error('❌ Error registering device:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to register device',
+      error: error.message
+    });
+  }
+};
+
+// List all recorders with their last-seen time and upload counts
+const listDevices = async (req, res) => {
+  try {
+    const devices = await Device.find().sort({ createdAt: -1 });
+    res.json({
+      status: 'success',
+      devices: devices.map(formatDevice)
+    });
+  } catch (error) {
+    console.error('❌ Error fetching devices:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch devices',
+      error: error.message
+    });
+  }
+};
+
+// Rename a recorder or move it to another room
+const updateDevice = async (req, res) => {
+  try {
+    const device = await findDevice(req, res);
+    if (!device) return;
+
+    const { name, room } = req.body || {};
+    if (name !== undefined) {
+      if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'name must be a non-empty string'
+        });
+      }
+      device.name = name;
+    }
+    if (room !== undefined) {
+      if (room !== null && typeof room !== 'string') {
+        return res.status(400).json({
+          status: 'error',
+          message: 'room must be a string'
+        });
+      }
+      device.room = room || '';
+    }
+    await device.save();
+
+    res.json({
+      status: 'success',
+      message: 'Device updated successfully',
+      device: formatDevice(device)
+    });
+  } catch (error) {
+    console.error('❌ Error updating device:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update device',
+      error: error.message
+    });
+  }
+};
+
+// Revoke a recorder; its key stops working immediately
+const revokeDevice = async (req, res) => {
+  try {
+    const device = await findDevice(req, res);
+    if (!device) return;
+
+    device.status = 'revoked';
+    device.revokedAt = new Date();
+    await device.save();
+
+    console.log('🚫 Device revoked:', device._id, device.name);
+    res.json({
+      status: 'success',
+      message: 'Device revoked',
+      device: formatDevice(device)
+    });
+  } catch (error) {
+    console.error('❌ Error revoking device:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to revoke device',
+      error: error.message
+    });
+  }
+};
+
+// Issue a new API key for a recorder; the old key stops working
+const rotateDeviceKey = async (req, res) => {
+  try {
+    const device = await findDevice(req, res);
+    if (!device) return;
+
+    const { key, keyHash, keyPrefix } = generateDeviceKey();
+    device.keyHash = keyHash;
+    device.keyPrefix = keyPrefix;
+    device.keyRotatedAt = new Date();
+    // Rotating a revoked device's key re-activates it
+    device.status = 'active';
+    device.revokedAt = undefined;
+    await device.save();
+
+    console.log('🔑 Device key rotated:', device._id, device.name);
+    res.json({
+      status: 'success',
+      message: 'Key rotated. Store the new API key now; it cannot be shown again.',
+      device: formatDevice(device),
+      apiKey: key
+    });
+  } catch (error) {
+    console.error('❌ Error rotating device key:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to rotate device key',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  registerDevice,
+  listDevices,
+  updateDevice,
+  revokeDevice,
+  rotateDeviceKey
+};
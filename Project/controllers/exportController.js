@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const Note = require('../models/Note');
+const exportConfig = require('../config/export');
+const { buildNoteFilter } = require('./noteController');
+const { searchNotes } = require('../services/search');
+const { ExportError, EXPORT_FORMATS, exportNote: renderExport, exportNotesZip } = require('../services/export');
+
+const sendExportError = (res, error) => res.status(error.status).json({
+  status: 'error',
+  message: error.message
+});
+
+// Download one note as ?format=markdown|html|pdf|docx|anki
+const exportNote = async (req, res) => {
+  try {
+    const note = mongoose.isValidObjectId(req.params.id) ? await Note.findOne({ _id: req.params.id, deletedAt: null }) : null;
+    if (!note) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Note not found'
+      });
+    }
+
+    const file = await renderExport(note, req.query.format || 'markdown');
+    console.log('📤 Note exported:', note._id, req.query.format || 'markdown');
+    res.attachment(file.filename);
+    res.type(file.contentType);
+    res.send(file.buffer);
+  } catch (error) {
+    if (error instanceof ExportError) return sendExportError(res, error);
+    console.error('❌ Error exporting note:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to export note',
+      error: error.message
+    });
+  }
+};
+
+// Download every note matching the list filters (search, date, language, subject, ...) as one zip
+const exportNotes = async (req, res) => {
+  try {
+    const format = req.query.format || 'markdown';
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({
+        status: 'error',
+        message: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+      });
+    }
+
+    const { query, searchTerm } = buildNoteFilter(req.query);
+    let notes;
+    if (searchTerm) {
+      ({ notes } = await searchNotes({ query: searchTerm, filter: query, page: 1, limit: exportConfig.maxNotes }));
+    } else {
+      notes = await Note.find(query).sort({ createdAt: -1 }).limit(exportConfig.maxNotes);
+    }
+    if (notes.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No notes match these filters'
+      });
+    }
+
+    const archive = await exportNotesZip(notes, format);
+    console.log(`📤 Exported ${archive.exported} note(s) as ${format} (${archive.skipped} skipped)`);
+    res.attachment(`notes-${format}-${new Date().toISOString().substring(0, 10)}.zip`);
+    res.type('application/zip');
+    res.set('X-Exported-Notes', String(archive.exported));
+    res.set('X-Skipped-Notes', String(archive.skipped));
+    res.send(archive.buffer);
+  } catch (error) {
+    if (error instanceof ExportError) return sendExportError(res, error);
+    console.error('❌ Error exporting notes:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to export notes',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  exportNote,
+  exportNotes
+};
@@ -0,0 +1,205 @@
+const fs = require('fs');
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const Note = require('../models/Note');
+const { enqueueNoteJob, triggerJobWorker } = require('../services/jobQueue');
+
+// Shape a segment for API responses
+const formatSegment = (segment) => ({
+  index: segment.index,
+  unit: segment.unit,
+  start: segment.start,
+  end: segment.end,
+  status: segment.status,
+  attempts: segment.attempts,
+  error: segment.error || null
+});
+
+// Shape a job document for API responses
+const formatJob = (job) => ({
+  job_id: job._id,
+  status: job.status,
+  stage: job.stage,
+  progress: job.progress,
+  attempts: job.attempts,
+  max_attempts: job.maxAttempts,
+  errors: job.attemptErrors,
+  note_id: job.noteId,
+  // Null until the note is saved; non-empty when it was saved flagged as incomplete
+  structure_issues: job.structureIssues || null,
+  audio_segments: job.audioSegments.map((segment) => ({
+    ...formatSegment(segment),
+    transcript_lines: segment.transcript ? segment.transcript.length : 0
+  })),
+  segments: job.segments.map((segment) => ({
+    ...formatSegment(segment),
+    notes: segment.notes || null
+  })),
+  input_type: job.input.type,
+  provider: job.provider || null,
+  model_used: job.modelUsed || null,
+  next_attempt_at: job.status === 'queued' ? job.runAt : null,
+  created_at: job.createdAt,
+  updated_at: job.updatedAt,
+  started_at: job.startedAt || null,
+  completed_at: job.completedAt || null
+});
+
+// Get a job's status by ID
+const getJobById = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Job not found'
+      });
+    }
+
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Job not found'
+      });
+    }
+    res.json({
+      status: 'success',
+      job: formatJob(job)
+    });
+  } catch (error) {
+    console.error('❌ Error fetching job:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch job',
+      error: error.message
+    });
+  }
+};
+
+// Reset one segment of a finished job and queue the job again.
+// `field` is 'segments' (note segments) or 'audioSegments' (transcription segments).
+const requeueSegment = async (req, res, field) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Job not found'
+      });
+    }
+
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Job not found'
+      });
+    }
+
+    const segment = job[field].find((s) => s.index === parseInt(req.params.index));
+    if (!segment) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Segment not found'
+      });
+    }
+
+    if (job.status === 'running' || job.status === 'queued') {
+      return res.status(409).json({
+        status: 'error',
+        message: `Job is ${job.status}; wait for it to finish before re-running a segment`
+      });
+    }
+
+    // Audio uploads are removed once a job completes
+    if (job.input.filePath && !fs.existsSync(job.input.filePath)) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'The original upload is no longer available for this job'
+      });
+    }
+
+    segment.status = 'pending';
+    segment.notes = null;
+    segment.transcript = [];
+    segment.error = null;
+    if (field === 'audioSegments') {
+      // A new transcript invalidates the note segments planned from the old one
+      job.segments = [];
+    }
+    job.markModified(field);
+    job.status = 'queued';
+    job.stage = 'queued';
+    job.progress = 0;
+    job.attempts = 0;
+    job.runAt = new Date();
+    job.completedAt = null;
+    await job.save();
+    triggerJobWorker();
+
+    console.log(`🔁 Segment ${segment.index} (${field}) of job ${job._id} queued for re-run`);
+    res.status(202).json({
+      status: 'success',
+      message: 'Segment queued for re-run',
+      job: formatJob(job)
+    });
+  } catch (error) {
+    console.error('❌ Error re-running segment:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to re-run segment',
+      error: error.message
+    });
+  }
+};
+
+// Re-run a single note segment of a long-lecture job, then merge again
+const retryJobSegment = (req, res) => requeueSegment(req, res, 'segments');
+
+// Re-transcribe a single audio segment, then regenerate the notes
+const retryAudioSegment = (req, res) => requeueSegment(req, res, 'audioSegments');
+
+// Queue a job that regenerates a note from its stored transcript (or original text)
+const regenerateNote = async (req, res) => {
+  try {
+    const note = await Note.findOne({ _id: req.params.id, deletedAt: null });
+    if (!note) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Note not found'
+      });
+    }
+
+    const source = note.transcript && note.transcript.text
+      ? note.transcript.text
+      : (note.inputType === 'text' ? note.originalContent : '');
+    if (!source) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'This note has no stored transcript to regenerate from'
+      });
+    }
+
+    const job = await enqueueNoteJob({ type: note.inputType, text: source, noteId: note._id, user: req.user });
+    res.status(202).json({
+      status: 'accepted',
+      job_id: job._id,
+      job_status: job.status,
+      status_url: `/api/jobs/${job._id}`
+    });
+  } catch (error) {
+    console.error('❌ Error queuing note regeneration:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to queue note regeneration',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  formatJob,
+  getJobById,
+  retryJobSegment,
+  retryAudioSegment,
+  regenerateNote
+};
@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const Lecture = require('../models/Lecture');
+const Note = require('../models/Note');
+const { parseLectureNumber, nextLectureNumber } = require('../services/courses');
+const { findCourse } = require('./courseController');
+const { NOTE_LIST_FIELDS } = require('./noteController');
+
+// Lecture fields accepted from the request body (returns { fields } or { error })
+const readLectureFields = (body = {}) => {
+  const fields = {};
+  if (body.number !== undefined) {
+    const number = parseLectureNumber(body.number);
+    if (!number) return { error: 'number must be a positive integer' };
+    fields.number = number;
+  }
+  if (body.title !== undefined) fields.title = body.title;
+  if (body.date !== undefined) {
+    const date = body.date ? new Date(body.date) : null;
+    if (date && isNaN(date.getTime())) return { error: 'date must be a valid date' };
+    fields.date = date;
+  }
+  return { fields };
+};
+
+// Check a lecture number is not used by another lecture of the course (returns { status, message } or null)
+const validateNumber = async (courseId, number, excludeId = null) => {
+  const existing = await Lecture.findOne({ course: courseId, number });
+  if (existing && (!excludeId || !existing._id.equals(excludeId))) {
+    return { status: 409, message: `Lecture ${number} already exists in this course` };
+  }
+  return null;
+};
+
+// Load a lecture by the :id route parameter or send 404 (returns null when handled)
+const findLecture = async (req, res) => {
+  const lecture = mongoose.isValidObjectId(req.params.id) ? await Lecture.findById(req.params.id) : null;
+  if (!lecture) {
+    res.status(404).json({
+      status: 'error',
+      message: 'Lecture not found'
+    });
+    return null;
+  }
+  return lecture;
+};
+
+// Add a lecture to the :id course (editor); without a number it follows the last lecture
+const createLecture = async (req, res) => {
+  try {
+    const course = await findCourse(req, res);
+    if (!course) return;
+
+    const { fields, error } = readLectureFields(req.body);
+    if (error) {
+      return res.status(400).json({ status: 'error', message: error });
+    }
+    if (fields.number === undefined) {
+      fields.number = await nextLectureNumber(course._id);
+    }
+    const numberError = await validateNumber(course._id, fields.number);
+    if (numberError) {
+      return res.status(numberError.status).json({ status: 'error', message: numberError.message });
+    }
+
+    const lecture = await new Lecture({ ...fields, course: course._id }).save();
+
+    console.log(`🎓 Lecture ${lecture.number} of ${course.code} created`);
+    res.status(201).json({
+      status: 'success',
+      message: 'Lecture created successfully',
+      lecture
+    });
+  } catch (error) {
+    console.error('❌ Error creating lecture:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create lecture',
+      error: error.message
+    });
+  }
+};
+
+// Get a lecture with its course and notes (oldest first)
+const getLecture = async (req, res) => {
+  try {
+    const lecture = await findLecture(req, res);
+    if (!lecture) return;
+
+    const course = await Course.findById(lecture.course);
+    const notes = await Note.find({ lecture: lecture._id, deletedAt: null })
+      .sort({ createdAt: 1 })
+      .select(NOTE_LIST_FIELDS);
+
+    res.json({
+      status: 'success',
+      lecture,
+      course,
+      notes
+    });
+  } catch (error) {
+    console.error('❌ Error fetching lecture:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch lecture',
+      error: error.message
+    });
+  }
+};
+
+// Update a lecture's number, title or date (editor)
+const updateLecture = async (req, res) => {
+  try {
+    const lecture = await findLecture(req, res);
+    if (!lecture) return;
+
+    const { fields, error } = readLectureFields(req.body);
+    if (error) {
+      return res.status(400).json({ status: 'error', message: error });
+    }
+    if (fields.number !== undefined && fields.number !== lecture.number) {
+      const numberError = await validateNumber(lecture.course, fields.number, lecture._id);
+      if (numberError) {
+        return res.status(numberError.status).json({ status: 'error', message: numberError.message });
+      }
+    }
+
+    Object.assign(lecture, fields);
+    await lecture.save();
+
+    res.json({
+      status: 'success',
+      message: 'Lecture updated successfully',
+      lecture
+    });
+  } catch (error) {
+    console.error('❌ Error updating lecture:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update lecture',
+      error: error.message
+    });
+  }
+};
+
+// Delete a lecture (admin); its notes stay in the course without a lecture
+const deleteLecture = async (req, res) => {
+  try {
+    const lecture = await findLecture(req, res);
+    if (!lecture) return;
+
+    const result = await Note.updateMany({ lecture: lecture._id }, { $set: { lecture: null } });
+    await Lecture.deleteOne({ _id: lecture._id });
+
+    console.log(`🗑️ Lecture deleted: ${lecture._id} (${result.modifiedCount} notes detached)`);
+    res.json({
+      status: 'success',
+      message: 'Lecture deleted successfully',
+      detachedNotes: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('❌ Error deleting lecture:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete lecture',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  createLecture,
+  getLecture,
+  updateLecture,
+  deleteLecture
+};
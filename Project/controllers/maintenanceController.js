@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const jobConfig = require('../config/jobs');
+const { hasRole } = require('../services/auth');
+const { drainJobs, recoverInterruptedJobs } = require('../services/jobQueue');
+const { runPeriodicTasks } = require('../services/maintenance');
+
+// Whether the request carries the scheduler's secret ("Authorization: Bearer <CRON_SECRET>")
+const hasSchedulerSecret = (req) => {
+  if (!jobConfig.cronSecret) return false;
+  const expected = Buffer.from(`Bearer ${jobConfig.cronSecret}`);
+  const given = Buffer.from(req.headers.authorization || '');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+// Allow the scheduler (CRON_SECRET) or a signed-in admin
+const requireScheduler = (req, res, next) => {
+  if (hasSchedulerSecret(req) || (req.user && hasRole(req.user, 'admin'))) {
+    return next();
+  }
+  res.status(401).json({
+    status: 'error',
+    message: 'Maintenance requires the scheduler secret or the admin role'
+  });
+};
+
+// Run queued note-generation jobs (for up to JOB_DRAIN_BUDGET_SECONDS) and the periodic
+// clean-up: expired recordings and trash, and notes waiting to be embedded
+const runMaintenance = async (req, res, provider) => {
+  try {
+    await recoverInterruptedJobs({ staleAfterMs: jobConfig.staleAfterMinutes * 60 * 1000 });
+    const jobsProcessed = await drainJobs({
+      provider,
+      deadline: Date.now() + jobConfig.drainBudgetSeconds * 1000
+    });
+    await runPeriodicTasks();
+    console.log(`🧹 Maintenance run: ${jobsProcessed} job(s) processed`);
+    res.json({
+      status: 'success',
+      jobsProcessed
+    });
+  } catch (error) {
+    console.error('❌ Maintenance run failed:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to run maintenance',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  requireScheduler,
+  runMaintenance
+};
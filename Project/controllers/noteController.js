@@ -1,4 +1,46 @@
+const mongoose = require('mongoose');
 const Note = require('../models/Note');
+const Lecture = require('../models/Lecture');
+const subjectConfig = require('../config/subjects');
+const { loadSubjectTaxonomy } = require('../services/subjects');
+const { updateNoteWithRevision } = require('../services/noteRevisions');
+const { purgeDate } = require('../services/trash');
+const { escapeRegex, buildSearchIndex, searchNotes } = require('../services/search');
+const { queueSemanticIndexing, semanticSearch } = require('../services/semanticIndex');
+const semanticSearchConfig = require('../config/semanticSearch');
+const { MAX_TAGS_PER_NOTE, normalizeTag, parseTags } = require('../services/tags');
+const { buildNoteStructure, noteStructureOf } = require('../services/noteStructure');
+
+// Build the saveNotes input from a note pipeline result. Regeneration passes
+// includeTranscript: false to keep the transcript already stored on the note.
+const buildNoteData = (result, { inputType, deviceId, deviceName, room, courseId, lectureId, audio, includeTranscript = true }) => ({
+  input_type: inputType,
+  generated_notes: result.generatedNotes,
+  detected_language: result.detectedLanguage,
+  language_code: result.languageCode,
+  language_confidence: result.languageConfidence,
+  mixed_language: result.mixedLanguage,
+  languages: result.languages,
+  detected_subject: result.detectedSubject,
+  subject_confidence: result.subjectConfidence,
+  subjects: result.subjects,
+  original_content: result.originalContent,
+  provider: result.provider,
+  model_used: result.model,
+  device_id: deviceId,
+  device_name: deviceName,
+  room,
+  course_id: courseId,
+  lecture_id: lectureId,
+  audio,
+  structure_check: result.structureCheck,
+  transcript: result.transcript && includeTranscript ? {
+    text: result.transcript.text,
+    segments: result.transcript.segments,
+    provider: result.transcript.provider || result.provider,
+    modelUsed: result.transcript.model || result.model
+  } : undefined
+});
 
 // Save generated notes to database
 const saveNotes = async (noteData) => {
@@ -7,12 +49,33 @@ const saveNotes = async (noteData) => {
       inputType: noteData.input_type,
       generatedNotes: noteData.generated_notes,
       detectedLanguage: noteData.detected_language || 'unknown',
+      languageCode: noteData.language_code || null,
+      languageConfidence: noteData.language_confidence,
+      mixedLanguage: !!noteData.mixed_language,
+      languages: noteData.languages || [],
       detectedSubject: noteData.detected_subject || 'General',
-      originalContent: noteData.original_content || ''
+      subjectConfidence: noteData.subject_confidence,
+      subjects: noteData.subjects || [],
+      originalContent: noteData.original_content || '',
+      provider: noteData.provider || 'unknown',
+      modelUsed: noteData.model_used || 'unknown',
+      device: noteData.device_id || null,
+      deviceName: noteData.device_name || '',
+      room: noteData.room || '',
+      course: noteData.course_id || null,
+      lecture: noteData.lecture_id || null,
+      audio: noteData.audio,
+      transcript: noteData.transcript
     });
+    Object.assign(note, buildSearchIndex(note));
+    note.structure = buildNoteStructure(note.generatedNotes, { restructure: noteData.structure_check || null });
 
     const savedNote = await note.save();
     console.log('✅ Notes saved to database:', savedNote._id);
+    if (!savedNote.structure.valid) {
+      console.warn(`⚠️ Note ${savedNote._id} is flagged as incomplete: ${savedNote.structure.issues.join(', ')}`);
+    }
+    queueSemanticIndexing();
     return savedNote;
   } catch (error) {
     console.error('❌ Error saving notes to database:', error.message);
@@ -20,6 +83,133 @@ const saveNotes = async (noteData) => {
   }
 };
 
+// Replace the generated content of an existing note (e.g. after re-running a segment),
+// recording it as a new revision. A subject classification overridden by an admin is kept.
+// `author` is the user who asked for the regeneration (if known).
+const updateGeneratedNote = async (noteId, noteData, { author = null, reason = 'Regenerated' } = {}) => {
+  try {
+    const existing = await Note.findById(noteId).select('subjectSource');
+    const updateData = {
+      generatedNotes: noteData.generated_notes,
+      detectedLanguage: noteData.detected_language || 'unknown',
+      languageCode: noteData.language_code || null,
+      languageConfidence: noteData.language_confidence,
+      mixedLanguage: !!noteData.mixed_language,
+      languages: noteData.languages || [],
+      provider: noteData.provider || 'unknown',
+      modelUsed: noteData.model_used || 'unknown',
+      updatedAt: new Date()
+    };
+    if (!existing || existing.subjectSource !== 'manual') {
+      updateData.detectedSubject = noteData.detected_subject || 'General';
+      updateData.subjectConfidence = noteData.subject_confidence;
+      updateData.subjects = noteData.subjects || [];
+    }
+    if (noteData.transcript) {
+      updateData.transcript = noteData.transcript;
+    }
+
+    const note = await updateNoteWithRevision(noteId, updateData, {
+      author,
+      reason,
+      source: 'regenerate',
+      restructure: noteData.structure_check || null
+    });
+    if (note) {
+      console.log('✅ Regenerated notes saved to database:', note._id);
+    }
+    return note;
+  } catch (error) {
+    console.error('❌ Error updating generated notes:', error.message);
+    throw error;
+  }
+};
+
+
+// Fields returned by the notes listing
+const NOTE_LIST_FIELDS = 'inputType title generatedNotes detectedLanguage languageCode mixedLanguage languages detectedSubject subjectConfidence subjects subjectSource tags originalContent provider modelUsed device deviceName room course lecture audio structure.valid structure.issues structure.restructure createdAt updatedAt';
+
+// MongoDB filter for the note list query parameters (date range, input type, language,
+// subject, tags, course, lecture). The search term is returned separately for searchNotes.
+const buildNoteFilter = (params) => {
+  // Trashed notes are never listed here
+  const query = { deletedAt: null };
+  const appliedFilters = {};
+  
+  // Date filtering
+  if (params.startDate || params.endDate) {
+    query.createdAt = {};
+    if (params.startDate) {
+      query.createdAt.$gte = new Date(params.startDate);
+      appliedFilters.startDate = params.startDate;
+    }
+    if (params.endDate) {
+      query.createdAt.$lte = new Date(params.endDate);
+      appliedFilters.endDate = params.endDate;
+    }
+  }
+  
+  // Full-text search (supports both 'search' and 'q' parameters); see services/search.js
+  const searchTerm = params.search || params.q;
+  if (searchTerm) {
+    appliedFilters.search = searchTerm;
+  }
+  
+  // Input type filtering
+  if (params.inputType) {
+    query.inputType = params.inputType;
+    appliedFilters.inputType = params.inputType;
+  }
+  
+  // Language filtering
+  if (params.language) {
+    // Two-letter values are ISO 639-1 codes; anything else matches the language name
+    const language = String(params.language);
+    if (/^[a-z]{2}$/i.test(language)) {
+      query.languageCode = language.toLowerCase();
+    } else {
+      query.detectedLanguage = { $regex: escapeRegex(language), $options: 'i' };
+    }
+    appliedFilters.language = params.language;
+  }
+  
+  // Subject filtering: the primary subject (any part of its name), or a secondary subject
+  // with exactly this name and enough confidence; both ignore case
+  if (params.subject) {
+    const subject = escapeRegex(String(params.subject));
+    query.$and = [{
+      $or: [
+        { detectedSubject: { $regex: subject, $options: 'i' } },
+        { subjects: { $elemMatch: { name: { $regex: `^${subject}$`, $options: 'i' }, confidence: { $gte: subjectConfig.filterThreshold } } } }
+      ]
+    }];
+    appliedFilters.subject = params.subject;
+  }
+
+  // Tag filtering: ?tags=a,b matches notes with every tag, or with any of them when ?tagMode=any
+  const tags = params.tags ? parseTags(params.tags) : [];
+  if (tags.length > 0) {
+    const tagMode = params.tagMode === 'any' ? 'any' : 'all';
+    query.tags = tagMode === 'any' ? { $in: tags } : { $all: tags };
+    appliedFilters.tags = tags;
+    appliedFilters.tagMode = tagMode;
+  }
+
+  // Course and lecture filtering by id (an invalid id matches no notes)
+  if (params.course) {
+    query.course = mongoose.isValidObjectId(params.course) ? params.course : { $in: [] };
+    appliedFilters.course = params.course;
+  }
+  if (params.lecture) {
+    query.lecture = mongoose.isValidObjectId(params.lecture) ? params.lecture : { $in: [] };
+    appliedFilters.lecture = params.lecture;
+  }
+
+  return { query, appliedFilters, searchTerm };
+};
+
+// Fields notes can be sorted by (?sortBy=)
+const SORT_FIELDS = ['createdAt', 'updatedAt'];
 
 // Get all notes with comprehensive filtering (search, date filter, pagination)
 const getAllNotes = async (req, res) => {
@@ -30,66 +220,41 @@ const getAllNotes = async (req, res) => {
     const skip = (page - 1) * limit;
     
     // Build query object
-    let query = {};
-    let appliedFilters = {};
-    
-    // Date filtering
-    if (req.query.startDate || req.query.endDate) {
-      query.createdAt = {};
-      if (req.query.startDate) {
-        query.createdAt.$gte = new Date(req.query.startDate);
-        appliedFilters.startDate = req.query.startDate;
-      }
-      if (req.query.endDate) {
-        query.createdAt.$lte = new Date(req.query.endDate);
-        appliedFilters.endDate = req.query.endDate;
-      }
-    }
-    
-    // Search functionality (supports both 'search' and 'q' parameters)
-    const searchTerm = req.query.search || req.query.q;
-    if (searchTerm) {
-      query.$or = [
-        { generatedNotes: { $regex: searchTerm, $options: 'i' } },
-        { inputType: { $regex: searchTerm, $options: 'i' } },
-        { detectedLanguage: { $regex: searchTerm, $options: 'i' } },
-        { detectedSubject: { $regex: searchTerm, $options: 'i' } },
-        { originalContent: { $regex: searchTerm, $options: 'i' } }
-      ];
-      appliedFilters.search = searchTerm;
-    }
-    
-    // Input type filtering
-    if (req.query.inputType) {
-      query.inputType = req.query.inputType;
-      appliedFilters.inputType = req.query.inputType;
-    }
+    const { query, appliedFilters, searchTerm } = buildNoteFilter(req.query);
     
-    // Language filtering
-    if (req.query.language) {
-      query.detectedLanguage = { $regex: req.query.language, $options: 'i' };
-      appliedFilters.language = req.query.language;
-    }
-    
-    // Subject filtering
-    if (req.query.subject) {
-      query.detectedSubject = { $regex: req.query.subject, $options: 'i' };
-      appliedFilters.subject = req.query.subject;
+    // Sort order (default: newest first, or by relevance when searching)
+    if (req.query.sortBy !== undefined && !SORT_FIELDS.includes(req.query.sortBy)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `sortBy must be one of: ${SORT_FIELDS.join(', ')}`
+      });
     }
-    
-    // Sort order (default: newest first)
     const sortOrder = req.query.sort === 'asc' ? 1 : -1;
     const sortField = req.query.sortBy || 'createdAt';
     
-    // Get total count for pagination
-    const totalCount = await Note.countDocuments(query);
-    
-    // Get notes with pagination
-    const notes = await Note.find(query)
-      .sort({ [sortField]: sortOrder })
-      .skip(skip)
-      .limit(limit)
-      .select('inputType generatedNotes detectedLanguage detectedSubject originalContent createdAt updatedAt');
+    let notes;
+    let totalCount;
+    if (searchTerm) {
+      // Ranked search results with highlighted snippets
+      ({ notes, totalCount } = await searchNotes({
+        query: searchTerm,
+        filter: query,
+        page,
+        limit,
+        select: NOTE_LIST_FIELDS,
+        sort: req.query.sortBy ? { field: sortField, order: sortOrder } : null
+      }));
+    } else {
+      // Get total count for pagination
+      totalCount = await Note.countDocuments(query);
+      
+      // Get notes with pagination
+      notes = await Note.find(query)
+        .sort({ [sortField]: sortOrder })
+        .skip(skip)
+        .limit(limit)
+        .select(NOTE_LIST_FIELDS);
+    }
     
     const totalPages = Math.ceil(totalCount / limit);
     
@@ -116,10 +281,47 @@ const getAllNotes = async (req, res) => {
   }
 };
 
+// Passages closest in meaning to ?q= (semantic search), within the same filters as the
+// note list; ?limit= sets the number of passages (see services/semanticIndex.js)
+const semanticSearchNotes = async (req, res) => {
+  try {
+    const query = String(req.query.q || '').trim();
+    if (!query) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'q is required'
+      });
+    }
+    const limit = Math.min(parseInt(req.query.limit) || semanticSearchConfig.defaultResults, semanticSearchConfig.maxResults);
+    const { query: filter, appliedFilters } = buildNoteFilter({ ...req.query, q: undefined, search: undefined });
+
+    const { passages, pendingNotes } = await semanticSearch({ query, filter, limit });
+    // The matched notes, so results can be listed and opened without fetching each one
+    const notes = await Note.find({ _id: { $in: passages.map((passage) => passage.noteId) } }).select(NOTE_LIST_FIELDS);
+
+    res.json({
+      status: 'success',
+      query,
+      appliedFilters,
+      passages,
+      notes,
+      // Notes not embedded yet (recently saved or changed) are missing from the results
+      pendingNotes
+    });
+  } catch (error) {
+    console.error('❌ Error in semantic search:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to search notes',
+      error: error.message
+    });
+  }
+};
+
 // Get a specific note by ID
 const getNoteById = async (req, res) => {
   try {
-    const note = await Note.findById(req.params.id);
+    const note = await Note.findOne({ _id: req.params.id, deletedAt: null });
     if (!note) {
       return res.status(404).json({
         status: 'error',
@@ -140,11 +342,70 @@ const getNoteById = async (req, res) => {
   }
 };
 
-// Update a note by ID (all fields except inputType)
+// Get the structured form of a note: title, introduction, sections (the table of
+// contents), key definitions and formulas
+const getNoteStructure = async (req, res) => {
+  try {
+    const note = await Note.findOne({ _id: req.params.id, deletedAt: null }).select('generatedNotes structure revision');
+    if (!note) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Note not found'
+      });
+    }
+    res.json({
+      status: 'success',
+      noteId: note._id,
+      revision: note.revision,
+      structure: noteStructureOf(note)
+    });
+  } catch (error) {
+    console.error('❌ Error fetching note structure:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch note structure',
+      error: error.message
+    });
+  }
+};
+
+// Get the stored transcript of an audio note
+const getNoteTranscript = async (req, res) => {
+  try {
+    const note = await Note.findOne({ _id: req.params.id, deletedAt: null }).select('inputType transcript');
+    if (!note) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Note not found'
+      });
+    }
+    if (!note.transcript || !note.transcript.text) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No transcript stored for this note'
+      });
+    }
+    res.json({
+      status: 'success',
+      noteId: note._id,
+      transcript: note.transcript
+    });
+  } catch (error) {
+    console.error('❌ Error fetching transcript:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch transcript',
+      error: error.message
+    });
+  }
+};
+
+// Update a note by ID (all fields except inputType). The previous content stays
+// available as a revision; `reason` is stored with the new one.
 const updateNote = async (req, res) => {
   try {
     const { id } = req.params;
-    const { generatedNotes, detectedLanguage, detectedSubject, originalContent } = req.body;
+    const { generatedNotes, detectedLanguage, detectedSubject, originalContent, reason } = req.body;
 
     // Validate required fields
     if (!generatedNotes) {
@@ -171,15 +432,20 @@ const updateNote = async (req, res) => {
       updateData.originalContent = originalContent;
     }
 
-    // Find and update the note
-    const updatedNote = await Note.findByIdAndUpdate(
-      id,
-      updateData,
-      { 
-        new: true, // Return the updated document
-        runValidators: true // Run schema validators
-      }
-    );
+    // Trashed notes must be restored before they can be edited
+    if (!(await Note.exists({ _id: id, deletedAt: null }))) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Note not found'
+      });
+    }
+
+    // Find and update the note, keeping the previous revision
+    const updatedNote = await updateNoteWithRevision(id, updateData, {
+      author: req.user,
+      reason: reason || '',
+      source: 'edit'
+    });
 
     if (!updatedNote) {
       return res.status(404).json({
@@ -204,20 +470,229 @@ const updateNote = async (req, res) => {
   }
 };
 
-// Delete a note by ID
+// Override a note's subject classification (admin). `subjects` lists taxonomy
+// subject names, primary first; regeneration keeps the override.
+const overrideNoteSubjects = async (req, res) => {
+  try {
+    const names = Array.isArray(req.body && req.body.subjects) ? req.body.subjects : [];
+    if (names.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'subjects must be a non-empty list of subject names'
+      });
+    }
+
+    // Accept any capitalization, but store the taxonomy's spelling
+    const taxonomy = await loadSubjectTaxonomy();
+    const subjects = [];
+    for (const name of names) {
+      const match = taxonomy.find((s) => s.name.toLowerCase() === String(name).trim().toLowerCase());
+      if (!match) {
+        return res.status(400).json({
+          status: 'error',
+          message: `Unknown subject: ${name}`
+        });
+      }
+      if (!subjects.some((s) => s.name === match.name)) {
+        subjects.push({ name: match.name, confidence: 1, modelRank: null, keywords: [] });
+      }
+    }
+
+    const note = await Note.findOneAndUpdate({ _id: req.params.id, deletedAt: null }, {
+      detectedSubject: subjects[0].name,
+      subjectConfidence: 1,
+      subjects,
+      subjectSource: 'manual',
+      subjectOverriddenBy: req.user._id,
+      subjectOverriddenAt: new Date(),
+      updatedAt: new Date()
+    }, { new: true });
+    if (!note) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Note not found'
+      });
+    }
+
+    console.log('✏️ Note subjects overridden:', note._id, subjects.map((s) => s.name).join(', '));
+    res.json({
+      status: 'success',
+      message: 'Note subjects updated successfully',
+      note
+    });
+  } catch (error) {
+    console.error('❌ Error overriding note subjects:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update note subjects',
+      error: error.message
+    });
+  }
+};
+
+// Every tag in use with its number of notes, most used first
+const listTags = async (req, res) => {
+  try {
+    const tags = await Note.aggregate([
+      { $match: { deletedAt: null, 'tags.0': { $exists: true } } },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } }
+    ]);
+    res.json({
+      status: 'success',
+      tags: tags.map((tag) => ({ name: tag._id, count: tag.count }))
+    });
+  } catch (error) {
+    console.error('❌ Error fetching tags:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch tags',
+      error: error.message
+    });
+  }
+};
+
+// Add tags to a note (editor; body: { tags: [...] } or a comma-separated string)
+const addNoteTags = async (req, res) => {
+  try {
+    const tags = parseTags((req.body || {}).tags);
+    if (tags.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'tags must be a non-empty list of tags'
+      });
+    }
+
+    const existing = await Note.findOne({ _id: req.params.id, deletedAt: null }).select('tags');
+    if (!existing) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Note not found'
+      });
+    }
+    if (new Set([...existing.tags, ...tags]).size > MAX_TAGS_PER_NOTE) {
+      return res.status(400).json({
+        status: 'error',
+        message: `A note may have at most ${MAX_TAGS_PER_NOTE} tags`
+      });
+    }
+
+    const note = await Note.findOneAndUpdate(
+      { _id: existing._id },
+      { $addToSet: { tags: { $each: tags } }, updatedAt: new Date() },
+      { new: true }
+    ).select('tags');
+
+    res.json({
+      status: 'success',
+      message: 'Tags added',
+      tags: note.tags
+    });
+  } catch (error) {
+    console.error('❌ Error adding tags:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to add tags',
+      error: error.message
+    });
+  }
+};
+
+// Remove one tag from a note (editor)
+const removeNoteTag = async (req, res) => {
+  try {
+    const note = await Note.findOneAndUpdate(
+      { _id: req.params.id, deletedAt: null },
+      { $pull: { tags: normalizeTag(req.params.tag) }, updatedAt: new Date() },
+      { new: true }
+    ).select('tags');
+    if (!note) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Note not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Tag removed',
+      tags: note.tags
+    });
+  } catch (error) {
+    console.error('❌ Error removing tag:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to remove tag',
+      error: error.message
+    });
+  }
+};
+
+// File a note under a course lecture (editor), or take it out of its course with lectureId null
+const setNoteLecture = async (req, res) => {
+  try {
+    const { lectureId } = req.body || {};
+    let lecture = null;
+    if (lectureId) {
+      lecture = mongoose.isValidObjectId(lectureId) ? await Lecture.findById(lectureId) : null;
+      if (!lecture) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Lecture not found'
+        });
+      }
+    }
+
+    const note = await Note.findOneAndUpdate({ _id: req.params.id, deletedAt: null }, {
+      course: lecture ? lecture.course : null,
+      lecture: lecture ? lecture._id : null,
+      updatedAt: new Date()
+    }, { new: true });
+    if (!note) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Note not found'
+      });
+    }
+
+    console.log('🎓 Note filed under lecture:', note._id, lecture ? lecture._id : 'none');
+    res.json({
+      status: 'success',
+      message: lecture ? 'Note filed under the lecture' : 'Note removed from its course',
+      note
+    });
+  } catch (error) {
+    console.error('❌ Error filing note under lecture:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update note lecture',
+      error: error.message
+    });
+  }
+};
+
+// Delete a note by ID. The note moves to the trash, where an admin can restore it
+// until it is purged (see services/trash.js).
 const deleteNote = async (req, res) => {
   try {
-    const note = await Note.findByIdAndDelete(req.params.id);
+    const note = await Note.findOneAndUpdate(
+      { _id: req.params.id, deletedAt: null },
+      { deletedAt: new Date(), deletedBy: req.user._id, deletedByName: req.user.username },
+      { new: true }
+    );
     if (!note) {
       return res.status(404).json({
         status: 'error',
         message: 'Note not found'
       });
     }
+    console.log('🗑️ Note moved to trash:', note._id);
     res.json({
       status: 'success',
-      message: 'Note deleted successfully',
-      deletedNote: note
+      message: 'Note moved to trash',
+      deletedNote: note,
+      purgeAt: purgeDate(note.deletedAt)
     });
   } catch (error) {
     console.error('❌ Error deleting note:', error.message);
@@ -230,9 +705,21 @@ const deleteNote = async (req, res) => {
 };
 
 module.exports = {
+  buildNoteData,
   saveNotes,
+  updateGeneratedNote,
+  NOTE_LIST_FIELDS,
+  buildNoteFilter,
   getAllNotes,
+  semanticSearchNotes,
   getNoteById,
+  getNoteStructure,
+  getNoteTranscript,
   updateNote,
+  overrideNoteSubjects,
+  listTags,
+  addNoteTags,
+  removeNoteTag,
+  setNoteLecture,
   deleteNote
 };
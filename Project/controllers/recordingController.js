@@ -0,0 +1,417 @@
+const mongoose = require('mongoose');
+const Recording = require('../models/Recording');
+const recordingConfig = require('../config/recordings');
+const jobConfig = require('../config/jobs');
+const { enqueueNoteJob } = require('../services/jobQueue');
+const { removeUpload } = require('../services/uploadStorage');
+const { sha256, writeChunk, assembleChunks, removeChunks } = require('../services/recordingStorage');
+const { AudioIngestError, ingestAudioFile } = require('../services/audioIngest');
+const { CourseError, validateUploadCourse, resolveUploadLecture } = require('../services/courses');
+
+// Most missing chunk indices listed in one response (missing_count has the full number)
+const MAX_MISSING_LISTED = 1000;
+
+// Most chunks a recording can have: enough for the upload limit at its chunk size
+const maxChunksOf = (chunkSize) => Math.ceil(jobConfig.maxUploadBytes / chunkSize);
+
+// Chunks that have not been received yet: { indices (the first MAX_MISSING_LISTED), count }.
+// While the total is unknown, gaps below the highest received index are reported.
+const getMissingChunks = (recording) => {
+  const received = [...new Set(recording.chunks.map((c) => c.index))].sort((a, b) => a - b);
+  const total = recording.totalChunks !== null ? recording.totalChunks : (received.length > 0 ? received[received.length - 1] + 1 : 0);
+  const indices = [];
+  let count = 0;
+  let next = 0;
+  // Walk the gaps between received chunks instead of every index up to the total
+  for (const index of [...received.filter((i) => i < total), total]) {
+    count += index - next;
+    for (let i = next; i < index && indices.length < MAX_MISSING_LISTED; i++) indices.push(i);
+    next = index + 1;
+  }
+  return { indices, count };
+};
+
+// Shape a recording for API responses
+const formatRecording = (recording) => {
+  const missing = getMissingChunks(recording);
+  return {
+    recording_id: recording._id,
+    status: recording.status,
+    filename: recording.originalName,
+    mime_type: recording.mimeType,
+    chunk_size: recording.chunkSize,
+    total_chunks: recording.totalChunks,
+    received_chunks: recording.chunks.map((c) => c.index).sort((a, b) => a - b),
+    missing_chunks: missing.indices,
+    missing_count: missing.count,
+    bytes_received: recording.chunks.reduce((sum, c) => sum + c.size, 0),
+    course_code: recording.courseCode,
+    lecture_number: recording.lectureNumber,
+    job_id: recording.jobId,
+    expires_at: recording.expiresAt,
+    created_at: recording.createdAt,
+    updated_at: recording.updatedAt
+  };
+};
+
+// Whether a chunk count fits the upload limit
+const isValidTotalChunks = (totalChunks, chunkSize) => !isNaN(totalChunks) && totalChunks >= 1 && totalChunks <= maxChunksOf(chunkSize);
+
+// Sessions opened by a device can only be used with that device's key
+const isOwnRecording = (req, recording) => !recording.device || (req.device && recording.device.equals(req.device._id));
+
+// Load a recording or send the matching error response (returns null when handled)
+const findOpenRecording = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(404).json({ status: 'error', message: 'Recording not found' });
+    return null;
+  }
+  const recording = await Recording.findById(req.params.id);
+  if (!recording) {
+    res.status(404).json({ status: 'error', message: 'Recording not found' });
+    return null;
+  }
+  if (!isOwnRecording(req, recording)) {
+    res.status(403).json({ status: 'error', message: 'This recording belongs to another device' });
+    return null;
+  }
+  if (recording.status === 'expired' || (recording.status === 'open' && recording.expiresAt <= new Date())) {
+    res.status(410).json({ status: 'error', message: 'Recording upload session has expired' });
+    return null;
+  }
+  if (recording.status === 'finalizing') {
+    res.status(409).json({ status: 'error', message: 'Recording is being finalized' });
+    return null;
+  }
+  if (recording.status === 'finalized') {
+    res.status(409).json({
+      status: 'error',
+      message: 'Recording has already been finalized',
+      recording: formatRecording(recording)
+    });
+    return null;
+  }
+  return recording;
+};
+
+// Open a new upload session (an optional courseCode and lectureNumber file the note under a course lecture)
+const openRecording = async (req, res) => {
+  try {
+    const { filename, mimeType, totalChunks, totalSize, chunkSize, sampleRate, bitDepth, channels, courseCode, lectureNumber } = req.body || {};
+
+    for (const [field, value] of Object.entries({ filename, mimeType })) {
+      if (value !== undefined && value !== null && typeof value !== 'string') {
+        return res.status(400).json({ status: 'error', message: `${field} must be a string` });
+      }
+    }
+    if (mimeType && !mimeType.startsWith('audio/') && mimeType !== 'application/octet-stream') {
+      return res.status(400).json({ status: 'error', message: 'mimeType must be an audio type' });
+    }
+    const size = parseInt(chunkSize) || recordingConfig.defaultChunkBytes;
+    if (size < 1 || size > recordingConfig.maxChunkBytes) {
+      return res.status(400).json({
+        status: 'error',
+        message: `chunkSize must be between 1 and ${recordingConfig.maxChunkBytes} bytes`
+      });
+    }
+    if (totalChunks !== undefined && !isValidTotalChunks(parseInt(totalChunks), size)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `totalChunks must be between 1 and ${maxChunksOf(size)} at this chunk size`
+      });
+    }
+    if (totalSize && parseInt(totalSize) > jobConfig.maxUploadBytes) {
+      return res.status(413).json({
+        status: 'error',
+        message: `Recording exceeds the ${jobConfig.maxUploadBytes} byte upload limit`
+      });
+    }
+
+    let target = null;
+    if (courseCode) {
+      try {
+        target = await validateUploadCourse({ courseCode, lectureNumber });
+      } catch (error) {
+        if (error instanceof CourseError) {
+          return res.status(error.status).json({ status: 'error', message: error.message });
+        }
+        throw error;
+      }
+    }
+
+    const recording = await new Recording({
+      originalName: filename || undefined,
+      mimeType: mimeType || undefined,
+      chunkSize: size,
+      totalChunks: totalChunks !== undefined ? parseInt(totalChunks) : null,
+      totalSize: totalSize !== undefined ? parseInt(totalSize) : null,
+      device: req.device ? req.device._id : null,
+      pcm: sampleRate ? { sampleRate, bitDepth, channels } : undefined,
+      courseCode: target ? target.course.code : null,
+      lectureNumber: target && target.lectureNumber ? target.lectureNumber : null,
+      expiresAt: new Date(Date.now() + recordingConfig.sessionTtlHours * 60 * 60 * 1000)
+    }).save();
+
+    console.log('🎙️ Recording upload opened:', recording._id);
+    res.status(201).json({
+      status: 'success',
+      recording: formatRecording(recording),
+      chunk_url: `/api/recordings/${recording._id}/chunks/{index}`
+    });
+  } catch (error) {
+    console.error('❌ Error opening recording:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to open recording upload',
+      error: error.message
+    });
+  }
+};
+
+// Store one numbered chunk after verifying its checksum
+const uploadChunk = async (req, res) => {
+  try {
+    const recording = await findOpenRecording(req, res);
+    if (!recording) return;
+
+    // Without a total, the upload limit still bounds the index
+    const index = parseInt(req.params.index);
+    const limit = recording.totalChunks !== null ? recording.totalChunks : maxChunksOf(recording.chunkSize);
+    if (isNaN(index) || index < 0 || index >= limit) {
+      return res.status(400).json({ status: 'error', message: 'Invalid chunk index' });
+    }
+
+    const body = Buffer.isBuffer(req.body) ? req.body : null;
+    if (!body || body.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Chunk body is empty (send it as application/octet-stream)'
+      });
+    }
+
+    const expected = (req.get('X-Chunk-Checksum') || '').trim().toLowerCase();
+    if (!expected) {
+      return res.status(400).json({ status: 'error', message: 'Missing X-Chunk-Checksum header (hex SHA-256)' });
+    }
+    const actual = sha256(body);
+    if (actual !== expected) {
+      return res.status(422).json({
+        status: 'error',
+        message: 'Chunk checksum mismatch; please resend this chunk',
+        expected,
+        actual
+      });
+    }
+
+    const otherBytes = recording.chunks.filter((c) => c.index !== index).reduce((sum, c) => sum + c.size, 0);
+    if (otherBytes + body.length > jobConfig.maxUploadBytes) {
+      return res.status(413).json({
+        status: 'error',
+        message: `Recording exceeds the ${jobConfig.maxUploadBytes} byte upload limit`
+      });
+    }
+
+    await writeChunk(recording._id, index, body);
+
+    // Replace any earlier copy of the same chunk in one atomic update, so concurrent or
+    // retried uploads of other chunks are never lost
+    const chunk = { index, size: body.length, checksum: actual, receivedAt: new Date() };
+    const updated = await Recording.findOneAndUpdate(
+      { _id: recording._id, status: 'open' },
+      [{
+        $set: {
+          chunks: {
+            $concatArrays: [
+              { $filter: { input: '$chunks', cond: { $ne: ['$$this.index', index] } } },
+              [chunk]
+            ]
+          },
+          updatedAt: '$$NOW'
+        }
+      }],
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(409).json({ status: 'error', message: 'Recording is no longer open for uploads' });
+    }
+
+    res.json({
+      status: 'success',
+      chunk: { index, size: chunk.size, checksum: actual },
+      recording: formatRecording(updated)
+    });
+  } catch (error) {
+    console.error('❌ Error storing chunk:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to store chunk',
+      error: error.message
+    });
+  }
+};
+
+// Report received and missing chunks so an interrupted device can resume
+const getRecordingStatus = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ status: 'error', message: 'Recording not found' });
+    }
+    const recording = await Recording.findById(req.params.id);
+    if (!recording) {
+      return res.status(404).json({ status: 'error', message: 'Recording not found' });
+    }
+    if (!isOwnRecording(req, recording)) {
+      return res.status(403).json({ status: 'error', message: 'This recording belongs to another device' });
+    }
+    res.json({
+      status: 'success',
+      recording: formatRecording(recording)
+    });
+  } catch (error) {
+    console.error('❌ Error fetching recording:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch recording',
+      error: error.message
+    });
+  }
+};
+
+// Assemble the chunks into one file and queue note generation
+const finalizeRecording = async (req, res) => {
+  try {
+    const found = await findOpenRecording(req, res);
+    if (!found) return;
+
+    const { totalChunks, checksum } = req.body || {};
+    const total = totalChunks !== undefined ? parseInt(totalChunks) : found.totalChunks;
+    if (total === null || !isValidTotalChunks(total, found.chunkSize)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `totalChunks is required to finalize (at most ${maxChunksOf(found.chunkSize)} at this chunk size)`
+      });
+    }
+    if (checksum !== undefined && typeof checksum !== 'string') {
+      return res.status(400).json({ status: 'error', message: 'checksum must be a string' });
+    }
+
+    // Claim the session, so concurrent or retried finalize calls cannot queue it twice
+    const recording = await Recording.findOneAndUpdate(
+      { _id: found._id, status: 'open' },
+      { $set: { status: 'finalizing', totalChunks: total, updatedAt: new Date() } },
+      { new: true }
+    );
+    if (!recording) {
+      return res.status(409).json({ status: 'error', message: 'Recording is already being finalized' });
+    }
+    // Hand the session back when finalizing stops short
+    const reopen = (update = {}) => Recording.updateOne(
+      { _id: recording._id, status: 'finalizing' },
+      { $set: { ...update, status: 'open', updatedAt: new Date() } }
+    );
+
+    try {
+      const missing = getMissingChunks(recording);
+      if (missing.count > 0) {
+        await reopen();
+        recording.status = 'open';
+        return res.status(409).json({
+          status: 'error',
+          message: `${missing.count} chunk(s) are still missing`,
+          recording: formatRecording(recording)
+        });
+      }
+
+      const assembled = await assembleChunks(recording._id, recording.totalChunks, recording.originalName);
+      if (checksum && checksum.toLowerCase() !== assembled.checksum) {
+        await removeChunks(recording._id);
+        await removeUpload(assembled.filePath);
+        await reopen({ chunks: [] });
+        return res.status(422).json({
+          status: 'error',
+          message: 'Assembled recording checksum mismatch; all chunks must be re-sent',
+          expected: checksum.toLowerCase(),
+          actual: assembled.checksum
+        });
+      }
+
+      let file;
+      try {
+        file = await ingestAudioFile({
+          path: assembled.filePath,
+          mimetype: recording.mimeType,
+          originalname: recording.originalName,
+          size: assembled.size
+        }, recording.pcm || {});
+      } catch (error) {
+        await removeUpload(assembled.filePath);
+        if (error instanceof AudioIngestError) {
+          await reopen();
+          return res.status(error.status).json({ status: 'error', message: error.message });
+        }
+        throw error;
+      }
+
+      // The lecture is held on the day recording started
+      let lecture = null;
+      if (recording.courseCode) {
+        try {
+          ({ lecture } = await resolveUploadLecture({
+            courseCode: recording.courseCode,
+            lectureNumber: recording.lectureNumber,
+            date: recording.createdAt
+          }));
+        } catch (error) {
+          await removeUpload(file.path);
+          if (error instanceof CourseError) {
+            await reopen();
+            return res.status(error.status).json({ status: 'error', message: error.message });
+          }
+          throw error;
+        }
+      }
+
+      const job = await enqueueNoteJob({
+        type: 'audio',
+        file,
+        device: req.device,
+        lecture
+      });
+
+      recording.status = 'finalized';
+      recording.filePath = assembled.filePath;
+      recording.totalSize = file.size;
+      recording.jobId = job._id;
+      recording.finalizedAt = new Date();
+      await recording.save();
+      await removeChunks(recording._id);
+
+      console.log('✅ Recording finalized:', recording._id, '-> job', job._id);
+      res.status(202).json({
+        status: 'accepted',
+        recording: formatRecording(recording),
+        job_id: job._id,
+        status_url: `/api/jobs/${job._id}`
+      });
+    } catch (error) {
+      await reopen().catch((reopenError) => {
+        console.error('❌ Failed to reopen recording:', reopenError.message);
+      });
+      throw error;
+    }
+  } catch (error) {
+    console.error('❌ Error finalizing recording:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to finalize recording',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  openRecording,
+  uploadChunk,
+  getRecordingStatus,
+  finalizeRecording
+};
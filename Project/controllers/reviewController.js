@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const reviewConfig = require('../config/review');
+const { loadDueCards, recordReview } = require('../services/review');
+
+// Flashcards due for the signed-in user (?subject= limits the cards, ?limit= caps them at up to REVIEW_SESSION_LIMIT)
+const getDueCards = async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit);
+    const { cards, counts } = await loadDueCards(req.user._id, {
+      subject: req.query.subject || null,
+      limit: isNaN(limit) ? reviewConfig.sessionLimit : Math.min(Math.max(0, limit), reviewConfig.sessionLimit)
+    });
+    res.json({
+      status: 'success',
+      counts,
+      cards
+    });
+  } catch (error) {
+    console.error('❌ Error fetching due cards:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch due cards',
+      error: error.message
+    });
+  }
+};
+
+// Record a review (body: { grade: 0-5 }) and schedule the card's next review
+const reviewCard = async (req, res) => {
+  try {
+    const grade = Number((req.body || {}).grade);
+    if (!Number.isInteger(grade) || grade < 0 || grade > 5) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'grade must be an integer from 0 (forgot) to 5 (perfect recall)'
+      });
+    }
+
+    const state = mongoose.isValidObjectId(req.params.cardId)
+      ? await recordReview(req.user._id, req.params.cardId, grade)
+      : null;
+    if (!state) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Card not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      review: {
+        cardId: state.card,
+        grade,
+        easiness: state.easiness,
+        interval: state.interval,
+        repetitions: state.repetitions,
+        lapses: state.lapses,
+        reviewCount: state.reviewCount,
+        dueAt: state.dueAt
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error recording review:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to record review',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getDueCards,
+  reviewCard
+};
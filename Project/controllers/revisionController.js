@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+const Note = require('../models/Note');
+const { loadRevisions, updateNoteWithRevision } = require('../services/noteRevisions');
+const { diffLines } = require('../services/textDiff');
+
+// Revision metadata for listings (content is fetched per revision)
+const formatRevision = (revision, currentRev) => ({
+  rev: revision.rev,
+  current: revision.rev === currentRev,
+  author: revision.author,
+  authorName: revision.authorName,
+  reason: revision.reason,
+  source: revision.source,
+  restoredFrom: revision.restoredFrom,
+  length: (revision.generatedNotes || '').length,
+  createdAt: revision.createdAt
+});
+
+// Load the note and its revisions or send 404 (returns null when handled)
+const findNoteRevisions = async (req, res) => {
+  const note = mongoose.isValidObjectId(req.params.id) ? await Note.findOne({ _id: req.params.id, deletedAt: null }) : null;
+  if (!note) {
+    res.status(404).json({
+      status: 'error',
+      message: 'Note not found'
+    });
+    return null;
+  }
+  const revisions = await loadRevisions(note);
+  return { note, revisions, currentRev: revisions[revisions.length - 1].rev };
+};
+
+// Pick one revision by number or send 404 (returns null when handled)
+const pickRevision = (res, revisions, value) => {
+  const revision = revisions.find((r) => r.rev === parseInt(value));
+  if (!revision) {
+    res.status(404).json({
+      status: 'error',
+      message: `Revision ${value} not found`
+    });
+    return null;
+  }
+  return revision;
+};
+
+// List a note's revisions, newest first
+const listRevisions = async (req, res) => {
+  try {
+    const found = await findNoteRevisions(req, res);
+    if (!found) return;
+
+    res.json({
+      status: 'success',
+      noteId: found.note._id,
+      currentRevision: found.currentRev,
+      revisions: found.revisions.map((r) => formatRevision(r, found.currentRev)).reverse()
+    });
+  } catch (error) {
+    console.error('❌ Error fetching revisions:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch revisions',
+      error: error.message
+    });
+  }
+};
+
+// Get one revision with its content
+const getRevision = async (req, res) => {
+  try {
+    const found = await findNoteRevisions(req, res);
+    if (!found) return;
+    const revision = pickRevision(res, found.revisions, req.params.rev);
+    if (!revision) return;
+
+    res.json({
+      status: 'success',
+      revision: {
+        ...formatRevision(revision, found.currentRev),
+        generatedNotes: revision.generatedNotes,
+        detectedLanguage: revision.detectedLanguage,
+        originalContent: revision.originalContent
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching revision:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch revision',
+      error: error.message
+    });
+  }
+};
+
+// Line diff of the notes between two revisions (?from=&to=; defaults to the latest change)
+const diffRevisions = async (req, res) => {
+  try {
+    const found = await findNoteRevisions(req, res);
+    if (!found) return;
+
+    const to = pickRevision(res, found.revisions, req.query.to || found.currentRev);
+    if (!to) return;
+    const from = pickRevision(res, found.revisions, req.query.from || Math.max(to.rev - 1, 1));
+    if (!from) return;
+
+    res.json({
+      status: 'success',
+      from: formatRevision(from, found.currentRev),
+      to: formatRevision(to, found.currentRev),
+      diff: diffLines(from.generatedNotes, to.generatedNotes),
+      // Other revision fields that differ
+      changedFields: ['detectedLanguage', 'originalContent'].filter((field) => (from[field] || '') !== (to[field] || ''))
+    });
+  } catch (error) {
+    console.error('❌ Error diffing revisions:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to diff revisions',
+      error: error.message
+    });
+  }
+};
+
+// Restore an earlier revision; the restore is saved as a new revision
+const restoreRevision = async (req, res) => {
+  try {
+    const found = await findNoteRevisions(req, res);
+    if (!found) return;
+    const revision = pickRevision(res, found.revisions, req.params.rev);
+    if (!revision) return;
+    if (revision.rev === found.currentRev) {
+      return res.status(409).json({
+        status: 'error',
+        message: `Revision ${revision.rev} is already the current revision`
+      });
+    }
+
+    const note = await updateNoteWithRevision(found.note._id, {
+      generatedNotes: revision.generatedNotes,
+      detectedLanguage: revision.detectedLanguage,
+      originalContent: revision.originalContent,
+      updatedAt: new Date()
+    }, {
+      author: req.user,
+      reason: (req.body && req.body.reason) || `Restored revision ${revision.rev}`,
+      source: 'restore',
+      restoredFrom: revision.rev
+    });
+
+    console.log(`⏪ Note ${note._id} restored to revision ${revision.rev}`);
+    res.json({
+      status: 'success',
+      message: `Revision ${revision.rev} restored`,
+      note
+    });
+  } catch (error) {
+    console.error('❌ Error restoring revision:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to restore revision',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  listRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision
+};
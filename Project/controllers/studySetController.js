@@ -0,0 +1,255 @@
+const mongoose = require('mongoose');
+const Note = require('../models/Note');
+const StudySet = require('../models/StudySet');
+const QuizAttempt = require('../models/QuizAttempt');
+const { hasRole } = require('../services/auth');
+const { StudySetError, questionCounts, generateStudySet, scoreAttempt } = require('../services/studySets');
+const { carryOverCardIds } = require('../services/review');
+
+// The answer key of one question
+const answerKey = (question) => {
+  const key = { explanation: question.explanation };
+  if (question.type === 'multiple-choice') key.correctOption = question.correctOption;
+  if (question.type === 'true-false') key.correctAnswer = question.correctAnswer;
+  if (question.type === 'short-answer') key.acceptedAnswers = question.acceptedAnswers;
+  return key;
+};
+
+// Shape a study set for API responses; answer keys are left out unless requested,
+// so a quiz can be taken without seeing the answers
+const formatStudySet = (studySet, { includeAnswers = false } = {}) => ({
+  _id: studySet._id,
+  note: studySet.note,
+  noteRevision: studySet.noteRevision,
+  language: studySet.language,
+  languageCode: studySet.languageCode,
+  questions: studySet.questions.map((question) => ({
+    _id: question._id,
+    type: question.type,
+    question: question.question,
+    options: question.type === 'multiple-choice' ? question.options : undefined,
+    ...(includeAnswers ? answerKey(question) : {})
+  })),
+  flashcards: studySet.flashcards,
+  flashcardSource: studySet.flashcardSource,
+  provider: studySet.provider,
+  modelUsed: studySet.modelUsed,
+  createdByName: studySet.createdByName,
+  createdAt: studySet.createdAt
+});
+
+// Load a study set by the :id route parameter or send 404 (returns null when handled)
+const findStudySet = async (req, res) => {
+  const studySet = mongoose.isValidObjectId(req.params.id) ? await StudySet.findById(req.params.id) : null;
+  // Sets of trashed notes are hidden with their note
+  const note = studySet && await Note.exists({ _id: studySet.note, deletedAt: null });
+  if (!studySet || !note) {
+    res.status(404).json({
+      status: 'error',
+      message: 'Study set not found'
+    });
+    return null;
+  }
+  return studySet;
+};
+
+// Generate a quiz and flashcards from a note (body: optional multipleChoice, trueFalse, shortAnswer counts)
+const createStudySet = async (req, res, provider) => {
+  try {
+    const note = mongoose.isValidObjectId(req.params.id) ? await Note.findOne({ _id: req.params.id, deletedAt: null }) : null;
+    if (!note) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Note not found'
+      });
+    }
+
+    const counts = questionCounts(req.body || {});
+    const generated = await generateStudySet({ provider, note, counts });
+    const previousSet = await StudySet.findOne({ note: note._id }).sort({ createdAt: -1 });
+    const studySet = await new StudySet({
+      ...generated,
+      flashcards: carryOverCardIds(generated.flashcards, previousSet),
+      note: note._id,
+      createdBy: req.user ? req.user._id : null,
+      createdByName: req.user ? req.user.username : null
+    }).save();
+
+    console.log(`📚 Study set created for note ${note._id}: ${studySet.questions.length} question(s), ${studySet.flashcards.length} flashcard(s)`);
+    res.status(201).json({
+      status: 'success',
+      message: 'Study set created',
+      studySet: formatStudySet(studySet)
+    });
+  } catch (error) {
+    if (error instanceof StudySetError) {
+      return res.status(error.status).json({ status: 'error', message: error.message });
+    }
+    console.error('❌ Error creating study set:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create study set',
+      error: error.message
+    });
+  }
+};
+
+// List the study sets of a note, newest first
+const listNoteStudySets = async (req, res) => {
+  try {
+    const note = mongoose.isValidObjectId(req.params.id) ? await Note.exists({ _id: req.params.id, deletedAt: null }) : null;
+    if (!note) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Note not found'
+      });
+    }
+
+    const studySets = await StudySet.find({ note: req.params.id }).sort({ createdAt: -1 });
+    res.json({
+      status: 'success',
+      studySets: studySets.map((studySet) => ({
+        _id: studySet._id,
+        language: studySet.language,
+        noteRevision: studySet.noteRevision,
+        questionCount: studySet.questions.length,
+        flashcardCount: studySet.flashcards.length,
+        createdByName: studySet.createdByName,
+        createdAt: studySet.createdAt
+      }))
+    });
+  } catch (error) {
+    console.error('❌ Error fetching study sets:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch study sets',
+      error: error.message
+    });
+  }
+};
+
+// Get a study set; editors may add ?answers=true to see the answer key
+const getStudySet = async (req, res) => {
+  try {
+    const studySet = await findStudySet(req, res);
+    if (!studySet) return;
+
+    const includeAnswers = req.query.answers === 'true' && hasRole(req.user, 'editor');
+    res.json({
+      status: 'success',
+      studySet: formatStudySet(studySet, { includeAnswers })
+    });
+  } catch (error) {
+    console.error('❌ Error fetching study set:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch study set',
+      error: error.message
+    });
+  }
+};
+
+// Score a quiz attempt (body: { answers: { [questionId]: optionIndex | true/false | text } })
+// and return each question's result with its answer key and explanation
+const submitAttempt = async (req, res) => {
+  try {
+    const studySet = await findStudySet(req, res);
+    if (!studySet) return;
+
+    const { answers } = req.body || {};
+    if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'answers must be an object keyed by question id'
+      });
+    }
+
+    const scored = scoreAttempt(studySet, answers);
+    const attempt = await new QuizAttempt({
+      studySet: studySet._id,
+      note: studySet.note,
+      user: req.user ? req.user._id : null,
+      userName: req.user ? req.user.username : null,
+      ...scored
+    }).save();
+
+    res.status(201).json({
+      status: 'success',
+      attempt: {
+        _id: attempt._id,
+        score: attempt.score,
+        total: attempt.total,
+        createdAt: attempt.createdAt
+      },
+      results: studySet.questions.map((question, index) => ({
+        question: question._id,
+        given: scored.answers[index].given,
+        correct: scored.answers[index].correct,
+        ...answerKey(question)
+      }))
+    });
+  } catch (error) {
+    console.error('❌ Error scoring quiz attempt:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to score quiz attempt',
+      error: error.message
+    });
+  }
+};
+
+// The signed-in user's attempts at a study set, newest first
+const listAttempts = async (req, res) => {
+  try {
+    const studySet = await findStudySet(req, res);
+    if (!studySet) return;
+
+    const attempts = await QuizAttempt.find({ studySet: studySet._id, user: req.user._id })
+      .sort({ createdAt: -1 })
+      .select('score total createdAt');
+    res.json({
+      status: 'success',
+      attempts
+    });
+  } catch (error) {
+    console.error('❌ Error fetching quiz attempts:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch quiz attempts',
+      error: error.message
+    });
+  }
+};
+
+// Delete a study set and its attempts
+const deleteStudySet = async (req, res) => {
+  try {
+    const studySet = await findStudySet(req, res);
+    if (!studySet) return;
+
+    await QuizAttempt.deleteMany({ studySet: studySet._id });
+    await StudySet.deleteOne({ _id: studySet._id });
+
+    console.log('🗑️ Study set deleted:', studySet._id);
+    res.json({
+      status: 'success',
+      message: 'Study set deleted'
+    });
+  } catch (error) {
+    console.error('❌ Error deleting study set:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete study set',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  createStudySet,
+  listNoteStudySets,
+  getStudySet,
+  submitAttempt,
+  listAttempts,
+  deleteStudySet
+};
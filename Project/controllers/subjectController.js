@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+const Subject = require('../models/Subject');
+const Note = require('../models/Note');
+const { FALLBACK_SUBJECT, normalizeWords, invalidateSubjectCache } = require('../services/subjects');
+
+// Subject fields accepted from the request body
+const readSubjectFields = (body = {}) => {
+  const fields = {};
+  if (body.name !== undefined) fields.name = String(body.name).trim();
+  if (body.description !== undefined) fields.description = body.description;
+  if (body.icon !== undefined) fields.icon = body.icon;
+  if (body.color !== undefined) fields.color = body.color;
+  if (body.synonyms !== undefined) fields.synonyms = normalizeWords(body.synonyms);
+  if (body.keywords !== undefined) fields.keywords = normalizeWords(body.keywords);
+  if (body.order !== undefined) fields.order = parseInt(body.order) || 0;
+  return fields;
+};
+
+// Check a subject name is present and not used by another subject (returns { status, message } or null)
+const validateName = async (name, excludeId = null) => {
+  if (!name) return { status: 400, message: 'name is required' };
+  // Compare case-insensitively so "math" cannot sit beside "Math"
+  const existing = await Subject.findOne({ name }).collation({ locale: 'en', strength: 2 });
+  if (existing && (!excludeId || !existing._id.equals(excludeId))) {
+    return { status: 409, message: `Subject "${existing.name}" already exists` };
+  }
+  return null;
+};
+
+// Load a subject by the :id route parameter or send 404 (returns null when handled)
+const findSubject = async (req, res) => {
+  const subject = mongoose.isValidObjectId(req.params.id) ? await Subject.findById(req.params.id) : null;
+  if (!subject) {
+    res.status(404).json({
+      status: 'error',
+      message: 'Subject not found'
+    });
+    return null;
+  }
+  return subject;
+};
+
+// List the taxonomy in display order
+const listSubjects = async (req, res) => {
+  try {
+    const subjects = await Subject.find().sort({ order: 1, name: 1 }).select('-__v');
+    res.json({
+      status: 'success',
+      subjects
+    });
+  } catch (error) {
+    console.error('❌ Error fetching subjects:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch subjects',
+      error: error.message
+    });
+  }
+};
+
+// Add a subject (admin)
+const createSubject = async (req, res) => {
+  try {
+    const fields = readSubjectFields(req.body);
+    const nameError = await validateName(fields.name);
+    if (nameError) {
+      return res.status(nameError.status).json({ status: 'error', message: nameError.message });
+    }
+    if (fields.order === undefined) {
+      const last = await Subject.findOne().sort({ order: -1 });
+      fields.order = last ? last.order + 1 : 0;
+    }
+
+    const subject = await new Subject(fields).save();
+    invalidateSubjectCache();
+
+    console.log('✅ Subject created:', subject.name);
+    res.status(201).json({
+      status: 'success',
+      message: 'Subject created successfully',
+      subject
+    });
+  } catch (error) {
+    console.error('❌ Error creating subject:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create subject',
+      error: error.message
+    });
+  }
+};
+
+// Update a subject (admin). Renaming moves its notes to the new name.
+const updateSubject = async (req, res) => {
+  try {
+    const subject = await findSubject(req, res);
+    if (!subject) return;
+
+    const fields = readSubjectFields(req.body);
+    const oldName = subject.name;
+    if (fields.name !== undefined && fields.name !== oldName) {
+      if (oldName === FALLBACK_SUBJECT) {
+        return res.status(400).json({ status: 'error', message: `The ${FALLBACK_SUBJECT} subject cannot be renamed` });
+      }
+      const nameError = await validateName(fields.name, subject._id);
+      if (nameError) {
+        return res.status(nameError.status).json({ status: 'error', message: nameError.message });
+      }
+    }
+
+    Object.assign(subject, fields);
+    await subject.save();
+    invalidateSubjectCache();
+
+    let movedNotes = 0;
+    if (subject.name !== oldName) {
+      const result = await Note.updateMany({ detectedSubject: oldName }, { $set: { detectedSubject: subject.name } });
+      movedNotes = result.modifiedCount;
+      await Note.updateMany(
+        { 'subjects.name': oldName },
+        { $set: { 'subjects.$[entry].name': subject.name } },
+        { arrayFilters: [{ 'entry.name': oldName }] }
+      );
+      console.log(`✏️ Subject renamed: ${oldName} -> ${subject.name} (${movedNotes} notes)`);
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Subject updated successfully',
+      subject,
+      movedNotes
+    });
+  } catch (error) {
+    console.error('❌ Error updating subject:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update subject',
+      error: error.message
+    });
+  }
+};
+
+// Delete a subject (admin); its notes move to the fallback subject
+const deleteSubject = async (req, res) => {
+  try {
+    const subject = await findSubject(req, res);
+    if (!subject) return;
+
+    if (subject.name === FALLBACK_SUBJECT) {
+      return res.status(400).json({ status: 'error', message: `The ${FALLBACK_SUBJECT} subject cannot be deleted` });
+    }
+
+    await Subject.findByIdAndDelete(subject._id);
+    invalidateSubjectCache();
+    const result = await Note.updateMany({ detectedSubject: subject.name }, { $set: { detectedSubject: FALLBACK_SUBJECT } });
+    await Note.updateMany({ 'subjects.name': subject.name }, { $pull: { subjects: { name: subject.name } } });
+
+    console.log(`🗑️ Subject deleted: ${subject.name} (${result.modifiedCount} notes moved to ${FALLBACK_SUBJECT})`);
+    res.json({
+      status: 'success',
+      message: 'Subject deleted successfully',
+      movedNotes: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('❌ Error deleting subject:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete subject',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  listSubjects,
+  createSubject,
+  updateSubject,
+  deleteSubject
+};
@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+const Note = require('../models/Note');
+const NoteTranslation = require('../models/NoteTranslation');
+const translationConfig = require('../config/translation');
+const { languageName } = require('../services/languageDetection');
+const { TranslationError, resolveLanguage, translateNote } = require('../services/translation');
+
+// Load a note that is not in the trash by the :id route parameter or send 404 (returns null when handled)
+const findNote = async (req, res, select) => {
+  const note = mongoose.isValidObjectId(req.params.id)
+    ? await Note.findOne({ _id: req.params.id, deletedAt: null }).select(select)
+    : null;
+  if (!note) {
+    res.status(404).json({
+      status: 'error',
+      message: 'Note not found'
+    });
+    return null;
+  }
+  return note;
+};
+
+// Shape a translation for API responses; `outdated` is true once the note has changed since
+const formatTranslation = (translation, note, { includeContent = false } = {}) => ({
+  languageCode: translation.languageCode,
+  language: translation.language,
+  noteRevision: translation.noteRevision,
+  outdated: translation.noteRevision !== note.revision,
+  ...(includeContent ? { content: translation.content } : {}),
+  provider: translation.provider,
+  modelUsed: translation.modelUsed,
+  createdByName: translation.createdByName,
+  createdAt: translation.createdAt,
+  updatedAt: translation.updatedAt
+});
+
+// List a note's translations and the languages offered for new ones
+const listTranslations = async (req, res) => {
+  try {
+    const note = await findNote(req, res, 'languageCode detectedLanguage revision');
+    if (!note) return;
+
+    const translations = await NoteTranslation.find({ note: note._id }).select('-content').sort({ language: 1 });
+    res.json({
+      status: 'success',
+      original: { languageCode: note.languageCode, language: note.detectedLanguage },
+      translations: translations.map((translation) => formatTranslation(translation, note)),
+      languages: translationConfig.languages.map((code) => ({ languageCode: code, language: languageName(code) }))
+    });
+  } catch (error) {
+    console.error('❌ Error fetching translations:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch translations',
+      error: error.message
+    });
+  }
+};
+
+// Get one translation of a note (:language is a code or a language name)
+const getTranslation = async (req, res) => {
+  try {
+    const note = await findNote(req, res, 'revision');
+    if (!note) return;
+
+    const languageCode = resolveLanguage(req.params.language);
+    const translation = await NoteTranslation.findOne({ note: note._id, languageCode });
+    if (!translation) {
+      return res.status(404).json({
+        status: 'error',
+        message: `No ${languageName(languageCode)} translation of this note`
+      });
+    }
+
+    res.json({
+      status: 'success',
+      translation: formatTranslation(translation, note, { includeContent: true })
+    });
+  } catch (error) {
+    if (error instanceof TranslationError) {
+      return res.status(error.status).json({ status: 'error', message: error.message });
+    }
+    console.error('❌ Error fetching translation:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch translation',
+      error: error.message
+    });
+  }
+};
+
+// Translate a note (body: { language }); translating into a language again replaces the stored translation
+const createTranslation = async (req, res, provider) => {
+  try {
+    const note = await findNote(req, res);
+    if (!note) return;
+
+    const languageCode = resolveLanguage((req.body || {}).language);
+    const translated = await translateNote({ provider, note, languageCode });
+    const translation = await NoteTranslation.findOneAndUpdate(
+      { note: note._id, languageCode },
+      {
+        ...translated,
+        createdBy: req.user ? req.user._id : null,
+        createdByName: req.user ? req.user.username : '',
+        createdAt: new Date(),
+        updatedAt: new Date()
+      },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    console.log(`🌐 Note ${note._id} translated into ${translation.language}`);
+    res.status(201).json({
+      status: 'success',
+      message: 'Translation created',
+      translation: formatTranslation(translation, note, { includeContent: true })
+    });
+  } catch (error) {
+    if (error instanceof TranslationError) {
+      return res.status(error.status).json({ status: 'error', message: error.message });
+    }
+    console.error('❌ Error translating note:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to translate note',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  listTranslations,
+  getTranslation,
+  createTranslation
+};
@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+const Note = require('../models/Note');
+const { purgeDate, purgeNote } = require('../services/trash');
+
+// Trashed note with the date it will be purged
+const formatTrashedNote = (note) => ({
+  ...note.toObject(),
+  purgeAt: purgeDate(note.deletedAt)
+});
+
+// Load a trashed note or send 404 (returns null when handled)
+const findTrashedNote = async (req, res) => {
+  const note = mongoose.isValidObjectId(req.params.id)
+    ? await Note.findOne({ _id: req.params.id, deletedAt: { $ne: null } })
+    : null;
+  if (!note) {
+    res.status(404).json({
+      status: 'error',
+      message: 'Note not found in trash'
+    });
+    return null;
+  }
+  return note;
+};
+
+// List trashed notes, most recently deleted first
+const listTrash = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const query = { deletedAt: { $ne: null } };
+
+    const totalCount = await Note.countDocuments(query);
+    const notes = await Note.find(query)
+      .sort({ deletedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select('inputType generatedNotes detectedLanguage detectedSubject deviceName room deletedAt deletedBy deletedByName createdAt updatedAt');
+
+    const totalPages = Math.ceil(totalCount / limit);
+    res.json({
+      status: 'success',
+      pagination: {
+        currentPage: page,
+        totalPages: totalPages,
+        totalCount: totalCount,
+        limit: limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      },
+      notes: notes.map(formatTrashedNote)
+    });
+  } catch (error) {
+    console.error('❌ Error fetching trash:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch trash',
+      error: error.message
+    });
+  }
+};
+
+// Move a trashed note back to the notes list
+const restoreNote = async (req, res) => {
+  try {
+    const note = await findTrashedNote(req, res);
+    if (!note) return;
+
+    note.deletedAt = null;
+    note.deletedBy = null;
+    note.deletedByName = '';
+    await note.save();
+
+    console.log('♻️ Note restored from trash:', note._id);
+    res.json({
+      status: 'success',
+      message: 'Note restored successfully',
+      note
+    });
+  } catch (error) {
+    console.error('❌ Error restoring note:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to restore note',
+      error: error.message
+    });
+  }
+};
+
+// Permanently delete one trashed note
+const purgeTrashedNote = async (req, res) => {
+  try {
+    const note = await findTrashedNote(req, res);
+    if (!note) return;
+
+    await purgeNote(note._id);
+    console.log('🗑️ Note purged permanently:', note._id);
+    res.json({
+      status: 'success',
+      message: 'Note deleted permanently'
+    });
+  } catch (error) {
+    console.error('❌ Error purging note:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete note permanently',
+      error: error.message
+    });
+  }
+};
+
+// Permanently delete every trashed note
+const emptyTrash = async (req, res) => {
+  try {
+    const trashed = await Note.find({ deletedAt: { $ne: null } }).select('_id');
+    for (const note of trashed) {
+      await purgeNote(note._id);
+    }
+
+    console.log(`🗑️ Trash emptied (${trashed.length} notes)`);
+    res.json({
+      status: 'success',
+      message: 'Trash emptied',
+      purgedCount: trashed.length
+    });
+  } catch (error) {
+    console.error('❌ Error emptying trash:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to empty trash',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  listTrash,
+  restoreNote,
+  purgeTrashedNote,
+  emptyTrash
+};
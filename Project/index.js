@@ -1,86 +1,63 @@
-// index.js - Single-file Notes Maker Server (Gemini version)
+// index.js - Single-file Notes Maker Server (pluggable note provider)
 
 require("dotenv").config(); // Load environment variables from .env file
 const express = require("express");
+const fs = require("fs");
 const multer = require("multer");
 const mongoose = require("mongoose");
-const { GoogleGenerativeAI } = require("@google/generative-ai");
-const { saveNotes } = require("./controllers/noteController");
+const { createProvider } = require("./services/providers");
+const providerConfig = require("./config/provider");
+const jobConfig = require("./config/jobs");
+const trashConfig = require("./config/trash");
+const { ensureDBConnection, requireDatabase } = require("./config/db");
+const { authenticateDevice } = require("./middleware/deviceAuth");
+const { authenticateUser, requireRole } = require("./middleware/auth");
+const { enqueueNoteJob, runJobNow, isJobWorkerRunning, startJobWorker } = require("./services/jobQueue");
+const { getUploadDir, removeUpload } = require("./services/uploadStorage");
+const { runStartupTasks, requireStartupTasks, purgeRecordings, purgeTrash, embedNotes } = require("./services/maintenance");
+const semanticSearchConfig = require("./config/semanticSearch");
+const { streamNoteGeneration } = require("./services/noteStream");
+const { AudioIngestError, ingestAudioFile } = require("./services/audioIngest");
+const { CourseError, resolveUploadLecture } = require("./services/courses");
+const { createStudySet } = require("./controllers/studySetController");
+const { askQuestion } = require("./controllers/askController");
+const { createTranslation } = require("./controllers/translationController");
+const { requireScheduler, runMaintenance } = require("./controllers/maintenanceController");
 const notesRoutes = require("./routes/notes");
+const jobsRoutes = require("./routes/jobs");
+const recordingsRoutes = require("./routes/recordings");
+const devicesRoutes = require("./routes/devices");
+const authRoutes = require("./routes/auth");
+const usersRoutes = require("./routes/users");
+const subjectsRoutes = require("./routes/subjects");
+const trashRoutes = require("./routes/trash");
+const studySetsRoutes = require("./routes/studySets");
+const reviewRoutes = require("./routes/review");
+const coursesRoutes = require("./routes/courses");
+const lecturesRoutes = require("./routes/lectures");
+const collectionsRoutes = require("./routes/collections");
 const SYSTEM_INSTRUCTION = require("./config/systemInstruction");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-const API_KEY = process.env.GEMINI_API_KEY;
 
-// Global variable to track database connection status
-let isDatabaseConnected = false;
-
-// Database connection function
-const connectDB = async () => {
-    try {
-        const mongoUri = process.env.MONGO_URI;
-        if (!mongoUri) {
-            console.warn('⚠️ MONGO_URI environment variable is not set. Database features will be disabled.');
-            return false;
-        }
-        
-        // Check if already connected
-        if (mongoose.connection.readyState === 1) {
-            console.log('✅ MongoDB Already Connected');
-            return true;
-        }
-        
-        // For serverless environments, use connection pooling
-        await mongoose.connect(mongoUri, {
-            useNewUrlParser: true,
-            useUnifiedTopology: true,
-            maxPoolSize: 10,
-            serverSelectionTimeoutMS: 5000,
-            socketTimeoutMS: 45000,
-            bufferCommands: false
-        });
-        
-        console.log('✅ MongoDB Connected Successfully');
-        return true;
-    } catch (error) {
-        console.error('❌ MongoDB Connection Error:', error.message);
-        console.warn('⚠️ Continuing without database connection...');
-        return false;
-    }
-};
-
-// Ensure database connection for each request
-const ensureDBConnection = async () => {
-    if (!isDatabaseConnected) {
-        console.log('🔄 Attempting to connect to database...');
-        isDatabaseConnected = await connectDB();
-    }
-    return isDatabaseConnected;
-};
-
-// Using Gemini 2.5 Flash Lite model
-const GEMINI_MODEL = "gemini-2.5-flash-lite";
-
-if (!API_KEY) {
-  console.error("FATAL: GEMINI_API_KEY not found in .env file.");
-  console.error("Please create a .env file with your GEMINI_API_KEY and MONGO_URI.");
+// Initialize the note-generation provider selected by NOTES_PROVIDER (gemini, openai or stub)
+let provider;
+try {
+  provider = createProvider(providerConfig.name, { systemInstruction: SYSTEM_INSTRUCTION });
+} catch (error) {
+  console.error(`FATAL: Could not initialize note provider "${providerConfig.name}":`, error.message);
+  console.error("Please check the provider settings (e.g. GEMINI_API_KEY) in your .env file.");
   process.exit(1);
 }
 
-// Initialize Gemini AI
-const genAI = new GoogleGenerativeAI(API_KEY);
-const model = genAI.getGenerativeModel({ 
-  model: GEMINI_MODEL,
-  systemInstruction: SYSTEM_INSTRUCTION
-});
-
-// Configure multer for file uploads
-const storage = multer.memoryStorage();
+// Configure multer for file uploads (streamed to disk so long lectures do not sit in memory)
+fs.mkdirSync(getUploadDir(), { recursive: true });
+const storage = multer.diskStorage({ destination: getUploadDir() });
 const upload = multer({ 
   storage: storage,
   limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit
+    fileSize: jobConfig.maxUploadBytes,
   },
   fileFilter: (req, file, cb) => {
     // Accept audio files and any other files
@@ -95,8 +72,10 @@ const upload = multer({
 // CORS middleware to allow all origins
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-Chunk-Checksum, X-Device-Key');
+  // Lets the browser read export file names and counts
+  res.header('Access-Control-Expose-Headers', 'Content-Disposition, X-Exported-Notes, X-Skipped-Notes');
   
   // Handle preflight requests
   if (req.method === 'OPTIONS') {
@@ -106,6 +85,14 @@ app.use((req, res, next) => {
   }
 });
 
+// Attach the signed-in user from the Authorization: Bearer token
+app.use(authenticateUser);
+
+// --- Resumable Recording Uploads (ESP32) ---
+// Mounted before the body parsers: chunks are raw bytes whatever their content type, and
+// the router parses the JSON bodies of its other routes itself
+app.use("/api/recordings", requireDatabase("Recording uploads"), authenticateDevice, recordingsRoutes);
+
 // Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -132,550 +119,270 @@ app.get("/", (req, res) => {
   res.send("Welcome to the AI Notes Maker Server (Gemini Powered) latest");
 });
 
-// --- Notes Generation Endpoint ---
-app.post("/generate-notes", upload.fields([
-  { name: 'type', maxCount: 1 },
-  { name: 'content', maxCount: 1 }
-]), async (req, res) => {
-  console.log("Request body:", req.body);
-  console.log("Request files:", req.files);
-  console.log("Request headers:", req.headers);
-  
+// Create the first admin account and the default subjects before anything else is served
+// (serverless instances never run startServer)
+app.use(requireStartupTasks);
+
+// Read "type" and "content" from the multipart form. Text files are read into a
+// string; audio stays on disk as the multer file and is validated and normalized
+// (raw PCM takes "sample_rate", "bit_depth" and "channels" fields). An optional
+// "course_code" (and "lecture_number") files the note under a course lecture.
+// Sends the 4xx response and returns null when the input is invalid.
+const readNoteInput = async (req, res) => {
+  // Only the shape of the request is logged: headers carry device keys and session tokens
+  console.log(`Note upload: ${req.headers['content-type'] || 'no content type'}, ${req.headers['content-length'] || 'unknown'} bytes`);
+
   const type = req.body.type;
   let content = req.body.content;
+  const uploadedFile = req.files && req.files.content ? req.files.content[0] : null;
 
   // If content is uploaded as a file, read it
-  if (req.files && req.files.content && req.files.content[0]) {
-    const file = req.files.content[0];
+  if (uploadedFile) {
+    const file = uploadedFile;
     console.log("File uploaded:", file.originalname, file.mimetype, file.size);
     
-    if (file.mimetype.startsWith('audio/')) {
-      // For audio files, we'll process the actual file
-      content = file; // Store the file object for processing
-      console.log("Audio file received for processing:", file.originalname, file.mimetype, file.size);
-    } else if (file.mimetype.startsWith('text/')) {
+    if (file.mimetype.startsWith('text/')) {
       // For text files, read the content
-      content = file.buffer.toString('utf8');
+      content = fs.readFileSync(file.path, 'utf8');
+      await removeUpload(file.path);
       console.log("Text file content read");
+    } else {
+      // Audio (or unlabelled recorder data) is checked by audio ingestion below
+      content = file; // Store the file object for processing
+      console.log("Audio file received for processing:", file.originalname, file.mimetype, file.size);
     }
   }
 
   if (!type || !content) {
-    return res.status(400).json({ 
-      error: 'Missing "type" or "content" in the form data.',
-      received_body: req.body,
-      received_files: req.files,
-      received_headers: req.headers
+    await removeUpload(uploadedFile && uploadedFile.path);
+    res.status(400).json({ 
+      error: 'Missing "type" or "content" in the form data.'
     });
+    return null;
   }
 
-  try {
-    let userPrompt = "";
-    let audioFile = null;
-    let detectedLanguage = "unknown";
-    let detectedSubject = "General";
-
-    // Function to detect language from text content
-    const detectLanguage = async (text) => {
-      try {
-        const detectionResult = await model.generateContent({
-          contents: [{ 
-            role: "user", 
-            parts: [{ 
-              text: `Identify the language of this text. Respond with ONLY the language name in English (e.g., "English", "Spanish", "French", "Hindi", "Kannada", "Tamil", "Telugu", "Bengali", "Gujarati", "Marathi", "Punjabi", "Chinese", "Japanese", "Korean", "Arabic", "German", "Italian", "Portuguese", "Russian", etc.). Do not include any other text or explanation:
-
-"${text.substring(0, 500)}"` 
-            }] 
-          }],
-          generationConfig: {
-            temperature: 0.1,
-            maxOutputTokens: 20,
-          },
-        });
-        const detectedLang = detectionResult.response.text().trim();
-        // Clean up any extra text that might come with the response
-        const cleanLang = detectedLang.split('\n')[0].split('.')[0].trim();
-        console.log("Raw language detection:", detectedLang);
-        console.log("Cleaned language:", cleanLang);
-        return cleanLang;
-      } catch (error) {
-        console.warn("Language detection failed:", error.message);
-        return "unknown";
-      }
-    };
-
-    // Function to detect subject from text content (improved: normalization + heuristic fallback)
-    const detectSubject = async (text) => {
-      const allowedSubjects = [
-        "Mathematics","Physics","Chemistry","Biology","Programming",
-        "Computer Science","History","Geography","Literature","Language",
-        "Art","Music","Sports","Entertainment","General"
-      ];
-
-      const synonyms = {
-        "computer science": "Computer Science",
-        "cs": "Computer Science",
-        "coding": "Programming",
-        "programming": "Programming",
-        "program": "Programming",
-        "math": "Mathematics",
-        "mathematics": "Mathematics",
-        "physics": "Physics",
-        "chemistry": "Chemistry",
-        "biology": "Biology",
-        "history": "History",
-        "geography": "Geography",
-        "literature": "Literature",
-        "language": "Language",
-        "linguistics": "Language",
-        "art": "Art",
-        "music": "Music",
-        "sports": "Sports",
-        "entertainment": "Entertainment",
-        "general": "General"
-      };
-
-      const keywordMap = {
-        "Mathematics": [
-          "integral","derivative","algebra","calculus","theorem","matrix","probability","geometry","trigonometry",
-          "statistics","differential equations","vector","tensor","limit","set theory","number theory","topology",
-          "combinatorics","prime","logarithm","exponential","polynomial","inequality","function","graph theory",
-          "optimization","linear algebra","stochastic","random variable","bayesian","euclidean","non-euclidean",
-          "metric","proof","axiom","lemma","corollary","sequence","series","p-adic","symmetry","group theory",
-          "ring","field","manifold","integrable","partial derivative","gradient","divergence","curl"
-        ],
-      
-        "Physics": [
-          "velocity","force","quantum","relativity","particle","energy","momentum","thermodynamics","optics",
-          "mass","acceleration","friction","gravity","electromagnetism","wave","frequency","amplitude","spin",
-          "string theory","boson","fermion","neutrino","photon","entropy","enthalpy","pressure","fluid dynamics",
-          "nuclear","atomic","collision","radiation","magnetism","capacitance","resistance","superconductivity",
-          "black hole","cosmology","astrophysics","inertia","scalar","vector","field","higgs","dark matter",
-          "dark energy","interference","diffraction","relativistic"
-        ],
-      
-        "Chemistry": [
-          "molecule","reaction","chemical","atom","bond","ph","acid","oxidation","synthesis",
-          "catalyst","organic","inorganic","covalent","ionic","solution","solvent","solute","concentration",
-          "stoichiometry","thermochemistry","enthalpy","electrons","orbitals","periodic table","isotope",
-          "polymer","crystal","precipitate","titration","spectroscopy","chromatography","equilibrium",
-          "buffer","alkaline","halogen","transition metal","electrochemistry","redox","molarity","kinetics",
-          "enthalpy","hydrocarbon","ester","amine"
-        ],
-      
-        "Biology": [
-          "cell","organism","evolution","dna","protein","genome","photosynthesis","mitosis",
-          "meiosis","enzyme","chromosome","ribosome","mutation","gene","genetics","epigenetics",
-          "ecosystem","bacteria","virus","fungi","microbe","adaptation","natural selection","anatomy",
-          "physiology","immune system","respiration","metabolism","hormone","organ","species","taxonomy",
-          "reproduction","biosphere","ecology","biome","cloning","biotechnology","neuron","synapse",
-          "membrane","cytoplasm","mitochondria","chloroplast"
-        ],
-      
-        "Programming": [
-          "function","variable","loop","algorithm","code","compile","runtime","bug","debug",
-          "class","object","inheritance","polymorphism","interface","recursion","pointer","array","list",
-          "dictionary","hashmap","framework","library","module","package","thread","concurrency","parallel",
-          "asynchronous","promise","exception","error","syntax","interpreter","compiler","optimization",
-          "API","REST","JSON","XML","version control","git","regex","IDE","container","virtual machine"
-        ],
-      
-        "Computer Science": [
-          "computer","algorithm","data structure","database","machine learning","computing","cpu","gpu",
-          "compiler theory","operating system","network","protocol","distributed system","cloud","virtualization",
-          "encryption","cryptography","complexity","big o","neural network","ai","deep learning","nlp",
-          "data mining","information theory","storage","cache","parallelism","graph","tree","binary","hashing",
-          "blockchain","cybersecurity","quantum computing","software engineering","microarchitecture"
-        ],
-      
-        "History": [
-          "war","empire","revolution","histor","ancient","medieval","colonial",
-          "civilization","dynasty","treaty","monarchy","republic","conquest","military","battle","renaissance",
-          "industrial","cold war","world war","enlightenment","pharaoh","archaeology","imperialism",
-          "feudalism","constitution","reform","rebellion","independence","exploration","migration",
-          "cultural heritage","chronicle","historic event"
-        ],
-      
-        "Geography": [
-          "continent","country","climate","mountain","river","latitude","longitude","topography",
-          "desert","ocean","island","plate tectonics","weather","region","urban","rural","population",
-          "ecosystem","rainforest","volcano","earthquake","map","cartography","habitat","biome",
-          "altitude","sea level","landform","delta","canyon","valley","glacier"
-        ],
-      
-        "Literature": [
-          "novel","poem","poetry","literature","character","narrative","prose",
-          "metaphor","allegory","symbolism","theme","plot","drama","tragedy","comedy","author","genre",
-          "fiction","nonfiction","myth","legend","epic","short story","rhetoric","dialogue",
-          "narrator","memoir","biography","autobiography","manuscript","allusion","satire","imagery"
-        ],
-      
-        "Language": [
-          "grammar","vocabulary","sentence","syntax","linguistics","translation",
-          "phonetics","phonology","morphology","semantics","pragmatics","dialect","accent","lexicon",
-          "conjugation","declension","orthography","writing system","etymology","discourse","phrase",
-          "idiom","bilingual","multilingual","pronunciation"
-        ],
-      
-        "Art": [
-          "painting","sculpture","canvas","gallery","museum","visual",
-          "aesthetics","portrait","landscape","abstract","expressionism","realism","surrealism","impressionism",
-          "installation","performance art","fine art","brushstroke","composition","color theory","perspective",
-          "illustration","sketch","modern art","contemporary art","exhibit"
-        ],
-      
-        "Music": [
-          "melody","harmony","rhythm","instrument","composer","song","audio",
-          "pitch","tempo","tone","timbre","scale","chord","genre","orchestra","symphony","opera","choir",
-          "band","beat","lyrics","arrangement","composition","improvisation","acoustic","electronic",
-          "soundtrack","mixing","recording","notation","conductor","performance"
-        ],
-      
-        "Sports": [
-          "tournament","score","player","match","athlete","game","league",
-          "championship","coach","training","stadium","team","referee","offense","defense","tactics",
-          "strategy","injury","endurance","competition","sportsmanship","record","ranking","event",
-          "marathon","sprint","ball","equipment","playoff","fitness"
-        ],
-      
-        "Entertainment": [
-          "movie","film","television","celebrity","show","entertainment",
-          "series","episode","director","actor","actress","script","screenplay","animation","cartoon",
-          "streaming","documentary","thriller","comedy","drama","action","cinema","franchise",
-          "soundtrack","visual effects","special effects","broadcast","media","trailer"
-        ]
-      };
-      
-
-      const normalizeDetected = (raw) => {
-        if (!raw) return null;
-        let s = raw.replace(/["“”‘’]/g, '').trim();
-        // Take first line and remove trailing punctuation
-        s = s.split('\n')[0].split('.')[0].trim();
-        return s;
-      };
-
-      try {
-        // Give the model more context if available (increase substring length)
-        const snippet = (text && text.length > 0) ? text.substring(0, 2000) : "";
-        const subjectResult = await model.generateContent({
-          contents: [{ 
-            role: "user", 
-            parts: [{ 
-              text: `Analyze this text and identify the single most appropriate academic subject it belongs to. Reply with ONLY one of these exact subjects (case-insensitive match will be accepted): ${allowedSubjects.map(s=>`"${s}"`).join(", ")}. Do not add any other text or explanation.
-
-Text to analyze:
-"${snippet}"`
-            }] 
-          }],
-          generationConfig: {
-            temperature: 0.0,
-            maxOutputTokens: 30,
-          },
-        });
-
-        const raw = subjectResult && subjectResult.response && subjectResult.response.text ? subjectResult.response.text().trim() : "";
-        const cleaned = normalizeDetected(raw);
-        console.log("Raw subject detection:", raw);
-        console.log("Cleaned subject:", cleaned);
-
-        // Heuristic scores computed from full text (always compute to allow voting)
-        const textLower = (text || "").toLowerCase();
-        const scores = {};
-        for (const [subject, keywords] of Object.entries(keywordMap)) {
-          scores[subject] = 0;
-          for (const kw of keywords) {
-            if (kw && textLower.includes(kw)) scores[subject] += 1;
-          }
-        }
-        const sortedScores = Object.entries(scores).sort((a,b) => b[1]-a[1]);
-        const best = sortedScores[0] || [null, 0];
-        const heuristicSubject = best[0];
-        const heuristicScore = best[1] || 0;
-        console.log("Heuristic scores top:", heuristicSubject, heuristicScore);
-
-        let modelMapped = null;
-        if (cleaned) {
-          // Exact case-insensitive match to allowed list
-          const exact = allowedSubjects.find(s => s.toLowerCase() === cleaned.toLowerCase());
-          if (exact) modelMapped = exact;
-
-          // Substring match (e.g., "computer science" inside "Computer science")
-          if (!modelMapped) {
-            const contains = allowedSubjects.find(s => cleaned.toLowerCase().includes(s.toLowerCase()));
-            if (contains) modelMapped = contains;
-          }
-
-          // Synonyms mapping
-          if (!modelMapped) {
-            for (const [k,v] of Object.entries(synonyms)) {
-              if (cleaned.toLowerCase().includes(k)) {
-                modelMapped = v;
-                break;
-              }
-            }
-          }
-        }
-
-        // Decision logic: prefer heuristic when it's strongly indicative
-        if (modelMapped) {
-          const modelScore = scores[modelMapped] || 0;
-          console.log("Model mapped subject:", modelMapped, "modelScore:", modelScore);
-          // If heuristic shows a clearly better signal than model's topic, prefer heuristic
-          if (heuristicScore >= 2 && heuristicSubject !== modelMapped && heuristicScore > modelScore) {
-            console.log("Choosing heuristic subject over model mapping ->", heuristicSubject);
-            return heuristicSubject;
-          }
-          console.log("Choosing model mapped subject ->", modelMapped);
-          return modelMapped;
-        } else {
-          // No reliable model mapping; use heuristic if present
-          if (heuristicScore > 0) {
-            console.log("No model mapping; using heuristic ->", heuristicSubject);
-            return heuristicSubject;
-          }
-        }
-
-        // If nothing matched, return 'General'
-        console.log("Subject detection fallback -> General");
-        return "General";
-      } catch (error) {
-        console.warn("Subject detection failed:", error && error.message ? error.message : error);
-        return "General";
-      }
-    };
-
-    if (type === "text") {
-      console.log("Processing text notes...");
-      
-      // Detect language and subject from text content
-      detectedLanguage = await detectLanguage(content);
-      detectedSubject = await detectSubject(content);
-      console.log("Detected language:", detectedLanguage);
-      console.log("Detected subject:", detectedSubject);
-      
-      // If language detection failed, try to detect again with a different approach
-      if (detectedLanguage === "unknown" || detectedLanguage.includes("English") || detectedLanguage.includes("##")) {
-        console.log("Retrying language detection with different approach...");
-        detectedLanguage = await detectLanguage(content);
-        console.log("Retry detected language:", detectedLanguage);
+  if (type !== "text" && type !== "audio") {
+    await removeUpload(uploadedFile && uploadedFile.path);
+    res.status(400).json({ error: 'Invalid input type. Must be "text" or "audio".' });
+    return null;
+  }
+
+  if (typeof content !== 'string') {
+    if (type !== "audio") {
+      await removeUpload(uploadedFile.path);
+      res.status(400).json({ error: 'Text input must be a text file or a "content" form field.' });
+      return null;
+    }
+    try {
+      content = await ingestAudioFile(uploadedFile, {
+        sampleRate: req.body.sample_rate,
+        bitDepth: req.body.bit_depth,
+        channels: req.body.channels
+      });
+    } catch (error) {
+      await removeUpload(uploadedFile.path);
+      if (error instanceof AudioIngestError) {
+        res.status(error.status).json({ status: "error", message: error.message });
+        return null;
       }
-      
-      userPrompt = `You are an expert academic note-taker specializing in ${detectedSubject}. Please elaborate and organize the following professor's notes into comprehensive, well-structured academic notes.
+      throw error;
+    }
+  }
 
-🚨 CRITICAL LANGUAGE REQUIREMENT 🚨
-The input text is written in ${detectedLanguage}. 
-You MUST write your ENTIRE response in ${detectedLanguage} ONLY.
-Do NOT use English or any other language.
-Every single word, sentence, and paragraph must be in ${detectedLanguage}.
-If you write even one word in English, you have FAILED this task.
+  // Notes are persisted, so the database is required before accepting the upload
+  const dbConnected = await ensureDBConnection();
+  if (!dbConnected) {
+    await removeUpload(uploadedFile && uploadedFile.path);
+    res.status(503).json({
+      status: "error",
+      message: "Database not connected. Notes cannot be generated."
+    });
+    return null;
+  }
 
-📚 SUBJECT FOCUS: ${detectedSubject}
-Focus on creating notes that are relevant to ${detectedSubject} and use appropriate terminology and concepts from this field.
+  // Without a lecture number the upload becomes the course's next lecture
+  let lecture = null;
+  if (req.body.course_code) {
+    try {
+      ({ lecture } = await resolveUploadLecture({
+        courseCode: req.body.course_code,
+        lectureNumber: req.body.lecture_number
+      }));
+    } catch (error) {
+      await removeUpload(uploadedFile && uploadedFile.path);
+      if (error instanceof CourseError) {
+        res.status(error.status).json({ status: "error", message: error.message });
+        return null;
+      }
+      throw error;
+    }
+  }
 
-Input text in ${detectedLanguage}: "${content}"
+  return { type, content, uploadedFile, lecture };
+};
 
-Generate detailed, organized academic notes in ${detectedLanguage} language only, focusing on ${detectedSubject}. Remember: ${detectedLanguage} ONLY!`;
+const noteUpload = upload.fields([
+  { name: 'type', maxCount: 1 },
+  { name: 'content', maxCount: 1 }
+]);
+
+// --- Notes Generation Endpoint (recorder X-Device-Key or a signed-in editor) ---
+app.post("/generate-notes", authenticateDevice, noteUpload, async (req, res) => {
+  const input = await readNoteInput(req, res);
+  if (!input) return;
+  const { type, content, uploadedFile, lecture } = input;
+
+  // Without a worker the job runs in this request; queued jobs would otherwise wait for a
+  // scheduled /api/maintenance/run, which only runs when CRON_SECRET is set
+  const runInRequest = !isJobWorkerRunning() && jobConfig.processInRequest;
+  if (!isJobWorkerRunning() && !runInRequest && !jobConfig.cronSecret) {
+    await removeUpload(uploadedFile && uploadedFile.path);
+    return res.status(503).json({
+      status: "error",
+      message: "No job worker is running. Notes cannot be generated."
+    });
+  }
 
-    } else if (type === "audio") {
-      console.log("Processing audio file...");
-      if (typeof content === 'object' && content.buffer) {
-        // Audio file was uploaded
-        audioFile = content;
-        userPrompt = `You are an expert academic note-taker. Please transcribe this audio file and then generate comprehensive academic notes from the transcript.
+  try {
+    let job = await enqueueNoteJob({
+      type,
+      text: typeof content === 'string' ? content : undefined,
+      file: typeof content === 'string' ? undefined : content,
+      device: req.device,
+      lecture
+    });
+    if (runInRequest) {
+      job = (await runJobNow(job._id, provider)) || job;
+    }
 
-🚨 CRITICAL LANGUAGE REQUIREMENT 🚨
-You MUST detect the language of the audio content and generate your response ENTIRELY in that same language. Do NOT translate anything to English or any other language. Every single word of your response must be in the original language of the audio.
+    // A job that failed in the request is retried by /api/maintenance/run
+    const completed = job.status === "completed";
+    res.status(completed ? 201 : 202).json({
+      status: completed ? "completed" : "accepted",
+      job_id: job._id,
+      job_status: job.status,
+      note_id: job.noteId || null,
+      structure_issues: job.structureIssues || null,
+      status_url: `/api/jobs/${job._id}`
+    });
+  } catch (error) {
+    console.error("Failed to queue note generation job:", error);
+    await removeUpload(uploadedFile && uploadedFile.path);
+    res.status(500).json({
+      error: "Failed to queue note generation job.",
+      details: error.message,
+    });
+  }
+});
 
-📚 SUBJECT DETECTION
-Also identify the academic subject (Mathematics, Physics, Chemistry, Biology, Programming, Computer Science, History, Geography, Literature, Language, Art, Music, Sports, Entertainment, or General) and focus your notes accordingly.
+// --- Streaming Notes Generation (Server-Sent Events) ---
+// Same form as /generate-notes, but generation runs while the client is connected and
+// reports stages and partial notes as they are produced.
+app.post("/generate-notes/stream", authenticateDevice, noteUpload, async (req, res) => {
+  const input = await readNoteInput(req, res);
+  if (!input) return;
+
+  await streamNoteGeneration({
+    provider,
+    type: input.type,
+    content: input.content,
+    device: req.device,
+    lecture: input.lecture,
+    res
+  });
+});
 
-Audio file: ${content.originalname} (${content.mimetype})
+// --- Authentication ---
+app.use("/api/auth", requireDatabase("Authentication"), authRoutes);
 
-Generate detailed, organized academic notes in the original language of the audio only.`;
-      } else {
-        // Text content provided for audio type
-        detectedLanguage = await detectLanguage(content);
-        detectedSubject = await detectSubject(content);
-        console.log("Detected language from transcript:", detectedLanguage);
-        console.log("Detected subject from transcript:", detectedSubject);
-        
-        userPrompt = `You are an expert academic note-taker specializing in ${detectedSubject}. Generate comprehensive academic notes from the following audio transcript.
+// --- User Management (admin) ---
+app.use("/api/users", requireDatabase("User management"), requireRole("admin"), usersRoutes);
 
-🚨 CRITICAL LANGUAGE REQUIREMENT 🚨
-The transcript is written in ${detectedLanguage}. 
-You MUST write your ENTIRE response in ${detectedLanguage} ONLY.
-Do NOT use English or any other language.
-Every single word, sentence, and paragraph must be in ${detectedLanguage}.
-If you write even one word in English, you have FAILED this task.
+// --- Quiz and Flashcard Generation (signed-in users; calls the note provider) ---
+app.post("/api/notes/:id/quiz", requireDatabase("Study sets"), requireRole("viewer"), (req, res) => createStudySet(req, res, provider));
 
-📚 SUBJECT FOCUS: ${detectedSubject}
-Focus on creating notes that are relevant to ${detectedSubject} and use appropriate terminology and concepts from this field.
+// --- Note Translation (signed-in users; calls the note provider) ---
+app.post("/api/notes/:id/translations", requireDatabase("Translations"), requireRole("viewer"), (req, res) => createTranslation(req, res, provider));
 
-Audio transcript in ${detectedLanguage}: "${content}"
+// --- Questions Answered from the Notes (signed-in users; calls the note provider) ---
+app.post("/api/ask", requireDatabase("Ask"), requireRole("viewer"), (req, res) => askQuestion(req, res, provider));
 
-Generate detailed, organized academic notes in ${detectedLanguage} language only, focusing on ${detectedSubject}. Remember: ${detectedLanguage} ONLY!`;
-      }
+// --- Notes Management Routes ---
+app.use("/api/notes", requireDatabase("Notes management"), notesRoutes);
 
-    } else {
-      return res.status(400).json({ error: 'Invalid input type. Must be "text" or "audio".' });
-    }
+// --- Study Sets (quizzes, flashcards and scored attempts) ---
+app.use("/api/study-sets", requireDatabase("Study sets"), studySetsRoutes);
 
-    // Generate content using Gemini
-    let result;
-    
-    if (audioFile) {
-      // Include audio file in the request
-      result = await model.generateContent({
-        contents: [{ 
-          role: "user", 
-          parts: [
-            { text: userPrompt },
-            {
-              inlineData: {
-                mimeType: audioFile.mimetype,
-                data: audioFile.buffer.toString('base64')
-              }
-            }
-          ]
-        }],
-        generationConfig: {
-          temperature: 0.2,
-          topK: 40,
-          topP: 0.8,
-          maxOutputTokens: 2048,
-        },
-      });
-    } else {
-      // Text-only request
-      result = await model.generateContent({
-        contents: [{ role: "user", parts: [{ text: userPrompt }] }],
-        generationConfig: {
-          temperature: 0.2,
-          topK: 40,
-          topP: 0.8,
-          maxOutputTokens: 2048,
-        },
-      });
-    }
+// --- Flashcard Review (per-user spaced repetition) ---
+app.use("/api/review", requireDatabase("Flashcard review"), requireRole("viewer"), reviewRoutes);
 
-    let generatedNotes = result.response.text();
+// --- Subject Taxonomy ---
+app.use("/api/subjects", requireDatabase("Subjects"), subjectsRoutes);
 
-    // Validate and ensure the generated notes are in the correct language
-    // Decide the target language: if detection failed, force English
-    const targetLanguage = (detectedLanguage && detectedLanguage !== "unknown") ? detectedLanguage : 'English';
-    try {
-      const languageValidationResult = await model.generateContent({
-        contents: [{ 
-          role: "user", 
-          parts: [{ 
-            text: `🚨 URGENT LANGUAGE CORRECTION TASK 🚨\n\nThe following text should be written in ${targetLanguage}.\n\nYou MUST ensure the ENTIRE text is in ${targetLanguage} ONLY. Do NOT include words from other languages.\n\nOriginal text to correct:\n"${generatedNotes}"\n\nReturn ONLY the corrected text in ${targetLanguage}.` 
-          }] 
-        }],
-        generationConfig: {
-          temperature: 0.1,
-          maxOutputTokens: 2048,
-        },
-      });
+// --- Courses and Lectures ---
+app.use("/api/courses", requireDatabase("Courses"), coursesRoutes);
+app.use("/api/lectures", requireDatabase("Courses"), lecturesRoutes);
 
-      const validatedNotes = languageValidationResult.response.text();
-      if (validatedNotes && validatedNotes.trim()) {
-        generatedNotes = validatedNotes.trim();
-        console.log("✅ Language validation and correction completed for", targetLanguage);
-      }
-    } catch (validationError) {
-      console.warn("Language validation failed, using original notes:", validationError.message);
-    }
+// --- Note Collections (per-user ordered lists) ---
+app.use("/api/collections", requireDatabase("Collections"), requireRole("viewer"), collectionsRoutes);
 
-    // Ensure we store the language as the target language (English when unknown)
-    detectedLanguage = targetLanguage;
+// --- Job Status Routes ---
+app.use("/api/jobs", requireDatabase("Job status"), jobsRoutes);
 
-    // Prepare data for saving to database
-    const noteData = {
-      input_type: type,
-      generated_notes: generatedNotes,
-      detected_language: detectedLanguage,
-      detected_subject: detectedSubject,
-      original_content: typeof content === 'string' ? content : (content.originalname || 'audio_file')
-    };
+// --- Scheduled Maintenance (Authorization: Bearer CRON_SECRET, or an admin) ---
+// Runs queued jobs and the periodic clean-up on deployments without a long-running server
+app.get("/api/maintenance/run", requireDatabase("Maintenance"), requireScheduler, (req, res) => runMaintenance(req, res, provider));
+app.post("/api/maintenance/run", requireDatabase("Maintenance"), requireScheduler, (req, res) => runMaintenance(req, res, provider));
 
-    // Ensure database connection
-    const dbConnected = await ensureDBConnection();
-    
-    // Save notes to database (if connected)
-    if (dbConnected) {
-      try {
-        const savedNote = await saveNotes(noteData);
-        
-        res.json({
-          status: "success",
-          input_type: type,
-          model_used: GEMINI_MODEL,
-          detected_language: detectedLanguage,
-          detected_subject: detectedSubject,
-          generated_notes: generatedNotes,
-          note_id: savedNote._id,
-          saved_at: savedNote.createdAt
-        });
-      } catch (dbError) {
-        console.error("Database save error:", dbError);
-        // Still return the generated notes even if database save fails
-        res.json({
-          status: "success",
-          input_type: type,
-          model_used: GEMINI_MODEL,
-          detected_language: detectedLanguage,
-          detected_subject: detectedSubject,
-          generated_notes: generatedNotes,
-          note_id: null,
-          save_error: "Notes generated but failed to save to database"
-        });
-      }
-    } else {
-      // Database not connected, return notes without saving
-      res.json({
-        status: "success",
-        input_type: type,
-        model_used: GEMINI_MODEL,
-        detected_language: detectedLanguage,
-        detected_subject: detectedSubject,
-        generated_notes: generatedNotes,
-        note_id: null,
-        database_status: "Database not connected - notes not saved"
-      });
-    }
-  } catch (error) {
-    console.error("Gemini API Error:", error);
-    res.status(500).json({
-      error: "Failed to generate notes from AI.",
-      details: error.message,
-    });
-  }
-});
+// --- Device Registry (admin) ---
+app.use("/api/devices", requireDatabase("Device registry"), requireRole("admin"), devicesRoutes);
 
-// --- Notes Management Routes ---
-app.use("/api/notes", async (req, res, next) => {
-  const dbConnected = await ensureDBConnection();
-  if (!dbConnected) {
-    return res.status(503).json({
-      status: "error",
-      message: "Database not connected. Notes management unavailable."
-    });
-  }
-  next();
-}, notesRoutes);
+// --- Trash Bin (admin) ---
+app.use("/api/trash", requireDatabase("Trash"), requireRole("admin"), trashRoutes);
 
 // --- Start Server ---
 const startServer = async () => {
   try {
     // Try to connect to database (optional for serverless)
-    isDatabaseConnected = await connectDB();
+    const isDatabaseConnected = await ensureDBConnection();
+
+    // Create the first admin account and the default subjects on a fresh database
+    if (isDatabaseConnected) {
+      await runStartupTasks();
+    }
+
+    // Process queued note-generation jobs in this process
+    if (isDatabaseConnected && jobConfig.workerEnabled) {
+      await startJobWorker({ provider });
+    }
+
+    // Clean up recording uploads that were never finalized (hourly)
+    if (isDatabaseConnected) {
+      purgeRecordings();
+      setInterval(purgeRecordings, 60 * 60 * 1000);
+    }
+
+    // Embed notes for semantic search; saved and edited notes are embedded right away,
+    // the interval catches up after failures (e.g. the embedding API was unavailable)
+    if (isDatabaseConnected) {
+      embedNotes();
+      if (semanticSearchConfig.indexIntervalSeconds > 0) {
+        setInterval(embedNotes, semanticSearchConfig.indexIntervalSeconds * 1000);
+      }
+    }
+
+    // Permanently delete notes that have been in the trash longer than the retention period
+    if (isDatabaseConnected) {
+      purgeTrash();
+      setInterval(purgeTrash, trashConfig.purgeIntervalMinutes * 60 * 1000);
+    }
     
     // Start the server
     app.listen(PORT, () => {
       console.log(`\n✅ AI Notes Maker Server running at http://localhost:${PORT}`);
-      console.log(`Model in use: ${GEMINI_MODEL}`);
+      console.log(`Provider in use: ${provider.name} (${provider.model})`);
       console.log(`Database: ${isDatabaseConnected ? 'Connected' : 'Not connected'}`);
+      console.log(`Job worker: ${isDatabaseConnected && jobConfig.workerEnabled ? 'Running' : 'Not running'}`);
       console.log(`\nReady to receive POST requests at /generate-notes`);
     });
   } catch (error) {
@@ -0,0 +1,60 @@
+const authConfig = require('../config/auth');
+const { ensureDBConnection } = require('../config/db');
+const { findSessionUser, hasRole } = require('../services/auth');
+
+// Read the bearer token from the Authorization header
+const getBearerToken = (req) => {
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+};
+
+// Attach the signed-in user (if any) as req.user. Missing or expired tokens
+// are not an error here; routes that need a user use requireRole.
+const authenticateUser = async (req, res, next) => {
+  try {
+    const token = getBearerToken(req);
+    if (token && await ensureDBConnection()) {
+      const user = await findSessionUser(token);
+      if (user) {
+        req.user = user;
+        req.sessionToken = token;
+      }
+    }
+    next();
+  } catch (error) {
+    console.error('❌ User authentication error:', error.message);
+    next();
+  }
+};
+
+// Require a signed-in user with at least the given role (viewer, editor or admin)
+const requireRole = (role) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'Sign in required'
+    });
+  }
+  if (!hasRole(req.user, role)) {
+    return res.status(403).json({
+      status: 'error',
+      message: `This action requires the ${role} role`
+    });
+  }
+  next();
+};
+
+// Reading notes is public unless AUTH_PUBLIC_READ=false
+const requireReader = (req, res, next) => {
+  if (authConfig.publicRead) {
+    return next();
+  }
+  requireRole('viewer')(req, res, next);
+};
+
+module.exports = {
+  authenticateUser,
+  requireRole,
+  requireReader
+};
@@ -0,0 +1,61 @@
+const Device = require('../models/Device');
+const deviceConfig = require('../config/devices');
+const { ensureDBConnection } = require('../config/db');
+const { hashDeviceKey } = require('../services/deviceKeys');
+const { hasRole } = require('../services/auth');
+
+// Authenticate a lecture recorder by its X-Device-Key header.
+// Sets req.device and records when the device was last seen.
+// Signed-in editors may upload without a device key.
+const authenticateDevice = async (req, res, next) => {
+  try {
+    const key = req.get('X-Device-Key');
+    if (!key) {
+      if (!deviceConfig.authRequired || hasRole(req.user, 'editor')) {
+        return next();
+      }
+      return res.status(401).json({
+        status: 'error',
+        message: 'Missing X-Device-Key header (or sign in as an editor)'
+      });
+    }
+
+    const dbConnected = await ensureDBConnection();
+    if (!dbConnected) {
+      return res.status(503).json({
+        status: 'error',
+        message: 'Database not connected. Device authentication unavailable.'
+      });
+    }
+
+    const device = await Device.findOne({ keyHash: hashDeviceKey(key) });
+    if (!device) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid device key'
+      });
+    }
+    if (device.status !== 'active') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'This device has been revoked'
+      });
+    }
+
+    device.lastSeenAt = new Date();
+    await Device.updateOne({ _id: device._id }, { $set: { lastSeenAt: device.lastSeenAt } });
+    req.device = device;
+    next();
+  } catch (error) {
+    console.error('❌ Device authentication error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Device authentication failed',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  authenticateDevice
+};
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// A named, ordered list of notes curated by one user
+const collectionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  // Notes in the user's order (trashed notes stay listed until they are purged)
+  notes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note'
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+collectionSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Collection names are unique per user
+collectionSchema.index({ user: 1, name: 1 }, { unique: true });
+
+// Purging a note removes it from every collection
+collectionSchema.index({ notes: 1 });
+
+module.exports = mongoose.model('Collection', collectionSchema);
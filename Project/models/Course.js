@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// A course taught in one semester; its lectures group the notes taken in it
+const courseSchema = new mongoose.Schema({
+  // Course code as printed in the timetable (stored uppercase, e.g. "MATH 2202")
+  code: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  title: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  instructor: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  // Free-form term label, e.g. "Spring 2026"
+  semester: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  // Taxonomy subject the course belongs to (see models/Subject.js)
+  subject: {
+    type: String,
+    default: ''
+  },
+  description: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+courseSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// A course code is used once per semester
+courseSchema.index({ code: 1, semester: 1 }, { unique: true });
+
+module.exports = mongoose.model('Course', courseSchema);
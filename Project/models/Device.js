@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// A registered classroom lecture recorder (ESP32)
+const deviceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  room: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  // SHA-256 of the device API key; the key itself is only shown when issued
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // First characters of the key, so admins can tell keys apart
+  keyPrefix: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'revoked'],
+    default: 'active'
+  },
+  lastSeenAt: {
+    type: Date,
+    default: null
+  },
+  uploadCount: {
+    type: Number,
+    default: 0
+  },
+  revokedAt: Date,
+  keyRotatedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+deviceSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Device', deviceSchema);
@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+
+const jobErrorSchema = new mongoose.Schema({
+  attempt: Number,
+  stage: String,
+  message: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Time-stamped transcript line (seconds from the start of the clip)
+const transcriptLineSchema = new mongoose.Schema({
+  start: Number,
+  end: Number,
+  text: String
+}, { _id: false });
+
+// One segment of a long lecture (transcription or map step of map-reduce generation)
+const segmentSchema = new mongoose.Schema({
+  index: Number,
+  // Boundaries are character offsets (text), seconds (WAV) or byte offsets (other audio)
+  unit: {
+    type: String,
+    enum: ['chars', 'seconds', 'bytes']
+  },
+  start: Number,
+  end: Number,
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  notes: String,
+  transcript: [transcriptLineSchema],
+  error: String,
+  provider: String,
+  modelUsed: String
+}, { _id: false });
+
+const jobSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued',
+    index: true
+  },
+  // Current pipeline stage (see STAGES in services/notePipeline.js)
+  stage: {
+    type: String,
+    default: 'queued'
+  },
+  progress: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  // Everything the worker needs to run the pipeline after a restart
+  input: {
+    type: {
+      type: String,
+      required: true,
+      enum: ['text', 'audio']
+    },
+    text: String,
+    filePath: String,
+    mimeType: String,
+    originalName: String,
+    size: Number,
+    // Audio metadata from ingestion, copied onto the note
+    audio: {
+      type: mongoose.Schema.Types.Mixed,
+      default: undefined
+    },
+    // Recorder that uploaded the input
+    deviceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Device',
+      default: null
+    },
+    deviceName: String,
+    room: String,
+    // Course lecture the upload is filed under (course_code upload field)
+    courseId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course',
+      default: null
+    },
+    lectureId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Lecture',
+      default: null
+    },
+    // Regenerating an existing note from its stored transcript
+    regenerate: {
+      type: Boolean,
+      default: false
+    },
+    // User who asked for the regeneration (credited in the note's revision history)
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    requestedByName: String
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  // Earliest time the job may be picked up (used to delay retries)
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Audio segment boundaries and their transcripts
+  audioSegments: [segmentSchema],
+  // Segment boundaries and per-segment notes for long lectures
+  segments: [segmentSchema],
+  // One entry per failed attempt
+  attemptErrors: [jobErrorSchema],
+  noteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    default: null
+  },
+  provider: String,
+  modelUsed: String,
+  // Parts of the expected structure the saved notes miss (see models/Note.js)
+  structureIssues: {
+    type: [String],
+    default: undefined
+  },
+  startedAt: Date,
+  completedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+jobSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// One numbered lecture of a course; notes attach to it (Note.lecture)
+const lectureSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  // Position in the course (1, 2, ...)
+  number: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  title: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  // Day the lecture was held
+  date: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+lectureSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Lectures are listed in order and numbered once per course
+lectureSchema.index({ course: 1, number: 1 }, { unique: true });
+
+module.exports = mongoose.model('Lecture', lectureSchema);
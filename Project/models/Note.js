@@ -1,5 +1,123 @@
 const mongoose = require('mongoose');
 
+// Outcome of the structure check after generation (structure.restructure):
+// complete      the generated notes had every part
+// restructured  the model rewrote them with the missing parts
+// too-long      incomplete, but too long to send back to the model
+// unusable      incomplete; the model's document was not valid
+// not-improved  incomplete; the model's document was no more complete
+// failed        incomplete; the request to the model failed
+const RESTRUCTURE_OUTCOMES = ['complete', 'restructured', 'too-long', 'unusable', 'not-improved', 'failed'];
+
+// Time-stamped transcript line (seconds from the start of the recording)
+const transcriptSegmentSchema = new mongoose.Schema({
+  start: Number,
+  end: Number,
+  text: String
+}, { _id: false });
+
+const transcriptSchema = new mongoose.Schema({
+  text: String,
+  segments: [transcriptSegmentSchema],
+  provider: String,
+  modelUsed: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Properties of the uploaded audio, recorded at ingestion
+const audioInfoSchema = new mongoose.Schema({
+  format: String,
+  durationSeconds: Number,
+  sampleRate: Number,
+  channels: Number,
+  bitDepth: Number,
+  size: Number,
+  // Raw PCM was wrapped in a WAV header or a WAV header was repaired
+  normalized: Boolean
+}, { _id: false });
+
+// Share of the input written in one language
+const languageShareSchema = new mongoose.Schema({
+  language: String,
+  name: String,
+  share: Number
+}, { _id: false });
+
+// One ranked subject with its confidence and the evidence behind it
+const subjectScoreSchema = new mongoose.Schema({
+  name: String,
+  confidence: Number,
+  // Position in the model's vote (null when the model did not name it)
+  modelRank: {
+    type: Number,
+    default: null
+  },
+  // Taxonomy keywords found in the text
+  keywords: [String]
+}, { _id: false });
+
+// Structured form of the generated notes (see services/noteStructure.js)
+const noteSectionSchema = new mongoose.Schema({
+  // Anchor id of the section heading
+  id: String,
+  heading: String,
+  level: Number,
+  // Markdown of the section below its heading
+  body: String
+}, { _id: false });
+
+const noteDefinitionSchema = new mongoose.Schema({
+  term: String,
+  definition: String
+}, { _id: false });
+
+const noteFormulaSchema = new mongoose.Schema({
+  tex: String,
+  display: Boolean,
+  // Id of the section holding the formula (null for the introduction)
+  section: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
+const noteStructureSchema = new mongoose.Schema({
+  title: String,
+  intro: String,
+  sections: [noteSectionSchema],
+  definitions: [noteDefinitionSchema],
+  formulas: [noteFormulaSchema],
+  // Parts of the expected structure the notes are missing (e.g. "Missing introduction")
+  issues: [String],
+  // False when there are issues
+  valid: Boolean,
+  // Outcome of the structure check after generation (null after edits and restores)
+  restructure: {
+    type: String,
+    enum: RESTRUCTURE_OUTCOMES,
+    default: null
+  },
+  version: Number
+}, { _id: false });
+
+// Token positions of one search term in each searchable field
+const searchPostingSchema = new mongoose.Schema({
+  term: String,
+  title: [Number],
+  notes: [Number],
+  transcript: [Number]
+}, { _id: false });
+
+// Number of tokens in each searchable field
+const searchFieldLengthsSchema = new mongoose.Schema({
+  title: Number,
+  notes: Number,
+  transcript: Number
+}, { _id: false });
+
 const noteSchema = new mongoose.Schema({
   inputType: {
     type: String,
@@ -10,18 +128,155 @@ const noteSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Title, introduction, sections, key definitions and formulas of the generated notes,
+  // parsed whenever they change
+  structure: {
+    type: noteStructureSchema,
+    default: undefined
+  },
+  // First heading of the generated notes (kept with the search index)
+  title: {
+    type: String,
+    default: ''
+  },
   detectedLanguage: {
     type: String,
     default: 'unknown'
   },
+  // ISO 639-1 code of the main language
+  languageCode: {
+    type: String,
+    default: null,
+    index: true
+  },
+  languageConfidence: Number,
+  // True when a second language makes up a large part of the lecture
+  mixedLanguage: {
+    type: Boolean,
+    default: false
+  },
+  languages: [languageShareSchema],
+  // Primary subject (the first entry of `subjects`)
   detectedSubject: {
     type: String,
     default: 'General'
   },
+  subjectConfidence: Number,
+  subjects: [subjectScoreSchema],
+  // 'manual' once an admin has overridden the classification; regeneration keeps it
+  subjectSource: {
+    type: String,
+    enum: ['auto', 'manual'],
+    default: 'auto'
+  },
+  subjectOverriddenBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  subjectOverriddenAt: Date,
   originalContent: {
     type: String,
     default: ''
   },
+  // Set when the note is moved to the trash; trashed notes are hidden from the notes API
+  deletedAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  deletedByName: {
+    type: String,
+    default: ''
+  },
+  // Search index: distinct normalized terms of the title, notes and transcript (see services/search.js)
+  searchTerms: {
+    type: [String],
+    select: false
+  },
+  // Term positions and field lengths that search results are ranked from
+  searchPostings: {
+    type: [searchPostingSchema],
+    select: false
+  },
+  searchFieldLengths: {
+    type: searchFieldLengthsSchema,
+    select: false
+  },
+  searchIndexVersion: {
+    type: Number,
+    select: false
+  },
+  // Semantic search index: embedder and index version, and the revision whose passages are embedded
+  // (see services/semanticIndex.js)
+  semanticIndexKey: {
+    type: String,
+    select: false
+  },
+  semanticIndexRevision: {
+    type: Number,
+    select: false
+  },
+  // Current revision number (see models/NoteRevision.js)
+  revision: {
+    type: Number,
+    default: 1
+  },
+  // Recorder that uploaded the lecture (null for uploads without a device key)
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+    default: null
+  },
+  deviceName: {
+    type: String,
+    default: ''
+  },
+  room: {
+    type: String,
+    default: ''
+  },
+  // Free-form tags, lowercase (see services/tags.js)
+  tags: {
+    type: [String],
+    default: []
+  },
+  // Course and lecture the note was taken in (see models/Course.js and models/Lecture.js)
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    default: null,
+    index: true
+  },
+  lecture: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lecture',
+    default: null,
+    index: true
+  },
+  audio: {
+    type: audioInfoSchema,
+    default: undefined
+  },
+  // Transcript of audio lectures (kept so notes can be checked and regenerated)
+  transcript: {
+    type: transcriptSchema,
+    default: undefined
+  },
+  // Which note provider and model generated this note
+  provider: {
+    type: String,
+    default: 'unknown'
+  },
+  modelUsed: {
+    type: String,
+    default: 'unknown'
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -38,4 +293,16 @@ noteSchema.pre('save', function(next) {
   next();
 });
 
-module.exports = mongoose.model('Note', noteSchema);
+// Full-text search looks up terms and term prefixes here
+noteSchema.index({ searchTerms: 1 });
+
+// Subject filtering also looks at secondary subjects
+noteSchema.index({ 'subjects.name': 1 });
+
+// Tag filtering and the tag list
+noteSchema.index({ tags: 1 });
+
+const Note = mongoose.model('Note', noteSchema);
+Note.RESTRUCTURE_OUTCOMES = RESTRUCTURE_OUTCOMES;
+
+module.exports = Note;
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// One embedded passage of a note, used by semantic search (see services/semanticIndex.js)
+const notePassageSchema = new mongoose.Schema({
+  note: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    required: true,
+    index: true
+  },
+  // Part of the note the passage comes from
+  field: {
+    type: String,
+    enum: ['notes', 'transcript'],
+    required: true
+  },
+  // Position of the passage within its field
+  index: {
+    type: Number,
+    required: true
+  },
+  // Heading of the notes section the passage belongs to
+  heading: {
+    type: String,
+    default: ''
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  embedding: {
+    type: [Number],
+    required: true
+  },
+  // Embedder that produced the vector ("name:model"); vectors of different embedders are not comparable
+  embedder: {
+    type: String,
+    required: true,
+    index: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+notePassageSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('NotePassage', notePassageSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// A saved state of a note. Revision 1 is the generated original; every later change to
+// its text (edit, regeneration, restore) adds the next revision. Subject overrides are
+// recorded on the note itself (subjectOverriddenBy, subjectOverriddenAt).
+const noteRevisionSchema = new mongoose.Schema({
+  note: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    required: true
+  },
+  rev: {
+    type: Number,
+    required: true
+  },
+  generatedNotes: String,
+  detectedLanguage: String,
+  originalContent: String,
+  // User who made the change (null for generation and background jobs)
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  authorName: {
+    type: String,
+    default: ''
+  },
+  reason: {
+    type: String,
+    default: ''
+  },
+  source: {
+    type: String,
+    enum: ['generated', 'edit', 'regenerate', 'restore'],
+    default: 'edit'
+  },
+  // Revision this one was restored from
+  restoredFrom: {
+    type: Number,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+noteRevisionSchema.index({ note: 1, rev: 1 }, { unique: true });
+
+module.exports = mongoose.model('NoteRevision', noteRevisionSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// A note's generated notes translated into another language
+const noteTranslationSchema = new mongoose.Schema({
+  note: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    required: true,
+    index: true
+  },
+  // ISO 639-1 code and English name of the translation's language
+  languageCode: {
+    type: String,
+    required: true
+  },
+  language: {
+    type: String,
+    required: true
+  },
+  // Translated Markdown
+  content: {
+    type: String,
+    required: true
+  },
+  // Note revision that was translated; the translation is outdated once the note changes
+  noteRevision: {
+    type: Number,
+    default: 1
+  },
+  provider: String,
+  modelUsed: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdByName: {
+    type: String,
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One translation per note and language (translating again replaces it)
+noteTranslationSchema.index({ note: 1, languageCode: 1 }, { unique: true });
+
+// Update the updatedAt field before saving
+noteTranslationSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('NoteTranslation', noteTranslationSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// The answer given to one question and whether it was right
+const answerSchema = new mongoose.Schema({
+  question: mongoose.Schema.Types.ObjectId,
+  // Option index, true/false, or the typed text, as sent
+  given: mongoose.Schema.Types.Mixed,
+  correct: Boolean
+}, { _id: false });
+
+// One scored run through a study set's quiz
+const quizAttemptSchema = new mongoose.Schema({
+  studySet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StudySet',
+    required: true,
+    index: true
+  },
+  note: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    index: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true
+  },
+  userName: {
+    type: String,
+    default: null
+  },
+  answers: [answerSchema],
+  score: Number,
+  total: Number,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('QuizAttempt', quizAttemptSchema);
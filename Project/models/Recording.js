@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+const chunkSchema = new mongoose.Schema({
+  index: Number,
+  size: Number,
+  // Hex SHA-256 of the chunk as sent by the device
+  checksum: String,
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A resumable audio upload session opened by a recorder
+const recordingSchema = new mongoose.Schema({
+  // 'finalizing' while one finalize call assembles the file and queues the job
+  status: {
+    type: String,
+    enum: ['open', 'finalizing', 'finalized', 'expired'],
+    default: 'open',
+    index: true
+  },
+  originalName: {
+    type: String,
+    default: 'recording.wav'
+  },
+  mimeType: {
+    type: String,
+    default: 'audio/wav'
+  },
+  chunkSize: Number,
+  // May be unknown while the device is still recording; required at finalize
+  totalChunks: {
+    type: Number,
+    default: null
+  },
+  totalSize: {
+    type: Number,
+    default: null
+  },
+  chunks: [chunkSchema],
+  // Format of headerless PCM recordings (wrapped in a WAV header at finalize)
+  pcm: {
+    sampleRate: Number,
+    bitDepth: Number,
+    channels: Number
+  },
+  // Recorder that opened the session; only it may continue the upload
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+    default: null
+  },
+  // Course lecture the recording is filed under (checked when the session is opened)
+  courseCode: {
+    type: String,
+    default: null
+  },
+  lectureNumber: {
+    type: Number,
+    default: null
+  },
+  filePath: String,
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    default: null
+  },
+  expiresAt: Date,
+  finalizedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+recordingSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Recording', recordingSchema);
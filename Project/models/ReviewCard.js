@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// One user's SM-2 review state for one flashcard
+const reviewCardSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Flashcard _id inside the study set
+  card: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  studySet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StudySet',
+    required: true,
+    index: true
+  },
+  note: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    index: true
+  },
+  // SM-2 easiness factor (never below 1.3)
+  easiness: {
+    type: Number,
+    default: 2.5
+  },
+  // Days until the next review
+  interval: {
+    type: Number,
+    default: 0
+  },
+  // Successful reviews in a row
+  repetitions: {
+    type: Number,
+    default: 0
+  },
+  // Times the card was forgotten after being learned
+  lapses: {
+    type: Number,
+    default: 0
+  },
+  reviewCount: {
+    type: Number,
+    default: 0
+  },
+  lastGrade: Number,
+  lastReviewedAt: Date,
+  dueAt: {
+    type: Date,
+    default: Date.now
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+reviewCardSchema.index({ user: 1, card: 1 }, { unique: true });
+reviewCardSchema.index({ user: 1, dueAt: 1 });
+
+// Update the updatedAt field before saving
+reviewCardSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('ReviewCard', reviewCardSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// A login session; the bearer token itself is only returned at login
+const sessionSchema = new mongoose.Schema({
+  // SHA-256 of the session token
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // MongoDB removes the session once this passes
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('Session', sessionSchema);
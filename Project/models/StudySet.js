@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+const QUESTION_TYPES = ['multiple-choice', 'true-false', 'short-answer'];
+
+// One quiz question with its answer key
+const questionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: QUESTION_TYPES,
+    required: true
+  },
+  question: {
+    type: String,
+    required: true
+  },
+  // Choices of a multiple-choice question
+  options: [String],
+  // Index into options (multiple-choice)
+  correctOption: Number,
+  // Whether the statement is true (true-false)
+  correctAnswer: Boolean,
+  // Answers accepted for a short-answer question, the model answer first
+  acceptedAnswers: [String],
+  explanation: {
+    type: String,
+    default: ''
+  }
+});
+
+// A term/definition flashcard (_id identifies the card for review scheduling)
+const flashcardSchema = new mongoose.Schema({
+  term: {
+    type: String,
+    required: true
+  },
+  definition: {
+    type: String,
+    required: true
+  }
+});
+
+// Practice quiz and flashcards generated from one note
+const studySetSchema = new mongoose.Schema({
+  note: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    required: true,
+    index: true
+  },
+  // Note revision the set was generated from
+  noteRevision: Number,
+  // Language of the questions (the note's detected language)
+  language: String,
+  languageCode: String,
+  questions: [questionSchema],
+  flashcards: [flashcardSchema],
+  // Where the flashcards came from: the note's Key Definitions or the model
+  flashcardSource: {
+    type: String,
+    enum: ['definitions', 'model', 'none'],
+    default: 'none'
+  },
+  provider: String,
+  modelUsed: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdByName: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+studySetSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const StudySet = mongoose.model('StudySet', studySetSchema);
+StudySet.QUESTION_TYPES = QUESTION_TYPES;
+
+module.exports = StudySet;
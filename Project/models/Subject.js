@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// A subject in the taxonomy used by the classifier and the UI
+const subjectSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  // Short description shown on the subject card
+  description: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  icon: {
+    type: String,
+    default: '📌'
+  },
+  color: {
+    type: String,
+    default: '#9AA5FF'
+  },
+  // Other names a model may answer with (lowercase)
+  synonyms: [String],
+  // Words that suggest the subject when they appear in a lecture (lowercase)
+  keywords: [String],
+  // Position on the homepage grid and in dropdowns
+  order: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+subjectSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Subject', subjectSchema);
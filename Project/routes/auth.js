@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const { requireRole } = require('../middleware/auth');
+const { login, logout, getCurrentUser } = require('../controllers/authController');
+
+// Sign in and receive a bearer token
+router.post('/login', login);
+
+// End the current session
+router.post('/logout', logout);
+
+// Get the signed-in user
+router.get('/me', requireRole('viewer'), getCurrentUser);
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const {
+  listCollections,
+  createCollection,
+  getCollection,
+  updateCollection,
+  setCollectionNotes,
+  addCollectionNote,
+  removeCollectionNote,
+  deleteCollection
+} = require('../controllers/collectionController');
+
+// The signed-in user's collections
+router.get('/', listCollections);
+
+// Create a collection
+router.post('/', createCollection);
+
+// Get a collection with its notes in order
+router.get('/:id', getCollection);
+
+// Rename a collection or change its description
+router.patch('/:id', updateCollection);
+
+// Replace (reorder) the collection's notes
+router.put('/:id/notes', setCollectionNotes);
+
+// Add a note (optionally at a position) / remove a note
+router.post('/:id/notes', addCollectionNote);
+router.delete('/:id/notes/:noteId', removeCollectionNote);
+
+// Delete a collection
+router.delete('/:id', deleteCollection);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const { requireRole, requireReader } = require('../middleware/auth');
+const {
+  listCourses,
+  getCourse,
+  createCourse,
+  updateCourse,
+  deleteCourse
+} = require('../controllers/courseController');
+const { createLecture } = require('../controllers/lectureController');
+
+// List courses with lecture and note counts (?semester=, ?subject=, ?instructor=)
+router.get('/', requireReader, listCourses);
+
+// Add a course
+router.post('/', requireRole('editor'), createCourse);
+
+// Get a course with its lectures in order
+router.get('/:id', requireReader, getCourse);
+
+// Edit a course
+router.patch('/:id', requireRole('editor'), updateCourse);
+
+// Delete a course and its lectures (its notes are kept)
+router.delete('/:id', requireRole('admin'), deleteCourse);
+
+// Add a lecture (numbered after the last one unless a number is given)
+router.post('/:id/lectures', requireRole('editor'), createLecture);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const {
+  registerDevice,
+  listDevices,
+  updateDevice,
+  revokeDevice,
+  rotateDeviceKey
+} = require('../controllers/deviceController');
+
+// List registered recorders with last-seen time and upload counts
+router.get('/', listDevices);
+
+// Register a recorder and issue its API key
+router.post('/', registerDevice);
+
+// Rename a recorder or change its room
+router.patch('/:id', updateDevice);
+
+// Revoke a recorder's access
+router.post('/:id/revoke', revokeDevice);
+
+// Issue a new API key for a recorder
+router.post('/:id/rotate-key', rotateDeviceKey);
+
+module.exports = router;
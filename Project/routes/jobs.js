@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const { getJobById, retryJobSegment, retryAudioSegment } = require('../controllers/jobController');
+const { requireRole } = require('../middleware/auth');
+
+// Get the status, stage, progress and result of a note-generation job
+router.get('/:id', getJobById);
+
+// Re-run one segment of a long-lecture job and merge the notes again
+router.post('/:id/segments/:index/retry', requireRole('editor'), retryJobSegment);
+
+// Re-transcribe one audio segment of a job and regenerate its notes
+router.post('/:id/audio-segments/:index/retry', requireRole('editor'), retryAudioSegment);
+
+module.exports = router;
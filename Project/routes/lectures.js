@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const { requireRole, requireReader } = require('../middleware/auth');
+const {
+  getLecture,
+  updateLecture,
+  deleteLecture
+} = require('../controllers/lectureController');
+
+// Get a lecture with its course and notes
+router.get('/:id', requireReader, getLecture);
+
+// Edit a lecture's number, title or date
+router.patch('/:id', requireRole('editor'), updateLecture);
+
+// Delete a lecture (its notes stay in the course)
+router.delete('/:id', requireRole('admin'), deleteLecture);
+
+module.exports = router;
@@ -2,21 +2,84 @@ const express = require('express');
 const router = express.Router();
 const { 
   getAllNotes, 
+  semanticSearchNotes,
   getNoteById, 
+  getNoteStructure,
+  getNoteTranscript,
   updateNote,
+  overrideNoteSubjects,
+  listTags,
+  addNoteTags,
+  removeNoteTag,
+  setNoteLecture,
   deleteNote
 } = require('../controllers/noteController');
+const { regenerateNote } = require('../controllers/jobController');
+const {
+  listRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision
+} = require('../controllers/revisionController');
+const { exportNote, exportNotes } = require('../controllers/exportController');
+const { listNoteStudySets } = require('../controllers/studySetController');
+const { listTranslations, getTranslation } = require('../controllers/translationController');
+const { requireRole, requireReader } = require('../middleware/auth');
 
 // Get all notes with comprehensive filtering (search, date filter, pagination)
-router.get('/', getAllNotes);
+router.get('/', requireReader, getAllNotes);
+
+// Download the notes matching the list filters as a zip (?format=markdown|html|pdf|docx|anki)
+router.get('/export', requireReader, exportNotes);
+
+// Passages closest in meaning to ?q= (semantic search), with the list filters
+router.get('/semantic', requireReader, semanticSearchNotes);
+
+// Every tag in use with its number of notes
+router.get('/tags', requireReader, listTags);
 
 // Get a specific note by ID
-router.get('/:id', getNoteById);
+router.get('/:id', requireReader, getNoteById);
+
+// Get the note's structure: title, introduction, sections, key definitions and formulas
+router.get('/:id/structure', requireReader, getNoteStructure);
+
+// Get the time-stamped transcript of an audio note
+router.get('/:id/transcript', requireReader, getNoteTranscript);
+
+// Download one note (?format=markdown|html|pdf|docx|anki)
+router.get('/:id/export', requireReader, exportNote);
+
+// Quizzes and flashcards generated from the note (POST /:id/quiz is in index.js; it needs the provider)
+router.get('/:id/study-sets', requireReader, listNoteStudySets);
+
+// Stored translations of the note (POST /:id/translations is in index.js; it needs the provider)
+router.get('/:id/translations', requireReader, listTranslations);
+router.get('/:id/translations/:language', requireReader, getTranslation);
+
+// Revision history: list, diff two revisions (?from=&to=), fetch one, restore one
+router.get('/:id/revisions', requireReader, listRevisions);
+router.get('/:id/revisions/diff', requireReader, diffRevisions);
+router.get('/:id/revisions/:rev', requireReader, getRevision);
+router.post('/:id/revisions/:rev/restore', requireRole('editor'), restoreRevision);
+
+// Regenerate a note from its stored transcript without uploading the audio again
+router.post('/:id/regenerate', requireRole('editor'), regenerateNote);
 
 // Update a note by ID (all fields except inputType)
-router.put('/:id', updateNote);
+router.put('/:id', requireRole('editor'), updateNote);
+
+// Manually set a note's subjects (primary first)
+router.put('/:id/subjects', requireRole('admin'), overrideNoteSubjects);
+
+// Add tags to a note / remove one tag
+router.post('/:id/tags', requireRole('editor'), addNoteTags);
+router.delete('/:id/tags/:tag', requireRole('editor'), removeNoteTag);
+
+// File a note under a course lecture (body: { lectureId }, null to remove it)
+router.put('/:id/lecture', requireRole('editor'), setNoteLecture);
 
 // Delete a note by ID
-router.delete('/:id', deleteNote);
+router.delete('/:id', requireRole('editor'), deleteNote);
 
 module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const recordingConfig = require('../config/recordings');
+const {
+  openRecording,
+  uploadChunk,
+  getRecordingStatus,
+  finalizeRecording
+} = require('../controllers/recordingController');
+
+// This router is mounted before the app's body parsers (chunks must stay raw bytes)
+const jsonBody = [express.json(), express.urlencoded({ extended: true })];
+
+// Open a resumable upload session for a recording
+router.post('/', jsonBody, openRecording);
+
+// Report received and missing chunks (used by a device to resume)
+router.get('/:id', getRecordingStatus);
+
+// Upload one numbered chunk as a raw body with an X-Chunk-Checksum (hex SHA-256) header
+router.put(
+  '/:id/chunks/:index',
+  express.raw({ type: () => true, limit: recordingConfig.maxChunkBytes }),
+  uploadChunk
+);
+
+// Assemble the chunks and start note generation
+router.post('/:id/finalize', jsonBody, finalizeRecording);
+
+module.exports = router;
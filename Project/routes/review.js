@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const { getDueCards, reviewCard } = require('../controllers/reviewController');
+
+// Flashcards due for review now, with due counts per subject
+router.get('/due', getDueCards);
+
+// Grade one review (0-5) and schedule the card's next review
+router.post('/:cardId', reviewCard);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getStudySet,
+  submitAttempt,
+  listAttempts,
+  deleteStudySet
+} = require('../controllers/studySetController');
+const { requireRole, requireReader } = require('../middleware/auth');
+
+// Get a study set's questions and flashcards (?answers=true adds the answer key for editors)
+router.get('/:id', requireReader, getStudySet);
+
+// Score a quiz attempt and return the answer key with explanations
+router.post('/:id/attempts', requireReader, submitAttempt);
+
+// The signed-in user's earlier attempts
+router.get('/:id/attempts', requireRole('viewer'), listAttempts);
+
+// Delete a study set and its attempts
+router.delete('/:id', requireRole('editor'), deleteStudySet);
+
+module.exports = router;
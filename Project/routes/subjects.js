@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const { requireRole, requireReader } = require('../middleware/auth');
+const {
+  listSubjects,
+  createSubject,
+  updateSubject,
+  deleteSubject
+} = require('../controllers/subjectController');
+
+// List subjects with their icons, colors, synonyms and keywords
+router.get('/', requireReader, listSubjects);
+
+// Add a subject
+router.post('/', requireRole('admin'), createSubject);
+
+// Edit a subject (renaming moves its notes)
+router.patch('/:id', requireRole('admin'), updateSubject);
+
+// Delete a subject (its notes move to General)
+router.delete('/:id', requireRole('admin'), deleteSubject);
+
+module.exports = router;
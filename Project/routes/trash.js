@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+  listTrash,
+  restoreNote,
+  purgeTrashedNote,
+  emptyTrash
+} = require('../controllers/trashController');
+
+// List trashed notes with the date each will be purged
+router.get('/', listTrash);
+
+// Permanently delete every trashed note
+router.delete('/', emptyTrash);
+
+// Move a trashed note back to the notes list
+router.post('/:id/restore', restoreNote);
+
+// Permanently delete one trashed note
+router.delete('/:id', purgeTrashedNote);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const { listUsers, createUser, updateUser } = require('../controllers/authController');
+
+// List user accounts
+router.get('/', listUsers);
+
+// Create a user with a role (viewer, editor or admin)
+router.post('/', createUser);
+
+// Change a user's role, status or password
+router.patch('/:id', updateUser);
+
+module.exports = router;
@@ -0,0 +1,124 @@
+// ask.js - Answer questions from the stored notes, with citations to the passages used
+//
+// The passages most similar to the question are found by semantic search
+// (services/semanticIndex.js) and given to the note provider as numbered sources. The
+// model answers only from those sources and cites them as [1], [2], ...; when nothing
+// relevant is found, or the sources do not answer the question, the answer is a refusal.
+
+const askConfig = require('../config/ask');
+const { semanticSearch } = require('./semanticIndex');
+const { detectLanguageLocally } = require('./languageDetection');
+
+// Thrown when a question cannot be asked
+class AskError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'AskError';
+    this.status = status;
+  }
+}
+
+// The model answers with this when the sources do not answer the question
+const NOT_FOUND_MARKER = 'NOT_FOUND';
+
+// Language detection of short questions is unreliable below this confidence
+const MIN_LANGUAGE_CONFIDENCE = 0.5;
+
+// Refusals in the languages lectures are most often given in (others get English)
+const REFUSALS = {
+  en: 'I could not find anything about this in the notes.',
+  hi: 'नोट्स में इसके बारे में कुछ नहीं मिला।',
+  kn: 'ಟಿಪ್ಪಣಿಗಳಲ್ಲಿ ಇದರ ಬಗ್ಗೆ ಏನೂ ಸಿಗಲಿಲ್ಲ.'
+};
+
+// Language of the question: { languageCode, language } (null code when unsure)
+const questionLanguage = (question) => {
+  const detected = detectLanguageLocally(question);
+  return detected.language && detected.confidence >= MIN_LANGUAGE_CONFIDENCE
+    ? { languageCode: detected.language, language: detected.name }
+    : { languageCode: null, language: null };
+};
+
+const buildAskPrompt = ({ question, language, passages }) => `Answer a student's question using ONLY the numbered sources below, taken from their lecture notes and transcripts.
+
+Rules:
+- Answer in the language the question is written in${language ? ` (${language})` : ''}, even when the sources are in another language.
+- Use only facts stated in the sources. Do not add outside knowledge.
+- After each sentence that uses a source, cite it by its number in square brackets, e.g. [1] or [2][3].
+- Keep the answer short: a few sentences or a short list.
+- If the sources do not answer the question, reply with exactly ${NOT_FOUND_MARKER} and nothing else.
+
+SOURCES:
+${passages.map((passage, i) => `[${i + 1}] ${passage.title}${passage.heading ? ` - ${passage.heading}` : ''}${passage.field === 'transcript' ? ' (transcript)' : ''}
+${passage.text}`).join('\n\n')}
+
+QUESTION:
+${question}`;
+
+// Citation numbers used in an answer, in order of first use
+const citedNumbers = (answer, count) => {
+  const numbers = [];
+  for (const match of answer.matchAll(/\[(\d+)\]/g)) {
+    const number = parseInt(match[1]);
+    if (number >= 1 && number <= count && !numbers.includes(number)) numbers.push(number);
+  }
+  return numbers;
+};
+
+// The refusal returned when the notes do not answer a question
+const refusal = ({ languageCode, language }, extra = {}) => ({
+  answered: false,
+  answer: REFUSALS[languageCode] || REFUSALS.en,
+  languageCode,
+  language,
+  citations: [],
+  ...extra
+});
+
+// Answer `question` from the passages of notes matching `filter`.
+// Resolves to { answered, answer, languageCode, language, citations, provider, model }, where
+// citations are the sources cited in the answer:
+// [{ ref, noteId, title, field, index, heading, text, score }] (`ref` is the [n] used in the answer).
+const answerQuestion = async ({ provider, question, filter = {} }) => {
+  const text = String(question || '').trim();
+  if (!text) {
+    throw new AskError(400, 'question is required');
+  }
+  if (text.length > askConfig.maxQuestionChars) {
+    throw new AskError(400, `question must be at most ${askConfig.maxQuestionChars} characters`);
+  }
+
+  const language = questionLanguage(text);
+  const { passages: found } = await semanticSearch({ query: text, filter, limit: askConfig.passages });
+  const passages = found.filter((passage) => passage.score >= askConfig.minScore);
+  if (passages.length === 0) {
+    return refusal(language);
+  }
+
+  const result = await provider.generate({
+    task: 'ask',
+    prompt: buildAskPrompt({ question: text, language: language.language, passages }),
+    temperature: 0.2
+  });
+
+  const answer = (result.text || '').trim();
+  const numbers = citedNumbers(answer, passages.length);
+  // An answer without citations is not grounded in the notes
+  if (!answer || answer.includes(NOT_FOUND_MARKER) || numbers.length === 0) {
+    return refusal(language, { provider: result.provider, model: result.model });
+  }
+
+  return {
+    answered: true,
+    answer,
+    ...language,
+    citations: numbers.map((number) => ({ ref: number, ...passages[number - 1] })),
+    provider: result.provider,
+    model: result.model
+  };
+};
+
+module.exports = {
+  AskError,
+  answerQuestion
+};
@@ -0,0 +1,294 @@
+// audioIngest.js - Validate and normalize uploaded audio before it is queued
+//
+// Recorders send WAV, MP3 and other containers, but also headerless PCM dumps
+// from the I2S microphone and files with the wrong mimetype. Ingestion sniffs the
+// real container from its magic bytes, wraps raw PCM in a WAV header using the
+// declared parameters, rejects empty or corrupt audio, and reports the duration,
+// sample rate and channels that are stored on the note.
+
+const fs = require('fs').promises;
+const { parseWav, buildWav } = require('./wav');
+
+// Rejected audio; `status` is the HTTP status to answer with
+class AudioIngestError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'AudioIngestError';
+    this.status = status;
+  }
+}
+
+// Mimetypes that declare headerless PCM samples
+const PCM_MIME_TYPES = ['audio/pcm', 'audio/x-pcm', 'audio/raw', 'audio/l16', 'application/octet-stream'];
+
+const MIME_TYPES = {
+  wav: 'audio/wav',
+  mp3: 'audio/mpeg',
+  aac: 'audio/aac',
+  ogg: 'audio/ogg',
+  flac: 'audio/flac',
+  m4a: 'audio/mp4',
+  webm: 'audio/webm'
+};
+
+// Formats sniffed from a frame sync rather than a magic string
+const WEAK_FORMATS = ['mp3', 'aac'];
+
+// WAV encodings that hold plain samples (PCM, IEEE float, WAVE_FORMAT_EXTENSIBLE)
+const WAV_SAMPLE_FORMATS = [1, 3, 0xfffe];
+
+// Size of an ID3v2 tag at the start of an MP3 (0 when absent)
+const id3Size = (buffer) => {
+  if (buffer.length < 10 || buffer.toString('ascii', 0, 3) !== 'ID3') return 0;
+  // Sync-safe integer: 7 bits per byte
+  const size = (buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9];
+  return 10 + size + (buffer[5] & 0x10 ? 10 : 0);
+};
+
+// Identify the container from its magic bytes; returns a key of MIME_TYPES or null
+const sniffAudioFormat = (buffer) => {
+  if (!buffer || buffer.length < 12) return null;
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WAVE') return 'wav';
+  if (buffer.toString('ascii', 0, 4) === 'OggS') return 'ogg';
+  if (buffer.toString('ascii', 0, 4) === 'fLaC') return 'flac';
+  if (buffer.toString('ascii', 4, 8) === 'ftyp') return 'm4a';
+  if (buffer.readUInt32BE(0) === 0x1a45dfa3) return 'webm';
+  if (buffer.toString('ascii', 0, 3) === 'ID3') return 'mp3';
+  if (buffer[0] === 0xff && (buffer[1] & 0xf6) === 0xf0) return 'aac';
+  if (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0 && (buffer[1] & 0x06) !== 0) return 'mp3';
+  return null;
+};
+
+// MPEG audio bitrates (kbps) and sample rates by version
+const MP3_BITRATES = {
+  1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+const MP3_SAMPLE_RATES = {
+  1: [44100, 48000, 32000],
+  2: [22050, 24000, 16000],
+  2.5: [11025, 12000, 8000]
+};
+
+// Read the first MPEG Layer III frame header; the duration assumes a constant bitrate
+const readMp3Info = (buffer) => {
+  const start = id3Size(buffer);
+  for (let offset = start; offset + 4 <= buffer.length && offset < start + 64 * 1024; offset++) {
+    if (buffer[offset] !== 0xff || (buffer[offset + 1] & 0xe0) !== 0xe0) continue;
+
+    const versionBits = (buffer[offset + 1] >> 3) & 0x03;
+    const layerBits = (buffer[offset + 1] >> 1) & 0x03;
+    const bitrateIndex = buffer[offset + 2] >> 4;
+    const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x03;
+    if (versionBits === 1 || layerBits !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) continue;
+
+    const version = versionBits === 3 ? 1 : versionBits === 2 ? 2 : 2.5;
+    const bitrate = MP3_BITRATES[version === 1 ? 1 : 2][bitrateIndex] * 1000;
+    return {
+      sampleRate: MP3_SAMPLE_RATES[version][sampleRateIndex],
+      channels: (buffer[offset + 3] >> 6) === 3 ? 1 : 2,
+      durationSeconds: ((buffer.length - offset) * 8) / bitrate
+    };
+  }
+  return null;
+};
+
+// FLAC STREAMINFO (always the first metadata block)
+const readFlacInfo = (buffer) => {
+  if (buffer.length < 8 + 34 || (buffer[4] & 0x7f) !== 0) return null;
+  const info = 8;
+  const sampleRate = (buffer[info + 10] << 12) | (buffer[info + 11] << 4) | (buffer[info + 12] >> 4);
+  const channels = ((buffer[info + 12] >> 1) & 0x07) + 1;
+  const bitDepth = (((buffer[info + 12] & 0x01) << 4) | (buffer[info + 13] >> 4)) + 1;
+  const totalSamples = (buffer[info + 13] & 0x0f) * 2 ** 32 + buffer.readUInt32BE(info + 14);
+  if (!sampleRate) return null;
+  return {
+    sampleRate,
+    channels,
+    bitDepth,
+    durationSeconds: totalSamples > 0 ? totalSamples / sampleRate : null
+  };
+};
+
+// Bare mimetype and its parameters, e.g. "audio/L16; rate=16000; channels=1"
+const parseMimeType = (mimetype = '') => {
+  const [type, ...params] = mimetype.split(';');
+  const parameters = {};
+  for (const param of params) {
+    const [key, value] = param.split('=').map((part) => part && part.trim().toLowerCase());
+    if (key) parameters[key] = value;
+  }
+  return { type: type.trim().toLowerCase(), parameters };
+};
+
+// Whether the upload explicitly says it is raw PCM (a sample rate or a PCM mimetype)
+const isDeclaredPcm = (mimetype, declared = {}) => {
+  const { type } = parseMimeType(mimetype);
+  const hasDeclaredRate = declared.sampleRate !== undefined && declared.sampleRate !== null && declared.sampleRate !== '';
+  return hasDeclaredRate || (PCM_MIME_TYPES.includes(type) && type !== 'application/octet-stream');
+};
+
+// PCM parameters declared with the upload; null when the upload is not declared as PCM
+const getPcmParams = (mimetype, declared = {}) => {
+  const { type, parameters } = parseMimeType(mimetype);
+  if (!PCM_MIME_TYPES.includes(type) && !isDeclaredPcm(mimetype, declared)) return null;
+
+  const sampleRate = parseInt(declared.sampleRate || parameters.rate);
+  // audio/L16 is 16-bit big-endian by definition (RFC 3551)
+  const bitDepth = parseInt(declared.bitDepth) || (type === 'audio/l16' ? 16 : NaN);
+  const channels = parseInt(declared.channels || parameters.channels) || 1;
+
+  if (!sampleRate || sampleRate < 8000 || sampleRate > 192000) {
+    throw new AudioIngestError(400, 'Raw PCM audio needs a sample rate between 8000 and 192000 Hz (sample_rate)');
+  }
+  if (![8, 16, 24, 32].includes(bitDepth)) {
+    throw new AudioIngestError(400, 'Raw PCM audio needs a bit depth of 8, 16, 24 or 32 (bit_depth)');
+  }
+  if (channels < 1 || channels > 8) {
+    throw new AudioIngestError(400, 'Raw PCM audio needs between 1 and 8 channels');
+  }
+  return { sampleRate, bitDepth, channels, bigEndian: type === 'audio/l16' };
+};
+
+// Reverse the byte order of every sample (big-endian PCM to WAV's little-endian)
+const swapSampleBytes = (pcm, bytesPerSample) => {
+  const swapped = Buffer.from(pcm);
+  for (let i = 0; i + bytesPerSample <= swapped.length; i += bytesPerSample) {
+    swapped.subarray(i, i + bytesPerSample).reverse();
+  }
+  return swapped;
+};
+
+// Wrap raw PCM samples in a WAV header
+const wrapPcm = (buffer, { sampleRate, bitDepth, channels, bigEndian }) => {
+  const blockAlign = channels * (bitDepth / 8);
+  // A dump cut off mid-frame would shift every following sample
+  let pcm = buffer.subarray(0, buffer.length - (buffer.length % blockAlign));
+  if (pcm.length === 0) {
+    throw new AudioIngestError(422, 'Raw PCM audio contains no complete samples');
+  }
+  if (bigEndian) {
+    pcm = swapSampleBytes(pcm, bitDepth / 8);
+  }
+  return buildWav(pcm, { sampleRate, channels, bitsPerSample: bitDepth });
+};
+
+// Check a WAV file and rebuild its header when the recorder left the sizes unset
+const normalizeWav = (buffer) => {
+  const wav = parseWav(buffer);
+  if (!wav) {
+    throw new AudioIngestError(422, 'Corrupt WAV file: missing "fmt " or "data" chunk');
+  }
+  if (!wav.channels || !wav.sampleRate || !wav.bitsPerSample || !wav.blockAlign) {
+    throw new AudioIngestError(422, 'Corrupt WAV file: invalid format header');
+  }
+  if (!WAV_SAMPLE_FORMATS.includes(wav.audioFormat)) {
+    return { buffer, wav, normalized: false };
+  }
+
+  // Streaming recorders write the header before the length is known
+  const remaining = buffer.length - wav.dataOffset;
+  if (wav.dataSize === 0 && remaining > 0) {
+    const pcm = buffer.subarray(wav.dataOffset, wav.dataOffset + remaining - (remaining % wav.blockAlign));
+    const rebuilt = buildWav(pcm, {
+      sampleRate: wav.sampleRate,
+      channels: wav.channels,
+      bitsPerSample: wav.bitsPerSample,
+      audioFormat: wav.audioFormat === 3 ? 3 : 1
+    });
+    return { buffer: rebuilt, wav: parseWav(rebuilt), normalized: true };
+  }
+  return { buffer, wav, normalized: false };
+};
+
+// Validate and normalize one audio buffer. `declared` holds the sampleRate,
+// bitDepth and channels sent with raw PCM. Resolves to the buffer to process,
+// its real mimetype and the audio metadata stored on the note.
+const ingestAudio = (buffer, { mimetype, declared = {} } = {}) => {
+  if (!buffer || buffer.length === 0) {
+    throw new AudioIngestError(400, 'Audio file is empty');
+  }
+
+  let format = sniffAudioFormat(buffer);
+  let normalized = false;
+  let info = {};
+
+  // MP3/AAC are recognized by a two-byte frame sync that raw samples can also start
+  // with, so an explicit PCM declaration wins over them
+  if (!format || (WEAK_FORMATS.includes(format) && isDeclaredPcm(mimetype, declared))) {
+    const pcm = getPcmParams(mimetype, declared);
+    if (!pcm) {
+      throw new AudioIngestError(415, 'Unrecognized audio format. Send WAV, MP3, AAC, OGG, FLAC, M4A or WebM audio, or raw PCM with sample_rate and bit_depth.');
+    }
+    buffer = wrapPcm(buffer, pcm);
+    format = 'wav';
+    normalized = true;
+  }
+
+  if (format === 'wav') {
+    const result = normalizeWav(buffer);
+    buffer = result.buffer;
+    normalized = normalized || result.normalized;
+    if (result.wav.dataSize === 0) {
+      throw new AudioIngestError(422, 'WAV file contains no audio samples');
+    }
+    info = {
+      sampleRate: result.wav.sampleRate,
+      channels: result.wav.channels,
+      bitDepth: result.wav.bitsPerSample,
+      durationSeconds: result.wav.duration
+    };
+  } else if (format === 'mp3') {
+    info = readMp3Info(buffer);
+    if (!info) {
+      throw new AudioIngestError(422, 'Corrupt MP3 file: no valid audio frame found');
+    }
+  } else if (format === 'flac') {
+    info = readFlacInfo(buffer);
+    if (!info) {
+      throw new AudioIngestError(422, 'Corrupt FLAC file: missing stream info');
+    }
+  }
+
+  return {
+    buffer,
+    mimetype: MIME_TYPES[format],
+    audio: {
+      format,
+      durationSeconds: info.durationSeconds !== undefined && info.durationSeconds !== null
+        ? Math.round(info.durationSeconds * 100) / 100
+        : null,
+      sampleRate: info.sampleRate || null,
+      channels: info.channels || null,
+      bitDepth: info.bitDepth || null,
+      size: buffer.length,
+      normalized
+    }
+  };
+};
+
+// Ingest an upload saved on disk ({ path, mimetype, originalname, size }).
+// Normalized audio replaces the file; resolves to the updated file with `audio` metadata.
+const ingestAudioFile = async (file, declared = {}) => {
+  const original = await fs.readFile(file.path);
+  const result = ingestAudio(original, { mimetype: file.mimetype, declared });
+  if (result.audio.normalized) {
+    await fs.writeFile(file.path, result.buffer);
+  }
+  if (result.mimetype !== parseMimeType(file.mimetype).type) {
+    console.log(`🔎 Audio sniffed as ${result.audio.format} (declared ${file.mimetype || 'none'})`);
+  }
+  return {
+    ...file,
+    mimetype: result.mimetype,
+    size: result.buffer.length,
+    audio: result.audio
+  };
+};
+
+module.exports = {
+  AudioIngestError,
+  sniffAudioFormat,
+  ingestAudio,
+  ingestAudioFile
+};
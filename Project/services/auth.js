@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const authConfig = require('../config/auth');
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+
+// Hash a password as "scrypt$<salt>$<hash>" (hex)
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const derived = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${derived.toString('hex')}`;
+};
+
+// Check a password against a stored hash in constant time
+const verifyPassword = async (password, passwordHash) => {
+  const [scheme, salt, hash] = (passwordHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const derived = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(derived, expected);
+};
+
+// Hash a session token for storage and lookup
+const hashSessionToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Start a session for a user and return its bearer token
+const createSession = async (user) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const session = await new Session({
+    tokenHash: hashSessionToken(token),
+    user: user._id,
+    expiresAt: new Date(Date.now() + authConfig.sessionTtlHours * 60 * 60 * 1000)
+  }).save();
+  return { token, expiresAt: session.expiresAt };
+};
+
+// Resolve a bearer token to its active user, or null
+const findSessionUser = async (token) => {
+  const session = await Session.findOne({
+    tokenHash: hashSessionToken(token),
+    expiresAt: { $gt: new Date() }
+  });
+  if (!session) return null;
+  const user = await User.findById(session.user);
+  if (!user || user.status !== 'active') return null;
+  return user;
+};
+
+// Whether a user has at least the given role
+const hasRole = (user, role) => !!user && User.ROLES.indexOf(user.role) >= User.ROLES.indexOf(role);
+
+// Create the first admin from ADMIN_USERNAME / ADMIN_PASSWORD when there are no users yet
+const ensureAdminUser = async () => {
+  if (await User.exists({})) return;
+
+  const { username, password } = authConfig.bootstrapAdmin;
+  if (!password) {
+    console.warn('⚠️ No users exist. Set ADMIN_PASSWORD to create the first admin account.');
+    return;
+  }
+  await new User({ username, passwordHash: await hashPassword(password), role: 'admin' }).save();
+  console.log('✅ Created admin user:', username);
+};
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  hashSessionToken,
+  createSession,
+  findSessionUser,
+  hasRole,
+  ensureAdminUser
+};
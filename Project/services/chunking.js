@@ -0,0 +1,147 @@
+// chunking.js - Split long lectures into overlapping segments for map-reduce note generation
+
+const chunkingConfig = require('../config/chunking');
+const { parseWav, buildWav } = require('./wav');
+
+const MP3_MIME_TYPES = ['audio/mpeg', 'audio/mp3'];
+
+// Find a natural break (paragraph, sentence, line, space) before `end`,
+// searching no further back than `minEnd`
+const findTextBreak = (text, minEnd, end) => {
+  if (end >= text.length) return text.length;
+  const window = text.substring(minEnd, end);
+  const patterns = [/\n\s*\n/g, /[.!?।॥](\s)/g, /\n/g, /\s/g];
+  for (const pattern of patterns) {
+    let lastMatch = null;
+    let match;
+    while ((match = pattern.exec(window)) !== null) {
+      lastMatch = match;
+    }
+    if (lastMatch) {
+      return minEnd + lastMatch.index + lastMatch[0].length;
+    }
+  }
+  return end;
+};
+
+// Plan overlapping character ranges for a text lecture
+const planTextSegments = (text, { segmentChars, overlapChars } = {}) => {
+  const size = segmentChars || chunkingConfig.textSegmentChars;
+  const overlap = Math.min(overlapChars !== undefined ? overlapChars : chunkingConfig.textOverlapChars, Math.floor(size / 2));
+
+  if (text.length <= size) {
+    return [{ index: 0, unit: 'chars', start: 0, end: text.length }];
+  }
+
+  const segments = [];
+  let start = 0;
+  while (start < text.length) {
+    const end = findTextBreak(text, start + Math.floor(size * 0.8), start + size);
+    segments.push({ index: segments.length, unit: 'chars', start, end });
+    if (end >= text.length) break;
+
+    // Start the next segment `overlap` characters back, on a word boundary
+    let next = Math.max(end - overlap, start + 1);
+    const space = text.indexOf(' ', next);
+    if (space !== -1 && space < end) next = space + 1;
+    start = next;
+  }
+  return segments;
+};
+
+// Plan overlapping time ranges (seconds) for WAV audio
+const planWavSegments = (wav, { segmentSeconds, overlapSeconds } = {}) => {
+  const size = segmentSeconds || chunkingConfig.audioSegmentSeconds;
+  const overlap = Math.min(overlapSeconds !== undefined ? overlapSeconds : chunkingConfig.audioOverlapSeconds, size / 2);
+
+  if (wav.duration <= size) {
+    return [{ index: 0, unit: 'seconds', start: 0, end: wav.duration }];
+  }
+
+  const segments = [];
+  let start = 0;
+  while (start < wav.duration) {
+    const end = Math.min(start + size, wav.duration);
+    segments.push({ index: segments.length, unit: 'seconds', start, end });
+    if (end >= wav.duration) break;
+    start = end - overlap;
+  }
+  return segments;
+};
+
+// Plan overlapping byte ranges for frame-based audio (MP3 decoders resync on the next frame)
+const planByteSegments = (length, { segmentBytes, overlapBytes } = {}) => {
+  const size = segmentBytes || chunkingConfig.audioSegmentBytes;
+  const overlap = Math.min(overlapBytes !== undefined ? overlapBytes : chunkingConfig.audioOverlapBytes, Math.floor(size / 2));
+
+  if (length <= size) {
+    return [{ index: 0, unit: 'bytes', start: 0, end: length }];
+  }
+
+  const segments = [];
+  let start = 0;
+  while (start < length) {
+    const end = Math.min(start + size, length);
+    segments.push({ index: segments.length, unit: 'bytes', start, end });
+    if (end >= length) break;
+    start = end - overlap;
+  }
+  return segments;
+};
+
+// Plan the segments for a pipeline input.
+// `content` is a text string or an audio file object ({ buffer, mimetype, originalname }).
+const planSegments = (content, options = {}) => {
+  if (typeof content === 'string') {
+    return planTextSegments(content, options);
+  }
+
+  const wav = parseWav(content.buffer);
+  if (wav) {
+    return planWavSegments(wav, options);
+  }
+  if (MP3_MIME_TYPES.includes(content.mimetype)) {
+    return planByteSegments(content.buffer.length, options);
+  }
+
+  // Containers such as M4A/OGG/WebM cannot be cut without decoding; send them whole
+  return [{ index: 0, unit: 'bytes', start: 0, end: content.buffer.length }];
+};
+
+// Cut one planned segment out of the pipeline input
+const extractSegment = (content, segment) => {
+  if (segment.unit === 'chars') {
+    return content.substring(segment.start, segment.end);
+  }
+
+  if (segment.unit === 'seconds') {
+    const wav = parseWav(content.buffer);
+    const align = (seconds) => Math.floor((seconds * wav.byteRate) / wav.blockAlign) * wav.blockAlign;
+    const pcm = content.buffer.subarray(
+      wav.dataOffset + align(segment.start),
+      wav.dataOffset + Math.min(align(segment.end), wav.dataSize)
+    );
+    return { ...content, buffer: buildWav(pcm, wav), size: undefined };
+  }
+
+  return { ...content, buffer: content.buffer.subarray(segment.start, segment.end), size: undefined };
+};
+
+// Human-readable description of a segment's position in the lecture
+const describeSegment = (segment) => {
+  if (segment.unit === 'seconds') {
+    const format = (seconds) => {
+      const total = Math.floor(seconds);
+      return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+    };
+    return `${format(segment.start)}–${format(segment.end)}`;
+  }
+  return `${segment.unit} ${segment.start}–${segment.end}`;
+};
+
+module.exports = {
+  planSegments,
+  planTextSegments,
+  extractSegment,
+  describeSegment
+};
@@ -0,0 +1,79 @@
+// courses.js - Course → lecture hierarchy that notes are filed under
+
+const Course = require('../models/Course');
+const Lecture = require('../models/Lecture');
+
+// Thrown when an upload names a course or lecture that cannot be used
+class CourseError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'CourseError';
+    this.status = status;
+  }
+}
+
+// Course codes are compared uppercase with single spaces ("math  2202" -> "MATH 2202")
+const normalizeCourseCode = (code) => String(code || '').trim().replace(/\s+/g, ' ').toUpperCase();
+
+// Lecture number from a request value: a positive integer, undefined when missing, or NaN when invalid
+const parseLectureNumber = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : NaN;
+};
+
+// The course with this code; a code taught in several semesters resolves to the newest course
+const findCourseByCode = (code) => Course.findOne({ code: normalizeCourseCode(code) }).sort({ createdAt: -1 });
+
+// Number for a new lecture appended to a course
+const nextLectureNumber = async (courseId) => {
+  const last = await Lecture.findOne({ course: courseId }).sort({ number: -1 }).select('number');
+  return last ? last.number + 1 : 1;
+};
+
+// The course's lecture with this number, created (held on `date`) when it does not exist yet
+const findOrCreateLecture = async (course, number, date = new Date()) => {
+  const existing = await Lecture.findOne({ course: course._id, number });
+  if (existing) return existing;
+  try {
+    const lecture = await new Lecture({ course: course._id, number, date }).save();
+    console.log(`🎓 Lecture ${number} of ${course.code} created`);
+    return lecture;
+  } catch (error) {
+    // Another upload created it at the same time
+    if (error.code === 11000) return Lecture.findOne({ course: course._id, number });
+    throw error;
+  }
+};
+
+// Check the course code (and lecture number) sent with an upload before accepting it.
+// Resolves to { course, lectureNumber }; throws CourseError when they cannot be used.
+const validateUploadCourse = async ({ courseCode, lectureNumber }) => {
+  const number = parseLectureNumber(lectureNumber);
+  if (Number.isNaN(number)) {
+    throw new CourseError(400, 'lecture_number must be a positive integer');
+  }
+  const course = await findCourseByCode(courseCode);
+  if (!course) {
+    throw new CourseError(404, `Unknown course code: ${normalizeCourseCode(courseCode)}`);
+  }
+  return { course, lectureNumber: number };
+};
+
+// The lecture an upload with a course code is filed under: the given lecture number,
+// or a new lecture after the course's last one. Resolves to { course, lecture }.
+const resolveUploadLecture = async ({ courseCode, lectureNumber, date = new Date() }) => {
+  const { course, lectureNumber: number } = await validateUploadCourse({ courseCode, lectureNumber });
+  const lecture = await findOrCreateLecture(course, number || await nextLectureNumber(course._id), date);
+  return { course, lecture };
+};
+
+module.exports = {
+  CourseError,
+  normalizeCourseCode,
+  parseLectureNumber,
+  findCourseByCode,
+  nextLectureNumber,
+  validateUploadCourse,
+  resolveUploadLecture
+};
@@ -0,0 +1,19 @@
+const crypto = require('crypto');
+
+// Hash a device API key for storage and lookup
+const hashDeviceKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Generate a new device API key; only its hash and prefix are stored
+const generateDeviceKey = () => {
+  const key = `dev_${crypto.randomBytes(24).toString('base64url')}`;
+  return {
+    key,
+    keyHash: hashDeviceKey(key),
+    keyPrefix: key.substring(0, 10)
+  };
+};
+
+module.exports = {
+  hashDeviceKey,
+  generateDeviceKey
+};
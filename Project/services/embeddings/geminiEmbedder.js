@@ -0,0 +1,29 @@
+const { GoogleGenerativeAI, TaskType } = require('@google/generative-ai');
+
+// Google Gemini embeddings (documents and queries are embedded for retrieval)
+const createGeminiEmbedder = ({ apiKey, model }) => {
+  if (!apiKey) {
+    throw new Error('GEMINI_API_KEY is not set');
+  }
+
+  const embeddingModel = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model });
+
+  const embed = async (texts, { purpose = 'document' } = {}) => {
+    const taskType = purpose === 'query' ? TaskType.RETRIEVAL_QUERY : TaskType.RETRIEVAL_DOCUMENT;
+    const result = await embeddingModel.batchEmbedContents({
+      requests: texts.map((text) => ({
+        content: { role: 'user', parts: [{ text }] },
+        taskType
+      }))
+    });
+    return result.embeddings.map((embedding) => embedding.values);
+  };
+
+  return {
+    name: 'gemini',
+    model,
+    embed
+  };
+};
+
+module.exports = createGeminiEmbedder;
@@ -0,0 +1,37 @@
+const semanticSearchConfig = require('../../config/semanticSearch');
+const createGeminiEmbedder = require('./geminiEmbedder');
+const createOpenAIEmbedder = require('./openaiEmbedder');
+const createLocalEmbedder = require('./localEmbedder');
+
+// Embedder registry: name -> factory(config)
+// Every embedder exposes { name, model, embed(texts, { purpose }) } where embed resolves
+// to one vector (array of numbers) per text. `purpose` is 'document' for indexed passages
+// and 'query' for search queries; models that embed the two differently use it.
+const registry = {
+  gemini: createGeminiEmbedder,
+  openai: createOpenAIEmbedder,
+  local: createLocalEmbedder
+};
+
+// Register an additional embedder factory under a name
+const registerEmbedder = (name, factory) => {
+  registry[name] = factory;
+};
+
+// List the names of all registered embedders
+const listEmbedders = () => Object.keys(registry);
+
+// Create an embedder from the registry using its config section
+const createEmbedder = (name = semanticSearchConfig.provider, options = {}) => {
+  const factory = registry[name];
+  if (!factory) {
+    throw new Error(`Unknown embedding provider "${name}". Available providers: ${listEmbedders().join(', ')}`);
+  }
+  return factory({ ...(semanticSearchConfig[name] || {}), ...options });
+};
+
+module.exports = {
+  registerEmbedder,
+  listEmbedders,
+  createEmbedder
+};
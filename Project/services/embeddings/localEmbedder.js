@@ -0,0 +1,71 @@
+// Offline embedder: hashed bag-of-features vectors, no model download or API key.
+//
+// Each passage is mapped to a fixed-length vector by hashing its features (terms, word
+// pairs and character trigrams of each term) into buckets with a random sign, weighted
+// by sublinear term frequency and L2-normalized. Trigrams let different forms of a word
+// ("enzyme", "enzymes", "enzymatic") land near each other. It does not know synonyms or
+// translations; use an embedding model (gemini, openai) for that.
+
+const { tokenize } = require('../searchTokenizer');
+
+// Words too common to tell passages apart
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from', 'has', 'have',
+  'how', 'in', 'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'what',
+  'when', 'where', 'which', 'who', 'why', 'will', 'with'
+]);
+
+// Relative weight of each kind of feature, by prefix: w = term, b = word pair, c = trigram
+const FEATURE_WEIGHTS = { w: 1, b: 0.5, c: 0.3 };
+
+// 32-bit FNV-1a hash of a string
+const fnv1a = (value) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// Features of a text with their number of occurrences (Map feature -> count)
+const extractFeatures = (text) => {
+  const terms = tokenize(text).map((token) => token.term).filter((term) => !STOPWORDS.has(term));
+  const features = new Map();
+  const add = (feature) => features.set(feature, (features.get(feature) || 0) + 1);
+
+  terms.forEach((term, index) => {
+    add(`w:${term}`);
+    if (index > 0) add(`b:${terms[index - 1]} ${term}`);
+    const padded = `<${term}>`;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      add(`c:${padded.substring(i, i + 3)}`);
+    }
+  });
+  return features;
+};
+
+// Hashed, normalized vector of one text
+const embedText = (text, dimensions) => {
+  const vector = new Array(dimensions).fill(0);
+  for (const [feature, count] of extractFeatures(text)) {
+    const hash = fnv1a(feature);
+    // The top bit picks the sign so that colliding features tend to cancel out
+    const sign = hash & 0x80000000 ? -1 : 1;
+    vector[hash % dimensions] += sign * FEATURE_WEIGHTS[feature[0]] * (1 + Math.log(count));
+  }
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map((value) => value / norm) : vector;
+};
+
+const createLocalEmbedder = ({ dimensions }) => {
+  const embed = async (texts) => texts.map((text) => embedText(text, dimensions));
+
+  return {
+    name: 'local',
+    model: `hashed-features-${dimensions}`,
+    embed
+  };
+};
+
+module.exports = createLocalEmbedder;
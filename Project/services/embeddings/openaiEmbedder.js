@@ -0,0 +1,23 @@
+const OpenAI = require('openai');
+
+// Generic OpenAI-compatible embeddings endpoint (hosted or self-hosted)
+const createOpenAIEmbedder = ({ baseURL, apiKey, model }) => {
+  // Self-hosted servers usually ignore the key, but the SDK requires one
+  const client = new OpenAI({ baseURL, apiKey: apiKey || 'not-needed' });
+
+  const embed = async (texts) => {
+    const response = await client.embeddings.create({ model, input: texts });
+    // Results carry their input index; keep them in input order
+    return [...response.data]
+      .sort((a, b) => a.index - b.index)
+      .map((item) => item.embedding);
+  };
+
+  return {
+    name: 'openai',
+    model,
+    embed
+  };
+};
+
+module.exports = createOpenAIEmbedder;
@@ -0,0 +1,10 @@
+// An export that cannot be produced; `status` is the HTTP status to answer with
+class ExportError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ExportError';
+    this.status = status;
+  }
+}
+
+module.exports = ExportError;
@@ -0,0 +1,44 @@
+// anki.js - Anki flashcard decks built from a note's Key Definitions section
+//
+// Decks use Anki's plain-text import format (File > Import): one tab-separated card per
+// line with header lines naming the note type, deck and tags column. Fields are HTML and
+// math is written with \( \) and \[ \] delimiters, which Anki renders with MathJax.
+
+const ExportError = require('./ExportError');
+const { renderInlineHtml } = require('./html');
+const { extractDefinitions } = require('../keyDefinitions');
+
+// Anki math delimiters, escaped for an HTML field
+const ankiMath = ({ tex, display }) => {
+  const escaped = tex.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  return display ? `\\[${escaped}\\]` : `\\(${escaped}\\)`;
+};
+
+// One field of a tab-separated line
+const ankiField = (markdown) => renderInlineHtml(markdown, ankiMath).replace(/[\t\r\n]+/g, ' ').trim();
+
+const ankiTag = (value) => String(value || '').trim().replace(/\s+/g, '_');
+
+// Anki import file for one note; throws ExportError when the note has no definitions
+const buildAnkiDeck = (note, { title } = {}) => {
+  const definitions = extractDefinitions(note.generatedNotes);
+  if (definitions.length === 0) {
+    throw new ExportError(422, 'This note has no Key Definitions to turn into flashcards');
+  }
+
+  const deck = `SmartNotes::${(title || note.title || 'Notes').replace(/::/g, ':').replace(/[\t\r\n]+/g, ' ')}`;
+  const tags = ['smartnotes', ankiTag(note.detectedSubject), ankiTag(note.languageCode)].filter(Boolean).join(' ');
+  const lines = [
+    '#separator:tab',
+    '#html:true',
+    '#notetype:Basic',
+    `#deck:${deck}`,
+    '#tags column:3',
+    ...definitions.map(({ term, definition }) => [ankiField(term), ankiField(definition), tags].join('\t'))
+  ];
+  return `${lines.join('\n')}\n`;
+};
+
+module.exports = {
+  buildAnkiDeck
+};
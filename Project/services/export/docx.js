@@ -0,0 +1,404 @@
+// docx.js - Word (DOCX) documents for exported notes
+//
+// The document is assembled from the Markdown token tree: headings, paragraphs, lists,
+// code, quotes and tables map to Word paragraph styles, and LaTeX math becomes native
+// Office Math (OMML) so equations stay editable in Word and LibreOffice.
+//
+// The XML parts are written here rather than with a DOCX library: the body is a mapping of
+// marked tokens to a handful of paragraph styles that a library would need just the same,
+// and the libraries build equations from their own objects rather than from OMML. TeX
+// parsing is left to KaTeX and the ZIP container to fflate (see zip.js).
+
+const katex = require('katex');
+// Adds \ce{...} and \pu{...}
+require('katex/contrib/mhchem');
+const { Lexer } = require('marked');
+const { createZip } = require('./zip');
+const { PLACEHOLDER_PATTERN, extractMath } = require('./math');
+const { noteMetadata } = require('./html');
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  // Characters XML 1.0 does not allow
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+
+const decodeEntities = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#(x[0-9a-f]+|\d+);/gi, (match, code) => String.fromCodePoint(code[0].toLowerCase() === 'x' ? parseInt(code.slice(1), 16) : Number(code)))
+  .replace(/&amp;/g, '&');
+
+// ---- LaTeX -> Office Math ----
+//
+// KaTeX (with mhchem, as for the HTML and PDF exports) parses the TeX into MathML, and the
+// MathML elements map one to one onto OMML. TeX that KaTeX cannot parse is kept as written.
+
+const mathRun = (text, style = '') => text
+  ? `<m:r>${style ? `<m:rPr>${style}</m:rPr>` : ''}<m:t xml:space="preserve">${escapeXml(text)}</m:t></m:r>`
+  : '';
+
+const UPRIGHT = '<m:sty m:val="p"/>';
+const BOLD = '<m:sty m:val="b"/>';
+const PLAIN = '<m:nor/>';
+
+// Operators written as n-ary (big operator) objects
+const LARGE_OPERATORS = new Set(['∑', '∏', '∐', '∫', '∬', '∭', '∮', '⋃', '⋂', '⋁', '⋀', '⨁', '⨂']);
+
+// An empty run marking an alignment point (&) in an equation array
+const ALIGNMENT_POINT = '<m:r><m:rPr><m:aln/></m:rPr><m:t></m:t></m:r>';
+
+const MATHML_TOKEN = /<(\/?)([a-z]+)((?:\s+[a-z-]+="[^"]*")*)\s*(\/?)>|([^<]+)/g;
+const MATHML_ATTRIBUTE = /([a-z-]+)="([^"]*)"/g;
+
+// Element tree ({ name, attrs, children }) of KaTeX's MathML output
+const parseMathml = (markup) => {
+  const root = { name: 'root', attrs: {}, children: [] };
+  const stack = [root];
+  for (const [, closing, name, attrs, selfClosing, text] of markup.matchAll(MATHML_TOKEN)) {
+    const parent = stack[stack.length - 1];
+    if (text !== undefined) {
+      parent.children.push(decodeEntities(text));
+    } else if (closing) {
+      if (stack.length > 1) stack.pop();
+    } else {
+      const node = {
+        name,
+        attrs: Object.fromEntries([...attrs.matchAll(MATHML_ATTRIBUTE)].map(([, key, value]) => [key, decodeEntities(value)])),
+        children: []
+      };
+      parent.children.push(node);
+      if (!selfClosing) stack.push(node);
+    }
+  }
+  return root;
+};
+
+const textOf = (node) => typeof node === 'string' ? node : node.children.map(textOf).join('');
+const elementsOf = (node) => node.children.filter((child) => typeof child !== 'string');
+const isFence = (node) => node && node.name === 'mo' && node.attrs.fence === 'true';
+
+// msub, msup, msubsup, munder, mover and munderover
+const scriptsOmml = (node, [base, first, second]) => {
+  const under = node.name === 'msub' || node.name === 'msubsup' || node.name === 'munder' || node.name === 'munderover' ? first : null;
+  const over = node.name === 'msup' || node.name === 'mover' ? first : (node.name === 'msubsup' || node.name === 'munderover' ? second : null);
+  const limits = node.name.startsWith('mu') || node.name === 'mover';
+  const symbol = base ? textOf(base).trim() : '';
+
+  if (base && base.name === 'mo' && LARGE_OPERATORS.has(symbol)) {
+    const props = `<m:chr m:val="${escapeXml(symbol)}"/><m:limLoc m:val="${limits ? 'undOvr' : 'subSup'}"/>` +
+      (under ? '' : '<m:subHide m:val="1"/>') + (over ? '' : '<m:supHide m:val="1"/>');
+    return `<m:nary><m:naryPr>${props}</m:naryPr><m:sub>${under ? nodeOmml(under) : ''}</m:sub><m:sup>${over ? nodeOmml(over) : ''}</m:sup><m:e/></m:nary>`;
+  }
+
+  const e = base ? nodeOmml(base) : '';
+  if (!limits) {
+    if (under && over) return `<m:sSubSup><m:e>${e}</m:e><m:sub>${nodeOmml(under)}</m:sub><m:sup>${nodeOmml(over)}</m:sup></m:sSubSup>`;
+    if (over) return `<m:sSup><m:e>${e}</m:e><m:sup>${nodeOmml(over)}</m:sup></m:sSup>`;
+    return `<m:sSub><m:e>${e}</m:e><m:sub>${under ? nodeOmml(under) : ''}</m:sub></m:sSub>`;
+  }
+
+  // Accents (\vec, \hat, \overline, \underline, ...)
+  const mark = (script) => script && script.name === 'mo' ? textOf(script) : null;
+  if (node.name === 'mover' && node.attrs.accent === 'true' && mark(over)) {
+    return mark(over) === '‾' || mark(over) === '¯'
+      ? `<m:bar><m:barPr><m:pos m:val="top"/></m:barPr><m:e>${e}</m:e></m:bar>`
+      : `<m:acc><m:accPr><m:chr m:val="${escapeXml(mark(over))}"/></m:accPr><m:e>${e}</m:e></m:acc>`;
+  }
+  if (node.name === 'munder' && node.attrs.accentunder === 'true' && mark(under)) {
+    return `<m:bar><m:barPr><m:pos m:val="bot"/></m:barPr><m:e>${e}</m:e></m:bar>`;
+  }
+
+  // Limits; empty ones (such as the label of a bare \ce arrow) are dropped
+  let out = e;
+  const lower = under ? nodeOmml(under) : '';
+  const upper = over ? nodeOmml(over) : '';
+  if (lower) out = `<m:limLow><m:e>${out}</m:e><m:lim>${lower}</m:lim></m:limLow>`;
+  if (upper) out = `<m:limUpp><m:e>${out}</m:e><m:lim>${upper}</m:lim></m:limUpp>`;
+  return out;
+};
+
+// Aligned equations (right/left column pairs as in aligned, or a single column as in
+// gathered) become an equation array with alignment points; cases, matrices and arrays
+// become a matrix
+const tableOmml = (node) => {
+  const rows = elementsOf(node)
+    .filter((row) => row.name === 'mtr' || row.name === 'mlabeledtr')
+    .map((row) => elementsOf(row).filter((cell) => cell.name === 'mtd').map(nodeOmml));
+  const align = (node.attrs.columnalign || 'center').split(/\s+/);
+  const columns = Math.max(1, ...rows.map((cells) => cells.length));
+
+  if (columns === 1 || (align[0] === 'right' && align[1] === 'left')) {
+    return `<m:eqArr>${rows.map((cells) => `<m:e>${cells.join(ALIGNMENT_POINT)}</m:e>`).join('')}</m:eqArr>`;
+  }
+  const columnProps = Array.from({ length: columns }, (_, i) => {
+    const jc = align[Math.min(i, align.length - 1)];
+    return `<m:mc><m:mcPr><m:count m:val="1"/><m:mcJc m:val="${jc === 'left' || jc === 'right' ? jc : 'center'}"/></m:mcPr></m:mc>`;
+  }).join('');
+  const rowsXml = rows.map((cells) => {
+    const padded = [...cells, ...Array(columns - cells.length).fill('')];
+    return `<m:mr>${padded.map((cell) => `<m:e>${cell}</m:e>`).join('')}</m:mr>`;
+  }).join('');
+  return `<m:m><m:mPr><m:mcs>${columnProps}</m:mcs></m:mPr>${rowsXml}</m:m>`;
+};
+
+const childrenOmml = (node) => elementsOf(node).map(nodeOmml).join('');
+
+const nodeOmml = (node) => {
+  const args = elementsOf(node);
+  switch (node.name) {
+    case 'annotation':
+    case 'mphantom':
+      return '';
+    case 'mi': {
+      const text = textOf(node);
+      const variant = node.attrs.mathvariant;
+      // Upright: \mathrm, \ce and \pu formulas and multi-letter names such as sin
+      return mathRun(text, variant === 'bold' ? BOLD : (variant === 'normal' || text.length > 1 ? UPRIGHT : ''));
+    }
+    case 'mn':
+    case 'mo':
+      return mathRun(textOf(node));
+    case 'mtext':
+      return mathRun(textOf(node), PLAIN);
+    case 'mspace':
+      return parseFloat(node.attrs.width) >= 0.5 ? mathRun(' ') : '';
+    case 'mfrac':
+      return `<m:f>${node.attrs.linethickness === '0px' ? '<m:fPr><m:type m:val="noBar"/></m:fPr>' : ''}` +
+        `<m:num>${args[0] ? nodeOmml(args[0]) : ''}</m:num><m:den>${args[1] ? nodeOmml(args[1]) : ''}</m:den></m:f>`;
+    case 'msqrt':
+      return `<m:rad><m:radPr><m:degHide m:val="1"/></m:radPr><m:deg/><m:e>${childrenOmml(node)}</m:e></m:rad>`;
+    case 'mroot':
+      return `<m:rad><m:deg>${args[1] ? nodeOmml(args[1]) : ''}</m:deg><m:e>${args[0] ? nodeOmml(args[0]) : ''}</m:e></m:rad>`;
+    case 'msub':
+    case 'msup':
+    case 'msubsup':
+    case 'munder':
+    case 'mover':
+    case 'munderover':
+      return scriptsOmml(node, args);
+    case 'mtable':
+      return tableOmml(node);
+    case 'mrow':
+      // \left( ... \right) and environments with delimiters (pmatrix, cases)
+      if (isFence(args[0])) {
+        const [open, ...inner] = args;
+        const close = inner.length > 0 && isFence(inner[inner.length - 1]) ? inner.pop() : null;
+        return `<m:d><m:dPr><m:begChr m:val="${escapeXml(textOf(open))}"/><m:endChr m:val="${close ? escapeXml(textOf(close)) : ''}"/></m:dPr>` +
+          `<m:e>${inner.map(nodeOmml).join('')}</m:e></m:d>`;
+      }
+      return childrenOmml(node);
+    default:
+      // math, semantics, mstyle, mpadded, ...
+      return childrenOmml(node);
+  }
+};
+
+const texToOmml = (tex) => {
+  let markup;
+  try {
+    markup = katex.renderToString(tex, { output: 'mathml', throwOnError: true, strict: false });
+  } catch (error) {
+    return mathRun(tex, PLAIN);
+  }
+  return nodeOmml(parseMathml(markup));
+};
+
+const ommlMath = ({ tex, display }) => {
+  const math = `<m:oMath>${texToOmml(tex)}</m:oMath>`;
+  return display ? `<m:oMathPara>${math}</m:oMathPara>` : math;
+};
+
+// ---- Markdown -> WordprocessingML ----
+
+const textRuns = (text, format, math) => {
+  let out = '';
+  let last = 0;
+  const props = [
+    format.bold ? '<w:b/><w:bCs/>' : '',
+    format.italic ? '<w:i/><w:iCs/>' : '',
+    format.strike ? '<w:strike/>' : '',
+    format.code ? '<w:rStyle w:val="CodeChar"/>' : ''
+  ].join('');
+  const run = (value) => value
+    ? `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}<w:t xml:space="preserve">${escapeXml(value)}</w:t></w:r>`
+    : '';
+
+  for (const match of text.matchAll(PLACEHOLDER_PATTERN)) {
+    out += run(text.slice(last, match.index));
+    const item = math[Number(match[1])];
+    if (item) out += ommlMath({ ...item, display: false });
+    last = match.index + match[0].length;
+  }
+  return out + run(text.slice(last));
+};
+
+const inlineRuns = (tokens, math, format = {}) => (tokens || []).map((token) => {
+  switch (token.type) {
+    case 'strong':
+      return inlineRuns(token.tokens, math, { ...format, bold: true });
+    case 'em':
+      return inlineRuns(token.tokens, math, { ...format, italic: true });
+    case 'del':
+      return inlineRuns(token.tokens, math, { ...format, strike: true });
+    case 'codespan':
+      return textRuns(decodeEntities(token.text), { ...format, code: true }, []);
+    case 'br':
+      return '<w:r><w:br/></w:r>';
+    case 'link':
+      return inlineRuns(token.tokens, math, format) +
+        (token.href && token.href !== token.text ? textRuns(` (${token.href})`, format, []) : '');
+    case 'image':
+      return textRuns(token.text || '', { ...format, italic: true }, math);
+    default:
+      return token.tokens ? inlineRuns(token.tokens, math, format) : textRuns(decodeEntities(token.text || token.raw || ''), format, math);
+  }
+}).join('');
+
+const paragraph = (content, { style, indent, keepLines } = {}) => {
+  const props = [
+    style ? `<w:pStyle w:val="${style}"/>` : '',
+    keepLines ? '<w:keepLines/>' : '',
+    indent ? `<w:ind w:left="${indent}" w:hanging="360"/>` : ''
+  ].join('');
+  return `<w:p>${props ? `<w:pPr>${props}</w:pPr>` : ''}${content}</w:p>`;
+};
+
+// A paragraph holding nothing but one display equation
+const DISPLAY_PLACEHOLDER = new RegExp(`^${PLACEHOLDER_PATTERN.source}$`);
+
+const displayMath = (tokens, math) => {
+  const meaningful = (tokens || []).filter((t) => !(t.type === 'text' && !t.text.trim()) && t.type !== 'br');
+  if (meaningful.length !== 1 || meaningful[0].type !== 'text') return null;
+  const match = meaningful[0].text.trim().match(DISPLAY_PLACEHOLDER);
+  const item = match && math[Number(match[1])];
+  return item && item.display ? paragraph(ommlMath(item)) : null;
+};
+
+// `style` is the paragraph style for body text (Quote inside block quotes)
+const blockXml = (tokens, math, depth = 0, style = null) => (tokens || []).map((token) => {
+  switch (token.type) {
+    case 'heading':
+      return paragraph(inlineRuns(token.tokens, math), { style: `Heading${Math.min(token.depth, 4)}` });
+    case 'paragraph':
+      return displayMath(token.tokens, math) || paragraph(inlineRuns(token.tokens, math), { style });
+    case 'text':
+      return paragraph(inlineRuns(token.tokens || [token], math), { style });
+    case 'code':
+      return token.text.split('\n').map((line) => paragraph(textRuns(line, {}, []), { style: 'Code', keepLines: true })).join('');
+    case 'blockquote':
+      return blockXml(token.tokens, math, depth, 'Quote');
+    case 'list':
+      return token.items.map((item, index) => {
+        const marker = token.ordered ? `${(Number(token.start) || 1) + index}.` : '•';
+        const [first, ...rest] = item.tokens;
+        const lead = first && (first.type === 'text' || first.type === 'paragraph')
+          ? inlineRuns(first.tokens || [first], math)
+          : '';
+        return paragraph(`<w:r><w:t xml:space="preserve">${marker}\t</w:t></w:r>${lead}`, { style: 'ListParagraph', indent: 360 * (depth + 2) }) +
+          blockXml(lead ? rest : item.tokens, math, depth + 1, style);
+      }).join('');
+    case 'table': {
+      const cell = (cellToken, header) => `<w:tc><w:tcPr><w:tcW w:w="0" w:type="auto"/></w:tcPr>${paragraph(inlineRuns(cellToken.tokens, math, { bold: header }))}</w:tc>`;
+      const rows = [
+        `<w:tr><w:trPr><w:tblHeader/></w:trPr>${token.header.map((c) => cell(c, true)).join('')}</w:tr>`,
+        ...token.rows.map((row) => `<w:tr>${row.map((c) => cell(c, false)).join('')}</w:tr>`)
+      ];
+      return `<w:tbl><w:tblPr><w:tblStyle w:val="TableGrid"/><w:tblW w:w="5000" w:type="pct"/></w:tblPr>${rows.join('')}</w:tbl>${paragraph('')}`;
+    }
+    case 'hr':
+      return '<w:p><w:pPr><w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="BCCCDC"/></w:pBdr></w:pPr></w:p>';
+    case 'space':
+      return '';
+    default:
+      return token.text ? paragraph(textRuns(decodeEntities(token.text), {}, math), { style }) : '';
+  }
+}).join('');
+
+// ---- Package parts ----
+
+const NS = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" ' +
+  'xmlns:m="http://schemas.openxmlformats.org/officeDocument/2006/math" ' +
+  'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+
+const CONTENT_TYPES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`;
+
+const PACKAGE_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`;
+
+const DOCUMENT_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`;
+
+// Nirmala UI (Windows) and Noto Sans cover the Indic scripts; Word uses the cs font for them
+const stylesXml = (languageCode) => {
+  const heading = (level, size) => `<w:style w:type="paragraph" w:styleId="Heading${level}"><w:name w:val="heading ${level}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>` +
+    `<w:pPr><w:keepNext/><w:spacing w:before="240" w:after="120"/><w:outlineLvl w:val="${level - 1}"/></w:pPr>` +
+    `<w:rPr><w:b/><w:bCs/><w:color w:val="102A43"/><w:sz w:val="${size}"/><w:szCs w:val="${size}"/></w:rPr></w:style>`;
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles ${NS}>
+<w:docDefaults>
+<w:rPrDefault><w:rPr><w:rFonts w:ascii="Noto Sans" w:hAnsi="Noto Sans" w:eastAsia="Noto Sans" w:cs="Nirmala UI"/><w:sz w:val="22"/><w:szCs w:val="22"/><w:lang w:val="en-US" w:bidi="${escapeXml(languageCode || 'en')}"/></w:rPr></w:rPrDefault>
+<w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+</w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>
+${heading(1, 36)}
+${heading(2, 30)}
+${heading(3, 26)}
+${heading(4, 24)}
+<w:style w:type="paragraph" w:styleId="ListParagraph"><w:name w:val="List Paragraph"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="60"/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="Quote"><w:name w:val="Quote"/><w:basedOn w:val="Normal"/><w:pPr><w:ind w:left="720"/></w:pPr><w:rPr><w:i/><w:iCs/><w:color w:val="52606D"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Code"><w:name w:val="Code"/><w:basedOn w:val="Normal"/><w:pPr><w:shd w:val="clear" w:color="auto" w:fill="F0F4F8"/><w:spacing w:after="0" w:line="240" w:lineRule="auto"/></w:pPr><w:rPr><w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/><w:sz w:val="20"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Meta"><w:name w:val="Meta"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="0"/></w:pPr><w:rPr><w:color w:val="52606D"/><w:sz w:val="18"/><w:szCs w:val="18"/></w:rPr></w:style>
+<w:style w:type="character" w:styleId="CodeChar"><w:name w:val="Code Char"/><w:rPr><w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/><w:shd w:val="clear" w:color="auto" w:fill="F0F4F8"/></w:rPr></w:style>
+<w:style w:type="table" w:styleId="TableGrid"><w:name w:val="Table Grid"/><w:tblPr><w:tblBorders><w:top w:val="single" w:sz="4" w:color="BCCCDC"/><w:left w:val="single" w:sz="4" w:color="BCCCDC"/><w:bottom w:val="single" w:sz="4" w:color="BCCCDC"/><w:right w:val="single" w:sz="4" w:color="BCCCDC"/><w:insideH w:val="single" w:sz="4" w:color="BCCCDC"/><w:insideV w:val="single" w:sz="4" w:color="BCCCDC"/></w:tblBorders></w:tblPr></w:style>
+</w:styles>`;
+};
+
+const coreXml = (note, title) => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+<dc:title>${escapeXml(title)}</dc:title>
+<dc:subject>${escapeXml(note.detectedSubject || '')}</dc:subject>
+<dc:language>${escapeXml(note.languageCode || 'en')}</dc:language>
+<dcterms:created xsi:type="dcterms:W3CDTF">${new Date(note.createdAt || Date.now()).toISOString()}</dcterms:created>
+</cp:coreProperties>`;
+
+// Complete DOCX file for one note
+const buildNoteDocx = (note, { title } = {}) => {
+  const { text, math } = extractMath(note.generatedNotes);
+  const meta = noteMetadata(note)
+    .map(([label, value]) => paragraph(`<w:r><w:rPr><w:b/></w:rPr><w:t xml:space="preserve">${escapeXml(label)}: </w:t></w:r><w:r><w:t xml:space="preserve">${escapeXml(value)}</w:t></w:r>`, { style: 'Meta' }))
+    .join('');
+  const body = blockXml(new Lexer({ gfm: true }).lex(text), math);
+
+  const document = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document ${NS}><w:body>${meta}${meta ? paragraph('') : ''}${body}<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1020" w:right="907" w:bottom="1020" w:left="907" w:header="709" w:footer="709" w:gutter="0"/></w:sectPr></w:body></w:document>`;
+
+  return createZip([
+    { name: '[Content_Types].xml', data: CONTENT_TYPES },
+    { name: '_rels/.rels', data: PACKAGE_RELS },
+    { name: 'docProps/core.xml', data: coreXml(note, title || note.title || 'Notes') },
+    { name: 'word/document.xml', data: document },
+    { name: 'word/_rels/document.xml.rels', data: DOCUMENT_RELS },
+    { name: 'word/styles.xml', data: stylesXml(note.languageCode) }
+  ], note.updatedAt ? new Date(note.updatedAt) : new Date());
+};
+
+module.exports = {
+  texToOmml,
+  buildNoteDocx
+};
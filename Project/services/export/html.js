@@ -0,0 +1,114 @@
+// html.js - Standalone HTML documents for exported notes (also the source for PDF printing)
+
+const { Marked } = require('marked');
+const katex = require('katex');
+const exportConfig = require('../../config/export');
+const { extractMath, restoreMath, renderMathHtml } = require('./math');
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Raw HTML in generated notes is shown as text, never injected into the document
+const markdown = new Marked({ gfm: true });
+markdown.use({
+  renderer: {
+    html({ text }) {
+      return escapeHtml(text);
+    }
+  }
+});
+
+// Convert note Markdown (with LaTeX math) to an HTML fragment
+const renderNoteHtml = (source) => {
+  const { text, math } = extractMath(source);
+  return restoreMath(markdown.parse(text), math, renderMathHtml);
+};
+
+// Convert one line of note Markdown to inline HTML, rendering math with `renderMath`
+const renderInlineHtml = (source, renderMath = renderMathHtml) => {
+  const { text, math } = extractMath(source);
+  return restoreMath(markdown.parseInline(text), math, renderMath);
+};
+
+const katexCssUrl = () => exportConfig.katexCssUrl || `https://cdn.jsdelivr.net/npm/katex@${katex.version}/dist/katex.min.css`;
+
+// Noto fonts cover every script the notes are generated in
+const FONT_STACK = [
+  "'Noto Sans'",
+  "'Noto Sans Devanagari'",
+  "'Noto Sans Kannada'",
+  "'Noto Sans Tamil'",
+  "'Noto Sans Telugu'",
+  "'Noto Sans Malayalam'",
+  "'Noto Sans Bengali'",
+  "'Noto Sans Gujarati'",
+  "'Noto Sans Gurmukhi'",
+  "'Noto Sans Oriya'",
+  'sans-serif'
+].join(', ');
+
+const STYLES = `
+  body { font-family: ${FONT_STACK}; line-height: 1.6; color: #1f2933; max-width: 50rem; margin: 2rem auto; padding: 0 1.5rem; }
+  header.note-meta { border-bottom: 1px solid #d9e2ec; margin-bottom: 1.5rem; padding-bottom: 0.75rem; color: #52606d; font-size: 0.9rem; }
+  header.note-meta dl { display: grid; grid-template-columns: max-content 1fr; gap: 0.15rem 1rem; margin: 0; }
+  header.note-meta dt { font-weight: 700; }
+  header.note-meta dd { margin: 0; }
+  pre { background: #f0f4f8; padding: 0.75rem; border-radius: 4px; overflow-x: auto; }
+  code { font-family: 'Noto Sans Mono', monospace; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #bcccdc; padding: 0.3rem 0.6rem; }
+  .katex-display { overflow-x: auto; overflow-y: hidden; }
+  @media print { body { margin: 0; max-width: none; } pre, table, .katex-display { break-inside: avoid; } }
+`;
+
+// Subject, language and dates shown above the notes (the notes carry their own title heading)
+const noteMetadata = (note) => {
+  const rows = [
+    ['Subject', note.detectedSubject],
+    ['Language', note.detectedLanguage && note.detectedLanguage !== 'unknown' ? note.detectedLanguage : null],
+    ['Room', note.room],
+    ['Created', note.createdAt ? new Date(note.createdAt).toISOString().substring(0, 10) : null],
+    ['Revision', note.revision]
+  ];
+  return rows.filter(([, value]) => value !== undefined && value !== null && value !== '');
+};
+
+// Complete HTML document for one note
+const buildNoteHtml = (note, { title } = {}) => {
+  const heading = title || note.title || 'Notes';
+  const meta = noteMetadata(note)
+    .map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`)
+    .join('');
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(note.languageCode || 'en')}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(heading)}</title>
+<link rel="stylesheet" href="${escapeHtml(katexCssUrl())}">
+<link rel="stylesheet" href="${escapeHtml(exportConfig.fontCssUrl)}">
+<style>${STYLES}</style>
+</head>
+<body>
+<header class="note-meta">
+<dl>${meta}</dl>
+</header>
+<main>
+${renderNoteHtml(note.generatedNotes)}
+</main>
+</body>
+</html>
+`;
+};
+
+module.exports = {
+  escapeHtml,
+  noteMetadata,
+  renderNoteHtml,
+  renderInlineHtml,
+  buildNoteHtml
+};
@@ -0,0 +1,117 @@
+// Note export: turns a note into a downloadable file in one of EXPORT_FORMATS
+
+const ExportError = require('./ExportError');
+const { buildNoteHtml, noteMetadata } = require('./html');
+const { launchBrowser, renderPdf } = require('./pdf');
+const { buildNoteDocx } = require('./docx');
+const { buildAnkiDeck } = require('./anki');
+const { createZip } = require('./zip');
+
+const EXPORT_FORMATS = {
+  markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  html: { extension: 'html', contentType: 'text/html; charset=utf-8' },
+  pdf: { extension: 'pdf', contentType: 'application/pdf' },
+  docx: { extension: 'docx', contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+  anki: { extension: 'txt', contentType: 'text/plain; charset=utf-8' }
+};
+
+// File name from the note title; letters of every script are kept
+const exportFilename = (note, extension) => {
+  const slug = (note.title || '')
+    .normalize('NFC')
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, 80);
+  return `${slug || `note-${note._id}`}.${extension}`;
+};
+
+// Markdown with the note's metadata as YAML front matter
+const buildMarkdown = (note) => {
+  const meta = [['Title', note.title], ...noteMetadata(note)]
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([label, value]) => `${label.toLowerCase()}: ${JSON.stringify(String(value))}`);
+  return `---\n${meta.join('\n')}\n---\n\n${(note.generatedNotes || '').trim()}\n`;
+};
+
+// Export one note. `browser` is a running launchBrowser() instance to reuse for PDFs.
+// Returns { buffer, filename, contentType }; throws ExportError when the export cannot be made.
+const exportNote = async (note, format, { browser = null } = {}) => {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) {
+    throw new ExportError(400, `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+
+  let content;
+  switch (format) {
+    case 'markdown':
+      content = buildMarkdown(note);
+      break;
+    case 'html':
+      content = buildNoteHtml(note);
+      break;
+    case 'pdf':
+      content = await renderPdf(buildNoteHtml(note), browser);
+      break;
+    case 'docx':
+      content = buildNoteDocx(note);
+      break;
+    case 'anki':
+      content = buildAnkiDeck(note);
+      break;
+  }
+
+  return {
+    buffer: Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8'),
+    filename: exportFilename(note, spec.extension),
+    contentType: spec.contentType
+  };
+};
+
+// Export several notes into one zip archive.
+// Notes that cannot be exported (e.g. no definitions for Anki) are listed in skipped.txt.
+const exportNotesZip = async (notes, format) => {
+  if (!EXPORT_FORMATS[format]) {
+    throw new ExportError(400, `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+
+  const browser = format === 'pdf' ? await launchBrowser() : null;
+  const entries = [];
+  const skipped = [];
+  const used = new Set();
+  try {
+    for (const note of notes) {
+      try {
+        const file = await exportNote(note, format, { browser });
+        // Notes with the same title get distinct names
+        let name = file.filename;
+        for (let n = 2; used.has(name); n++) {
+          name = file.filename.replace(/(\.[^.]+)$/, `-${n}$1`);
+        }
+        used.add(name);
+        entries.push({ name, data: file.buffer });
+      } catch (error) {
+        if (!(error instanceof ExportError)) throw error;
+        skipped.push(`${note._id}\t${note.title || ''}\t${error.message}`);
+      }
+    }
+  } finally {
+    if (browser) await browser.close();
+  }
+
+  if (skipped.length > 0) {
+    entries.push({ name: 'skipped.txt', data: `${skipped.join('\n')}\n` });
+  }
+  return {
+    buffer: createZip(entries),
+    exported: entries.length - (skipped.length > 0 ? 1 : 0),
+    skipped: skipped.length
+  };
+};
+
+module.exports = {
+  ExportError,
+  EXPORT_FORMATS,
+  exportFilename,
+  exportNote,
+  exportNotesZip
+};
@@ -0,0 +1,138 @@
+// math.js - Find LaTeX math in Markdown notes, normalize its delimiters and render it with KaTeX
+
+const katex = require('katex');
+// Adds \ce{...} (chemical formulas and reaction equations) and \pu{...} (units) to KaTeX
+require('katex/contrib/mhchem');
+
+// Placeholders use private-use characters so Markdown parsing leaves them alone
+const PLACEHOLDER_PATTERN = /\uE000(\d+)\uE001/g;
+
+// Display delimiters are tried before inline ones so $$ is not read as two $
+const MATH_PATTERN = /\$\$([\s\S]+?)\$\$|\\\[([\s\S]+?)\\\]|\\\(([\s\S]+?)\\\)|(?<![\\$\w])\$(?!\s)((?:\\\$|[^$\n])+?)(?<!\s)\$(?![\w$])/g;
+
+// Fenced code blocks and inline code spans are never treated as math
+const CODE_PATTERN = /(^|\n)(```|~~~)[^\n]*\n[\s\S]*?(\n\2[^\n]*(?=\n|$)|$)|`[^`\n]+`/g;
+
+// Replace every math expression with a placeholder.
+// Returns { text, math: [{ tex, display, source }] } so callers can render each expression their
+// own way (`source` is the expression as written, with its delimiters).
+const extractMath = (markdown) => {
+  const math = [];
+  const source = markdown || '';
+  let text = '';
+  let last = 0;
+
+  const replaceIn = (segment) => segment.replace(MATH_PATTERN, (match, display, bracket, paren, inline) => {
+    const tex = display !== undefined ? display : bracket !== undefined ? bracket : paren !== undefined ? paren : inline;
+    math.push({ tex: tex.trim(), display: display !== undefined || bracket !== undefined, source: match });
+    return `\uE000${math.length - 1}\uE001`;
+  });
+
+  for (const code of source.matchAll(CODE_PATTERN)) {
+    text += replaceIn(source.slice(last, code.index)) + code[0];
+    last = code.index + code[0].length;
+  }
+  text += replaceIn(source.slice(last));
+
+  return { text, math };
+};
+
+// Index of the "}" closing the "{" at `open` (-1 when unbalanced)
+const closingBrace = (text, open) => {
+  let depth = 0;
+  for (let i = open; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text[i] === '{') {
+      depth++;
+    } else if (text[i] === '}' && --depth === 0) {
+      return i;
+    }
+  }
+  return -1;
+};
+
+// Text outside math: literal dollar signs are escaped so they are not read as math, and
+// chemistry written without delimiters (\ce{...}, \pu{...}) becomes inline math
+const normalizeProse = (text) => {
+  const escaped = text.replace(/(?<!\\)\$/g, '\\$');
+  let result = '';
+  let last = 0;
+  for (const match of escaped.matchAll(/\\(?:ce|pu)\s*\{/g)) {
+    if (match.index < last) continue;
+    const end = closingBrace(escaped, match.index + match[0].length - 1);
+    if (end === -1) continue;
+    result += escaped.slice(last, match.index) + `$${escaped.slice(match.index, end + 1)}$`;
+    last = end + 1;
+  }
+  return result + escaped.slice(last);
+};
+
+// One math expression in canonical form: $tex$ inline, or a $$ block on lines of its own
+// when the expression stands alone on its line(s)
+const canonicalMath = (segment, match) => {
+  const [source, display, bracket, paren, inline] = match;
+  const tex = (display !== undefined ? display : bracket !== undefined ? bracket : paren !== undefined ? paren : inline).trim();
+  if (!tex) return source;
+  if (display === undefined && bracket === undefined) {
+    return `$${tex.replace(/\s*\n\s*/g, ' ')}$`;
+  }
+
+  const lineStart = segment.lastIndexOf('\n', match.index - 1) + 1;
+  const end = match.index + source.length;
+  const lineEnd = segment.indexOf('\n', end);
+  const before = segment.slice(lineStart, match.index);
+  const after = segment.slice(end, lineEnd === -1 ? segment.length : lineEnd);
+  if (before.trim() || after.trim()) {
+    return `$$${tex.replace(/\s*\n\s*/g, ' ')}$$`;
+  }
+  // The line's indentation keeps blocks inside list items
+  const lines = tex.split('\n').map((line) => before + line.trim());
+  return ['$$', ...lines, `${before}$$`].join('\n');
+};
+
+// Rewrite the mixed math delimiters models produce (\( \), \[ \], $ $, $$ $$) into one
+// canonical form: $...$ for inline math and $$ blocks for display math, with other dollar
+// signs escaped. Code is left untouched.
+const normalizeMathNotation = (markdown) => {
+  const source = markdown || '';
+  const normalizeSegment = (segment) => {
+    let result = '';
+    let last = 0;
+    for (const match of segment.matchAll(MATH_PATTERN)) {
+      result += normalizeProse(segment.slice(last, match.index)) + canonicalMath(segment, match);
+      last = match.index + match[0].length;
+    }
+    return result + normalizeProse(segment.slice(last));
+  };
+
+  let text = '';
+  let last = 0;
+  for (const code of source.matchAll(CODE_PATTERN)) {
+    text += normalizeSegment(source.slice(last, code.index)) + code[0];
+    last = code.index + code[0].length;
+  }
+  return text + normalizeSegment(source.slice(last));
+};
+
+// Put rendered expressions back in place of their placeholders
+const restoreMath = (text, math, render) => text.replace(PLACEHOLDER_PATTERN, (match, index) => {
+  const item = math[Number(index)];
+  return item ? render(item) : match;
+});
+
+// KaTeX HTML for one expression; invalid TeX is shown in red instead of failing the export
+const renderMathHtml = ({ tex, display }) => katex.renderToString(tex, {
+  displayMode: display,
+  throwOnError: false,
+  output: 'htmlAndMathml'
+});
+
+module.exports = {
+  PLACEHOLDER_PATTERN,
+  CODE_PATTERN,
+  extractMath,
+  restoreMath,
+  normalizeMathNotation,
+  renderMathHtml
+};
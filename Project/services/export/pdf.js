@@ -0,0 +1,43 @@
+// pdf.js - Print exported HTML to PDF with headless Chrome
+
+const exportConfig = require('../../config/export');
+const ExportError = require('./ExportError');
+
+// Start a headless browser; reuse it with renderPdf for bulk exports and close it afterwards
+const launchBrowser = async () => {
+  if (!exportConfig.chromePath) {
+    throw new ExportError(503, 'PDF export is not available: set EXPORT_CHROME_PATH to a Chrome or Chromium binary');
+  }
+  // Loaded on first use so the server starts without the PDF toolchain
+  const puppeteer = require('puppeteer-core');
+  return puppeteer.launch({
+    executablePath: exportConfig.chromePath,
+    headless: true,
+    args: ['--no-sandbox', '--disable-dev-shm-usage']
+  });
+};
+
+// Render one HTML document to an A4 PDF buffer.
+// Waits for web fonts and the KaTeX stylesheet so math and Indic scripts are shaped correctly.
+const renderPdf = async (html, browser = null) => {
+  const owner = browser ? null : await launchBrowser();
+  const page = await (browser || owner).newPage();
+  try {
+    await page.setContent(html, { waitUntil: 'networkidle0', timeout: 30000 });
+    await page.evaluate(() => document.fonts.ready);
+    const pdf = await page.pdf({
+      format: 'A4',
+      printBackground: true,
+      margin: { top: '18mm', bottom: '18mm', left: '16mm', right: '16mm' }
+    });
+    return Buffer.from(pdf);
+  } finally {
+    await page.close();
+    if (owner) await owner.close();
+  }
+};
+
+module.exports = {
+  launchBrowser,
+  renderPdf
+};
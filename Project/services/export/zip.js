@@ -0,0 +1,18 @@
+// zip.js - ZIP archives (deflate) for DOCX files and bulk exports, written with fflate
+
+const { zipSync, strToU8 } = require('fflate');
+
+// Build a ZIP archive from [{ name, data }] (data is a Buffer or string).
+// Entry names are stored as UTF-8; every entry gets `modified` as its date.
+const createZip = (entries, modified = new Date()) => {
+  const files = {};
+  for (const entry of entries) {
+    const data = typeof entry.data === 'string' ? strToU8(entry.data) : entry.data;
+    files[entry.name] = [data, { mtime: modified }];
+  }
+  return Buffer.from(zipSync(files, { level: 6 }));
+};
+
+module.exports = {
+  createZip
+};
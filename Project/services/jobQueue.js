@@ -0,0 +1,259 @@
+// jobQueue.js - Persisted note-generation jobs and the in-process worker that runs them
+
+const Job = require('../models/Job');
+const Device = require('../models/Device');
+const jobConfig = require('../config/jobs');
+const { STAGES, runNotePipeline } = require('./notePipeline');
+const { buildNoteData, saveNotes, updateGeneratedNote } = require('../controllers/noteController');
+const { saveUpload, readUpload, removeUpload } = require('./uploadStorage');
+
+// Progress reported for every stage a job goes through
+const JOB_STAGE_PROGRESS = {
+  queued: 0,
+  starting: 5,
+  ...STAGES,
+  saving: 95,
+  completed: 100
+};
+
+let workerTimer = null;
+let workerBusy = false;
+let workerProvider = null;
+
+// Create a queued job for a /generate-notes upload.
+// Audio files are kept on disk so the job can be resumed after a restart.
+// Passing `noteId` regenerates that note from `text` (its stored transcript or notes).
+// `device` is the authenticated recorder that uploaded the input, if any.
+// `user` is the signed-in user who asked for it, if any.
+// `lecture` is the course lecture the new note is filed under, if any.
+const enqueueNoteJob = async ({ type, text, file, noteId = null, device = null, user = null, lecture = null }) => {
+  const input = { type, regenerate: !!noteId };
+  if (user) {
+    input.requestedBy = user._id;
+    input.requestedByName = user.username;
+  }
+  if (device) {
+    input.deviceId = device._id;
+    input.deviceName = device.name;
+    input.room = device.room;
+  }
+  if (lecture) {
+    input.courseId = lecture.course;
+    input.lectureId = lecture._id;
+  }
+  if (file) {
+    input.filePath = file.path || await saveUpload(file.buffer, file.originalname);
+    input.mimeType = file.mimetype;
+    input.originalName = file.originalname;
+    input.size = file.size;
+    input.audio = file.audio;
+  } else {
+    input.text = text;
+  }
+
+  const job = await new Job({ input, noteId, maxAttempts: jobConfig.maxAttempts }).save();
+  console.log('📥 Job queued:', job._id);
+  if (device) {
+    await Device.updateOne({ _id: device._id }, { $inc: { uploadCount: 1 } });
+  }
+  triggerJobWorker();
+  return job;
+};
+
+// Atomically claim the oldest job that is ready to run (or the given queued job)
+const claimNextJob = (jobId = null) => Job.findOneAndUpdate(
+  jobId ? { _id: jobId, status: 'queued' } : { status: 'queued', runAt: { $lte: new Date() } },
+  {
+    $set: { status: 'running', stage: 'starting', progress: JOB_STAGE_PROGRESS.starting, startedAt: new Date(), updatedAt: new Date() },
+    $inc: { attempts: 1 }
+  },
+  { sort: { runAt: 1, createdAt: 1 }, new: true }
+);
+
+// Rebuild the pipeline content from the persisted job input
+const loadJobContent = async (job) => {
+  const { input } = job;
+  if (!input.filePath) {
+    return input.text;
+  }
+  const buffer = await readUpload(input.filePath);
+  return {
+    buffer,
+    mimetype: input.mimeType,
+    originalname: input.originalName,
+    size: input.size
+  };
+};
+
+// Run the pipeline for one claimed job and record the outcome
+const processJob = async (job, provider) => {
+  const updateStage = async (stage, progress) => {
+    job.stage = stage;
+    if (progress !== undefined) {
+      job.progress = progress;
+    } else if (JOB_STAGE_PROGRESS[stage] !== undefined) {
+      job.progress = JOB_STAGE_PROGRESS[stage];
+    }
+    await job.save();
+  };
+
+  console.log(`⚙️ Processing job ${job._id} (attempt ${job.attempts}/${job.maxAttempts})`);
+
+  try {
+    const content = await loadJobContent(job);
+    const result = await runNotePipeline({
+      provider,
+      type: job.input.type,
+      content,
+      audioSegments: job.audioSegments,
+      segments: job.segments,
+      onStage: updateStage,
+      onSegmentUpdate: async () => {
+        job.markModified('audioSegments');
+        job.markModified('segments');
+        await job.save();
+      }
+    });
+
+    await updateStage('saving');
+    const noteData = buildNoteData(result, {
+      inputType: job.input.type,
+      deviceId: job.input.deviceId,
+      deviceName: job.input.deviceName,
+      room: job.input.room,
+      courseId: job.input.courseId,
+      lectureId: job.input.lectureId,
+      audio: job.input.audio,
+      includeTranscript: !job.input.regenerate
+    });
+    // A re-run segment or a regeneration request updates the existing note
+    const savedNote = (job.noteId && await updateGeneratedNote(job.noteId, noteData, {
+      author: job.input.requestedBy ? { _id: job.input.requestedBy, username: job.input.requestedByName } : null,
+      reason: job.input.regenerate ? 'Regenerated from transcript' : 'Re-ran a failed segment'
+    })) || await saveNotes(noteData);
+
+    job.status = 'completed';
+    job.noteId = savedNote._id;
+    job.provider = result.provider;
+    job.modelUsed = result.model;
+    job.structureIssues = savedNote.structure.issues;
+    job.completedAt = new Date();
+    await updateStage('completed');
+    await removeUpload(job.input.filePath);
+    console.log('✅ Job completed:', job._id, '-> note', savedNote._id);
+  } catch (error) {
+    console.error(`❌ Job ${job._id} failed at stage "${job.stage}":`, error.message);
+    job.attemptErrors.push({ attempt: job.attempts, stage: job.stage, message: error.message });
+
+    if (job.attempts < job.maxAttempts) {
+      // Exponential backoff before the next attempt
+      const delay = jobConfig.retryDelayMs * Math.pow(2, job.attempts - 1);
+      job.status = 'queued';
+      job.runAt = new Date(Date.now() + delay);
+      job.stage = 'queued';
+      job.progress = JOB_STAGE_PROGRESS.queued;
+      console.log(`🔁 Job ${job._id} will be retried in ${delay}ms`);
+    } else {
+      // The upload is kept so failed segments can be re-run individually
+      job.status = 'failed';
+      job.stage = 'failed';
+      job.completedAt = new Date();
+    }
+    await job.save();
+  }
+};
+
+// Run every job that is ready to run, one at a time, until none is left or `deadline`
+// (a timestamp) has passed. Resolves to the number of jobs processed.
+const drainJobs = async ({ provider, deadline = Infinity }) => {
+  let count = 0;
+  let job;
+  while (Date.now() < deadline && (job = await claimNextJob())) {
+    await processJob(job, provider);
+    count += 1;
+  }
+  return count;
+};
+
+// Drain the queue in the worker (one run at a time)
+const runPendingJobs = async () => {
+  if (workerBusy || !workerProvider) return;
+  workerBusy = true;
+  try {
+    await drainJobs({ provider: workerProvider });
+  } catch (error) {
+    console.error('❌ Job worker error:', error.message);
+  } finally {
+    workerBusy = false;
+  }
+};
+
+// Process one queued job right away, in the caller (used where no worker runs, e.g. on
+// serverless deployments). Resolves to the job as it ended, or null when it was claimed
+// by someone else.
+const runJobNow = async (jobId, provider) => {
+  const job = await claimNextJob(jobId);
+  if (!job) return null;
+  await processJob(job, provider);
+  return job;
+};
+
+// Whether this process has a worker polling for jobs
+const isJobWorkerRunning = () => workerTimer !== null;
+
+// Re-queue jobs that were running when the server stopped. Serverless instances can be
+// stopped mid-job without a restart, so there only jobs without progress for
+// `staleAfterMs` are re-queued.
+const recoverInterruptedJobs = async ({ staleAfterMs = 0 } = {}) => {
+  const filter = { status: 'running' };
+  if (staleAfterMs > 0) {
+    filter.updatedAt = { $lt: new Date(Date.now() - staleAfterMs) };
+  }
+  const result = await Job.updateMany(
+    filter,
+    {
+      $set: { status: 'queued', stage: 'queued', progress: JOB_STAGE_PROGRESS.queued, runAt: new Date(), updatedAt: new Date() },
+      $push: { attemptErrors: { stage: 'interrupted', message: staleAfterMs > 0 ? 'Stopped making progress' : 'Interrupted by server restart', at: new Date() } }
+    }
+  );
+  if (result.modifiedCount > 0) {
+    console.log(`🔁 Re-queued ${result.modifiedCount} interrupted job(s)`);
+  }
+};
+
+// Ask the worker to look for jobs now instead of waiting for the next poll
+const triggerJobWorker = () => {
+  if (workerTimer) {
+    setImmediate(runPendingJobs);
+  }
+};
+
+// Start polling for queued jobs with the given provider
+const startJobWorker = async ({ provider }) => {
+  if (workerTimer) return;
+  workerProvider = provider;
+  await recoverInterruptedJobs();
+  workerTimer = setInterval(runPendingJobs, jobConfig.pollIntervalMs);
+  console.log(`👷 Job worker started (poll every ${jobConfig.pollIntervalMs}ms, max ${jobConfig.maxAttempts} attempts)`);
+  triggerJobWorker();
+};
+
+// Stop polling (a job that is already running finishes normally)
+const stopJobWorker = () => {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+};
+
+module.exports = {
+  JOB_STAGE_PROGRESS,
+  enqueueNoteJob,
+  drainJobs,
+  runJobNow,
+  recoverInterruptedJobs,
+  isJobWorkerRunning,
+  startJobWorker,
+  stopJobWorker,
+  triggerJobWorker
+};
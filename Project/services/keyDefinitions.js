@@ -0,0 +1,54 @@
+// keyDefinitions.js - Term/definition pairs from the Key Definitions section that ends every
+// generated note (used for flashcards and Anki decks)
+
+// Headings of the definitions section; notes in other languages fall back to the last
+// section made of "**term**: definition" items
+const DEFINITION_HEADING = /\b(key\s+)?(definitions?|terms|terminology|glossary|vocabulary)\b/i;
+
+// "- **term**: definition" or "1. **term** - definition"
+const BOLD_ITEM = /^\s*(?:[-*+]|\d+[.)])\s+(\*\*|__)(.+?)\1\s*[:：–—-]\s*(.+)$/;
+// "- term: definition" (only a colon, so hyphenated terms are not split)
+const PLAIN_ITEM = /^\s*(?:[-*+]|\d+[.)])\s+([^:*]{1,80}?)\s*[:：]\s*(.+)$/;
+
+const headingSections = (markdown) => {
+  const sections = [];
+  let current = { heading: '', lines: [] };
+  for (const line of (markdown || '').split('\n')) {
+    const heading = line.match(/^#{1,6}\s+(.*)$/);
+    if (heading) {
+      sections.push(current);
+      current = { heading: heading[1].replace(/[*_`]/g, '').trim(), lines: [] };
+    } else {
+      current.lines.push(line);
+    }
+  }
+  sections.push(current);
+  return sections;
+};
+
+const parseDefinition = (line) => {
+  const bold = line.match(BOLD_ITEM);
+  if (bold) return { term: bold[2].trim(), definition: bold[3].trim() };
+  const plain = line.match(PLAIN_ITEM);
+  return plain ? { term: plain[1].trim(), definition: plain[2].trim() } : null;
+};
+
+const sectionDefinitions = (section) => section.lines
+  .map(parseDefinition)
+  .filter((item) => item && item.term && item.definition);
+
+// Term/definition pairs from the note's Key Definitions section
+const extractDefinitions = (markdown) => {
+  const sections = headingSections(markdown);
+  const named = sections.filter((s) => DEFINITION_HEADING.test(s.heading));
+  for (const section of named.reverse()) {
+    const items = sectionDefinitions(section);
+    if (items.length > 0) return items;
+  }
+  const bolded = sections.filter((section) => section.lines.some((line) => BOLD_ITEM.test(line)));
+  return bolded.length > 0 ? sectionDefinitions(bolded[bolded.length - 1]) : [];
+};
+
+module.exports = {
+  extractDefinitions
+};
@@ -0,0 +1,268 @@
+// languageDetection.js - Offline language detection by Unicode script and character trigrams
+//
+// Most scripts map straight to a language (Kannada, Tamil, Telugu, ...). Scripts shared
+// by several languages (Latin, Devanagari) are told apart with trigram profiles built
+// from the sample text below; Arabic-script languages by their distinctive letters.
+// Results use ISO 639-1 codes so the same language is always stored the same way.
+
+// ISO 639-1 code -> English name (used in prompts and stored on notes)
+const LANGUAGE_NAMES = {
+  en: 'English',
+  es: 'Spanish',
+  fr: 'French',
+  de: 'German',
+  it: 'Italian',
+  pt: 'Portuguese',
+  nl: 'Dutch',
+  id: 'Indonesian',
+  hi: 'Hindi',
+  mr: 'Marathi',
+  kn: 'Kannada',
+  ta: 'Tamil',
+  te: 'Telugu',
+  ml: 'Malayalam',
+  bn: 'Bengali',
+  gu: 'Gujarati',
+  pa: 'Punjabi',
+  or: 'Odia',
+  ar: 'Arabic',
+  ur: 'Urdu',
+  fa: 'Persian',
+  zh: 'Chinese',
+  ja: 'Japanese',
+  ko: 'Korean',
+  ru: 'Russian',
+  el: 'Greek',
+  he: 'Hebrew',
+  th: 'Thai'
+};
+
+// Other spellings a model may answer with
+const LANGUAGE_ALIASES = {
+  bangla: 'bn',
+  panjabi: 'pa',
+  oriya: 'or',
+  farsi: 'fa',
+  mandarin: 'zh',
+  cantonese: 'zh',
+  'ಕನ್ನಡ': 'kn',
+  'हिन्दी': 'hi',
+  'हिंदी': 'hi',
+  'मराठी': 'mr',
+  'தமிழ்': 'ta',
+  'తెలుగు': 'te',
+  'বাংলা': 'bn',
+  'ગુજરાતી': 'gu',
+  'ਪੰਜਾਬੀ': 'pa'
+};
+
+// Unicode blocks; `language` is set when the script is used by one language
+const SCRIPTS = [
+  { script: 'Latin', ranges: [[0x41, 0x5a], [0x61, 0x7a], [0xc0, 0x24f]] },
+  { script: 'Devanagari', ranges: [[0x900, 0x97f]] },
+  { script: 'Bengali', ranges: [[0x980, 0x9ff]], language: 'bn' },
+  { script: 'Gurmukhi', ranges: [[0xa00, 0xa7f]], language: 'pa' },
+  { script: 'Gujarati', ranges: [[0xa80, 0xaff]], language: 'gu' },
+  { script: 'Oriya', ranges: [[0xb00, 0xb7f]], language: 'or' },
+  { script: 'Tamil', ranges: [[0xb80, 0xbff]], language: 'ta' },
+  { script: 'Telugu', ranges: [[0xc00, 0xc7f]], language: 'te' },
+  { script: 'Kannada', ranges: [[0xc80, 0xcff]], language: 'kn' },
+  { script: 'Malayalam', ranges: [[0xd00, 0xd7f]], language: 'ml' },
+  { script: 'Arabic', ranges: [[0x600, 0x6ff], [0x750, 0x77f], [0xfb50, 0xfdff], [0xfe70, 0xfeff]] },
+  { script: 'Kana', ranges: [[0x3040, 0x30ff]] },
+  { script: 'Han', ranges: [[0x3400, 0x4dbf], [0x4e00, 0x9fff]] },
+  { script: 'Hangul', ranges: [[0x1100, 0x11ff], [0x3130, 0x318f], [0xac00, 0xd7af]], language: 'ko' },
+  { script: 'Cyrillic', ranges: [[0x400, 0x4ff]], language: 'ru' },
+  { script: 'Greek', ranges: [[0x370, 0x3ff]], language: 'el' },
+  { script: 'Hebrew', ranges: [[0x590, 0x5ff]], language: 'he' },
+  { script: 'Thai', ranges: [[0xe00, 0xe7f]], language: 'th' }
+];
+
+// Sample text for the trigram profiles of languages that share a script
+const SAMPLES = {
+  en: 'The lecture today is about the structure of the cell and how energy is used in living things. We will see that the process of respiration takes place in the mitochondria, which are known as the powerhouse of the cell. It is important to understand these ideas for the exam, so please write down the definitions and ask questions when something is not clear. In this chapter we have also discussed the history of the theory and the experiments that were carried out by scientists.',
+  es: 'La clase de hoy trata sobre la estructura de la célula y cómo se utiliza la energía en los seres vivos. Vamos a ver que el proceso de respiración se lleva a cabo en las mitocondrias, que son conocidas como la central energética de la célula. Es importante entender estas ideas para el examen, así que por favor escriban las definiciones y hagan preguntas cuando algo no esté claro. En este capítulo también hemos hablado de la historia de la teoría y de los experimentos que realizaron los científicos.',
+  fr: "Le cours d'aujourd'hui porte sur la structure de la cellule et sur la façon dont l'énergie est utilisée par les êtres vivants. Nous verrons que le processus de respiration a lieu dans les mitochondries, qui sont connues comme la centrale énergétique de la cellule. Il est important de comprendre ces idées pour l'examen, alors notez les définitions et posez des questions quand quelque chose n'est pas clair. Dans ce chapitre nous avons aussi parlé de l'histoire de la théorie et des expériences qui ont été réalisées par les scientifiques.",
+  de: 'Die heutige Vorlesung handelt von der Struktur der Zelle und davon, wie Energie in Lebewesen genutzt wird. Wir werden sehen, dass der Prozess der Atmung in den Mitochondrien stattfindet, die als Kraftwerk der Zelle bekannt sind. Es ist wichtig, diese Ideen für die Prüfung zu verstehen, also schreiben Sie bitte die Definitionen auf und stellen Sie Fragen, wenn etwas nicht klar ist. In diesem Kapitel haben wir auch über die Geschichte der Theorie und die Experimente gesprochen, die von Wissenschaftlern durchgeführt wurden.',
+  it: "La lezione di oggi riguarda la struttura della cellula e il modo in cui l'energia viene utilizzata negli esseri viventi. Vedremo che il processo di respirazione avviene nei mitocondri, che sono conosciuti come la centrale energetica della cellula. È importante capire queste idee per l'esame, quindi scrivete le definizioni e fate domande quando qualcosa non è chiaro. In questo capitolo abbiamo anche parlato della storia della teoria e degli esperimenti che sono stati condotti dagli scienziati.",
+  pt: 'A aula de hoje é sobre a estrutura da célula e como a energia é usada nos seres vivos. Vamos ver que o processo de respiração acontece nas mitocôndrias, que são conhecidas como a usina de energia da célula. É importante entender essas ideias para a prova, então por favor anotem as definições e façam perguntas quando algo não estiver claro. Neste capítulo também falamos sobre a história da teoria e os experimentos que foram realizados pelos cientistas.',
+  nl: 'Het college van vandaag gaat over de structuur van de cel en hoe energie wordt gebruikt in levende wezens. We zullen zien dat het proces van ademhaling plaatsvindt in de mitochondriën, die bekend staan als de energiecentrale van de cel. Het is belangrijk om deze ideeën te begrijpen voor het examen, dus schrijf de definities op en stel vragen als iets niet duidelijk is. In dit hoofdstuk hebben we ook gesproken over de geschiedenis van de theorie en de experimenten die door wetenschappers zijn uitgevoerd.',
+  id: 'Kuliah hari ini membahas tentang struktur sel dan bagaimana energi digunakan oleh makhluk hidup. Kita akan melihat bahwa proses respirasi terjadi di dalam mitokondria, yang dikenal sebagai pembangkit tenaga sel. Sangat penting untuk memahami ide-ide ini untuk ujian, jadi silakan tulis definisinya dan ajukan pertanyaan jika ada sesuatu yang tidak jelas. Dalam bab ini kita juga telah membahas sejarah teori tersebut dan percobaan yang dilakukan oleh para ilmuwan.',
+  hi: 'आज का व्याख्यान कोशिका की संरचना के बारे में है और यह कि जीवित प्राणियों में ऊर्जा का उपयोग कैसे होता है। हम देखेंगे कि श्वसन की प्रक्रिया माइटोकॉन्ड्रिया में होती है, जिन्हें कोशिका का पावरहाउस कहा जाता है। परीक्षा के लिए इन विचारों को समझना बहुत ज़रूरी है, इसलिए कृपया परिभाषाएँ लिख लें और जब कुछ स्पष्ट न हो तो प्रश्न पूछें। इस अध्याय में हमने सिद्धांत के इतिहास और वैज्ञानिकों द्वारा किए गए प्रयोगों के बारे में भी चर्चा की है।',
+  mr: 'आजचे व्याख्यान पेशीच्या रचनेबद्दल आहे आणि सजीवांमध्ये ऊर्जेचा वापर कसा होतो याबद्दल आहे. आपण पाहू की श्वसनाची प्रक्रिया मायटोकॉन्ड्रियामध्ये होते, ज्यांना पेशीचे ऊर्जाकेंद्र म्हणतात. परीक्षेसाठी या कल्पना समजणे खूप महत्त्वाचे आहे, म्हणून कृपया व्याख्या लिहून घ्या आणि काही स्पष्ट नसेल तेव्हा प्रश्न विचारा. या प्रकरणात आपण सिद्धांताच्या इतिहासाबद्दल आणि शास्त्रज्ञांनी केलेल्या प्रयोगांबद्दलही चर्चा केली आहे.'
+};
+
+const SCRIPT_LANGUAGES = {
+  Latin: ['en', 'es', 'fr', 'de', 'it', 'pt', 'nl', 'id'],
+  Devanagari: ['hi', 'mr']
+};
+
+// Letters that set Urdu and Persian apart from Arabic
+const ARABIC_SCRIPT_MARKERS = {
+  ur: /[ٹڈڑںھہے]/g,
+  fa: /[پچژکگی]/g,
+  ar: /[ةكيى]/g
+};
+
+// A second language has to cover this share of the text to report the lecture as mixed
+const MIXED_MIN_SHARE = 0.2;
+// Texts shorter than this (in letters) get proportionally lower confidence
+const MIN_CONFIDENT_LETTERS = 40;
+// Only the start of long transcripts is analysed
+const MAX_ANALYSED_CHARS = 20000;
+
+const scriptOf = (codePoint) => {
+  for (const entry of SCRIPTS) {
+    for (const [from, to] of entry.ranges) {
+      if (codePoint >= from && codePoint <= to) return entry;
+    }
+  }
+  return null;
+};
+
+// Character trigram counts of the words in a text
+const trigramCounts = (text) => {
+  const counts = new Map();
+  const words = text.toLowerCase().split(/[^\p{L}\p{M}]+/u).filter(Boolean);
+  for (const word of words) {
+    const padded = ` ${word} `;
+    const chars = Array.from(padded);
+    for (let i = 0; i + 3 <= chars.length; i++) {
+      const gram = chars.slice(i, i + 3).join('');
+      counts.set(gram, (counts.get(gram) || 0) + 1);
+    }
+  }
+  return counts;
+};
+
+const norm = (counts) => Math.sqrt(Array.from(counts.values()).reduce((sum, n) => sum + n * n, 0));
+
+const PROFILES = Object.fromEntries(Object.entries(SAMPLES).map(([code, sample]) => {
+  const counts = trigramCounts(sample);
+  return [code, { counts, norm: norm(counts) }];
+}));
+
+// Rank the candidate languages by cosine similarity of trigram counts.
+// Confidence grows with the lead of the best language over the runner-up.
+const classifyByTrigrams = (text, candidates) => {
+  const counts = trigramCounts(text);
+  const textNorm = norm(counts);
+  if (textNorm === 0) return { language: candidates[0], confidence: 0 };
+
+  const scores = candidates.map((code) => {
+    const profile = PROFILES[code];
+    let dot = 0;
+    for (const [gram, n] of counts) {
+      dot += n * (profile.counts.get(gram) || 0);
+    }
+    return { language: code, score: dot / (textNorm * profile.norm) };
+  }).sort((a, b) => b.score - a.score);
+
+  const [best, second] = scores;
+  const lead = best.score > 0 ? (best.score - (second ? second.score : 0)) / best.score : 0;
+  return { language: best.language, confidence: Math.min(1, lead * 2.5) };
+};
+
+const classifyArabicScript = (text) => {
+  const hits = Object.fromEntries(Object.entries(ARABIC_SCRIPT_MARKERS).map(([code, pattern]) => [code, (text.match(pattern) || []).length]));
+  if (hits.ur > 0 && hits.ur >= hits.fa / 2) return { language: 'ur', confidence: 0.8 };
+  if (hits.fa > hits.ar) return { language: 'fa', confidence: 0.7 };
+  return { language: 'ar', confidence: hits.ar > 0 ? 0.9 : 0.6 };
+};
+
+// Language of the text written in one script
+const classifyScript = (script, text, scriptCounts) => {
+  if (SCRIPT_LANGUAGES[script]) return classifyByTrigrams(text, SCRIPT_LANGUAGES[script]);
+  if (script === 'Arabic') return classifyArabicScript(text);
+  // Japanese mixes kana with Han characters; Chinese uses Han alone
+  if (script === 'Han' || script === 'Kana') {
+    const kana = scriptCounts.Kana || 0;
+    const han = scriptCounts.Han || 0;
+    return kana > 0.1 * (kana + han) ? { language: 'ja', confidence: 0.95 } : { language: 'zh', confidence: 0.9 };
+  }
+  const entry = SCRIPTS.find((s) => s.script === script);
+  return { language: entry.language, confidence: 0.98 };
+};
+
+// Detect the language(s) of a text without any network call.
+// Returns { language, name, confidence, mixed, languages: [{ language, name, share }], script }
+// where `language` is an ISO 639-1 code (null when the text has no letters).
+const detectLanguageLocally = (text) => {
+  const sample = (text || '').substring(0, MAX_ANALYSED_CHARS);
+
+  // Split the text into runs by script, counting letters per script
+  const scriptCounts = {};
+  const scriptText = {};
+  for (const char of sample) {
+    const entry = scriptOf(char.codePointAt(0));
+    const script = entry ? (entry.script === 'Kana' ? 'Han' : entry.script) : null;
+    if (script) {
+      scriptCounts[entry.script] = (scriptCounts[entry.script] || 0) + 1;
+      scriptText[script] = (scriptText[script] || '') + char;
+    } else {
+      // Keep word boundaries inside each script's text
+      for (const key of Object.keys(scriptText)) {
+        if (!scriptText[key].endsWith(' ')) scriptText[key] += ' ';
+      }
+    }
+  }
+
+  const letterCount = Object.values(scriptCounts).reduce((sum, n) => sum + n, 0);
+  if (letterCount === 0) {
+    return { language: null, name: 'unknown', confidence: 0, mixed: false, languages: [], script: null };
+  }
+
+  // Language of each script, weighted by its share of the letters
+  const shares = {};
+  const confidences = {};
+  for (const [script, content] of Object.entries(scriptText)) {
+    const letters = script === 'Han' ? (scriptCounts.Han || 0) + (scriptCounts.Kana || 0) : scriptCounts[script];
+    const share = letters / letterCount;
+    const result = classifyScript(script, content, scriptCounts);
+    shares[result.language] = (shares[result.language] || 0) + share;
+    confidences[result.language] = Math.max(confidences[result.language] || 0, result.confidence);
+  }
+
+  const languages = Object.entries(shares)
+    .map(([code, share]) => ({ language: code, name: LANGUAGE_NAMES[code], share: Math.round(share * 100) / 100 }))
+    .sort((a, b) => b.share - a.share);
+  const primary = languages[0];
+  const mixed = languages.length > 1 && languages[1].share >= MIXED_MIN_SHARE;
+
+  // Confidence falls with short texts and with letters in other languages
+  // (a Han or Hangul character carries about as much as a short word). In mixed text it
+  // follows the lead over the second language, so close mixes are left to the model.
+  const weightedLetters = letterCount + 2 * ((scriptCounts.Han || 0) + (scriptCounts.Kana || 0) + (scriptCounts.Hangul || 0));
+  const lengthFactor = Math.min(1, weightedLetters / MIN_CONFIDENT_LETTERS);
+  const shareFactor = mixed ? primary.share - languages[1].share : Math.max(primary.share, 0.5);
+  const confidence = confidences[primary.language] * lengthFactor * shareFactor;
+
+  return {
+    language: primary.language,
+    name: primary.name,
+    confidence: Math.round(confidence * 100) / 100,
+    mixed,
+    languages: languages.filter((l) => l.share >= 0.05),
+    script: Object.keys(scriptText).sort((a, b) => (scriptText[b].length - scriptText[a].length))[0]
+  };
+};
+
+// Map a language code or a free-form name (as returned by a model) to its ISO 639-1 code
+const normalizeLanguage = (value) => {
+  if (!value) return null;
+  const cleaned = String(value).trim().toLowerCase().replace(/[."'`*]/g, '').split(/[\n,(]/)[0].trim();
+  if (LANGUAGE_NAMES[cleaned]) return cleaned;
+  if (LANGUAGE_ALIASES[cleaned]) return LANGUAGE_ALIASES[cleaned];
+  const byName = Object.entries(LANGUAGE_NAMES).find(([, name]) => name.toLowerCase() === cleaned);
+  return byName ? byName[0] : null;
+};
+
+// English name for a language code ('unknown' when not recognized)
+const languageName = (code) => LANGUAGE_NAMES[code] || 'unknown';
+
+module.exports = {
+  LANGUAGE_NAMES,
+  detectLanguageLocally,
+  normalizeLanguage,
+  languageName
+};
@@ -0,0 +1,83 @@
+// maintenance.js - Startup and periodic housekeeping, shared by the long-running server
+// and the serverless deployment
+//
+// The server runs the startup tasks before it listens and the periodic tasks on timers.
+// Serverless instances have no timers: they run the startup tasks on their first request
+// and the periodic tasks when the scheduler calls /api/maintenance/run (see index.js).
+
+const { ensureDBConnection } = require('../config/db');
+const { ensureAdminUser } = require('./auth');
+const { ensureDefaultSubjects } = require('./subjects');
+const { reindexNotes } = require('./search');
+const { indexPendingNotes } = require('./semanticIndex');
+const { purgeExpiredRecordings } = require('./recordingStorage');
+const { purgeExpiredTrash } = require('./trash');
+
+let startupRun = null;
+
+// Create the first admin account and the default subjects on a fresh database, and index
+// notes saved before search indexing existed. Runs once per process; when the database is
+// not reachable it is tried again on the next call. Resolves to whether it has run.
+const runStartupTasks = () => {
+  if (!startupRun) {
+    startupRun = (async () => {
+      if (!await ensureDBConnection()) {
+        startupRun = null;
+        return false;
+      }
+      await ensureAdminUser();
+      await ensureDefaultSubjects();
+      // Index notes for search in the background (only notes saved before indexing existed)
+      reindexNotes().catch((error) => {
+        console.error('❌ Failed to build the search index:', error.message);
+      });
+      return true;
+    })().catch((error) => {
+      startupRun = null;
+      throw error;
+    });
+  }
+  return startupRun;
+};
+
+// Express middleware running the startup tasks before the first request is handled
+const requireStartupTasks = async (req, res, next) => {
+  try {
+    await runStartupTasks();
+  } catch (error) {
+    console.error('❌ Startup tasks failed:', error.message);
+  }
+  next();
+};
+
+// Clean up recording uploads that were never finalized
+const purgeRecordings = () => purgeExpiredRecordings().catch((error) => {
+  console.error('❌ Failed to purge expired recordings:', error.message);
+});
+
+// Permanently delete notes that have been in the trash longer than the retention period
+const purgeTrash = () => purgeExpiredTrash().catch((error) => {
+  console.error('❌ Failed to purge trash:', error.message);
+});
+
+// Embed notes for semantic search; saved and edited notes are embedded right away, this
+// catches up after failures (e.g. the embedding API was unavailable)
+const embedNotes = () => indexPendingNotes().catch((error) => {
+  console.error('❌ Failed to update the semantic index:', error.message);
+});
+
+// Run every periodic task once (errors are logged, not thrown)
+const runPeriodicTasks = async () => {
+  await purgeRecordings();
+  await purgeTrash();
+  await embedNotes();
+};
+
+module.exports = {
+  runStartupTasks,
+  requireStartupTasks,
+  purgeRecordings,
+  purgeTrash,
+  embedNotes,
+  runPeriodicTasks
+};
@@ -0,0 +1,513 @@
+// notePipeline.js - Language/subject detection and note generation pipeline
+
+const chunkingConfig = require("../config/chunking");
+const languageConfig = require("../config/language");
+const subjectConfig = require("../config/subjects");
+const { detectLanguageLocally, normalizeLanguage, languageName } = require("./languageDetection");
+const { planSegments, extractSegment, describeSegment } = require("./chunking");
+const { transcribeAudio } = require("./transcription");
+const { streamGenerate } = require("./providers");
+const { FALLBACK_SUBJECT, loadSubjectTaxonomy } = require("./subjects");
+const { normalizeMathNotation } = require("./export/math");
+const { structureNotes } = require("./noteStructure");
+const { tokenize } = require("./searchTokenizer");
+
+// Ask the model for the language of a text (free-form name, or "unknown")
+const askModelForLanguage = async (provider, text, signal) => {
+  try {
+    const detectionResult = await provider.generate({
+      task: "detect-language",
+      prompt: `Identify the language of this text. Respond with ONLY the language name in English (e.g., "English", "Spanish", "French", "Hindi", "Kannada", "Tamil", "Telugu", "Bengali", "Gujarati", "Marathi", "Punjabi", "Chinese", "Japanese", "Korean", "Arabic", "German", "Italian", "Portuguese", "Russian", etc.). Do not include any other text or explanation:
+
+"${text.substring(0, 500)}"`,
+      temperature: 0.1,
+      maxOutputTokens: 20,
+      signal,
+    });
+    const detectedLang = detectionResult.text.trim();
+    // Clean up any extra text that might come with the response
+    const cleanLang = detectedLang.split('\n')[0].split('.')[0].trim();
+    console.log("Raw language detection:", detectedLang);
+    console.log("Cleaned language:", cleanLang);
+    return cleanLang;
+  } catch (error) {
+    console.warn("Language detection failed:", error.message);
+    return "unknown";
+  }
+};
+
+// Detect the language of a text locally by script and trigram statistics; the model
+// is only asked when the local result is not confident. Resolves to the local
+// detection result ({ language (ISO 639-1), name, confidence, mixed, languages })
+// plus `source` ("local" or "model").
+const detectLanguage = async (provider, text, signal) => {
+  const local = detectLanguageLocally(text);
+  console.log(`Local language detection: ${local.language || 'none'} (confidence ${local.confidence}${local.mixed ? ', mixed' : ''})`);
+  if ((local.language && local.confidence >= languageConfig.minConfidence) || !languageConfig.modelFallback) {
+    return { ...local, source: "local" };
+  }
+
+  const code = normalizeLanguage(await askModelForLanguage(provider, text, signal));
+  if (!code) {
+    return { ...local, source: "local" };
+  }
+  const languages = local.languages.length > 0 && local.languages[0].language !== code
+    ? [{ language: code, name: languageName(code), share: local.languages[0].share }, ...local.languages.slice(1)]
+    : local.languages;
+  return {
+    ...local,
+    language: code,
+    name: languageName(code),
+    // Local and model agreeing is stronger evidence than either alone
+    confidence: code === local.language ? Math.max(local.confidence, 0.9) : 0.7,
+    languages,
+    source: "model"
+  };
+};
+
+// Weight of the model's vote by the rank it gave a subject
+const MODEL_RANK_WEIGHTS = [1, 0.6, 0.35];
+// Matched keywords kept as evidence per subject
+const MAX_EVIDENCE_KEYWORDS = 10;
+
+// Classify a text into a ranked list of subjects from the admin-managed taxonomy.
+// Each subject is scored from the model's ranked vote and the taxonomy keywords found
+// in the text; confidences are the subjects' shares of the total score. Resolves to
+// { subject (primary), confidence, subjects: [{ name, confidence, modelRank, keywords }] }.
+const detectSubject = async (provider, text, signal) => {
+  const subjects = await loadSubjectTaxonomy();
+  const allowedSubjects = subjects.map((s) => s.name);
+  if (!allowedSubjects.includes(FALLBACK_SUBJECT)) {
+    allowedSubjects.push(FALLBACK_SUBJECT);
+  }
+
+  const synonyms = {};
+  const keywordMap = {};
+  for (const subject of subjects) {
+    for (const synonym of subject.synonyms || []) {
+      synonyms[synonym.toLowerCase()] = subject.name;
+    }
+    if (subject.keywords && subject.keywords.length > 0) {
+      keywordMap[subject.name] = subject.keywords.map((kw) => kw.toLowerCase());
+    }
+  }
+
+  // Map a free-form model answer onto a taxonomy subject (exact, substring, then synonym match)
+  const mapToSubject = (answer) => {
+    const cleaned = answer.replace(/["“”‘’*]/g, '').replace(/^\s*(\d+[.)]|[-•])\s*/, '').split('.')[0].trim().toLowerCase();
+    if (!cleaned) return null;
+    const exact = allowedSubjects.find((s) => s.toLowerCase() === cleaned);
+    if (exact) return exact;
+    const contains = allowedSubjects.find((s) => cleaned.includes(s.toLowerCase()));
+    if (contains) return contains;
+    const synonym = Object.keys(synonyms).find((k) => cleaned.includes(k));
+    return synonym ? synonyms[synonym] : null;
+  };
+
+  // Keyword evidence from the full text. Keywords match whole words (a multi-word keyword
+  // matches consecutive words), so "ph" does not match inside "photosynthesis".
+  const termsOf = (value) => ` ${tokenize(value).map((token) => token.term).join(" ")} `;
+  const textTerms = termsOf(text);
+  const evidence = {};
+  for (const [subject, keywords] of Object.entries(keywordMap)) {
+    const matched = keywords.filter((kw) => kw && termsOf(kw).trim() && textTerms.includes(termsOf(kw)));
+    if (matched.length > 0) {
+      evidence[subject] = { modelRank: null, keywords: matched };
+    }
+  }
+
+  // Model vote: up to three subjects, most relevant first
+  try {
+    const snippet = (text && text.length > 0) ? text.substring(0, 2000) : "";
+    const subjectResult = await provider.generate({
+      task: "detect-subject",
+      prompt: `Analyze this text and identify the academic subjects it belongs to. List up to 3 of these exact subjects, most relevant first, one per line (case-insensitive match will be accepted): ${allowedSubjects.map(s=>`"${s}"`).join(", ")}. List only one subject unless the text clearly spans several. Do not add any other text or explanation.
+
+Text to analyze:
+"${snippet}"`,
+      temperature: 0.0,
+      maxOutputTokens: 40,
+      signal,
+    });
+
+    const raw = subjectResult && subjectResult.text ? subjectResult.text.trim() : "";
+    console.log("Raw subject detection:", raw);
+    const voted = [];
+    for (const line of raw.split(/[\n,;]/)) {
+      const mapped = mapToSubject(line);
+      if (mapped && !voted.includes(mapped)) voted.push(mapped);
+    }
+    voted.slice(0, MODEL_RANK_WEIGHTS.length).forEach((subject, index) => {
+      evidence[subject] = evidence[subject] || { modelRank: null, keywords: [] };
+      evidence[subject].modelRank = index + 1;
+    });
+  } catch (error) {
+    console.warn("Subject detection failed:", error && error.message ? error.message : error);
+  }
+
+  // Model vote and keywords weigh equally; keyword strength saturates as hits grow
+  const scored = Object.entries(evidence).map(([name, { modelRank, keywords }]) => ({
+    name,
+    modelRank,
+    keywords: keywords.slice(0, MAX_EVIDENCE_KEYWORDS),
+    score: 0.5 * (modelRank ? MODEL_RANK_WEIGHTS[modelRank - 1] : 0) + 0.5 * (keywords.length / (keywords.length + 2))
+  }));
+  const total = scored.reduce((sum, s) => sum + s.score, 0);
+  const ranked = scored
+    .map(({ score, ...s }) => ({ ...s, confidence: Math.round((score / total) * 100) / 100 }))
+    .sort((a, b) => b.confidence - a.confidence || (a.modelRank || 99) - (b.modelRank || 99))
+    .filter((s, index) => index === 0 || s.confidence >= subjectConfig.minConfidence)
+    .slice(0, subjectConfig.maxLabels);
+
+  // If nothing matched, return the fallback subject without evidence
+  if (ranked.length === 0) {
+    console.log("Subject detection fallback ->", FALLBACK_SUBJECT);
+    return {
+      subject: FALLBACK_SUBJECT,
+      confidence: 0,
+      subjects: [{ name: FALLBACK_SUBJECT, confidence: 0, modelRank: null, keywords: [] }]
+    };
+  }
+
+  console.log("Subject ranking:", ranked.map((s) => `${s.name} ${s.confidence}`).join(", "));
+  return {
+    subject: ranked[0].name,
+    confidence: ranked[0].confidence,
+    subjects: ranked
+  };
+};
+
+// Pipeline stages reported through onStage, with their approximate progress (percent)
+const STAGES = {
+  "transcribing": 5,
+  "detecting-language": 35,
+  "detecting-subject": 40,
+  "generating": 45,
+  "merging": 85,
+  "validating": 90,
+  "structuring": 92
+};
+
+// Build the note-generation prompt for one piece of lecture content
+// (text notes or an audio transcript)
+const buildNotesPrompt = ({ type, content, detectedLanguage, detectedSubject, part }) => {
+  // Extra guidance when the content is only one segment of a long lecture
+  const partNotice = part ? `📎 LECTURE PART ${part.number} OF ${part.total} (${part.range})
+This is one segment of a longer lecture. Neighbouring segments overlap slightly. Write notes only for what this segment contains and do not add a conclusion for the whole lecture.
+
+` : "";
+
+  if (type === "text") {
+    return `${partNotice}You are an expert academic note-taker specializing in ${detectedSubject}. Please elaborate and organize the following professor's notes into comprehensive, well-structured academic notes.
+
+🚨 CRITICAL LANGUAGE REQUIREMENT 🚨
+The input text is written in ${detectedLanguage}. 
+You MUST write your ENTIRE response in ${detectedLanguage} ONLY.
+Do NOT use English or any other language.
+Every single word, sentence, and paragraph must be in ${detectedLanguage}.
+If you write even one word in English, you have FAILED this task.
+
+📚 SUBJECT FOCUS: ${detectedSubject}
+Focus on creating notes that are relevant to ${detectedSubject} and use appropriate terminology and concepts from this field.
+
+Input text in ${detectedLanguage}: "${content}"
+
+Generate detailed, organized academic notes in ${detectedLanguage} language only, focusing on ${detectedSubject}. Remember: ${detectedLanguage} ONLY!`;
+  }
+
+  return `${partNotice}You are an expert academic note-taker specializing in ${detectedSubject}. Generate comprehensive academic notes from the following audio transcript.
+
+🚨 CRITICAL LANGUAGE REQUIREMENT 🚨
+The transcript is written in ${detectedLanguage}. 
+You MUST write your ENTIRE response in ${detectedLanguage} ONLY.
+Do NOT use English or any other language.
+Every single word, sentence, and paragraph must be in ${detectedLanguage}.
+If you write even one word in English, you have FAILED this task.
+
+📚 SUBJECT FOCUS: ${detectedSubject}
+Focus on creating notes that are relevant to ${detectedSubject} and use appropriate terminology and concepts from this field.
+
+Audio transcript in ${detectedLanguage}: "${content}"
+
+Generate detailed, organized academic notes in ${detectedLanguage} language only, focusing on ${detectedSubject}. Remember: ${detectedLanguage} ONLY!`;
+};
+
+// Build the reduce prompt that merges per-segment notes into one study guide
+const buildMergePrompt = ({ segmentNotes, detectedLanguage, detectedSubject }) => {
+  const languageRule = detectedLanguage && detectedLanguage !== "unknown"
+    ? `You MUST write your ENTIRE response in ${detectedLanguage} ONLY.`
+    : "You MUST write your ENTIRE response in the same language as the partial notes. Do NOT translate.";
+
+  const parts = segmentNotes
+    .map((notes, index) => `--- PART ${index + 1} OF ${segmentNotes.length} ---\n${notes}`)
+    .join("\n\n");
+
+  return `You are an expert academic note-taker specializing in ${detectedSubject}. The notes below were written separately for ${segmentNotes.length} consecutive, slightly overlapping parts of ONE lecture. Merge them into a single coherent study guide.
+
+📐 MERGE RULES
+- Produce exactly one Title and one Introduction for the whole lecture.
+- Organize the content under Level 2 Headings (## Heading) in the order the lecture covered it.
+- Remove points repeated because the parts overlap, but keep every distinct point, example, equation and formula.
+- Combine all Key Definitions into a single Key Definitions section at the end.
+
+🚨 CRITICAL LANGUAGE REQUIREMENT 🚨
+${languageRule}
+
+${parts}`;
+};
+
+// Run the full note-generation pipeline for one input.
+// `content` is either a text string (notes or a transcript) or an uploaded audio file
+// ({ buffer, mimetype, originalname }). Audio is transcribed first and the notes are
+// generated from the transcript.
+// Long inputs are split into overlapping segments (map) whose notes are merged (reduce).
+// `audioSegments` and `segments` hold per-segment state for transcription and notes;
+// completed segments are reused, so passing the state of an earlier run re-runs only
+// the segments that are missing or failed.
+// Streaming callers pass `onNotesText(text, { replace })`, which receives the notes as the
+// model writes them (`replace` starts the text over, e.g. when validation rewrites it),
+// and `onDetected({ language, detection } | { subject, classification })`. Aborting `signal` cancels the run.
+const runNotePipeline = async ({
+  provider,
+  type,
+  content,
+  audioSegments = [],
+  segments = [],
+  signal,
+  onStage = async () => {},
+  onSegmentUpdate = async () => {},
+  onDetected = async () => {},
+  onNotesText = null
+}) => {
+  const checkCancelled = () => {
+    if (signal && signal.aborted) {
+      throw new Error("Note generation was cancelled");
+    }
+  };
+  // The call that produces the notes is streamed when the caller wants partial text
+  const generateNotes = (request, onText = onNotesText) => (
+    onText ? streamGenerate(provider, { ...request, signal }, onText) : provider.generate({ ...request, signal })
+  );
+
+  let detectedLanguage = "unknown";
+  let languageDetection = null;
+  let detectedSubject = FALLBACK_SUBJECT;
+  let subjectClassification = null;
+  let transcript = null;
+  const originalContent = typeof content === 'string' ? content : (content.originalname || 'audio_file');
+
+  // Transcription stage: audio becomes a time-stamped transcript
+  if (type === "audio" && typeof content === 'object' && content.buffer) {
+    console.log("Transcribing audio file...");
+    await onStage("transcribing");
+    transcript = await transcribeAudio({
+      provider,
+      audio: content,
+      audioSegments,
+      signal,
+      onProgress: (fraction) => onStage("transcribing", STAGES.transcribing + Math.round(fraction * (STAGES["detecting-language"] - STAGES.transcribing))),
+      onSegmentUpdate
+    });
+    console.log(`✅ Transcribed ${transcript.segments.length} transcript segment(s)`);
+    content = transcript.text;
+    if (!content.trim()) {
+      throw new Error("No speech could be transcribed from the audio.");
+    }
+  } else if (type === "audio") {
+    // A transcript was supplied directly
+    transcript = { text: content, segments: [] };
+  }
+
+  if (type === "text" || type === "audio") {
+    console.log(type === "text" ? "Processing text notes..." : "Processing audio transcript...");
+
+    // Detect language and subject from text content
+    checkCancelled();
+    await onStage("detecting-language");
+    languageDetection = await detectLanguage(provider, content, signal);
+    detectedLanguage = languageDetection.language ? languageDetection.name : "unknown";
+    checkCancelled();
+    await onDetected({ language: detectedLanguage, detection: languageDetection });
+    await onStage("detecting-subject");
+    subjectClassification = await detectSubject(provider, content, signal);
+    detectedSubject = subjectClassification.subject;
+    checkCancelled();
+    console.log("Detected language:", detectedLanguage, `(${languageDetection.source})`);
+    console.log("Detected subject:", detectedSubject);
+    await onDetected({ subject: detectedSubject, classification: subjectClassification });
+  } else {
+    throw new Error('Invalid input type. Must be "text" or "audio".');
+  }
+
+  // Plan segments on the first run; later runs reuse the stored boundaries
+  if (segments.length === 0) {
+    for (const segment of planSegments(content)) {
+      segments.push({ ...segment, status: "pending", attempts: 0 });
+    }
+    await onSegmentUpdate(null);
+  }
+  const isChunked = segments.length > 1;
+  if (isChunked) {
+    console.log(`Long lecture split into ${segments.length} segments`);
+  }
+
+  // Map: generate notes for every segment that has no result yet
+  let generatedBy = null;
+  for (const segment of segments) {
+    if (segment.status === "completed" && segment.notes) continue;
+    checkCancelled();
+
+    const done = segments.filter((s) => s.status === "completed").length;
+    await onStage("generating", STAGES.generating + Math.round((done / segments.length) * (STAGES.merging - STAGES.generating)));
+
+    segment.status = "running";
+    segment.attempts = (segment.attempts || 0) + 1;
+    await onSegmentUpdate(segment);
+
+    try {
+      const segmentContent = extractSegment(content, segment);
+      const userPrompt = buildNotesPrompt({
+        type,
+        content: segmentContent,
+        detectedLanguage,
+        detectedSubject,
+        part: isChunked ? { number: segment.index + 1, total: segments.length, range: describeSegment(segment) } : null
+      });
+
+      // Generate content using the configured provider; a single segment is the
+      // final draft, so its text is streamed
+      const result = await generateNotes({
+        task: "generate",
+        prompt: userPrompt,
+        temperature: 0.2,
+        topK: 40,
+        topP: 0.8,
+        maxOutputTokens: chunkingConfig.segmentMaxOutputTokens,
+      }, isChunked ? null : onNotesText);
+
+      segment.status = "completed";
+      segment.notes = result.text;
+      segment.error = null;
+      segment.provider = result.provider;
+      segment.modelUsed = result.model;
+      generatedBy = { provider: result.provider, model: result.model };
+    } catch (error) {
+      checkCancelled();
+      console.warn(`Segment ${segment.index + 1}/${segments.length} failed:`, error.message);
+      segment.status = "failed";
+      segment.error = error.message;
+    }
+    await onSegmentUpdate(segment);
+  }
+
+  const failedSegments = segments.filter((s) => s.status !== "completed");
+  if (failedSegments.length > 0) {
+    throw new Error(`${failedSegments.length} of ${segments.length} segment(s) failed: ${failedSegments.map((s) => `#${s.index} ${s.error}`).join("; ")}`);
+  }
+
+  // Segments reused from an earlier run still know which provider produced them
+  if (!generatedBy) {
+    const last = segments[segments.length - 1];
+    generatedBy = { provider: last.provider, model: last.modelUsed };
+  }
+
+  let generatedNotes = segments[0].notes;
+  let maxOutputTokens = chunkingConfig.segmentMaxOutputTokens;
+
+  // Reduce: merge the per-segment notes into one study guide
+  if (isChunked) {
+    checkCancelled();
+    await onStage("merging");
+    const mergeResult = await generateNotes({
+      task: "merge",
+      prompt: buildMergePrompt({ segmentNotes: segments.map((s) => s.notes), detectedLanguage, detectedSubject }),
+      temperature: 0.2,
+      topK: 40,
+      topP: 0.8,
+      maxOutputTokens: chunkingConfig.mergeMaxOutputTokens,
+    });
+    generatedNotes = mergeResult.text;
+    generatedBy = { provider: mergeResult.provider, model: mergeResult.model };
+    maxOutputTokens = chunkingConfig.mergeMaxOutputTokens;
+  }
+
+  // Validate and ensure the generated notes are in the correct language
+  // Decide the target language: if detection failed, force English
+  const targetLanguage = (detectedLanguage && detectedLanguage !== "unknown") ? detectedLanguage : 'English';
+  checkCancelled();
+  await onStage("validating");
+  // Streamed validation text replaces the draft from its first piece on
+  let validationStreamed = false;
+  const onValidatedText = onNotesText && (async (text) => {
+    await onNotesText(text, { replace: !validationStreamed });
+    validationStreamed = true;
+  });
+  try {
+    const languageValidationResult = await generateNotes({
+      task: "validate-language",
+      prompt: `🚨 URGENT LANGUAGE CORRECTION TASK 🚨\n\nThe following text should be written in ${targetLanguage}.\n\nYou MUST ensure the ENTIRE text is in ${targetLanguage} ONLY. Do NOT include words from other languages.\n\nOriginal text to correct:\n"${generatedNotes}"\n\nReturn ONLY the corrected text in ${targetLanguage}.`,
+      temperature: 0.1,
+      maxOutputTokens,
+    }, onValidatedText);
+
+    const validatedNotes = languageValidationResult.text;
+    if (validatedNotes && validatedNotes.trim()) {
+      generatedNotes = validatedNotes.trim();
+      console.log("✅ Language validation and correction completed for", targetLanguage);
+    } else if (validationStreamed) {
+      await onNotesText(generatedNotes, { replace: true });
+    }
+  } catch (validationError) {
+    checkCancelled();
+    console.warn("Language validation failed, using original notes:", validationError.message);
+    if (validationStreamed) {
+      await onNotesText(generatedNotes, { replace: true });
+    }
+  }
+
+  // Check the notes have a title, introduction, sections and key definitions
+  checkCancelled();
+  await onStage("structuring");
+  const structured = await structureNotes({ provider, markdown: generatedNotes, language: targetLanguage, signal });
+
+  // Store math in one canonical form ($...$ inline, $$ blocks), whatever delimiters the model used
+  const normalizedNotes = normalizeMathNotation(structured.markdown);
+  if (normalizedNotes !== generatedNotes) {
+    generatedNotes = normalizedNotes;
+    if (onNotesText) {
+      await onNotesText(generatedNotes, { replace: true });
+    }
+  }
+
+  // Ensure we store the language as the target language (English when unknown)
+  detectedLanguage = targetLanguage;
+
+  return {
+    generatedNotes,
+    detectedLanguage,
+    // ISO 639-1 code, confidence and per-language shares of the input
+    languageCode: languageDetection.language || normalizeLanguage(detectedLanguage),
+    languageConfidence: languageDetection.confidence,
+    mixedLanguage: languageDetection.mixed,
+    languages: languageDetection.languages,
+    detectedSubject,
+    // Ranked subjects with confidences and the evidence behind each
+    subjectConfidence: subjectClassification.confidence,
+    subjects: subjectClassification.subjects,
+    provider: generatedBy.provider,
+    model: generatedBy.model,
+    segmentCount: segments.length,
+    // Parts of the expected structure the notes still miss, and how the check ended
+    structureIssues: structured.structure.issues,
+    structureCheck: structured.outcome,
+    transcript,
+    originalContent
+  };
+};
+
+module.exports = {
+  STAGES,
+  detectLanguage,
+  detectSubject,
+  runNotePipeline
+};
@@ -0,0 +1,105 @@
+const Note = require('../models/Note');
+const NoteRevision = require('../models/NoteRevision');
+const { buildSearchIndex } = require('./search');
+const { queueSemanticIndexing } = require('./semanticIndex');
+const { buildNoteStructure } = require('./noteStructure');
+
+// Note fields kept in each revision (the subject classification has its own override record)
+const REVISION_FIELDS = ['generatedNotes', 'detectedLanguage', 'originalContent'];
+
+const snapshot = (note) => REVISION_FIELDS.reduce((fields, field) => {
+  fields[field] = note[field];
+  return fields;
+}, {});
+
+// The generated original as revision 1, for a note that has no stored history yet
+const baseRevision = (note) => ({
+  note: note._id,
+  rev: 1,
+  ...snapshot(note),
+  author: null,
+  authorName: '',
+  reason: 'Generated',
+  source: 'generated',
+  restoredFrom: null,
+  createdAt: note.createdAt
+});
+
+// All revisions of a note, oldest first. Notes that were never changed have only
+// their current state, returned as an unsaved revision 1.
+const loadRevisions = async (note) => {
+  const revisions = await NoteRevision.find({ note: note._id }).sort({ rev: 1 }).lean();
+  return revisions.length > 0 ? revisions : [baseRevision(note)];
+};
+
+// Attempts at storing a revision under a free number (see updateNoteWithRevision)
+const MAX_REVISION_ATTEMPTS = 5;
+
+const isDuplicateKey = (error) => error && error.code === 11000;
+
+// Apply an update to a note and record the result as its next revision. The state
+// before the first tracked change is stored as revision 1 so it can be restored.
+// Revision numbers come from an atomic $inc of Note.revision, so concurrent updates get
+// distinct numbers; a number already taken (e.g. notes saved before the counter existed)
+// is caught by the unique { note, rev } index and the next one is tried.
+// `author` is the user making the change ({ _id, username }) or null for background jobs;
+// `restructure` is the outcome of the pipeline's structure check for regenerated notes.
+// Resolves to the updated note, or null when the note does not exist.
+const updateNoteWithRevision = async (noteId, updateData, { author = null, reason = '', source = 'edit', restoredFrom = null, restructure = null } = {}) => {
+  const note = await Note.findById(noteId);
+  if (!note) return null;
+
+  try {
+    await NoteRevision.updateOne(
+      { note: note._id, rev: 1 },
+      { $setOnInsert: baseRevision(note) },
+      { upsert: true }
+    );
+  } catch (error) {
+    // A concurrent update stored it first
+    if (!isDuplicateKey(error)) throw error;
+  }
+
+  const updated = await Note.findByIdAndUpdate(noteId, { ...updateData, $inc: { revision: 1 } }, { new: true, runValidators: true });
+  if (!updated) return null;
+
+  // Keep the search index and the note structure in step with the new content
+  const searchIndex = buildSearchIndex(updated);
+  const structure = buildNoteStructure(updated.generatedNotes, { restructure });
+  await Note.updateOne({ _id: updated._id }, { $set: { ...searchIndex, structure } });
+  updated.title = searchIndex.title;
+  updated.structure = structure;
+
+  let rev = updated.revision;
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await new NoteRevision({
+        note: updated._id,
+        rev,
+        ...snapshot(updated),
+        author: author ? author._id : null,
+        authorName: author ? author.username : '',
+        reason,
+        source,
+        restoredFrom
+      }).save();
+      break;
+    } catch (error) {
+      if (!isDuplicateKey(error) || attempt >= MAX_REVISION_ATTEMPTS) throw error;
+      const renumbered = await Note.findByIdAndUpdate(updated._id, { $inc: { revision: 1 } }, { new: true }).select('revision');
+      rev = renumbered.revision;
+    }
+  }
+  updated.revision = rev;
+  console.log(`📝 Note ${updated._id} saved as revision ${rev} (${source})`);
+
+  // Embed the changed passages for semantic search in the background
+  queueSemanticIndexing();
+  return updated;
+};
+
+module.exports = {
+  REVISION_FIELDS,
+  loadRevisions,
+  updateNoteWithRevision
+};
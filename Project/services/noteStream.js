@@ -0,0 +1,128 @@
+// noteStream.js - Run the note pipeline inline and report it over Server-Sent Events
+
+const Device = require('../models/Device');
+const { STAGES, runNotePipeline } = require('./notePipeline');
+const { buildNoteData, saveNotes } = require('../controllers/noteController');
+const { readUpload, removeUpload } = require('./uploadStorage');
+
+// Keeps proxies from closing a quiet connection during long model calls
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+// Stream note generation for one upload. Events:
+//   stage    { stage, progress }
+//   language { language, language_code, confidence, mixed, languages }
+//   subject  { subject, confidence, subjects }
+//   notes    { text, replace }      partial notes text; `replace` starts the text over
+//   done     { note_id, notes, ... } the saved note
+//   error    { message }
+// Closing the connection cancels generation and nothing is saved.
+// `lecture` is the course lecture the note is filed under, if any.
+const streamNoteGeneration = async ({ provider, type, content, device, lecture = null, res }) => {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Disable response buffering in nginx
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const isOpen = () => !res.writableEnded && !res.destroyed;
+  const send = (event, data) => {
+    if (isOpen()) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      console.log('⚠️ Client disconnected; cancelling streamed note generation');
+      controller.abort();
+    }
+  });
+  const heartbeat = setInterval(() => {
+    if (isOpen()) res.write(': ping\n\n');
+  }, HEARTBEAT_INTERVAL_MS);
+
+  const filePath = typeof content === 'object' ? content.path : null;
+  try {
+    const pipelineContent = filePath
+      ? { buffer: await readUpload(filePath), mimetype: content.mimetype, originalname: content.originalname, size: content.size }
+      : content;
+
+    const result = await runNotePipeline({
+      provider,
+      type,
+      content: pipelineContent,
+      signal: controller.signal,
+      onStage: async (stage, progress) => send('stage', { stage, progress: progress !== undefined ? progress : STAGES[stage] }),
+      onDetected: async (detected) => {
+        if (detected.language) {
+          send('language', {
+            language: detected.language,
+            language_code: detected.detection.language,
+            confidence: detected.detection.confidence,
+            mixed: detected.detection.mixed,
+            languages: detected.detection.languages
+          });
+        }
+        if (detected.subject) {
+          send('subject', {
+            subject: detected.subject,
+            confidence: detected.classification.confidence,
+            subjects: detected.classification.subjects
+          });
+        }
+      },
+      onNotesText: async (text, { replace = false } = {}) => send('notes', { text, replace })
+    });
+
+    send('stage', { stage: 'saving', progress: 95 });
+    const savedNote = await saveNotes(buildNoteData(result, {
+      inputType: type,
+      deviceId: device && device._id,
+      deviceName: device && device.name,
+      room: device && device.room,
+      courseId: lecture && lecture.course,
+      lectureId: lecture && lecture._id,
+      audio: filePath ? content.audio : undefined
+    }));
+    if (device) {
+      await Device.updateOne({ _id: device._id }, { $inc: { uploadCount: 1 } });
+    }
+
+    send('done', {
+      note_id: savedNote._id,
+      course_id: savedNote.course,
+      lecture_id: savedNote.lecture,
+      notes: result.generatedNotes,
+      detected_language: result.detectedLanguage,
+      language_code: result.languageCode,
+      mixed_language: result.mixedLanguage,
+      detected_subject: result.detectedSubject,
+      subjects: result.subjects,
+      provider: result.provider,
+      model_used: result.model,
+      segment_count: result.segmentCount,
+      structure_issues: savedNote.structure.issues,
+      structure_check: savedNote.structure.restructure
+    });
+  } catch (error) {
+    if (controller.signal.aborted) {
+      console.log('🛑 Streamed note generation cancelled');
+    } else {
+      console.error('❌ Streamed note generation failed:', error.message);
+      send('error', { message: error.message });
+    }
+  } finally {
+    clearInterval(heartbeat);
+    await removeUpload(filePath);
+    res.end();
+  }
+};
+
+module.exports = {
+  streamNoteGeneration
+};
@@ -0,0 +1,251 @@
+// noteStructure.js - The structured form of generated notes: title, introduction, ordered
+// sections, key definitions and formulas
+//
+// Notes are written in Markdown following SYSTEM_INSTRUCTION (a title, an introduction,
+// ## sections and Key Definitions). After generation the Markdown is parsed into this
+// structure and validated; when parts are missing, the model is asked once to rewrite the
+// notes as a JSON document, which is rendered back to Markdown. The structure stored on a
+// note is always parsed from its current Markdown, so the two never disagree; notes that
+// stay incomplete are saved flagged (`valid: false`, with the issues and the outcome of the
+// restructuring in `restructure`).
+
+const { extractDefinitions } = require('./keyDefinitions');
+const { toPlainText } = require('./search');
+const { CODE_PATTERN, extractMath } = require('./export/math');
+
+// Bump when parsing changes; stored structures of an older version are parsed again on read
+const NOTE_STRUCTURE_VERSION = 2;
+
+// Notes longer than this are not sent back to the model to be restructured
+const MAX_RESTRUCTURE_CHARS = 30000;
+
+const HEADING = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+// A title written as a bold line instead of a heading
+const BOLD_TITLE = /^(\*\*|__)(.+)\1$/;
+
+// Anchor id of a heading; letters of every script are kept (e.g. "ಪರಿಚಯ")
+const slugify = (text) => text
+  .toLowerCase()
+  .replace(/[^\p{L}\p{M}\p{N}\s-]/gu, '')
+  .trim()
+  .replace(/\s+/g, '-') || 'section';
+
+// Lines of the notes with { text, heading: { level, text } | null }; lines inside code
+// blocks are never headings
+const scanLines = (markdown) => {
+  const inCode = new Set();
+  for (const match of markdown.matchAll(CODE_PATTERN)) {
+    if (!match[2]) continue;
+    const start = markdown.slice(0, match.index + match[1].length).split('\n').length - 1;
+    const count = match[0].slice(match[1].length).split('\n').length;
+    for (let i = start; i < start + count; i++) inCode.add(i);
+  }
+  return markdown.split('\n').map((text, i) => {
+    const heading = inCode.has(i) ? null : text.match(HEADING);
+    return { text, heading: heading ? { level: heading[1].length, text: toPlainText(heading[2]) } : null };
+  });
+};
+
+// Formulas of a piece of Markdown: [{ tex, display, section }]
+const formulasOf = (markdown, section) => extractMath(markdown).math
+  .map((item) => ({ tex: item.tex, display: item.display, section }));
+
+// Parse generated Markdown into { title, intro, sections, definitions, formulas }, where
+// sections are [{ id, heading, level, body }] (body is Markdown), definitions are
+// [{ term, definition }] and formulas are [{ tex, display, section }] (`section` is the id
+// of the section holding the formula, or null for the introduction).
+const parseNoteStructure = (markdown) => {
+  const lines = scanLines((markdown || '').replace(/\r\n/g, '\n'));
+  let start = lines.findIndex((line) => line.text.trim());
+  let title = '';
+  if (start !== -1) {
+    const first = lines[start];
+    const bold = first.text.trim().match(BOLD_TITLE);
+    if (first.heading || bold) {
+      title = first.heading ? first.heading.text : toPlainText(bold[2]);
+      start += 1;
+    }
+  } else {
+    start = lines.length;
+  }
+
+  const rest = lines.slice(start);
+  const levels = rest.filter((line) => line.heading).map((line) => line.heading.level);
+  const sectionLevel = levels.length > 0 ? Math.min(...levels) : null;
+
+  const intro = [];
+  const sections = [];
+  const usedIds = new Map();
+  for (const line of rest) {
+    if (line.heading && line.heading.level === sectionLevel) {
+      const slug = slugify(line.heading.text);
+      const seen = usedIds.get(slug) || 0;
+      usedIds.set(slug, seen + 1);
+      sections.push({ id: seen > 0 ? `${slug}-${seen + 1}` : slug, heading: line.heading.text, level: sectionLevel, lines: [] });
+    } else if (sections.length > 0) {
+      sections[sections.length - 1].lines.push(line.text);
+    } else {
+      intro.push(line.text);
+    }
+  }
+
+  const introText = intro.join('\n').trim();
+  const parsedSections = sections.map(({ lines: body, ...section }) => ({ ...section, body: body.join('\n').trim() }));
+  return {
+    title,
+    intro: introText,
+    sections: parsedSections,
+    definitions: extractDefinitions(markdown),
+    formulas: [
+      ...formulasOf(introText, null),
+      ...parsedSections.flatMap((section) => formulasOf(section.body, section.id))
+    ]
+  };
+};
+
+// Parts of SYSTEM_INSTRUCTION a structure is missing (empty when it is complete)
+const validateNoteStructure = (structure) => {
+  const issues = [];
+  if (!structure.title) issues.push('Missing title');
+  if (!structure.intro) issues.push('Missing introduction');
+  if (structure.sections.length === 0) issues.push('No sections');
+  if (structure.sections.some((section) => !section.body)) issues.push('Empty section');
+  if (structure.definitions.length === 0) issues.push('No key definitions');
+  return issues;
+};
+
+// The structure stored on a note: the parsed Markdown with its validation issues.
+// `restructure` is the outcome of the structure check when the notes were generated (null
+// after edits and restores).
+const buildNoteStructure = (markdown, { restructure = null } = {}) => {
+  const structure = parseNoteStructure(markdown);
+  const issues = validateNoteStructure(structure);
+  return { ...structure, issues, valid: issues.length === 0, restructure, version: NOTE_STRUCTURE_VERSION };
+};
+
+// A note's stored structure, or one parsed from its Markdown when none is stored for the
+// current version (notes saved before structures were kept)
+const noteStructureOf = (note) => {
+  const stored = note.structure && typeof note.structure.toObject === 'function' ? note.structure.toObject() : note.structure;
+  return stored && stored.version === NOTE_STRUCTURE_VERSION ? stored : buildNoteStructure(note.generatedNotes);
+};
+
+const buildStructurePrompt = ({ notes, language }) => `Rewrite these lecture notes as a structured JSON document, in ${language}. Keep all of their content; do not add facts or translate.
+
+- "title": a clear, concise title
+- "intro": an introduction of 1-2 sentences
+- "sections": the main content in order; each has a "heading" and a Markdown "body" (paragraphs, bullet points, numbered lists, tables, code blocks). Write math in LaTeX as $...$ or $$...$$ and chemistry as \\ce{...}.
+- "definitions": the key terms and their definitions
+- "definitionsHeading": the heading of the definitions section, in ${language} (e.g. "Key Definitions")
+
+Respond with ONLY this JSON, no Markdown fence:
+{"title": "...", "intro": "...", "sections": [{"heading": "...", "body": "..."}], "definitions": [{"term": "...", "definition": "..."}], "definitionsHeading": "..."}
+
+NOTES:
+${notes}`;
+
+const cleanText = (value) => (typeof value === 'string' ? value.trim() : '');
+
+// Parse the model's JSON into { title, intro, sections, definitions, definitionsHeading },
+// or null when it is not usable
+const parseStructureResponse = (raw) => {
+  const cleaned = (raw || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  let parsed;
+  try {
+    parsed = JSON.parse(cleaned);
+  } catch (error) {
+    // Some models wrap the JSON in a sentence
+    const start = cleaned.indexOf('{');
+    const end = cleaned.lastIndexOf('}');
+    try {
+      parsed = start >= 0 && end > start ? JSON.parse(cleaned.slice(start, end + 1)) : null;
+    } catch (innerError) {
+      parsed = null;
+    }
+  }
+  if (!parsed || typeof parsed !== 'object') return null;
+
+  const sections = (Array.isArray(parsed.sections) ? parsed.sections : [])
+    .map((section) => ({ heading: toPlainText(cleanText(section && section.heading)), body: cleanText(section && section.body) }))
+    .filter((section) => section.heading && section.body);
+  const definitions = (Array.isArray(parsed.definitions) ? parsed.definitions : [])
+    .map((item) => ({ term: cleanText(item && item.term), definition: cleanText(item && item.definition) }))
+    .filter((item) => item.term && item.definition);
+  const title = toPlainText(cleanText(parsed.title));
+  if (!title || sections.length === 0) return null;
+
+  return {
+    title,
+    intro: cleanText(parsed.intro),
+    sections,
+    definitions,
+    definitionsHeading: toPlainText(cleanText(parsed.definitionsHeading)) || 'Key Definitions'
+  };
+};
+
+// Markdown of a structured document, in the layout SYSTEM_INSTRUCTION asks for
+const renderNoteStructure = (document) => [
+  `# ${document.title}`,
+  document.intro,
+  ...document.sections.map((section) => `## ${section.heading}\n\n${section.body}`),
+  document.definitions.length > 0
+    ? `## ${document.definitionsHeading || 'Key Definitions'}\n\n${document.definitions.map((item) => `- **${item.term}**: ${item.definition}`).join('\n')}`
+    : ''
+].filter(Boolean).join('\n\n');
+
+// Check generated notes against the structure and, when parts are missing, ask the model
+// to restructure them. Resolves to { markdown, structure, outcome } (see
+// Note.RESTRUCTURE_OUTCOMES); the original notes are kept when the model's document is not more
+// complete than them.
+const structureNotes = async ({ provider, markdown, language, signal }) => {
+  const structure = buildNoteStructure(markdown);
+  const { issues } = structure;
+  const keep = (outcome) => ({ markdown, structure: { ...structure, restructure: outcome }, outcome });
+  const incomplete = (outcome) => {
+    console.warn(`⚠️ Keeping incomplete notes (${outcome}): ${issues.join(', ')}`);
+    return keep(outcome);
+  };
+
+  if (issues.length === 0) {
+    return keep('complete');
+  }
+  if (markdown.length > MAX_RESTRUCTURE_CHARS) {
+    return incomplete('too-long');
+  }
+  console.warn(`⚠️ Generated notes are incomplete (${issues.join(', ')}); asking the model to restructure them`);
+
+  try {
+    const result = await provider.generate({
+      task: 'structure-notes',
+      prompt: buildStructurePrompt({ notes: markdown, language }),
+      temperature: 0.2,
+      signal
+    });
+    const document = parseStructureResponse(result.text);
+    if (!document) {
+      return incomplete('unusable');
+    }
+    const restructuredMarkdown = renderNoteStructure(document);
+    const restructured = buildNoteStructure(restructuredMarkdown, { restructure: 'restructured' });
+    if (restructured.issues.length >= issues.length) {
+      return incomplete('not-improved');
+    }
+    console.log('✅ Notes restructured');
+    return { markdown: restructuredMarkdown, structure: restructured, outcome: 'restructured' };
+  } catch (error) {
+    if (signal && signal.aborted) throw error;
+    console.warn('⚠️ Restructuring the notes failed:', error.message);
+    return incomplete('failed');
+  }
+};
+
+module.exports = {
+  NOTE_STRUCTURE_VERSION,
+  parseNoteStructure,
+  validateNoteStructure,
+  buildNoteStructure,
+  noteStructureOf,
+  parseStructureResponse,
+  renderNoteStructure,
+  structureNotes
+};
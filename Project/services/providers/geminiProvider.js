@@ -0,0 +1,68 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+// Google Gemini provider (supports inline audio)
+const createGeminiProvider = ({ apiKey, model, systemInstruction }) => {
+  if (!apiKey) {
+    throw new Error('GEMINI_API_KEY is not set');
+  }
+
+  const genAI = new GoogleGenerativeAI(apiKey);
+  const generativeModel = genAI.getGenerativeModel({ model, systemInstruction });
+
+  const buildRequest = ({ prompt, audio, temperature, maxOutputTokens, topK, topP }) => {
+    const parts = [{ text: prompt }];
+    if (audio) {
+      parts.push({
+        inlineData: {
+          mimeType: audio.mimeType,
+          data: audio.buffer.toString('base64')
+        }
+      });
+    }
+
+    return {
+      contents: [{ role: 'user', parts }],
+      generationConfig: { temperature, maxOutputTokens, topK, topP }
+    };
+  };
+
+  const generate = async (request) => {
+    const result = await generativeModel.generateContent(buildRequest(request), { signal: request.signal });
+
+    return {
+      text: result.response.text(),
+      provider: 'gemini',
+      model
+    };
+  };
+
+  // Same as generate, calling onText with each piece of text as it arrives
+  const stream = async (request, onText) => {
+    const result = await generativeModel.generateContentStream(buildRequest(request), { signal: request.signal });
+
+    let text = '';
+    for await (const chunk of result.stream) {
+      const piece = chunk.text();
+      if (piece) {
+        text += piece;
+        await onText(piece);
+      }
+    }
+
+    return {
+      text,
+      provider: 'gemini',
+      model
+    };
+  };
+
+  return {
+    name: 'gemini',
+    model,
+    supportsAudio: true,
+    generate,
+    stream
+  };
+};
+
+module.exports = createGeminiProvider;
@@ -0,0 +1,52 @@
+const providerConfig = require('../../config/provider');
+const createGeminiProvider = require('./geminiProvider');
+const createOpenAICompatibleProvider = require('./openaiCompatibleProvider');
+const createStubProvider = require('./stubProvider');
+
+// Provider registry: name -> factory({ ...config, systemInstruction })
+// Every provider exposes { name, model, supportsAudio, generate(request) } where
+// generate resolves to { text, provider, model }. Providers may also expose
+// stream(request, onText), which resolves the same way but reports text as it
+// is produced. `request.signal` (an AbortSignal) cancels the model call.
+const registry = {
+  gemini: createGeminiProvider,
+  openai: createOpenAICompatibleProvider,
+  stub: createStubProvider
+};
+
+// Register an additional provider factory under a name
+const registerProvider = (name, factory) => {
+  registry[name] = factory;
+};
+
+// List the names of all registered providers
+const listProviders = () => Object.keys(registry);
+
+// Create a provider instance from the registry using its config section
+const createProvider = (name = providerConfig.name, options = {}) => {
+  const factory = registry[name];
+  if (!factory) {
+    throw new Error(`Unknown note provider "${name}". Available providers: ${listProviders().join(', ')}`);
+  }
+  return factory({ ...(providerConfig[name] || {}), ...options });
+};
+
+// Generate with streaming when the provider supports it; otherwise the whole
+// text is reported once generation finishes
+const streamGenerate = async (provider, request, onText) => {
+  if (typeof provider.stream === 'function') {
+    return provider.stream(request, onText);
+  }
+  const result = await provider.generate(request);
+  if (result.text) {
+    await onText(result.text);
+  }
+  return result;
+};
+
+module.exports = {
+  registerProvider,
+  listProviders,
+  createProvider,
+  streamGenerate
+};
@@ -0,0 +1,90 @@
+const OpenAI = require('openai');
+
+// Map upload mimetypes to the audio formats accepted by `input_audio` content parts
+const AUDIO_FORMATS = {
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/wave': 'wav',
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3'
+};
+
+// Generic OpenAI-compatible chat completions provider (hosted or self-hosted)
+const createOpenAICompatibleProvider = ({ baseURL, apiKey, model, systemInstruction }) => {
+  // Self-hosted servers usually ignore the key, but the SDK requires one
+  const client = new OpenAI({ baseURL, apiKey: apiKey || 'not-needed' });
+
+  const buildRequest = ({ prompt, audio, temperature, maxOutputTokens, topP }) => {
+    let userContent = prompt;
+    if (audio) {
+      const format = AUDIO_FORMATS[audio.mimeType];
+      if (!format) {
+        throw new Error(`Audio format ${audio.mimeType} is not supported by the OpenAI-compatible provider`);
+      }
+      userContent = [
+        { type: 'text', text: prompt },
+        { type: 'input_audio', input_audio: { data: audio.buffer.toString('base64'), format } }
+      ];
+    }
+
+    const messages = [];
+    if (systemInstruction) {
+      messages.push({ role: 'system', content: systemInstruction });
+    }
+    messages.push({ role: 'user', content: userContent });
+
+    return {
+      model,
+      messages,
+      temperature,
+      top_p: topP,
+      max_tokens: maxOutputTokens
+    };
+  };
+
+  const generate = async (request) => {
+    const completion = await client.chat.completions.create(buildRequest(request), { signal: request.signal });
+
+    const choice = completion.choices && completion.choices[0];
+    return {
+      text: (choice && choice.message && choice.message.content) || '',
+      provider: 'openai',
+      model: completion.model || model
+    };
+  };
+
+  // Same as generate, calling onText with each piece of text as it arrives
+  const stream = async (request, onText) => {
+    const completion = await client.chat.completions.create(
+      { ...buildRequest(request), stream: true },
+      { signal: request.signal }
+    );
+
+    let text = '';
+    let modelUsed = model;
+    for await (const chunk of completion) {
+      modelUsed = chunk.model || modelUsed;
+      const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta;
+      if (delta && delta.content) {
+        text += delta.content;
+        await onText(delta.content);
+      }
+    }
+
+    return {
+      text,
+      provider: 'openai',
+      model: modelUsed
+    };
+  };
+
+  return {
+    name: 'openai',
+    model,
+    supportsAudio: true,
+    generate,
+    stream
+  };
+};
+
+module.exports = createOpenAICompatibleProvider;
@@ -0,0 +1,78 @@
+// recordingStorage.js - On-disk chunk storage for resumable recording uploads
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const Recording = require('../models/Recording');
+const { getUploadDir } = require('./uploadStorage');
+
+// Hex SHA-256 of a buffer
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// Directory holding the chunks of one recording
+const getRecordingDir = (recordingId) => path.join(getUploadDir(), 'recordings', String(recordingId));
+
+const getChunkPath = (recordingId, index) => path.join(getRecordingDir(recordingId), `${index}.part`);
+
+// Store one chunk (re-sending a chunk simply overwrites it)
+const writeChunk = async (recordingId, index, buffer) => {
+  await fs.mkdir(getRecordingDir(recordingId), { recursive: true });
+  await fs.writeFile(getChunkPath(recordingId, index), buffer);
+};
+
+// Concatenate chunks 0..totalChunks-1 into one file in the upload directory.
+// Returns the file path, its size and its SHA-256.
+const assembleChunks = async (recordingId, totalChunks, originalName) => {
+  const extension = path.extname(originalName || '').toLowerCase();
+  const filePath = path.join(getUploadDir(), `${Date.now()}-${recordingId}${extension}`);
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+
+  const file = await fs.open(filePath, 'w');
+  try {
+    for (let index = 0; index < totalChunks; index++) {
+      const chunk = await fs.readFile(getChunkPath(recordingId, index));
+      hash.update(chunk);
+      size += chunk.length;
+      await file.write(chunk);
+    }
+  } finally {
+    await file.close();
+  }
+
+  return { filePath, size, checksum: hash.digest('hex') };
+};
+
+// Remove every stored chunk of a recording
+const removeChunks = async (recordingId) => {
+  await fs.rm(getRecordingDir(recordingId), { recursive: true, force: true });
+};
+
+// Finalize calls that made no progress for this long were interrupted (e.g. a restart)
+const STALE_FINALIZE_MS = 60 * 60 * 1000;
+
+// Expire upload sessions that were never finalized and delete their chunks
+const purgeExpiredRecordings = async () => {
+  const expired = await Recording.find({
+    expiresAt: { $lte: new Date() },
+    $or: [
+      { status: 'open' },
+      { status: 'finalizing', updatedAt: { $lte: new Date(Date.now() - STALE_FINALIZE_MS) } }
+    ]
+  }).select('_id');
+  for (const recording of expired) {
+    await removeChunks(recording._id);
+    await Recording.updateOne({ _id: recording._id }, { $set: { status: 'expired', updatedAt: new Date() } });
+  }
+  if (expired.length > 0) {
+    console.log(`🧹 Expired ${expired.length} unfinished recording upload(s)`);
+  }
+};
+
+module.exports = {
+  sha256,
+  writeChunk,
+  assembleChunks,
+  removeChunks,
+  purgeExpiredRecordings
+};
@@ -0,0 +1,203 @@
+// review.js - SM-2 spaced-repetition scheduling of flashcards per user
+//
+// Each user has their own review state per flashcard (models/ReviewCard). A card has no
+// state until its first review; such new cards are introduced at most
+// REVIEW_NEW_CARDS_PER_DAY a day. Only the flashcards of each note's newest study set are
+// reviewed (a new study set keeps the card ids of terms the previous one already had).
+
+const Note = require('../models/Note');
+const StudySet = require('../models/StudySet');
+const ReviewCard = require('../models/ReviewCard');
+const reviewConfig = require('../config/review');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_EASINESS = 1.3;
+
+// Next SM-2 state after a review graded 0 (blackout) to 5 (perfect recall).
+// Grades below 3 restart the card's repetitions; the easiness factor moves with every grade.
+const scheduleReview = (state, grade, now = new Date()) => {
+  let { easiness = 2.5, interval = 0, repetitions = 0, lapses = 0 } = state;
+
+  if (grade >= 3) {
+    interval = repetitions === 0 ? 1 : repetitions === 1 ? 6 : Math.round(interval * easiness);
+    repetitions += 1;
+  } else {
+    if (repetitions > 0) lapses += 1;
+    repetitions = 0;
+    interval = 1;
+  }
+  easiness = Math.max(MIN_EASINESS, easiness + (0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02)));
+
+  return {
+    easiness: Math.round(easiness * 1000) / 1000,
+    interval,
+    repetitions,
+    lapses,
+    dueAt: new Date(now.getTime() + interval * DAY_MS)
+  };
+};
+
+// Give flashcards the ids of same-term cards in the note's previous study set, so review
+// history carries over when a quiz is generated again
+const carryOverCardIds = (flashcards, previousSet) => {
+  if (!previousSet) return flashcards;
+  const previousIds = new Map(previousSet.flashcards.map((card) => [card.term.trim().toLowerCase(), card._id]));
+  return flashcards.map((card) => {
+    const id = previousIds.get(card.term.trim().toLowerCase());
+    return id ? { ...card, _id: id } : card;
+  });
+};
+
+// Flashcards of the newest study set of every note that is not in the trash, oldest
+// study set first: Map cardId -> { card, studySet, note }
+const loadCurrentFlashcards = async () => {
+  const latest = await StudySet.aggregate([
+    { $match: { 'flashcards.0': { $exists: true } } },
+    { $sort: { createdAt: -1 } },
+    {
+      $group: {
+        _id: '$note',
+        studySet: { $first: '$_id' },
+        flashcards: { $first: '$flashcards' },
+        createdAt: { $first: '$createdAt' }
+      }
+    },
+    {
+      $lookup: {
+        from: Note.collection.name,
+        let: { noteId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$_id', '$$noteId'] }, deletedAt: null } },
+          { $project: { title: 1, detectedSubject: 1 } }
+        ],
+        as: 'note'
+      }
+    },
+    { $unwind: '$note' },
+    { $sort: { createdAt: 1, _id: 1 } }
+  ]);
+
+  const cards = new Map();
+  for (const { studySet, flashcards, note } of latest) {
+    for (const card of flashcards) {
+      cards.set(String(card._id), { card, studySet, note });
+    }
+  }
+  return cards;
+};
+
+const startOfToday = () => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return today;
+};
+
+// Shape a card and its review state for API responses
+const formatDueCard = ({ card, note }, state) => ({
+  cardId: card._id,
+  term: card.term,
+  definition: card.definition,
+  note: note._id,
+  noteTitle: note.title,
+  subject: note.detectedSubject,
+  isNew: !state,
+  state: state ? {
+    easiness: state.easiness,
+    interval: state.interval,
+    repetitions: state.repetitions,
+    lapses: state.lapses,
+    reviewCount: state.reviewCount,
+    lastGrade: state.lastGrade,
+    lastReviewedAt: state.lastReviewedAt,
+    dueAt: state.dueAt
+  } : null
+});
+
+// Today's new cards: the daily allowance is shared round-robin between subjects, so every
+// subject gets new cards and the counts per subject add up to the total
+const pickNewCards = (cards, allowed) => {
+  const queues = new Map();
+  for (const card of cards) {
+    if (!queues.has(card.subject)) queues.set(card.subject, []);
+    queues.get(card.subject).push(card);
+  }
+  const picked = [];
+  while (picked.length < allowed && queues.size > 0) {
+    for (const [name, queue] of queues) {
+      if (picked.length >= allowed) break;
+      picked.push(queue.shift());
+      if (queue.length === 0) queues.delete(name);
+    }
+  }
+  return picked;
+};
+
+// Cards a user should review now: due cards (longest overdue first), then today's new cards.
+// Resolves to { cards, counts: { total, review, new, bySubject: { [subject]: count } } };
+// counts cover every subject, cards only the requested one.
+const loadDueCards = async (userId, { subject = null, limit = reviewConfig.sessionLimit } = {}) => {
+  const now = new Date();
+  const [current, dueStates, reviewedIds, introducedToday] = await Promise.all([
+    loadCurrentFlashcards(),
+    ReviewCard.find({ user: userId, dueAt: { $lte: now } }).sort({ dueAt: 1 }),
+    ReviewCard.distinct('card', { user: userId }),
+    ReviewCard.countDocuments({ user: userId, createdAt: { $gte: startOfToday() } })
+  ]);
+  const newAllowed = Math.max(0, reviewConfig.newCardsPerDay - introducedToday);
+
+  const reviewed = new Set(reviewedIds.map(String));
+  const reviewCards = dueStates
+    .filter((state) => current.has(String(state.card)))
+    .map((state) => formatDueCard(current.get(String(state.card)), state));
+  const newCards = pickNewCards(
+    [...current.entries()]
+      .filter(([cardId]) => !reviewed.has(cardId))
+      .map(([, entry]) => formatDueCard(entry, null)),
+    newAllowed
+  );
+
+  const bySubject = {};
+  for (const card of [...reviewCards, ...newCards]) {
+    bySubject[card.subject] = (bySubject[card.subject] || 0) + 1;
+  }
+
+  const inSubject = (card) => !subject || card.subject === subject;
+  const due = [...reviewCards, ...newCards].filter(inSubject);
+
+  return {
+    cards: due.slice(0, limit),
+    counts: {
+      total: reviewCards.length + newCards.length,
+      review: reviewCards.length,
+      new: newCards.length,
+      bySubject
+    }
+  };
+};
+
+// Record a review of one card and schedule the next one.
+// Resolves to the updated ReviewCard, or null when the card does not exist (or its note is trashed).
+const recordReview = async (userId, cardId, grade) => {
+  const studySet = await StudySet.findOne({ 'flashcards._id': cardId }).sort({ createdAt: -1 }).select('note');
+  if (!studySet || !(await Note.exists({ _id: studySet.note, deletedAt: null }))) {
+    return null;
+  }
+
+  const state = await ReviewCard.findOne({ user: userId, card: cardId }) ||
+    new ReviewCard({ user: userId, card: cardId, studySet: studySet._id, note: studySet.note });
+  const now = new Date();
+  Object.assign(state, scheduleReview(state, grade, now), {
+    studySet: studySet._id,
+    lastGrade: grade,
+    lastReviewedAt: now,
+    reviewCount: state.reviewCount + 1
+  });
+  return state.save();
+};
+
+module.exports = {
+  scheduleReview,
+  carryOverCardIds,
+  loadDueCards,
+  recordReview
+};
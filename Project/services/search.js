@@ -0,0 +1,346 @@
+const Note = require('../models/Note');
+const searchConfig = require('../config/search');
+const { tokenize } = require('./searchTokenizer');
+
+// Bump when tokenization or indexed fields change; older indexes are rebuilt at startup
+const SEARCH_INDEX_VERSION = 2;
+
+// Ranking weight of each searchable field
+const FIELD_WEIGHTS = {
+  title: 3,
+  notes: 1,
+  transcript: 0.5
+};
+
+// Fields that snippets are taken from, in order of preference
+const SNIPPET_FIELDS = ['notes', 'transcript'];
+
+// BM25 parameters (term-frequency saturation and length normalization)
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Prefix queries need at least this many characters before the *
+const MIN_PREFIX_LENGTH = 2;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Markdown without its syntax, as shown in note previews
+const toPlainText = (markdown) => (markdown || '')
+  .replace(/```[\s\S]*?```/g, '')
+  .replace(/#{1,6}\s+/g, '')
+  .replace(/\*\*(.*?)\*\*/g, '$1')
+  .replace(/\*(.*?)\*/g, '$1')
+  .replace(/`(.*?)`/g, '$1')
+  .replace(/^\s*[-*+]\s+/gm, '')
+  .replace(/^\s*\d+\.\s+/gm, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Title of generated notes: the first heading, or the first line
+const extractTitle = (markdown) => {
+  const lines = (markdown || '').split('\n').map((l) => l.trim()).filter(Boolean);
+  const heading = lines.find((l) => /^#{1,6}\s+/.test(l));
+  return toPlainText(heading || lines[0] || '').substring(0, 200);
+};
+
+// Text of each searchable field of a note
+const searchFields = (note) => ({
+  title: extractTitle(note.generatedNotes),
+  notes: toPlainText(note.generatedNotes),
+  // Text notes have no transcript; their original notes play the same role
+  transcript: (note.transcript && note.transcript.text) || (note.inputType === 'text' ? note.originalContent || '' : '')
+});
+
+// Note fields searchFields reads; only the notes of a result page are loaded for snippets
+const SEARCH_SOURCE_FIELDS = 'generatedNotes transcript.text inputType originalContent';
+
+// Search index fields to store on a note: its distinct terms, the token positions of each
+// term in each field, and the number of tokens in each field
+const buildSearchIndex = (note) => {
+  const fields = searchFields(note);
+  const postings = new Map();
+  const searchFieldLengths = {};
+  for (const field of Object.keys(FIELD_WEIGHTS)) {
+    const tokens = tokenize(fields[field]);
+    searchFieldLengths[field] = tokens.length;
+    tokens.forEach((token, position) => {
+      if (!postings.has(token.term)) {
+        postings.set(token.term, { term: token.term, title: [], notes: [], transcript: [] });
+      }
+      postings.get(token.term)[field].push(position);
+    });
+  }
+  return {
+    title: fields.title,
+    searchTerms: [...postings.keys()],
+    searchPostings: [...postings.values()],
+    searchFieldLengths,
+    searchIndexVersion: SEARCH_INDEX_VERSION
+  };
+};
+
+// Rebuild the stored index of one note after its content changed
+const indexNote = async (noteId) => {
+  const note = await Note.findById(noteId).select('generatedNotes transcript inputType originalContent');
+  if (note) {
+    await Note.updateOne({ _id: note._id }, { $set: buildSearchIndex(note) });
+  }
+};
+
+// Index notes saved before search existed or with an older index version
+const reindexNotes = async () => {
+  let count = 0;
+  for (;;) {
+    const notes = await Note.find({ searchIndexVersion: { $ne: SEARCH_INDEX_VERSION } })
+      .select('generatedNotes transcript inputType originalContent')
+      .limit(100);
+    if (notes.length === 0) break;
+    for (const note of notes) {
+      await Note.updateOne({ _id: note._id }, { $set: buildSearchIndex(note) });
+    }
+    count += notes.length;
+  }
+  if (count > 0) {
+    console.log(`🔎 Built the search index for ${count} note(s)`);
+  }
+};
+
+// Parse a search string into required terms, prefix terms (word*), "quoted phrases"
+// and excluded terms (-word). Words that tokenize into several terms (e.g. "e-mail")
+// are treated as phrases.
+const parseSearchQuery = (query) => {
+  const parsed = { terms: [], prefixes: [], phrases: [], excluded: [] };
+  for (const match of String(query || '').matchAll(/"([^"]*)"?|(\S+)/g)) {
+    if (match[2] && match[2].length > 1 && match[2].startsWith('-')) {
+      parsed.excluded.push(...tokenize(match[2]).map((t) => t.term));
+      continue;
+    }
+    const isPrefix = !match[1] && match[2].endsWith('*');
+    const terms = tokenize(match[1] !== undefined ? match[1] : match[2]).map((t) => t.term);
+    if (terms.length === 0) continue;
+
+    if (isPrefix) {
+      const prefix = terms.pop();
+      if (prefix.length >= MIN_PREFIX_LENGTH) {
+        parsed.prefixes.push(prefix);
+      } else {
+        terms.push(prefix);
+      }
+    }
+    if (terms.length > 1) {
+      parsed.phrases.push(terms);
+    }
+    parsed.terms.push(...terms);
+  }
+  parsed.terms = [...new Set(parsed.terms)];
+  parsed.prefixes = [...new Set(parsed.prefixes)];
+  return parsed;
+};
+
+// Whether a token or posting matches one query unit ({ term } or { prefix })
+const matchesUnit = (token, unit) => (unit.prefix ? token.term.startsWith(unit.prefix) : token.term === unit.term);
+
+// Aggregation expression: whether the string `term` matches one query unit
+const unitExpression = (unit, term) => (unit.prefix
+  ? { $eq: [{ $indexOfCP: [term, { $literal: unit.prefix }] }, 0] }
+  : { $eq: [term, { $literal: unit.term }] });
+
+// Whether the terms of a phrase appear at consecutive positions of one field
+const containsPhrase = (postings, field, phrase) => {
+  const positionsOf = (term) => {
+    const posting = postings.find((p) => p.term === term);
+    return posting ? posting[field] : [];
+  };
+  const following = phrase.slice(1).map((term) => new Set(positionsOf(term)));
+  return positionsOf(phrase[0]).some((start) => following.every((positions, offset) => positions.has(start + offset + 1)));
+};
+
+// Up to `snippetLength` characters around the densest cluster of matches, with the
+// offsets of the matched words in the snippet text
+const buildSnippet = (field, text, tokens, units) => {
+  const hits = tokens.filter((token) => units.some((unit) => matchesUnit(token, unit)));
+  if (hits.length === 0) return null;
+
+  const length = searchConfig.snippetLength;
+  let best = hits[0];
+  let bestCount = 0;
+  for (const hit of hits) {
+    const count = hits.filter((h) => h.start >= hit.start && h.end <= hit.start + length).length;
+    if (count > bestCount) {
+      best = hit;
+      bestCount = count;
+    }
+  }
+
+  // Start a little before the first hit, at a word boundary
+  let start = Math.max(0, best.start - Math.floor(length / 4));
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    start = space !== -1 && space < best.start ? space + 1 : best.start;
+  }
+  let end = Math.min(text.length, start + length);
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > start) end = space;
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  return {
+    field,
+    text: prefix + text.substring(start, end) + suffix,
+    highlights: hits
+      .filter((h) => h.start >= start && h.end <= end)
+      .map((h) => [h.start - start + prefix.length, h.end - start + prefix.length])
+  };
+};
+
+// Search notes matching `filter`, ranked by relevance (or by `sort` = { field, order }).
+// Resolves to { notes, totalCount }, where each note carries `searchScore` and
+// `searchSnippets` ([{ field, text, highlights: [[start, end], ...] }]).
+const searchNotes = async ({ query, filter = {}, page = 1, limit = 10, select, sort = null }) => {
+  const parsed = parseSearchQuery(query);
+  const units = [
+    ...parsed.terms.map((term) => ({ term })),
+    ...parsed.prefixes.map((prefix) => ({ prefix }))
+  ];
+  if (units.length === 0) {
+    return { notes: [], totalCount: 0 };
+  }
+
+  // The index narrows the candidates to notes that contain every term and prefix
+  const unitCondition = (unit) => ({ searchTerms: unit.prefix ? { $regex: `^${escapeRegex(unit.prefix)}` } : unit.term });
+  const searchQuery = {
+    ...filter,
+    $and: [
+      ...(filter.$and || []),
+      ...units.map(unitCondition),
+      ...parsed.excluded.map((term) => ({ searchTerms: { $ne: term } }))
+    ]
+  };
+  // Every matching note is ranked from its stored postings. Only the postings of the query
+  // terms are read, never the note text.
+  const candidates = await Note.aggregate([
+    { $match: Note.find().cast(Note, searchQuery) },
+    {
+      $project: {
+        createdAt: 1,
+        updatedAt: 1,
+        searchFieldLengths: 1,
+        searchPostings: {
+          $filter: {
+            input: { $ifNull: ['$searchPostings', []] },
+            cond: { $or: units.map((unit) => unitExpression(unit, '$$this.term')) }
+          }
+        }
+      }
+    }
+  ]);
+
+  const totalLength = {};
+  const analyzed = candidates.map((note) => {
+    const postings = note.searchPostings;
+    const lengths = {};
+    const counts = {};
+    for (const field of Object.keys(FIELD_WEIGHTS)) {
+      lengths[field] = (note.searchFieldLengths && note.searchFieldLengths[field]) || 0;
+      totalLength[field] = (totalLength[field] || 0) + lengths[field];
+      counts[field] = units.map((unit) => postings
+        .filter((posting) => matchesUnit(posting, unit))
+        .reduce((sum, posting) => sum + posting[field].length, 0));
+    }
+    // Phrases must appear as written in at least one field
+    const phraseFields = parsed.phrases.map((phrase) => Object.keys(FIELD_WEIGHTS)
+      .filter((field) => containsPhrase(postings, field, phrase)));
+    return { id: note._id, createdAt: note.createdAt, updatedAt: note.updatedAt, lengths, counts, phraseFields };
+  });
+
+  // Inverse document frequency of each unit, counted in one pass over the notes that contain
+  // any of them (the collection size is the stored estimate)
+  const [totalNotes, [frequencies]] = await Promise.all([
+    Note.estimatedDocumentCount(),
+    Note.aggregate([
+      { $match: { deletedAt: null, $or: units.map(unitCondition) } },
+      {
+        $group: {
+          _id: null,
+          ...Object.fromEntries(units.map((unit, index) => [`unit${index}`, {
+            $sum: { $cond: [{ $anyElementTrue: [{ $map: { input: '$searchTerms', in: unitExpression(unit, '$$this') } }] }, 1, 0] }
+          }]))
+        }
+      }
+    ])
+  ]);
+  const idf = units.map((unit, index) => {
+    const df = (frequencies && frequencies[`unit${index}`]) || 0;
+    const total = Math.max(totalNotes, df, 1);
+    return Math.log(1 + (total - df + 0.5) / (df + 0.5));
+  });
+
+  const averageLength = {};
+  for (const field of Object.keys(FIELD_WEIGHTS)) {
+    averageLength[field] = Math.max((totalLength[field] || 0) / (analyzed.length || 1), 1);
+  }
+
+  const ranked = [];
+  for (const entry of analyzed) {
+    if (entry.phraseFields.some((fields) => fields.length === 0)) continue;
+
+    let score = 0;
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      const norm = 1 - BM25_B + BM25_B * (entry.lengths[field] / averageLength[field]);
+      entry.counts[field].forEach((tf, index) => {
+        if (tf > 0) {
+          score += weight * idf[index] * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * norm);
+        }
+      });
+    }
+    // Exact phrase matches rank above scattered words
+    entry.phraseFields.forEach((fields) => {
+      score += fields.reduce((sum, field) => sum + FIELD_WEIGHTS[field], 0);
+    });
+    ranked.push({ ...entry, score: Math.round(score * 1000) / 1000 });
+  }
+
+  if (sort) {
+    ranked.sort((a, b) => (a[sort.field] < b[sort.field] ? -1 : a[sort.field] > b[sort.field] ? 1 : 0) * sort.order);
+  } else {
+    ranked.sort((a, b) => b.score - a.score);
+  }
+
+  const pageEntries = ranked.slice((page - 1) * limit, page * limit);
+  const pageIds = pageEntries.map((entry) => entry.id);
+  const [docs, sources] = await Promise.all([
+    Note.find({ _id: { $in: pageIds } }).select(select),
+    Note.find({ _id: { $in: pageIds } }).select(SEARCH_SOURCE_FIELDS).lean()
+  ]);
+  const byId = new Map(docs.map((doc) => [String(doc._id), doc]));
+  const sourcesById = new Map(sources.map((note) => [String(note._id), note]));
+
+  const notes = pageEntries
+    .filter((entry) => byId.has(String(entry.id)) && sourcesById.has(String(entry.id)))
+    .map((entry) => {
+      const fields = searchFields(sourcesById.get(String(entry.id)));
+      return {
+        ...byId.get(String(entry.id)).toObject(),
+        searchScore: entry.score,
+        searchSnippets: SNIPPET_FIELDS
+          .map((field) => buildSnippet(field, fields[field], tokenize(fields[field]), units))
+          .filter(Boolean)
+      };
+    });
+
+  return { notes, totalCount: ranked.length };
+};
+
+module.exports = {
+  SEARCH_INDEX_VERSION,
+  escapeRegex,
+  toPlainText,
+  extractTitle,
+  buildSearchIndex,
+  indexNote,
+  reindexNotes,
+  parseSearchQuery,
+  searchNotes
+};
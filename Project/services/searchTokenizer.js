@@ -0,0 +1,48 @@
+// Unicode-aware tokenizer for the note search index.
+//
+// Words are runs of letters, combining marks and digits, so Indic vowel signs and
+// viramas stay inside the word they belong to. Zero-width joiners (used in Indic
+// conjunct rendering) are kept while matching and removed from the indexed term.
+// Latin-script words are lowercased and stripped of diacritics; Indic digits are
+// mapped to ASCII so "२०२४" and "2024" are the same term.
+
+const WORD_PATTERN = /[\p{L}\p{M}\p{N}\u200c\u200d]+/gu;
+const JOINERS = /[\u200c\u200d]/g;
+const LATIN_WORD = /^[\p{Script=Latin}\p{M}\p{N}]+$/u;
+
+// Indic digit blocks (Devanagari to Malayalam) keep their digits at offsets 0x66-0x6F
+const toAsciiDigits = (word) => word.replace(/[\u0966-\u0d6f]/g, (ch) => {
+  const offset = ch.charCodeAt(0) & 0x7f;
+  return offset >= 0x66 && offset <= 0x6f ? String(offset - 0x66) : ch;
+});
+
+// Normalize one word into its indexed form
+const normalizeTerm = (word) => {
+  let term = toAsciiDigits(word.normalize('NFC').replace(JOINERS, '').toLowerCase());
+  if (LATIN_WORD.test(term)) {
+    term = term.normalize('NFD').replace(/\p{M}/gu, '');
+  }
+  return term;
+};
+
+// Split text into tokens: [{ term, start, end }] with offsets into the original text
+const tokenize = (text) => {
+  const tokens = [];
+  if (!text) return tokens;
+  for (const match of String(text).matchAll(WORD_PATTERN)) {
+    const term = normalizeTerm(match[0]);
+    if (term) {
+      tokens.push({ term, start: match.index, end: match.index + match[0].length });
+    }
+  }
+  return tokens;
+};
+
+// Distinct indexed terms of a text
+const uniqueTerms = (text) => [...new Set(tokenize(text).map((t) => t.term))];
+
+module.exports = {
+  normalizeTerm,
+  tokenize,
+  uniqueTerms
+};
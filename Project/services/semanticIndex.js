@@ -0,0 +1,276 @@
+// semanticIndex.js - Passage embeddings of notes and semantic (vector) search over them
+//
+// Notes are split into passages (the sections of the generated notes, and the transcript
+// or original text), each embedded by the configured embedder (services/embeddings) and
+// stored in models/NotePassage. A note is embedded again when its revision changes, or
+// when the embedder or SEMANTIC_INDEX_VERSION changes. Searches compare the query vector
+// with the stored vectors, which are kept in memory between searches.
+
+const Note = require('../models/Note');
+const NotePassage = require('../models/NotePassage');
+const semanticSearchConfig = require('../config/semanticSearch');
+const { createEmbedder } = require('./embeddings');
+const { planTextSegments } = require('./chunking');
+const { toPlainText, extractTitle } = require('./search');
+
+// Bump when passage splitting changes; notes indexed with an older version are embedded again
+const SEMANTIC_INDEX_VERSION = 1;
+
+// How long searches reuse the loaded vectors (other instances may index notes)
+const CACHE_TTL_MS = 60 * 1000;
+
+// Notes embedded per indexing round
+const NOTES_PER_ROUND = 20;
+
+// Passages shorter than this carry too little meaning to be worth a vector
+const MIN_PASSAGE_CHARS = 20;
+
+let embedder = null;
+
+// The configured embedder, created on first use
+const getEmbedder = () => {
+  if (!embedder) {
+    embedder = createEmbedder();
+  }
+  return embedder;
+};
+
+// Identifies vectors that can be compared with each other
+const embedderKey = () => `${getEmbedder().name}:${getEmbedder().model}`;
+
+// Stored on notes whose passages are up to date
+const indexKey = () => `v${SEMANTIC_INDEX_VERSION}|${embedderKey()}`;
+
+// Split plain text into overlapping passages
+const splitText = (text) => planTextSegments(text, {
+  segmentChars: semanticSearchConfig.passageChars,
+  overlapChars: semanticSearchConfig.passageOverlapChars
+})
+  .map((segment) => text.substring(segment.start, segment.end).trim())
+  .filter((passage) => passage.length >= MIN_PASSAGE_CHARS);
+
+// Sections of markdown notes: [{ heading, text }], split at every heading
+const splitSections = (markdown) => {
+  const sections = [];
+  let current = { heading: '', lines: [] };
+  for (const line of (markdown || '').split('\n')) {
+    if (/^#{1,6}\s+/.test(line.trim())) {
+      sections.push(current);
+      current = { heading: toPlainText(line), lines: [] };
+    } else {
+      current.lines.push(line);
+    }
+  }
+  sections.push(current);
+  return sections
+    .map((section) => ({ heading: section.heading, text: toPlainText(section.lines.join('\n')) }))
+    .filter((section) => section.text);
+};
+
+// Passages of a note: [{ field, index, heading, text }]
+const buildPassages = (note) => {
+  const passages = [];
+  for (const section of splitSections(note.generatedNotes)) {
+    for (const text of splitText(section.text)) {
+      passages.push({ field: 'notes', index: passages.length, heading: section.heading, text });
+    }
+  }
+
+  // Text notes have no transcript; their original notes play the same role
+  const source = (note.transcript && note.transcript.text) || (note.inputType === 'text' ? note.originalContent || '' : '');
+  let transcriptIndex = 0;
+  for (const text of splitText(source.replace(/\s+/g, ' ').trim())) {
+    passages.push({ field: 'transcript', index: transcriptIndex++, heading: '', text });
+  }
+  return passages;
+};
+
+// Text sent to the embedder: the section heading gives a passage its context
+const embeddingInput = (passage) => (passage.heading ? `${passage.heading}\n${passage.text}` : passage.text);
+
+// Embed texts in batches of SEMANTIC_BATCH_SIZE
+const embedAll = async (texts, purpose) => {
+  const vectors = [];
+  for (let i = 0; i < texts.length; i += semanticSearchConfig.batchSize) {
+    vectors.push(...await getEmbedder().embed(texts.slice(i, i + semanticSearchConfig.batchSize), { purpose }));
+  }
+  return vectors;
+};
+
+// In-memory copy of the stored vectors: { key, loadedAt, entries: [{ id, note, vector }] }
+let vectorCache = null;
+
+// Drop the cached vectors so the next search loads them again
+const invalidateVectorCache = () => {
+  vectorCache = null;
+};
+
+// Replace the stored passages of one note with freshly embedded ones
+const indexNote = async (note) => {
+  const passages = buildPassages(note);
+  const vectors = await embedAll(passages.map(embeddingInput), 'document');
+  const key = embedderKey();
+
+  await NotePassage.deleteMany({ note: note._id });
+  if (passages.length > 0) {
+    await NotePassage.insertMany(passages.map((passage, i) => ({
+      ...passage,
+      note: note._id,
+      embedding: vectors[i],
+      embedder: key
+    })));
+  }
+  await Note.updateOne({ _id: note._id }, { $set: { semanticIndexKey: indexKey(), semanticIndexRevision: note.revision } });
+  return passages.length;
+};
+
+// Query for notes whose passages are missing or out of date
+const pendingQuery = () => ({
+  deletedAt: null,
+  $or: [
+    { semanticIndexKey: { $ne: indexKey() } },
+    // Notes saved before revisions were tracked have no stored revision; they are revision 1
+    { $expr: { $ne: ['$semanticIndexRevision', { $ifNull: ['$revision', 1] }] } }
+  ]
+});
+
+// Number of notes waiting to be embedded
+const countPendingNotes = () => Note.countDocuments(pendingQuery());
+
+let activeRun = null;
+let runAgain = false;
+
+// Embed every note that is pending. Only one run is active at a time; calls made during
+// a run make it look for pending notes once more before it finishes.
+// Resolves to the number of notes embedded.
+const indexPendingNotes = () => {
+  if (activeRun) {
+    runAgain = true;
+    return activeRun;
+  }
+  activeRun = (async () => {
+    // Notes that failed are skipped until the next run
+    const failed = [];
+    let count = 0;
+    try {
+      do {
+        runAgain = false;
+        for (;;) {
+          const notes = await Note.find({ ...pendingQuery(), _id: { $nin: failed } })
+            .select('generatedNotes transcript.text inputType originalContent revision')
+            .limit(NOTES_PER_ROUND);
+          if (notes.length === 0) break;
+          for (const note of notes) {
+            try {
+              await indexNote(note);
+              count += 1;
+            } catch (error) {
+              console.error(`❌ Failed to embed note ${note._id}:`, error.message);
+              failed.push(note._id);
+            }
+          }
+          invalidateVectorCache();
+        }
+      } while (runAgain);
+    } finally {
+      activeRun = null;
+    }
+    if (count > 0) {
+      console.log(`🧭 Embedded ${count} note(s) for semantic search (${embedderKey()})`);
+    }
+    return count;
+  })();
+  return activeRun;
+};
+
+// Start embedding pending notes in the background (after a note is saved or changed)
+const queueSemanticIndexing = () => {
+  indexPendingNotes().catch((error) => {
+    console.error('❌ Failed to update the semantic index:', error.message);
+  });
+};
+
+// The stored vectors of the current embedder, from the cache while it is fresh
+const loadVectors = async () => {
+  const key = embedderKey();
+  if (vectorCache && vectorCache.key === key && Date.now() - vectorCache.loadedAt < CACHE_TTL_MS) {
+    return vectorCache.entries;
+  }
+  const passages = await NotePassage.find({ embedder: key }).select('note embedding').lean();
+  const entries = passages.map((passage) => ({
+    id: passage._id,
+    note: String(passage.note),
+    vector: Float32Array.from(passage.embedding)
+  }));
+  vectorCache = { key, loadedAt: Date.now(), entries };
+  return entries;
+};
+
+// Cosine similarity of two vectors of the same length
+const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+// Passages most similar in meaning to `query` among notes matching `filter`.
+// Resolves to { passages, pendingNotes }, where each passage is
+// { noteId, title, subject, field, index, heading, text, score } (best first) and
+// pendingNotes counts notes that are not embedded yet.
+const semanticSearch = async ({ query, filter = {}, limit = semanticSearchConfig.defaultResults }) => {
+  const [queryVector] = await getEmbedder().embed([query], { purpose: 'query' });
+  const allowed = new Set((await Note.find(filter).select('_id').lean()).map((note) => String(note._id)));
+
+  const best = [];
+  for (const entry of await loadVectors()) {
+    if (!allowed.has(entry.note) || entry.vector.length !== queryVector.length) continue;
+    best.push({ id: entry.id, score: cosineSimilarity(queryVector, entry.vector) });
+  }
+  best.sort((a, b) => b.score - a.score);
+  const top = best.slice(0, limit).filter((hit) => hit.score > 0);
+
+  const passages = await NotePassage.find({ _id: { $in: top.map((hit) => hit.id) } })
+    .select('note field index heading text')
+    .lean();
+  const notes = await Note.find({ _id: { $in: passages.map((passage) => passage.note) } })
+    .select('title generatedNotes detectedSubject')
+    .lean();
+  const passageById = new Map(passages.map((passage) => [String(passage._id), passage]));
+  const noteById = new Map(notes.map((note) => [String(note._id), note]));
+
+  return {
+    passages: top
+      .filter((hit) => passageById.has(String(hit.id)))
+      .map((hit) => {
+        const passage = passageById.get(String(hit.id));
+        const note = noteById.get(String(passage.note)) || {};
+        return {
+          noteId: passage.note,
+          title: note.title || extractTitle(note.generatedNotes),
+          subject: note.detectedSubject,
+          field: passage.field,
+          index: passage.index,
+          heading: passage.heading,
+          text: passage.text,
+          score: Math.round(hit.score * 1000) / 1000
+        };
+      }),
+    pendingNotes: await countPendingNotes()
+  };
+};
+
+module.exports = {
+  SEMANTIC_INDEX_VERSION,
+  getEmbedder,
+  buildPassages,
+  indexPendingNotes,
+  queueSemanticIndexing,
+  invalidateVectorCache,
+  semanticSearch
+};
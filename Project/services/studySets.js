@@ -0,0 +1,196 @@
+// studySets.js - Practice quizzes and flashcards generated from a note, and quiz scoring
+
+const studyConfig = require('../config/study');
+const { extractDefinitions } = require('./keyDefinitions');
+const { tokenize } = require('./searchTokenizer');
+
+// Thrown when the model's answer holds no usable questions
+class StudySetError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'StudySetError';
+    this.status = status;
+  }
+}
+
+// Question counts for a request, falling back to the configured defaults
+const questionCounts = (requested = {}) => {
+  const count = (value, fallback) => {
+    const parsed = parseInt(value);
+    return isNaN(parsed) ? fallback : Math.max(0, parsed);
+  };
+  const counts = {
+    multipleChoice: count(requested.multipleChoice, studyConfig.multipleChoice),
+    trueFalse: count(requested.trueFalse, studyConfig.trueFalse),
+    shortAnswer: count(requested.shortAnswer, studyConfig.shortAnswer)
+  };
+  const total = counts.multipleChoice + counts.trueFalse + counts.shortAnswer;
+  if (total === 0 || total > studyConfig.maxQuestions) {
+    throw new StudySetError(400, `A quiz must have between 1 and ${studyConfig.maxQuestions} questions`);
+  }
+  return counts;
+};
+
+const buildStudyPrompt = ({ notes, language, counts, withFlashcards }) => `Write a practice quiz for a student from the lecture notes below.
+
+Write every question, option, answer, explanation${withFlashcards ? ', term and definition' : ''} in ${language}.
+Ask exactly ${counts.multipleChoice} multiple-choice, ${counts.trueFalse} true/false and ${counts.shortAnswer} short-answer questions about the most important ideas. Only ask about what the notes say.
+- multiple-choice: 4 options, exactly one correct; "answer" is the 0-based index of the correct option
+- true-false: a statement; "answer" is true or false
+- short-answer: answerable in a few words; "answer" is a list of accepted answers, best first
+Every question needs a one or two sentence "explanation" of the correct answer.
+${withFlashcards ? 'Also write up to 10 flashcards of key terms and their definitions.\n' : ''}
+Respond with ONLY this JSON, no Markdown:
+{"questions": [{"type": "multiple-choice", "question": "...", "options": ["...", "...", "...", "..."], "answer": 0, "explanation": "..."}, {"type": "true-false", "question": "...", "answer": true, "explanation": "..."}, {"type": "short-answer", "question": "...", "answer": ["..."], "explanation": "..."}]${withFlashcards ? ', "flashcards": [{"term": "...", "definition": "..."}]' : ''}}
+
+NOTES:
+${notes}`;
+
+const cleanText = (value) => (typeof value === 'string' ? value.trim() : '');
+
+// Validate one question from the model; returns null when it cannot be used
+const normalizeQuestion = (raw) => {
+  if (!raw || typeof raw !== 'object') return null;
+  const question = cleanText(raw.question);
+  const explanation = cleanText(raw.explanation);
+  if (!question) return null;
+
+  switch (raw.type) {
+    case 'multiple-choice': {
+      const options = Array.isArray(raw.options) ? raw.options.map(cleanText).filter(Boolean) : [];
+      const correctOption = parseInt(raw.answer);
+      if (options.length < 2 || isNaN(correctOption) || correctOption < 0 || correctOption >= options.length) return null;
+      return { type: raw.type, question, options, correctOption, explanation };
+    }
+    case 'true-false': {
+      const answer = typeof raw.answer === 'string' ? raw.answer.trim().toLowerCase() : raw.answer;
+      if (answer !== true && answer !== false && answer !== 'true' && answer !== 'false') return null;
+      return { type: raw.type, question, correctAnswer: answer === true || answer === 'true', explanation };
+    }
+    case 'short-answer': {
+      const accepted = (Array.isArray(raw.answer) ? raw.answer : [raw.answer]).map(cleanText).filter(Boolean);
+      if (accepted.length === 0) return null;
+      return { type: raw.type, question, acceptedAnswers: accepted, explanation };
+    }
+    default:
+      return null;
+  }
+};
+
+// Parse the model's JSON into { questions, flashcards }
+const parseStudySetResponse = (raw) => {
+  const cleaned = (raw || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  let parsed;
+  try {
+    parsed = JSON.parse(cleaned);
+  } catch (error) {
+    // Some models wrap the JSON in a sentence
+    const start = cleaned.indexOf('{');
+    const end = cleaned.lastIndexOf('}');
+    try {
+      parsed = start >= 0 && end > start ? JSON.parse(cleaned.slice(start, end + 1)) : null;
+    } catch (innerError) {
+      parsed = null;
+    }
+  }
+  if (!parsed || typeof parsed !== 'object') {
+    return { questions: [], flashcards: [] };
+  }
+
+  const questions = (Array.isArray(parsed.questions) ? parsed.questions : []).map(normalizeQuestion).filter(Boolean);
+  const flashcards = (Array.isArray(parsed.flashcards) ? parsed.flashcards : [])
+    .map((card) => ({ term: cleanText(card && card.term), definition: cleanText(card && card.definition) }))
+    .filter((card) => card.term && card.definition);
+  return { questions, flashcards };
+};
+
+// Generate a quiz (and flashcards) for a note in its detected language.
+// Flashcards come from the note's Key Definitions; the model writes them only when the
+// note has none. Resolves to the StudySet fields (without note/user references).
+const generateStudySet = async ({ provider, note, counts }) => {
+  const definitions = extractDefinitions(note.generatedNotes);
+  const language = note.detectedLanguage && note.detectedLanguage !== 'unknown' ? note.detectedLanguage : 'English';
+
+  const result = await provider.generate({
+    task: 'study-set',
+    prompt: buildStudyPrompt({
+      notes: (note.generatedNotes || '').substring(0, studyConfig.maxNoteChars),
+      language,
+      counts,
+      withFlashcards: definitions.length === 0
+    }),
+    temperature: 0.4
+  });
+
+  const parsed = parseStudySetResponse(result.text);
+  if (parsed.questions.length === 0) {
+    throw new StudySetError(502, 'The model did not return any usable questions; please try again');
+  }
+
+  const flashcards = definitions.length > 0 ? definitions : parsed.flashcards;
+  return {
+    noteRevision: note.revision,
+    language,
+    languageCode: note.languageCode,
+    questions: parsed.questions,
+    flashcards,
+    flashcardSource: definitions.length > 0 ? 'definitions' : flashcards.length > 0 ? 'model' : 'none',
+    provider: result.provider,
+    modelUsed: result.model
+  };
+};
+
+const answerTerms = (text) => tokenize(text).map((t) => t.term);
+
+// A typed answer is right when it contains one of the accepted answers' words in order
+const matchesShortAnswer = (given, accepted) => {
+  const givenTerms = answerTerms(given);
+  if (givenTerms.length === 0) return false;
+  return accepted.some((answer) => {
+    const expected = answerTerms(answer);
+    if (expected.length === 0) return false;
+    for (let i = 0; i + expected.length <= givenTerms.length; i++) {
+      if (expected.every((term, j) => givenTerms[i + j] === term)) return true;
+    }
+    return false;
+  });
+};
+
+// Whether one answer is correct for a question
+const isCorrect = (question, given) => {
+  switch (question.type) {
+    case 'multiple-choice':
+      return given !== null && given !== '' && parseInt(given) === question.correctOption;
+    case 'true-false': {
+      const value = given === true || given === 'true' ? true : given === false || given === 'false' ? false : null;
+      return value === question.correctAnswer;
+    }
+    case 'short-answer':
+      return typeof given === 'string' && matchesShortAnswer(given, question.acceptedAnswers);
+    default:
+      return false;
+  }
+};
+
+// Score answers ({ [questionId]: answer }) against a study set's answer key.
+// Unanswered questions count as wrong.
+const scoreAttempt = (studySet, answers = {}) => {
+  const results = studySet.questions.map((question) => {
+    const id = String(question._id);
+    const given = Object.prototype.hasOwnProperty.call(answers, id) ? answers[id] : null;
+    return { question: question._id, given, correct: isCorrect(question, given) };
+  });
+  return {
+    answers: results,
+    score: results.filter((r) => r.correct).length,
+    total: results.length
+  };
+};
+
+module.exports = {
+  StudySetError,
+  questionCounts,
+  parseStudySetResponse,
+  generateStudySet,
+  scoreAttempt
+};
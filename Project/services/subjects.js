@@ -0,0 +1,269 @@
+// subjects.js - Subject taxonomy shared by the classifier and the UI
+
+const Subject = require('../models/Subject');
+const { ensureDBConnection } = require('../config/db');
+
+// Subject used when nothing else matches; it cannot be deleted
+const FALLBACK_SUBJECT = 'General';
+
+// How long the classifier reuses a loaded taxonomy (other instances may edit it)
+const CACHE_TTL_MS = 60 * 1000;
+
+// Seeded into an empty database, and used while the database is unavailable
+const DEFAULT_SUBJECTS = [
+  {
+    name: 'Mathematics',
+    description: 'Math problems, equations',
+    icon: '∑',
+    color: '#FF6B6B',
+    synonyms: ['math'],
+    keywords: [
+      'integral', 'derivative', 'algebra', 'calculus', 'theorem', 'matrix', 'probability', 'geometry',
+      'trigonometry', 'statistics', 'differential equations', 'vector', 'tensor', 'limit', 'set theory',
+      'number theory', 'topology', 'combinatorics', 'prime', 'logarithm', 'exponential', 'polynomial',
+      'inequality', 'function', 'graph theory', 'optimization', 'linear algebra', 'stochastic',
+      'random variable', 'bayesian', 'euclidean', 'non-euclidean', 'metric', 'proof', 'axiom', 'lemma',
+      'corollary', 'sequence', 'series', 'p-adic', 'symmetry', 'group theory', 'ring', 'field',
+      'manifold', 'integrable', 'partial derivative', 'gradient', 'divergence', 'curl'
+    ]
+  },
+  {
+    name: 'Physics',
+    description: 'Concepts & laws',
+    icon: '🔭',
+    color: '#6BCB77',
+    synonyms: [],
+    keywords: [
+      'velocity', 'force', 'quantum', 'relativity', 'particle', 'energy', 'momentum', 'thermodynamics',
+      'optics', 'mass', 'acceleration', 'friction', 'gravity', 'electromagnetism', 'wave', 'frequency',
+      'amplitude', 'spin', 'string theory', 'boson', 'fermion', 'neutrino', 'photon', 'entropy',
+      'enthalpy', 'pressure', 'fluid dynamics', 'nuclear', 'atomic', 'collision', 'radiation',
+      'magnetism', 'capacitance', 'resistance', 'superconductivity', 'black hole', 'cosmology',
+      'astrophysics', 'inertia', 'scalar', 'vector', 'field', 'higgs', 'dark matter', 'dark energy',
+      'interference', 'diffraction', 'relativistic'
+    ]
+  },
+  {
+    name: 'Chemistry',
+    description: 'Reactions & compounds',
+    icon: '⚗️',
+    color: '#4D96FF',
+    synonyms: [],
+    keywords: [
+      'molecule', 'reaction', 'chemical', 'atom', 'bond', 'ph', 'acid', 'oxidation', 'synthesis',
+      'catalyst', 'organic', 'inorganic', 'covalent', 'ionic', 'solution', 'solvent', 'solute',
+      'concentration', 'stoichiometry', 'thermochemistry', 'enthalpy', 'electrons', 'orbitals',
+      'periodic table', 'isotope', 'polymer', 'crystal', 'precipitate', 'titration', 'spectroscopy',
+      'chromatography', 'equilibrium', 'buffer', 'alkaline', 'halogen', 'transition metal',
+      'electrochemistry', 'redox', 'molarity', 'kinetics', 'enthalpy', 'hydrocarbon', 'ester', 'amine'
+    ]
+  },
+  {
+    name: 'Biology',
+    description: 'Living organisms',
+    icon: '🧬',
+    color: '#FFD93D',
+    synonyms: [],
+    keywords: [
+      'cell', 'organism', 'evolution', 'dna', 'protein', 'genome', 'photosynthesis', 'mitosis',
+      'meiosis', 'enzyme', 'chromosome', 'ribosome', 'mutation', 'gene', 'genetics', 'epigenetics',
+      'ecosystem', 'bacteria', 'virus', 'fungi', 'microbe', 'adaptation', 'natural selection', 'anatomy',
+      'physiology', 'immune system', 'respiration', 'metabolism', 'hormone', 'organ', 'species',
+      'taxonomy', 'reproduction', 'biosphere', 'ecology', 'biome', 'cloning', 'biotechnology', 'neuron',
+      'synapse', 'membrane', 'cytoplasm', 'mitochondria', 'chloroplast'
+    ]
+  },
+  {
+    name: 'Programming',
+    description: 'Code & algorithms',
+    icon: '</>',
+    color: '#9B5DE5',
+    synonyms: ['coding', 'program'],
+    keywords: [
+      'function', 'variable', 'loop', 'algorithm', 'code', 'compile', 'runtime', 'bug', 'debug', 'class',
+      'object', 'inheritance', 'polymorphism', 'interface', 'recursion', 'pointer', 'array', 'list',
+      'dictionary', 'hashmap', 'framework', 'library', 'module', 'package', 'thread', 'concurrency',
+      'parallel', 'asynchronous', 'promise', 'exception', 'error', 'syntax', 'interpreter', 'compiler',
+      'optimization', 'api', 'rest', 'json', 'xml', 'version control', 'git', 'regex', 'ide',
+      'container', 'virtual machine'
+    ]
+  },
+  {
+    name: 'Computer Science',
+    description: 'CS concepts',
+    icon: '💾',
+    color: '#00BBF9',
+    synonyms: ['cs'],
+    keywords: [
+      'computer', 'algorithm', 'data structure', 'database', 'machine learning', 'computing', 'cpu',
+      'gpu', 'compiler theory', 'operating system', 'network', 'protocol', 'distributed system', 'cloud',
+      'virtualization', 'encryption', 'cryptography', 'complexity', 'big o', 'neural network', 'ai',
+      'deep learning', 'nlp', 'data mining', 'information theory', 'storage', 'cache', 'parallelism',
+      'graph', 'tree', 'binary', 'hashing', 'blockchain', 'cybersecurity', 'quantum computing',
+      'software engineering', 'microarchitecture'
+    ]
+  },
+  {
+    name: 'History',
+    description: 'Events & figures',
+    icon: '📜',
+    color: '#FF8C42',
+    synonyms: [],
+    keywords: [
+      'war', 'empire', 'revolution', 'histor', 'ancient', 'medieval', 'colonial', 'civilization',
+      'dynasty', 'treaty', 'monarchy', 'republic', 'conquest', 'military', 'battle', 'renaissance',
+      'industrial', 'cold war', 'world war', 'enlightenment', 'pharaoh', 'archaeology', 'imperialism',
+      'feudalism', 'constitution', 'reform', 'rebellion', 'independence', 'exploration', 'migration',
+      'cultural heritage', 'chronicle', 'historic event'
+    ]
+  },
+  {
+    name: 'Geography',
+    description: 'Maps & places',
+    icon: '🗺️',
+    color: '#22C1C3',
+    synonyms: [],
+    keywords: [
+      'continent', 'country', 'climate', 'mountain', 'river', 'latitude', 'longitude', 'topography',
+      'desert', 'ocean', 'island', 'plate tectonics', 'weather', 'region', 'urban', 'rural',
+      'population', 'ecosystem', 'rainforest', 'volcano', 'earthquake', 'map', 'cartography', 'habitat',
+      'biome', 'altitude', 'sea level', 'landform', 'delta', 'canyon', 'valley', 'glacier'
+    ]
+  },
+  {
+    name: 'Literature',
+    description: 'Books & analysis',
+    icon: '📚',
+    color: '#F15BB5',
+    synonyms: [],
+    keywords: [
+      'novel', 'poem', 'poetry', 'literature', 'character', 'narrative', 'prose', 'metaphor', 'allegory',
+      'symbolism', 'theme', 'plot', 'drama', 'tragedy', 'comedy', 'author', 'genre', 'fiction',
+      'nonfiction', 'myth', 'legend', 'epic', 'short story', 'rhetoric', 'dialogue', 'narrator',
+      'memoir', 'biography', 'autobiography', 'manuscript', 'allusion', 'satire', 'imagery'
+    ]
+  },
+  {
+    name: 'Language',
+    description: 'Grammar & vocab',
+    icon: '🗣️',
+    color: '#00C2A8',
+    synonyms: ['linguistics'],
+    keywords: [
+      'grammar', 'vocabulary', 'sentence', 'syntax', 'linguistics', 'translation', 'phonetics',
+      'phonology', 'morphology', 'semantics', 'pragmatics', 'dialect', 'accent', 'lexicon',
+      'conjugation', 'declension', 'orthography', 'writing system', 'etymology', 'discourse', 'phrase',
+      'idiom', 'bilingual', 'multilingual', 'pronunciation'
+    ]
+  },
+  {
+    name: 'Art',
+    description: 'Visual arts',
+    icon: '🎨',
+    color: '#F72585',
+    synonyms: [],
+    keywords: [
+      'painting', 'sculpture', 'canvas', 'gallery', 'museum', 'visual', 'aesthetics', 'portrait',
+      'landscape', 'abstract', 'expressionism', 'realism', 'surrealism', 'impressionism', 'installation',
+      'performance art', 'fine art', 'brushstroke', 'composition', 'color theory', 'perspective',
+      'illustration', 'sketch', 'modern art', 'contemporary art', 'exhibit'
+    ]
+  },
+  {
+    name: 'Music',
+    description: 'Theory & composers',
+    icon: '🎵',
+    color: '#4361EE',
+    synonyms: [],
+    keywords: [
+      'melody', 'harmony', 'rhythm', 'instrument', 'composer', 'song', 'audio', 'pitch', 'tempo', 'tone',
+      'timbre', 'scale', 'chord', 'genre', 'orchestra', 'symphony', 'opera', 'choir', 'band', 'beat',
+      'lyrics', 'arrangement', 'composition', 'improvisation', 'acoustic', 'electronic', 'soundtrack',
+      'mixing', 'recording', 'notation', 'conductor', 'performance'
+    ]
+  },
+  {
+    name: 'Sports',
+    description: 'Athletic activities',
+    icon: '🏅',
+    color: '#FB5607',
+    synonyms: [],
+    keywords: [
+      'tournament', 'score', 'player', 'match', 'athlete', 'game', 'league', 'championship', 'coach',
+      'training', 'stadium', 'team', 'referee', 'offense', 'defense', 'tactics', 'strategy', 'injury',
+      'endurance', 'competition', 'sportsmanship', 'record', 'ranking', 'event', 'marathon', 'sprint',
+      'ball', 'equipment', 'playoff', 'fitness'
+    ]
+  },
+  {
+    name: 'Entertainment',
+    description: 'Movies & celebrities',
+    icon: '🎬',
+    color: '#7BD389',
+    synonyms: [],
+    keywords: [
+      'movie', 'film', 'television', 'celebrity', 'show', 'entertainment', 'series', 'episode',
+      'director', 'actor', 'actress', 'script', 'screenplay', 'animation', 'cartoon', 'streaming',
+      'documentary', 'thriller', 'comedy', 'drama', 'action', 'cinema', 'franchise', 'soundtrack',
+      'visual effects', 'special effects', 'broadcast', 'media', 'trailer'
+    ]
+  },
+  {
+    name: 'General',
+    description: 'Miscellaneous',
+    icon: '📌',
+    color: '#9AA5FF',
+    synonyms: [],
+    keywords: []
+  }
+];
+
+let cache = null;
+let cacheLoadedAt = 0;
+
+// Lowercase, trimmed, de-duplicated list of words
+const normalizeWords = (words) => {
+  const list = Array.isArray(words) ? words : String(words || '').split(',');
+  return [...new Set(list.map((w) => String(w).trim().toLowerCase()).filter(Boolean))];
+};
+
+// Seed the default subjects when the collection is empty
+const ensureDefaultSubjects = async () => {
+  if (await Subject.exists({})) return;
+  await Subject.insertMany(DEFAULT_SUBJECTS.map((subject, index) => ({ ...subject, order: index })));
+  console.log(`✅ Seeded ${DEFAULT_SUBJECTS.length} default subjects`);
+};
+
+// Load the taxonomy for the classifier (cached; defaults when the database is unavailable)
+const loadSubjectTaxonomy = async () => {
+  if (cache && Date.now() - cacheLoadedAt < CACHE_TTL_MS) {
+    return cache;
+  }
+  try {
+    if (await ensureDBConnection()) {
+      const subjects = await Subject.find().sort({ order: 1, name: 1 }).lean();
+      if (subjects.length > 0) {
+        cache = subjects;
+        cacheLoadedAt = Date.now();
+        return cache;
+      }
+    }
+  } catch (error) {
+    console.warn('⚠️ Could not load subjects, using defaults:', error.message);
+  }
+  return DEFAULT_SUBJECTS;
+};
+
+// Drop the cached taxonomy after an edit
+const invalidateSubjectCache = () => {
+  cache = null;
+};
+
+module.exports = {
+  FALLBACK_SUBJECT,
+  DEFAULT_SUBJECTS,
+  normalizeWords,
+  ensureDefaultSubjects,
+  loadSubjectTaxonomy,
+  invalidateSubjectCache
+};
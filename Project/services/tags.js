@@ -0,0 +1,31 @@
+// tags.js - Free-form note tags ("midterm 1", "unit 3", "important")
+
+const MAX_TAG_LENGTH = 40;
+const MAX_TAGS_PER_NOTE = 30;
+
+// Tags are stored lowercase with single spaces; commas separate tags in query strings
+const normalizeTag = (tag) => String(tag === undefined || tag === null ? '' : tag)
+  .normalize('NFC')
+  .replace(/,/g, ' ')
+  .trim()
+  .replace(/\s+/g, ' ')
+  .toLowerCase()
+  .substring(0, MAX_TAG_LENGTH)
+  .trim();
+
+// Distinct normalized tags from a list or a comma-separated string
+const parseTags = (value) => {
+  const values = Array.isArray(value) ? value : [value];
+  const tags = values
+    .flatMap((item) => String(item === undefined || item === null ? '' : item).split(','))
+    .map(normalizeTag)
+    .filter(Boolean);
+  return [...new Set(tags)];
+};
+
+module.exports = {
+  MAX_TAG_LENGTH,
+  MAX_TAGS_PER_NOTE,
+  normalizeTag,
+  parseTags
+};
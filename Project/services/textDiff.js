@@ -0,0 +1,83 @@
+// Line-based diff of two texts using a longest-common-subsequence table.
+
+// Inputs larger than this (lines × lines) are compared as one replaced block
+const MAX_TABLE_CELLS = 4000000;
+
+const splitLines = (text) => (text ? String(text).split('\n') : []);
+
+// Diff two texts line by line. Returns { hunks, added, removed }, where each hunk is
+// { type: 'equal' | 'added' | 'removed', lines } and consecutive lines of one type are grouped.
+const diffLines = (before, after) => {
+  const a = splitLines(before);
+  const b = splitLines(after);
+
+  // Skip the common prefix and suffix so the table only covers the changed middle
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = [];
+  for (let i = 0; i < start; i++) ops.push(['equal', a[i]]);
+
+  const n = endA - start;
+  const m = endB - start;
+  if (n * m > MAX_TABLE_CELLS) {
+    for (let i = start; i < endA; i++) ops.push(['removed', a[i]]);
+    for (let j = start; j < endB; j++) ops.push(['added', b[j]]);
+  } else {
+    // table[i][j] = LCS length of a[start+i..endA) and b[start+j..endB)
+    const width = m + 1;
+    const table = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        table[i * width + j] = a[start + i] === b[start + j]
+          ? table[(i + 1) * width + j + 1] + 1
+          : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (a[start + i] === b[start + j]) {
+        ops.push(['equal', a[start + i]]);
+        i++;
+        j++;
+      } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+        ops.push(['removed', a[start + i]]);
+        i++;
+      } else {
+        ops.push(['added', b[start + j]]);
+        j++;
+      }
+    }
+    for (; i < n; i++) ops.push(['removed', a[start + i]]);
+    for (; j < m; j++) ops.push(['added', b[start + j]]);
+  }
+
+  for (let i = endA; i < a.length; i++) ops.push(['equal', a[i]]);
+
+  const hunks = [];
+  let added = 0;
+  let removed = 0;
+  for (const [type, line] of ops) {
+    if (type === 'added') added++;
+    if (type === 'removed') removed++;
+    const last = hunks[hunks.length - 1];
+    if (last && last.type === type) {
+      last.lines.push(line);
+    } else {
+      hunks.push({ type, lines: [line] });
+    }
+  }
+
+  return { hunks, added, removed };
+};
+
+module.exports = {
+  diffLines
+};
@@ -0,0 +1,136 @@
+// transcription.js - Time-stamped transcription of uploaded lecture audio
+
+const chunkingConfig = require('../config/chunking');
+const { planSegments, extractSegment } = require('./chunking');
+
+const TRANSCRIPTION_PROMPT = `Transcribe this lecture audio verbatim in the language(s) actually spoken. Do NOT translate and do NOT summarize.
+Respond with ONLY a JSON object of this exact shape and nothing else:
+{"segments":[{"start":0.0,"end":4.2,"text":"..."}]}
+"start" and "end" are seconds from the beginning of THIS audio clip. Split the transcript into short segments of one or two sentences.`;
+
+// Parse the model's JSON transcript; fall back to a single untimed segment
+const parseTranscriptResponse = (raw) => {
+  const cleaned = (raw || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  try {
+    const parsed = JSON.parse(cleaned);
+    const list = Array.isArray(parsed) ? parsed : parsed.segments;
+    if (Array.isArray(list)) {
+      return list
+        .filter((s) => s && typeof s.text === 'string' && s.text.trim())
+        .map((s) => ({
+          start: Number(s.start) || 0,
+          end: Number(s.end) || Number(s.start) || 0,
+          text: s.text.trim()
+        }));
+    }
+  } catch (error) {
+    console.warn('Transcript was not valid JSON, storing it as one segment');
+  }
+  return cleaned ? [{ start: 0, end: 0, text: cleaned }] : [];
+};
+
+// Join timed segments into plain transcript text
+const transcriptToText = (segments) => segments.map((s) => s.text).join(' ');
+
+// Transcribe an uploaded audio file ({ buffer, mimetype, originalname }).
+// Long recordings are transcribed per audio segment; `audioSegments` holds their
+// state so completed segments are reused when the job runs again.
+const transcribeAudio = async ({
+  provider,
+  audio,
+  audioSegments = [],
+  signal,
+  onProgress = async () => {},
+  onSegmentUpdate = async () => {}
+}) => {
+  if (audioSegments.length === 0) {
+    for (const segment of planSegments(audio)) {
+      audioSegments.push({ ...segment, status: 'pending', attempts: 0 });
+    }
+    await onSegmentUpdate(null);
+  }
+
+  let transcribedBy = null;
+  for (const segment of audioSegments) {
+    if (segment.status === 'completed') continue;
+    if (signal && signal.aborted) {
+      throw new Error('Transcription was cancelled');
+    }
+
+    const done = audioSegments.filter((s) => s.status === 'completed').length;
+    await onProgress(done / audioSegments.length);
+
+    segment.status = 'running';
+    segment.attempts = (segment.attempts || 0) + 1;
+    await onSegmentUpdate(segment);
+
+    try {
+      const clip = extractSegment(audio, segment);
+      const result = await provider.generate({
+        task: 'transcribe',
+        prompt: TRANSCRIPTION_PROMPT,
+        audio: { mimeType: clip.mimetype, buffer: clip.buffer },
+        temperature: 0.0,
+        maxOutputTokens: chunkingConfig.transcriptMaxOutputTokens,
+        signal
+      });
+
+      segment.status = 'completed';
+      segment.transcript = parseTranscriptResponse(result.text);
+      segment.error = null;
+      segment.provider = result.provider;
+      segment.modelUsed = result.model;
+      transcribedBy = { provider: result.provider, model: result.model };
+    } catch (error) {
+      console.warn(`Transcription of audio segment ${segment.index + 1}/${audioSegments.length} failed:`, error.message);
+      segment.status = 'failed';
+      segment.error = error.message;
+    }
+    await onSegmentUpdate(segment);
+  }
+
+  const failedSegments = audioSegments.filter((s) => s.status !== 'completed');
+  if (failedSegments.length > 0) {
+    throw new Error(`${failedSegments.length} of ${audioSegments.length} audio segment(s) could not be transcribed: ${failedSegments.map((s) => `#${s.index} ${s.error}`).join('; ')}`);
+  }
+
+  if (!transcribedBy) {
+    const last = audioSegments[audioSegments.length - 1];
+    transcribedBy = { provider: last.provider, model: last.modelUsed };
+  }
+
+  // Shift clip-relative timestamps onto the lecture timeline. WAV segments know their
+  // start time; size-based segments continue from the previous segment's last timestamp.
+  const segments = [];
+  let offset = 0;
+  for (const segment of audioSegments) {
+    if (segment.unit === 'seconds') {
+      offset = segment.start;
+    }
+    let lastEnd = offset;
+    for (const line of segment.transcript) {
+      const start = offset + line.start;
+      const end = offset + line.end;
+      // Overlapping audio is transcribed twice; drop lines that precede what we already have
+      if (segments.length > 0 && end <= segments[segments.length - 1].end) continue;
+      segments.push({ start, end, text: line.text });
+      lastEnd = Math.max(lastEnd, end);
+    }
+    if (segment.unit !== 'seconds') {
+      offset = lastEnd;
+    }
+  }
+
+  return {
+    text: transcriptToText(segments),
+    segments,
+    provider: transcribedBy.provider,
+    model: transcribedBy.model
+  };
+};
+
+module.exports = {
+  parseTranscriptResponse,
+  transcriptToText,
+  transcribeAudio
+};
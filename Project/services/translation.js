@@ -0,0 +1,159 @@
+// translation.js - Translate a note's generated notes into another language
+//
+// Math and code are swapped for placeholders before the text reaches the model and put
+// back afterwards, so formulas are never translated or reformatted. Long notes are
+// translated a few sections at a time; each part must come back with all its placeholders.
+
+const translationConfig = require('../config/translation');
+const { normalizeLanguage, languageName } = require('./languageDetection');
+const { CODE_PATTERN, PLACEHOLDER_PATTERN, extractMath, restoreMath } = require('./export/math');
+
+// Thrown when a translation cannot be made
+class TranslationError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'TranslationError';
+    this.status = status;
+  }
+}
+
+// Code placeholders use a second pair of private-use characters so they never clash with math
+const CODE_PLACEHOLDER_PATTERN = /\uE002(\d+)\uE003/g;
+
+// Attempts per part before giving up when the model drops placeholders
+const MAX_ATTEMPTS = 2;
+
+// ISO 639-1 code of a requested language (code or name); throws when it is not known
+const resolveLanguage = (value) => {
+  const code = normalizeLanguage(value);
+  if (!code) {
+    throw new TranslationError(400, `Unknown language: ${value || '(none)'}`);
+  }
+  return code;
+};
+
+// Replace code and math with placeholders: { text, code: [source], math: [{ source, ... }] }
+const protectMarkdown = (markdown) => {
+  const code = [];
+  const withoutCode = (markdown || '').replace(CODE_PATTERN, (match, lead = '') => {
+    code.push(match.slice(lead.length));
+    return `${lead}\uE002${code.length - 1}\uE003`;
+  });
+  const { text, math } = extractMath(withoutCode);
+  return { text, code, math };
+};
+
+// Put the original code and math back in place of their placeholders
+const restoreMarkdown = (text, { code, math }) => restoreMath(text, math, (item) => item.source)
+  .replace(CODE_PLACEHOLDER_PATTERN, (match, index) => (code[Number(index)] !== undefined ? code[Number(index)] : match));
+
+// Placeholders in a text, sorted (e.g. ['m0', 'm1', 'c0'])
+const placeholdersOf = (text) => [
+  ...[...text.matchAll(PLACEHOLDER_PATTERN)].map((match) => `m${match[1]}`),
+  ...[...text.matchAll(CODE_PLACEHOLDER_PATTERN)].map((match) => `c${match[1]}`)
+].sort();
+
+// Split Markdown into parts of at most TRANSLATION_BATCH_CHARS, at headings where possible
+// and at blank lines inside long sections
+const splitParts = (text) => {
+  const blocks = [];
+  let current = [];
+  for (const line of text.split('\n')) {
+    if (/^#{1,6}\s+/.test(line.trim()) && current.length > 0) {
+      blocks.push(current.join('\n'));
+      current = [];
+    }
+    current.push(line);
+  }
+  blocks.push(current.join('\n'));
+
+  const pieces = blocks.flatMap((block) => (block.length > translationConfig.batchChars ? block.split(/\n(?=[ \t]*\n)/) : [block]));
+  const parts = [];
+  for (const piece of pieces) {
+    const last = parts.length - 1;
+    if (last >= 0 && parts[last].length + piece.length + 1 <= translationConfig.batchChars) {
+      parts[last] += `\n${piece}`;
+    } else {
+      parts.push(piece);
+    }
+  }
+  return parts;
+};
+
+const buildTranslationPrompt = ({ text, from, to }) => `Translate these lecture notes${from ? ` from ${from}` : ''} into ${to}.
+
+Rules:
+- Keep the Markdown structure exactly: the same headings, lists, tables, bold and italics, line for line.
+- Copy every placeholder such as \uE0000\uE001 or \uE0020\uE003 unchanged and in place; they stand for formulas and code.
+- The first time a technical term appears, write the ${to} term followed by the original term in parentheses, e.g. "<${to} term> (original term)". Keep terms that have no common ${to} translation as they are.
+- Do not add, leave out or summarize anything.
+- Respond with ONLY the translated Markdown.
+
+NOTES:
+${text}`;
+
+// Models sometimes wrap their answer in a Markdown code fence
+const unwrapFence = (text) => (text || '').trim().replace(/^```(?:markdown|md)?\s*\n([\s\S]*?)\n```$/i, '$1');
+
+// Translate one part, retrying when placeholders go missing
+const translatePart = async ({ provider, text, from, to }) => {
+  const expected = placeholdersOf(text).join(',');
+  let result;
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    result = await provider.generate({
+      task: 'translate',
+      prompt: buildTranslationPrompt({ text, from, to }),
+      temperature: 0.2
+    });
+    const translated = unwrapFence(result.text);
+    if (translated && placeholdersOf(translated).join(',') === expected) {
+      return { text: translated, provider: result.provider, model: result.model };
+    }
+    console.warn(`⚠️ Translation to ${to} changed formulas or code (attempt ${attempt} of ${MAX_ATTEMPTS})`);
+  }
+  throw new TranslationError(502, 'The model did not keep the formulas and code of the notes intact; please try again');
+};
+
+// Translate a note's generated notes into `languageCode`.
+// Resolves to the NoteTranslation fields (without note/user references).
+const translateNote = async ({ provider, note, languageCode }) => {
+  const to = languageName(languageCode);
+  if (note.languageCode === languageCode && !note.mixedLanguage) {
+    throw new TranslationError(400, `The note is already in ${to}`);
+  }
+  const from = note.mixedLanguage && note.languages && note.languages.length > 1
+    ? note.languages.map((l) => l.name).join(' and ')
+    : note.detectedLanguage !== 'unknown' ? note.detectedLanguage : null;
+
+  const protectedNotes = protectMarkdown(note.generatedNotes);
+  const translatedParts = [];
+  let last;
+  for (const text of splitParts(protectedNotes.text)) {
+    // Parts without any words (e.g. only a formula) are kept as they are
+    if (!/\p{L}/u.test(text.replace(PLACEHOLDER_PATTERN, '').replace(CODE_PLACEHOLDER_PATTERN, ''))) {
+      translatedParts.push(text);
+      continue;
+    }
+    // The model's answer is trimmed; keep the blank lines around the part
+    const [, lead, body, trail] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    last = await translatePart({ provider, text: body, from, to });
+    translatedParts.push(lead + last.text + trail);
+  }
+
+  return {
+    languageCode,
+    language: to,
+    content: restoreMarkdown(translatedParts.join('\n'), protectedNotes),
+    noteRevision: note.revision,
+    provider: last ? last.provider : provider.name,
+    modelUsed: last ? last.model : provider.model
+  };
+};
+
+module.exports = {
+  TranslationError,
+  resolveLanguage,
+  protectMarkdown,
+  restoreMarkdown,
+  translateNote
+};
@@ -0,0 +1,45 @@
+const Note = require('../models/Note');
+const NoteRevision = require('../models/NoteRevision');
+const StudySet = require('../models/StudySet');
+const QuizAttempt = require('../models/QuizAttempt');
+const ReviewCard = require('../models/ReviewCard');
+const Collection = require('../models/Collection');
+const NotePassage = require('../models/NotePassage');
+const NoteTranslation = require('../models/NoteTranslation');
+const trashConfig = require('../config/trash');
+
+// When a trashed note will be purged automatically (null when trash is kept until purged by hand)
+const purgeDate = (deletedAt) => (
+  trashConfig.retentionDays > 0 ? new Date(deletedAt.getTime() + trashConfig.retentionDays * 24 * 60 * 60 * 1000) : null
+);
+
+// Permanently delete a note and everything stored for it
+const purgeNote = async (noteId) => {
+  await NoteRevision.deleteMany({ note: noteId });
+  await QuizAttempt.deleteMany({ note: noteId });
+  await ReviewCard.deleteMany({ note: noteId });
+  await StudySet.deleteMany({ note: noteId });
+  await NotePassage.deleteMany({ note: noteId });
+  await NoteTranslation.deleteMany({ note: noteId });
+  await Collection.updateMany({ notes: noteId }, { $pull: { notes: noteId } });
+  await Note.deleteOne({ _id: noteId });
+};
+
+// Permanently delete trashed notes older than the retention period
+const purgeExpiredTrash = async () => {
+  if (trashConfig.retentionDays <= 0) return;
+  const cutoff = new Date(Date.now() - trashConfig.retentionDays * 24 * 60 * 60 * 1000);
+  const expired = await Note.find({ deletedAt: { $ne: null, $lte: cutoff } }).select('_id');
+  for (const note of expired) {
+    await purgeNote(note._id);
+  }
+  if (expired.length > 0) {
+    console.log(`🧹 Purged ${expired.length} note(s) from the trash`);
+  }
+};
+
+module.exports = {
+  purgeDate,
+  purgeNote,
+  purgeExpiredTrash
+};
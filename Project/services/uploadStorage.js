@@ -0,0 +1,39 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { uploadDir } = require('../config/jobs');
+
+// Absolute path of the upload directory
+const getUploadDir = () => path.resolve(uploadDir);
+
+// Persist an uploaded buffer to disk and return its path
+const saveUpload = async (buffer, originalName = 'upload') => {
+  const dir = getUploadDir();
+  await fs.mkdir(dir, { recursive: true });
+  const extension = path.extname(originalName).toLowerCase();
+  const filePath = path.join(dir, `${Date.now()}-${crypto.randomBytes(6).toString('hex')}${extension}`);
+  await fs.writeFile(filePath, buffer);
+  return filePath;
+};
+
+// Read a previously saved upload
+const readUpload = (filePath) => fs.readFile(filePath);
+
+// Remove a saved upload (missing files are ignored)
+const removeUpload = async (filePath) => {
+  if (!filePath) return;
+  try {
+    await fs.unlink(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn('⚠️ Could not remove upload:', filePath, error.message);
+    }
+  }
+};
+
+module.exports = {
+  getUploadDir,
+  saveUpload,
+  readUpload,
+  removeUpload
+};
@@ -0,0 +1,78 @@
+// wav.js - Minimal RIFF/WAVE parsing and writing helpers
+
+const WAV_HEADER_SIZE = 44;
+
+// Parse a WAV buffer into its format description and PCM data location.
+// Returns null when the buffer is not a RIFF/WAVE file.
+const parseWav = (buffer) => {
+  if (!buffer || buffer.length < 12) return null;
+  if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') return null;
+
+  let format = null;
+  let dataOffset = null;
+  let dataSize = null;
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (chunkId === 'fmt ' && body + 16 <= buffer.length) {
+      format = {
+        audioFormat: buffer.readUInt16LE(body),
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        byteRate: buffer.readUInt32LE(body + 8),
+        blockAlign: buffer.readUInt16LE(body + 12),
+        bitsPerSample: buffer.readUInt16LE(body + 14)
+      };
+    } else if (chunkId === 'data') {
+      dataOffset = body;
+      // Streaming recorders sometimes leave the size unset; clamp to what was received
+      dataSize = Math.min(chunkSize, buffer.length - body);
+      break;
+    }
+
+    // Chunks are padded to an even number of bytes
+    offset = body + chunkSize + (chunkSize % 2);
+  }
+
+  if (!format || dataOffset === null) return null;
+
+  return {
+    ...format,
+    dataOffset,
+    dataSize,
+    duration: format.byteRate > 0 ? dataSize / format.byteRate : 0
+  };
+};
+
+// Build a canonical 44-byte-header WAV file around raw PCM data
+const buildWav = (pcm, { sampleRate, channels, bitsPerSample, audioFormat = 1 }) => {
+  const blockAlign = channels * (bitsPerSample / 8);
+  const byteRate = sampleRate * blockAlign;
+  const header = Buffer.alloc(WAV_HEADER_SIZE);
+
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(audioFormat, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(byteRate, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(bitsPerSample, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(pcm.length, 40);
+
+  return Buffer.concat([header, pcm]);
+};
+
+module.exports = {
+  WAV_HEADER_SIZE,
+  parseWav,
+  buildWav
+};
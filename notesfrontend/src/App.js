@@ -2,9 +2,39 @@ import React, { useState, useEffect, useCallback } from 'react';
 import FilterBar from './components/FilterBar';
 import AuthModal from './components/AuthModal';
 import NotesList from './components/NotesList';
+import DevicesPage from './components/DevicesPage';
+import SubjectsPage from './components/SubjectsPage';
+import TrashPage from './components/TrashPage';
+import ReviewPage from './components/ReviewPage';
+import CoursesPage from './components/CoursesPage';
+import CollectionsPage from './components/CollectionsPage';
+import AskPage from './components/AskPage';
 import notesApi from './services/notesApi';
+import authApi from './services/authApi';
+import subjectsApi from './services/subjectsApi';
+import reviewApi from './services/reviewApi';
 import './App.css';
 
+// Semantic search results as a note list: notes ordered by their best passage, each
+// showing its best passages as snippets
+const SNIPPETS_PER_NOTE = 2;
+const notesFromPassages = (response) => {
+  const byId = new Map((response.notes || []).map((note) => [note._id, note]));
+  const results = new Map();
+  for (const passage of response.passages || []) {
+    const note = byId.get(passage.noteId);
+    if (!note) continue;
+    if (!results.has(note._id)) {
+      results.set(note._id, { ...note, searchScore: passage.score, searchSnippets: [] });
+    }
+    const result = results.get(note._id);
+    if (result.searchSnippets.length < SNIPPETS_PER_NOTE) {
+      result.searchSnippets.push({ field: passage.field, text: passage.text, highlights: [], score: passage.score });
+    }
+  }
+  return [...results.values()];
+};
+
 function App() {
   const [notes, setNotes] = useState([]);
   const [pagination, setPagination] = useState(null);
@@ -14,14 +44,60 @@ function App() {
   const [, setCurrentPage] = useState(1);
   const [selectedSubject, setSelectedSubject] = useState('');
   const [isAuthOpen, setIsAuthOpen] = useState(false);
-  const [isAdmin, setIsAdmin] = useState(() => {
+  // Subject taxonomy shared with the classifier
+  const [subjects, setSubjects] = useState([]);
+  // 'notes', 'courses', 'ask', 'collections', 'review', 'devices', 'subjects' or 'trash'
+  // ('ask', 'collections' and 'review' need an account; 'devices', 'subjects' and 'trash' are admin only)
+  const [view, setView] = useState('notes');
+  // Subject reviewed in the 'review' view ('' reviews every subject)
+  const [reviewSubject, setReviewSubject] = useState('');
+  // Flashcards due for review per subject, for the signed-in user
+  const [dueCounts, setDueCounts] = useState(null);
+  // Signed-in user from the server session (null when signed out)
+  const [user, setUser] = useState(null);
+  const isAdmin = !!user && user.role === 'admin';
+  const canEdit = !!user && (user.role === 'editor' || user.role === 'admin');
+
+  // Restore the session from a stored token
+  useEffect(() => {
+    authApi.fetchCurrentUser().then(setUser);
+  }, []);
+
+  const loadSubjects = useCallback(async () => {
+    try {
+      const response = await subjectsApi.fetchSubjects();
+      setSubjects(response.subjects || []);
+    } catch (err) {
+      setSubjects([]);
+    }
+  }, []);
+
+  // Reload after sign-in too, since reading may require an account
+  useEffect(() => {
+    loadSubjects();
+  }, [loadSubjects, user]);
+
+  const loadDueCounts = useCallback(async () => {
+    if (!user) {
+      setDueCounts(null);
+      return;
+    }
     try {
-      const role = localStorage.getItem('role');
-      return role === '1';
-    } catch (e) {
-      return false;
+      const response = await reviewApi.fetchDue({ limit: 0 });
+      setDueCounts(response.counts || null);
+    } catch (err) {
+      setDueCounts(null);
     }
-  });
+  }, [user]);
+
+  useEffect(() => {
+    loadDueCounts();
+  }, [loadDueCounts]);
+
+  const startReview = (subject) => {
+    setReviewSubject(subject);
+    setView('review');
+  };
 
   const fetchNotes = useCallback(async (filters = {}, page = 1) => {
     setLoading(true);
@@ -34,6 +110,17 @@ function App() {
         limit: 10
       };
       
+      // Semantic mode ranks passages by meaning; its best matches come as a single page
+      if (filters.searchMode === 'semantic' && filters.search) {
+        const response = await notesApi.semanticSearch(params);
+        const found = notesFromPassages(response);
+        setNotes(found);
+        setPagination({ currentPage: 1, totalPages: 1, totalCount: found.length, limit: found.length, hasNextPage: false, hasPrevPage: false });
+        setAppliedFilters({ ...(response.appliedFilters || {}), search: filters.search, searchMode: 'semantic' });
+        setCurrentPage(1);
+        return;
+      }
+
       const response = await notesApi.fetchNotes(params);
       
       if (response.status === 'success') {
@@ -79,15 +166,84 @@ function App() {
         <div className="app-header-top">
           <div />
           <div className="auth-section">
-            {isAdmin ? (
+            <button
+              className="auth-icon-btn"
+              title="Courses"
+              aria-label="Courses"
+              onClick={() => setView(view === 'courses' ? 'notes' : 'courses')}
+            >
+              <span className="auth-icon">🎓</span>
+            </button>
+            {user && (
+              <button
+                className="auth-icon-btn"
+                title="Ask your notes"
+                aria-label="Ask your notes"
+                onClick={() => setView(view === 'ask' ? 'notes' : 'ask')}
+              >
+                <span className="auth-icon">💬</span>
+              </button>
+            )}
+            {user && (
+              <button
+                className="auth-icon-btn"
+                title="My collections"
+                aria-label="My collections"
+                onClick={() => setView(view === 'collections' ? 'notes' : 'collections')}
+              >
+                <span className="auth-icon">📁</span>
+              </button>
+            )}
+            {user && (
+              <button
+                className="auth-icon-btn"
+                title={dueCounts ? `Review flashcards (${dueCounts.total} due)` : 'Review flashcards'}
+                aria-label="Review flashcards"
+                onClick={() => (view === 'review' ? setView('notes') : startReview(''))}
+              >
+                <span className="auth-icon">📚</span>
+              </button>
+            )}
+            {isAdmin && (
+              <button
+                className="auth-icon-btn"
+                title="Subjects"
+                aria-label="Subjects"
+                onClick={() => setView(view === 'subjects' ? 'notes' : 'subjects')}
+              >
+                <span className="auth-icon">🗂️</span>
+              </button>
+            )}
+            {isAdmin && (
+              <button
+                className="auth-icon-btn"
+                title="Trash"
+                aria-label="Trash"
+                onClick={() => setView(view === 'trash' ? 'notes' : 'trash')}
+              >
+                <span className="auth-icon">🗑️</span>
+              </button>
+            )}
+            {isAdmin && (
+              <button
+                className="auth-icon-btn"
+                title="Recording devices"
+                aria-label="Recording devices"
+                onClick={() => setView(view === 'devices' ? 'notes' : 'devices')}
+              >
+                <span className="auth-icon">🎙️</span>
+              </button>
+            )}
+            {user ? (
               <button
                 className="auth-icon-btn"
-                title="Logout"
+                title={`Logout ${user.username}`}
                 aria-label="Logout"
                 onClick={() => {
                   if (window.confirm('Logout?')) {
-                    localStorage.removeItem('role');
-                    setIsAdmin(false);
+                    authApi.logout();
+                    setUser(null);
+                    setView('notes');
                   }
                 }}
               >
@@ -115,41 +271,49 @@ function App() {
       </header>
       
       <main className="app-main">
-        {!selectedSubject ? (
+        {view === 'courses' ? (
+          <CoursesPage onBack={() => setView('notes')} canEdit={canEdit} isAdmin={isAdmin} />
+        ) : user && view === 'ask' ? (
+          <AskPage onBack={() => setView('notes')} subjects={subjects} canEdit={canEdit} isAdmin={isAdmin} />
+        ) : user && view === 'collections' ? (
+          <CollectionsPage onBack={() => setView('notes')} canEdit={canEdit} isAdmin={isAdmin} />
+        ) : user && view === 'review' ? (
+          <ReviewPage subject={reviewSubject} onBack={() => { setView('notes'); loadDueCounts(); }} />
+        ) : isAdmin && view === 'devices' ? (
+          <DevicesPage onBack={() => setView('notes')} />
+        ) : isAdmin && view === 'trash' ? (
+          <TrashPage onBack={() => { setView('notes'); fetchNotes(appliedFilters, 1); }} />
+        ) : isAdmin && view === 'subjects' ? (
+          <SubjectsPage subjects={subjects} onBack={() => setView('notes')} onChange={loadSubjects} />
+        ) : !selectedSubject ? (
           // Show subjects grid on homepage (compact cards with icons)
           <div className="subjects-grid">
-            {[
-              { key: 'Mathematics', label: 'Math problems, equations', icon: '∑', color: '#FF6B6B' },
-              { key: 'Physics', label: 'Concepts & laws', icon: '🔭', color: '#6BCB77' },
-              { key: 'Chemistry', label: 'Reactions & compounds', icon: '⚗️', color: '#4D96FF' },
-              { key: 'Biology', label: 'Living organisms', icon: '🧬', color: '#FFD93D' },
-              { key: 'Programming', label: 'Code & algorithms', icon: '</>', color: '#9B5DE5' },
-              { key: 'Computer Science', label: 'CS concepts', icon: '💾', color: '#00BBF9' },
-              { key: 'History', label: 'Events & figures', icon: '📜', color: '#FF8C42' },
-              { key: 'Geography', label: 'Maps & places', icon: '🗺️', color: '#22C1C3' },
-              { key: 'Literature', label: 'Books & analysis', icon: '📚', color: '#F15BB5' },
-              { key: 'Language', label: 'Grammar & vocab', icon: '🗣️', color: '#00C2A8' },
-              { key: 'Art', label: 'Visual arts', icon: '🎨', color: '#F72585' },
-              { key: 'Music', label: 'Theory & composers', icon: '🎵', color: '#4361EE' },
-              { key: 'Sports', label: 'Athletic activities', icon: '🏅', color: '#FB5607' },
-              { key: 'Entertainment', label: 'Movies & celebrities', icon: '🎬', color: '#7BD389' },
-              { key: 'General', label: 'Miscellaneous', icon: '📌', color: '#9AA5FF' }
-            ].map((s) => (
+            {subjects.map((s) => (
               <div
-                key={s.key}
+                key={s._id}
                 className="subject-card compact"
                 role="button"
                 tabIndex={0}
-                onClick={() => setSelectedSubject(s.key)}
-                onKeyDown={(e) => { if (e.key === 'Enter') setSelectedSubject(s.key); }}
+                onClick={() => setSelectedSubject(s.name)}
+                onKeyDown={(e) => { if (e.key === 'Enter') setSelectedSubject(s.name); }}
               >
                 <div className="subject-icon" style={{ backgroundColor: s.color }}>
                   <span className="subject-icon-symbol">{s.icon}</span>
                 </div>
                 <div className="subject-content">
-                  <div className="subject-name">{s.key}</div>
-                  <div className="subject-desc">{s.label}</div>
+                  <div className="subject-name">{s.name}</div>
+                  <div className="subject-desc">{s.description}</div>
                 </div>
+                {dueCounts && dueCounts.bySubject[s.name] > 0 && (
+                  <button
+                    className="subject-due"
+                    title="Review due flashcards"
+                    onClick={(e) => { e.stopPropagation(); startReview(s.name); }}
+                    onKeyDown={(e) => e.stopPropagation()}
+                  >
+                    {dueCounts.bySubject[s.name]} due
+                  </button>
+                )}
               </div>
             ))}
           </div>
@@ -162,7 +326,7 @@ function App() {
               <h2 className="subject-title">{selectedSubject}</h2>
             </div>
 
-            <FilterBar onFiltersChange={handleFiltersChange} loading={loading} hideSubject={true} />
+            <FilterBar onFiltersChange={handleFiltersChange} loading={loading} hideSubject={true} subjects={subjects} />
 
             <NotesList 
               notes={notes}
@@ -171,6 +335,7 @@ function App() {
               error={error}
               onPageChange={handlePageChange}
               appliedFilters={appliedFilters}
+              canEdit={canEdit}
               isAdmin={isAdmin}
             />
           </div>
@@ -180,7 +345,7 @@ function App() {
       <AuthModal
         isOpen={isAuthOpen}
         onClose={() => setIsAuthOpen(false)}
-        onLogin={() => { setIsAdmin(true); setIsAuthOpen(false); }}
+        onLogin={(signedIn) => { setUser(signedIn); setIsAuthOpen(false); }}
       />
     </div>
   );
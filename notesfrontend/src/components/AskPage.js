@@ -0,0 +1,153 @@
+import React, { useState, useEffect, useRef } from 'react';
+import NoteModal from './NoteModal';
+import askApi from '../services/askApi';
+import coursesApi from '../services/coursesApi';
+import './AskPage.css';
+
+const formatDate = (dateString) => new Date(dateString).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+// Ask questions about the notes; answers cite the passages they come from
+const AskPage = ({ onBack, subjects = [], canEdit, isAdmin }) => {
+  const [question, setQuestion] = useState('');
+  const [subject, setSubject] = useState('');
+  const [courseId, setCourseId] = useState('');
+  const [courses, setCourses] = useState([]);
+  // Questions and answers of this session, oldest first
+  const [messages, setMessages] = useState([]);
+  const [asking, setAsking] = useState(false);
+  const [openNote, setOpenNote] = useState(null);
+  const endRef = useRef(null);
+
+  useEffect(() => {
+    coursesApi.fetchCourses()
+      .then((res) => setCourses(res.courses || []))
+      .catch(() => setCourses([]));
+  }, []);
+
+  useEffect(() => {
+    if (endRef.current && endRef.current.scrollIntoView) endRef.current.scrollIntoView({ behavior: 'smooth' });
+  }, [messages]);
+
+  const handleAsk = async (e) => {
+    e.preventDefault();
+    const text = question.trim();
+    if (!text || asking) return;
+    setQuestion('');
+    setAsking(true);
+    try {
+      const res = await askApi.ask(text, { subject, courseId });
+      setMessages((prev) => [...prev, { question: text, ...res }]);
+    } catch (err) {
+      setMessages((prev) => [...prev, { question: text, error: err.message || 'Failed to answer the question' }]);
+    } finally {
+      setAsking(false);
+    }
+  };
+
+  const openCitation = (message, citation) => {
+    const note = (message.notes || []).find((n) => n._id === citation.noteId);
+    if (note) setOpenNote(note);
+  };
+
+  // Answer text with its [n] citations as links to the cited notes
+  const renderAnswer = (message) => {
+    const byRef = new Map((message.citations || []).map((citation) => [citation.ref, citation]));
+    return message.answer.split(/(\[\d+\])/).map((part, index) => {
+      const citation = byRef.get(parseInt(part.slice(1)));
+      if (!/^\[\d+\]$/.test(part) || !citation) return part;
+      return (
+        <button
+          key={index}
+          className="ask-cite"
+          title={[citation.title, citation.heading].filter(Boolean).join(' — ')}
+          onClick={() => openCitation(message, citation)}
+        >
+          {citation.ref}
+        </button>
+      );
+    });
+  };
+
+  return (
+    <div className="ask-page">
+      <div className="ask-header">
+        <button className="back-to-subjects" onClick={onBack}>← Back</button>
+        <h2 className="ask-title">Ask your notes</h2>
+      </div>
+
+      <div className="ask-scope">
+        <select value={subject} onChange={(e) => setSubject(e.target.value)} aria-label="Subject">
+          <option value="">All subjects</option>
+          {subjects.map((s) => <option key={s._id} value={s.name}>{s.name}</option>)}
+        </select>
+        <select value={courseId} onChange={(e) => setCourseId(e.target.value)} aria-label="Course">
+          <option value="">All courses</option>
+          {courses.map((c) => <option key={c._id} value={c._id}>{c.code}{c.semester ? ` (${c.semester})` : ''}</option>)}
+        </select>
+      </div>
+
+      <div className="ask-messages">
+        {messages.length === 0 && (
+          <div className="ask-empty">Ask about anything covered in your lectures, e.g. "What did the professor say about Le Chatelier's principle?"</div>
+        )}
+        {messages.map((message, index) => (
+          <div key={index} className="ask-exchange">
+            <div className="ask-question">{message.question}</div>
+            {message.error ? (
+              <div className="ask-answer ask-error">{message.error}</div>
+            ) : (
+              <div className={`ask-answer${message.answered ? '' : ' ask-refused'}`}>
+                <div className="ask-answer-text">{renderAnswer(message)}</div>
+                {message.citations && message.citations.length > 0 && (
+                  <ol className="ask-sources">
+                    {message.citations.map((citation) => (
+                      <li key={citation.ref} value={citation.ref}>
+                        <button className="ask-source" onClick={() => openCitation(message, citation)}>
+                          <span className="ask-source-title">
+                            {citation.title}{citation.heading ? ` — ${citation.heading}` : ''}{citation.field === 'transcript' ? ' (transcript)' : ''}
+                          </span>
+                          <span className="ask-source-text">{citation.text}</span>
+                        </button>
+                      </li>
+                    ))}
+                  </ol>
+                )}
+              </div>
+            )}
+          </div>
+        ))}
+        {asking && <div className="ask-answer ask-thinking">Searching your notes...</div>}
+        <div ref={endRef} />
+      </div>
+
+      <form className="ask-form" onSubmit={handleAsk}>
+        <input
+          type="text"
+          value={question}
+          onChange={(e) => setQuestion(e.target.value)}
+          placeholder="Ask a question about your notes..."
+          maxLength={1000}
+          disabled={asking}
+        />
+        <button type="submit" disabled={asking || !question.trim()}>Ask</button>
+      </form>
+
+      <NoteModal
+        note={openNote}
+        isOpen={!!openNote}
+        onClose={() => setOpenNote(null)}
+        formatDate={formatDate}
+        canEdit={canEdit}
+        isAdmin={isAdmin}
+      />
+    </div>
+  );
+};
+
+export default AskPage;
@@ -1,21 +1,27 @@
 import React, { useState } from 'react';
+import authApi from '../services/authApi';
 import './AuthModal.css';
 
 const AuthModal = ({ isOpen, onClose, onLogin }) => {
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
 
   if (!isOpen) return null;
 
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
-    if (username === 'admin' && password === 'admin123') {
-      try { localStorage.setItem('role', '1'); } catch (e) { /* ignore */ }
+    setSubmitting(true);
+    try {
+      const user = await authApi.login(username, password);
       setError('');
-      onLogin();
-    } else {
-      setError('Invalid credentials');
+      setPassword('');
+      onLogin(user);
+    } catch (err) {
+      setError(err.message || 'Invalid credentials');
+    } finally {
+      setSubmitting(false);
     }
   };
 
@@ -30,7 +36,7 @@ const AuthModal = ({ isOpen, onClose, onLogin }) => {
           <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} />
           {error && <div className="auth-error">{error}</div>}
           <div className="auth-actions">
-            <button type="submit" className="auth-submit">Login</button>
+            <button type="submit" className="auth-submit" disabled={submitting}>Login</button>
             <button type="button" className="auth-cancel" onClick={onClose}>Cancel</button>
           </div>
         </form>
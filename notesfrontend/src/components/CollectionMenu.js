@@ -0,0 +1,63 @@
+import React, { useState, useEffect } from 'react';
+import collectionsApi from '../services/collectionsApi';
+import './ExportMenu.css';
+
+const NEW_COLLECTION = '__new__';
+
+// Adds a note to one of the signed-in user's collections (or to a new one)
+const CollectionMenu = ({ noteId }) => {
+  const [collections, setCollections] = useState([]);
+  const [collectionId, setCollectionId] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    collectionsApi.fetchCollections()
+      .then((res) => {
+        setCollections(res.collections || []);
+        setCollectionId(res.collections && res.collections.length > 0 ? res.collections[0]._id : NEW_COLLECTION);
+      })
+      .catch(() => setCollections([]));
+  }, []);
+
+  const handleAdd = async () => {
+    setSaving(true);
+    try {
+      if (collectionId === NEW_COLLECTION) {
+        const name = window.prompt('Name of the new collection');
+        if (!name || !name.trim()) return;
+        const res = await collectionsApi.createCollection({ name: name.trim(), notes: [noteId] });
+        setCollections([res.collection, ...collections]);
+        setCollectionId(res.collection._id);
+      } else {
+        await collectionsApi.addNote(collectionId, noteId);
+      }
+      alert('Added to the collection');
+    } catch (err) {
+      alert(err.message || 'Failed to add to collection');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="export-menu">
+      <select
+        className="export-format"
+        value={collectionId}
+        onChange={(e) => setCollectionId(e.target.value)}
+        disabled={saving}
+        aria-label="Collection"
+      >
+        {collections.map((c) => (
+          <option key={c._id} value={c._id}>{c.name}</option>
+        ))}
+        <option value={NEW_COLLECTION}>New collection...</option>
+      </select>
+      <button className="export-button" onClick={handleAdd} disabled={saving}>
+        {saving ? 'Adding...' : 'Add to collection'}
+      </button>
+    </div>
+  );
+};
+
+export default CollectionMenu;
@@ -0,0 +1,195 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import NoteModal from './NoteModal';
+import collectionsApi from '../services/collectionsApi';
+import './CollectionsPage.css';
+
+const formatDate = (dateString) => new Date(dateString).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+// The signed-in user's collections: create, rename and delete them, and order their notes
+const CollectionsPage = ({ onBack, canEdit, isAdmin }) => {
+  const [collections, setCollections] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [notes, setNotes] = useState([]);
+  const [newName, setNewName] = useState('');
+  const [openNote, setOpenNote] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadCollections = useCallback(async () => {
+    try {
+      const res = await collectionsApi.fetchCollections();
+      setCollections(res.collections || []);
+    } catch (err) {
+      setError(err.message || 'Failed to load collections');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadCollections();
+  }, [loadCollections]);
+
+  const openCollection = async (id) => {
+    setError(null);
+    try {
+      const res = await collectionsApi.fetchCollection(id);
+      setSelected(res.collection);
+      setNotes(res.notes || []);
+    } catch (err) {
+      setError(err.message || 'Failed to load collection');
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+    try {
+      const res = await collectionsApi.createCollection({ name: newName.trim() });
+      setNewName('');
+      await loadCollections();
+      openCollection(res.collection._id);
+    } catch (err) {
+      alert(err.message || 'Failed to create collection');
+    }
+  };
+
+  const handleRename = async () => {
+    const name = window.prompt('Collection name', selected.name);
+    if (!name || !name.trim() || name.trim() === selected.name) return;
+    try {
+      const res = await collectionsApi.updateCollection(selected._id, { name: name.trim() });
+      setSelected(res.collection);
+      loadCollections();
+    } catch (err) {
+      alert(err.message || 'Failed to rename collection');
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the collection "${selected.name}"? Its notes are kept.`)) return;
+    try {
+      await collectionsApi.deleteCollection(selected._id);
+      setSelected(null);
+      setNotes([]);
+      loadCollections();
+    } catch (err) {
+      alert(err.message || 'Failed to delete collection');
+    }
+  };
+
+  // Move a note up (-1) or down (+1) and save the new order
+  const moveNote = async (index, offset) => {
+    const reordered = [...notes];
+    const [note] = reordered.splice(index, 1);
+    reordered.splice(index + offset, 0, note);
+    setNotes(reordered);
+    try {
+      const res = await collectionsApi.setNotes(selected._id, reordered.map((n) => n._id));
+      setNotes(res.notes || []);
+    } catch (err) {
+      alert(err.message || 'Failed to reorder collection');
+      openCollection(selected._id);
+    }
+  };
+
+  const removeNote = async (note) => {
+    try {
+      await collectionsApi.removeNote(selected._id, note._id);
+      setNotes(notes.filter((n) => n._id !== note._id));
+      loadCollections();
+    } catch (err) {
+      alert(err.message || 'Failed to remove note');
+    }
+  };
+
+  return (
+    <div className="collections-page">
+      <div className="collections-header">
+        <button className="back-to-subjects" onClick={onBack}>← Back</button>
+        <h2 className="collections-title">My collections</h2>
+      </div>
+
+      {error && <div className="collections-error">{error}</div>}
+
+      <div className="collections-layout">
+        <div className="collections-sidebar">
+          <form className="collections-new" onSubmit={handleCreate}>
+            <input
+              type="text"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              placeholder="New collection name"
+            />
+            <button type="submit">Create</button>
+          </form>
+          {collections.length === 0 ? (
+            <div className="collections-empty">No collections yet. Add notes from a note's "Add to collection" menu.</div>
+          ) : (
+            <ul className="collections-list">
+              {collections.map((c) => (
+                <li key={c._id}>
+                  <button
+                    className={`collections-item ${selected && selected._id === c._id ? 'active' : ''}`}
+                    onClick={() => openCollection(c._id)}
+                  >
+                    <span>{c.name}</span>
+                    <span className="collections-count">{c.noteCount}</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="collections-detail">
+          {!selected ? (
+            <div className="collections-empty">Pick a collection to see its notes.</div>
+          ) : (
+            <>
+              <div className="collections-detail-header">
+                <h3>{selected.name}</h3>
+                <button onClick={handleRename}>Rename</button>
+                <button className="danger" onClick={handleDelete}>Delete</button>
+              </div>
+              {selected.description && <p className="collections-description">{selected.description}</p>}
+              {notes.length === 0 ? (
+                <div className="collections-empty">This collection has no notes yet.</div>
+              ) : (
+                <ol className="collections-notes">
+                  {notes.map((note, index) => (
+                    <li key={note._id}>
+                      <button className="collections-note-title" onClick={() => setOpenNote(note)}>
+                        {note.title || 'Untitled note'}
+                      </button>
+                      <span className="collections-note-meta">{note.detectedSubject} · {formatDate(note.createdAt)}</span>
+                      <span className="collections-note-actions">
+                        <button onClick={() => moveNote(index, -1)} disabled={index === 0} aria-label="Move up">↑</button>
+                        <button onClick={() => moveNote(index, 1)} disabled={index === notes.length - 1} aria-label="Move down">↓</button>
+                        <button onClick={() => removeNote(note)} aria-label="Remove from collection">✕</button>
+                      </span>
+                    </li>
+                  ))}
+                </ol>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+
+      <NoteModal
+        note={openNote}
+        isOpen={!!openNote}
+        onClose={() => setOpenNote(null)}
+        formatDate={formatDate}
+        canEdit={canEdit}
+        isAdmin={isAdmin}
+      />
+    </div>
+  );
+};
+
+export default CollectionsPage;
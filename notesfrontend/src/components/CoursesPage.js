@@ -0,0 +1,122 @@
+import React, { useState, useEffect } from 'react';
+import NotesList from './NotesList';
+import coursesApi from '../services/coursesApi';
+import './CoursesPage.css';
+
+const formatDay = (dateString) => (dateString
+  ? new Date(dateString).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })
+  : '');
+
+const courseLabel = (course) => [course.code, course.title].filter(Boolean).join(' — ') +
+  (course.semester ? ` (${course.semester})` : '');
+
+// Browse notes by course: pick a course, then one of its lectures in order
+const CoursesPage = ({ onBack, canEdit, isAdmin }) => {
+  const [courses, setCourses] = useState([]);
+  const [courseId, setCourseId] = useState('');
+  const [course, setCourse] = useState(null);
+  const [lectures, setLectures] = useState([]);
+  const [lectureId, setLectureId] = useState('');
+  const [notes, setNotes] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    coursesApi.fetchCourses()
+      .then((res) => setCourses(res.courses || []))
+      .catch((err) => setError(err.message || 'Failed to load courses'));
+  }, []);
+
+  // Lectures of the picked course
+  useEffect(() => {
+    setCourse(null);
+    setLectures([]);
+    setLectureId('');
+    if (!courseId) return;
+    setError(null);
+    coursesApi.fetchCourse(courseId)
+      .then((res) => {
+        setCourse(res.course);
+        setLectures(res.lectures || []);
+      })
+      .catch((err) => setError(err.message || 'Failed to load course'));
+  }, [courseId]);
+
+  // Notes of the picked lecture
+  useEffect(() => {
+    setNotes([]);
+    if (!lectureId) return;
+    setLoading(true);
+    setError(null);
+    coursesApi.fetchLecture(lectureId)
+      .then((res) => setNotes(res.notes || []))
+      .catch((err) => setError(err.message || 'Failed to load lecture'))
+      .finally(() => setLoading(false));
+  }, [lectureId]);
+
+  return (
+    <div className="courses-page">
+      <div className="courses-header">
+        <button className="back-to-subjects" onClick={onBack}>← Back</button>
+        <h2 className="courses-title">Courses</h2>
+        <select className="courses-picker" value={courseId} onChange={(e) => setCourseId(e.target.value)}>
+          <option value="">Choose a course...</option>
+          {courses.map((c) => (
+            <option key={c._id} value={c._id}>{courseLabel(c)}</option>
+          ))}
+        </select>
+      </div>
+
+      {error && <div className="courses-error">{error}</div>}
+
+      {!courseId ? (
+        <div className="courses-empty">
+          {courses.length === 0 ? 'No courses yet.' : 'Pick a course to see its lectures.'}
+        </div>
+      ) : course && (
+        <>
+          <div className="course-info">
+            {course.instructor && <span>👤 {course.instructor}</span>}
+            {course.semester && <span>📅 {course.semester}</span>}
+            {course.subject && <span>🗂️ {course.subject}</span>}
+          </div>
+
+          {lectures.length === 0 ? (
+            <div className="courses-empty">This course has no lectures yet.</div>
+          ) : (
+            <ol className="lecture-list">
+              {lectures.map((lecture) => (
+                <li key={lecture._id}>
+                  <button
+                    className={`lecture-item ${lecture._id === lectureId ? 'active' : ''}`}
+                    onClick={() => setLectureId(lecture._id === lectureId ? '' : lecture._id)}
+                  >
+                    <span className="lecture-number">Lecture {lecture.number}</span>
+                    <span className="lecture-title">{lecture.title}</span>
+                    <span className="lecture-date">{formatDay(lecture.date)}</span>
+                    <span className="lecture-count">{lecture.noteCount} note{lecture.noteCount !== 1 ? 's' : ''}</span>
+                  </button>
+                </li>
+              ))}
+            </ol>
+          )}
+
+          {lectureId && (
+            <NotesList
+              notes={notes}
+              pagination={null}
+              loading={loading}
+              error={null}
+              onPageChange={() => {}}
+              appliedFilters={{ lecture: lectureId }}
+              canEdit={canEdit}
+              isAdmin={isAdmin}
+            />
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CoursesPage;
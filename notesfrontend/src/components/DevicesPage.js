@@ -0,0 +1,150 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import devicesApi from '../services/devicesApi';
+import './DevicesPage.css';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : 'Never');
+
+const DevicesPage = ({ onBack }) => {
+  const [devices, setDevices] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [name, setName] = useState('');
+  const [room, setRoom] = useState('');
+  // API key returned by register/rotate; the server never shows it again
+  const [issuedKey, setIssuedKey] = useState(null);
+
+  const loadDevices = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await devicesApi.fetchDevices();
+      setDevices(res.devices || []);
+    } catch (err) {
+      setError(err.message || 'Failed to load devices');
+      setDevices([]);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadDevices();
+  }, [loadDevices]);
+
+  const handleRegister = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    try {
+      const res = await devicesApi.registerDevice({ name: name.trim(), room: room.trim() });
+      setIssuedKey({ name: res.device.name, key: res.apiKey });
+      setName('');
+      setRoom('');
+      loadDevices();
+    } catch (err) {
+      alert(err.message || 'Failed to register device');
+    }
+  };
+
+  const handleEdit = async (device) => {
+    const newName = window.prompt('Device name', device.name);
+    if (newName === null) return;
+    const newRoom = window.prompt('Room', device.room || '');
+    if (newRoom === null) return;
+    try {
+      await devicesApi.updateDevice(device._id, { name: newName, room: newRoom });
+      loadDevices();
+    } catch (err) {
+      alert(err.message || 'Failed to update device');
+    }
+  };
+
+  const handleRevoke = async (device) => {
+    if (!window.confirm(`Revoke "${device.name}"? Its key will stop working immediately.`)) return;
+    try {
+      await devicesApi.revokeDevice(device._id);
+      loadDevices();
+    } catch (err) {
+      alert(err.message || 'Failed to revoke device');
+    }
+  };
+
+  const handleRotate = async (device) => {
+    if (!window.confirm(`Issue a new key for "${device.name}"? The current key will stop working.`)) return;
+    try {
+      const res = await devicesApi.rotateDeviceKey(device._id);
+      setIssuedKey({ name: res.device.name, key: res.apiKey });
+      loadDevices();
+    } catch (err) {
+      alert(err.message || 'Failed to rotate key');
+    }
+  };
+
+  return (
+    <div className="devices-page">
+      <div className="devices-header">
+        <button className="back-to-subjects" onClick={onBack}>← Back</button>
+        <h2 className="devices-title">Recording Devices</h2>
+      </div>
+
+      {issuedKey && (
+        <div className="devices-issued-key">
+          <div>
+            API key for <strong>{issuedKey.name}</strong>. Copy it now; it will not be shown again.
+          </div>
+          <code>{issuedKey.key}</code>
+          <button onClick={() => setIssuedKey(null)}>Done</button>
+        </div>
+      )}
+
+      <form className="devices-register" onSubmit={handleRegister}>
+        <input placeholder="Device name" value={name} onChange={(e) => setName(e.target.value)} />
+        <input placeholder="Room" value={room} onChange={(e) => setRoom(e.target.value)} />
+        <button type="submit" disabled={!name.trim()}>Register device</button>
+      </form>
+
+      {error && <div className="devices-error">{error}</div>}
+      {loading ? (
+        <div className="devices-loading">Loading devices...</div>
+      ) : (
+        <table className="devices-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Room</th>
+              <th>Status</th>
+              <th>Key</th>
+              <th>Last seen</th>
+              <th>Uploads</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {devices.length === 0 ? (
+              <tr>
+                <td colSpan={7} className="devices-empty">No devices registered</td>
+              </tr>
+            ) : devices.map((device) => (
+              <tr key={device._id} className={device.status === 'revoked' ? 'revoked' : ''}>
+                <td>{device.name}</td>
+                <td>{device.room || '—'}</td>
+                <td><span className={`device-status ${device.status}`}>{device.status}</span></td>
+                <td><code>{device.keyPrefix}…</code></td>
+                <td>{formatDate(device.lastSeenAt)}</td>
+                <td>{device.uploadCount}</td>
+                <td className="device-actions">
+                  <button onClick={() => handleEdit(device)}>Edit</button>
+                  <button onClick={() => handleRotate(device)}>Rotate key</button>
+                  {device.status === 'active' && (
+                    <button className="danger" onClick={() => handleRevoke(device)}>Revoke</button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default DevicesPage;
@@ -0,0 +1,48 @@
+import React, { useState } from 'react';
+import './ExportMenu.css';
+
+export const EXPORT_FORMATS = [
+  { value: 'pdf', label: 'PDF' },
+  { value: 'docx', label: 'Word (DOCX)' },
+  { value: 'markdown', label: 'Markdown' },
+  { value: 'html', label: 'HTML' },
+  { value: 'anki', label: 'Anki deck' }
+];
+
+// Format picker with a download button; onExport(format) performs the download
+const ExportMenu = ({ onExport, label = 'Export', disabled = false }) => {
+  const [format, setFormat] = useState('pdf');
+  const [exporting, setExporting] = useState(false);
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      await onExport(format);
+    } catch (err) {
+      alert(err.message || 'Export failed');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="export-menu">
+      <select
+        className="export-format"
+        value={format}
+        onChange={(e) => setFormat(e.target.value)}
+        disabled={disabled || exporting}
+        aria-label="Export format"
+      >
+        {EXPORT_FORMATS.map((f) => (
+          <option key={f.value} value={f.value}>{f.label}</option>
+        ))}
+      </select>
+      <button className="export-button" onClick={handleExport} disabled={disabled || exporting}>
+        {exporting ? 'Exporting...' : label}
+      </button>
+    </div>
+  );
+};
+
+export default ExportMenu;
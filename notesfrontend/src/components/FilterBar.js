@@ -1,13 +1,17 @@
 import React, { useState, useEffect } from 'react';
 import './FilterBar.css';
 
-const FilterBar = ({ onFiltersChange, loading, hideSubject }) => {
+const FilterBar = ({ onFiltersChange, loading, hideSubject, subjects = [] }) => {
   const [filters, setFilters] = useState({
     search: '',
+    // 'keyword' matches words; 'semantic' matches passages by meaning
+    searchMode: 'keyword',
     startDate: '',
     endDate: '',
     language: '',
-    subject: ''
+    subject: '',
+    tags: '',
+    tagMode: 'all'
   });
 
   const [showAdvanced, setShowAdvanced] = useState(false);
@@ -34,16 +38,19 @@ const FilterBar = ({ onFiltersChange, loading, hideSubject }) => {
   const handleClearFilters = () => {
     const clearedFilters = {
       search: '',
+      searchMode: filters.searchMode,
       startDate: '',
       endDate: '',
       language: '',
-      subject: ''
+      subject: '',
+      tags: '',
+      tagMode: 'all'
     };
     setFilters(clearedFilters);
     onFiltersChange(clearedFilters);
   };
 
-  const hasActiveFilters = filters.search || filters.startDate || filters.endDate || filters.language || filters.subject;
+  const hasActiveFilters = filters.search || filters.startDate || filters.endDate || filters.language || filters.subject || filters.tags;
 
   return (
     <div className="filter-bar">
@@ -52,7 +59,7 @@ const FilterBar = ({ onFiltersChange, loading, hideSubject }) => {
           <div className="search-input-container">
             <input
               type="text"
-              placeholder="Search notes..."
+              placeholder={filters.searchMode === 'semantic' ? 'Describe what you are looking for...' : 'Search notes...'}
               value={filters.search}
               onChange={(e) => handleInputChange('search', e.target.value)}
               className="search-input"
@@ -60,6 +67,27 @@ const FilterBar = ({ onFiltersChange, loading, hideSubject }) => {
             />
             <div className="search-icon">🔍</div>
           </div>
+
+          <div className="search-mode" role="group" aria-label="Search mode">
+            <button
+              type="button"
+              className={filters.searchMode === 'keyword' ? 'active' : ''}
+              onClick={() => handleInputChange('searchMode', 'keyword')}
+              disabled={loading}
+              title="Find notes containing these words"
+            >
+              Keyword
+            </button>
+            <button
+              type="button"
+              className={filters.searchMode === 'semantic' ? 'active' : ''}
+              onClick={() => handleInputChange('searchMode', 'semantic')}
+              disabled={loading}
+              title="Find passages about this idea, even when worded differently"
+            >
+              Semantic
+            </button>
+          </div>
           
           <button
             type="button"
@@ -140,24 +168,39 @@ const FilterBar = ({ onFiltersChange, loading, hideSubject }) => {
                   disabled={loading}
                 >
                   <option value="">All Subjects</option>
-                  <option value="Mathematics">Mathematics</option>
-                  <option value="Physics">Physics</option>
-                  <option value="Chemistry">Chemistry</option>
-                  <option value="Biology">Biology</option>
-                  <option value="Programming">Programming</option>
-                  <option value="Computer Science">Computer Science</option>
-                  <option value="History">History</option>
-                  <option value="Geography">Geography</option>
-                  <option value="Literature">Literature</option>
-                  <option value="Language">Language</option>
-                  <option value="Art">Art</option>
-                  <option value="Music">Music</option>
-                  <option value="Sports">Sports</option>
-                  <option value="Entertainment">Entertainment</option>
-                  <option value="General">General</option>
+                  {subjects.map((s) => (
+                    <option key={s._id} value={s.name}>{s.name}</option>
+                  ))}
                 </select>
               </div>
             )}
+
+            <div className="filter-group">
+              <label htmlFor="tags">Tags</label>
+              <input
+                type="text"
+                id="tags"
+                value={filters.tags}
+                onChange={(e) => handleInputChange('tags', e.target.value)}
+                placeholder="midterm 1, important"
+                className="filter-text"
+                disabled={loading}
+              />
+            </div>
+
+            <div className="filter-group">
+              <label htmlFor="tagMode">Match</label>
+              <select
+                id="tagMode"
+                value={filters.tagMode}
+                onChange={(e) => handleInputChange('tagMode', e.target.value)}
+                className="filter-select"
+                disabled={loading}
+              >
+                <option value="all">All tags</option>
+                <option value="any">Any tag</option>
+              </select>
+            </div>
           </div>
         </div>
       )}
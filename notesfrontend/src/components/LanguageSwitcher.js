@@ -0,0 +1,100 @@
+import React, { useState, useEffect } from 'react';
+import notesApi from '../services/notesApi';
+import authApi from '../services/authApi';
+import './LanguageSwitcher.css';
+
+// Switch a note between its original language and its stored translations; signed-in users
+// can translate it into another language. Calls onChange(translation) with the shown
+// translation ({ content, language, outdated, ... }) or null for the original.
+// Render with key={noteId} so it resets when another note is shown.
+const LanguageSwitcher = ({ noteId, onChange }) => {
+  const [original, setOriginal] = useState(null);
+  const [translations, setTranslations] = useState([]);
+  const [languages, setLanguages] = useState([]);
+  const [selected, setSelected] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    notesApi.fetchTranslations(noteId)
+      .then((res) => {
+        setOriginal(res.original);
+        setTranslations(res.translations || []);
+        setLanguages(res.languages || []);
+      })
+      .catch(() => setTranslations([]));
+  }, [noteId]);
+
+  const show = async (languageCode) => {
+    setSelected(languageCode);
+    setError('');
+    if (!languageCode) {
+      onChange(null);
+      return;
+    }
+    setBusy(true);
+    try {
+      const stored = translations.some((t) => t.languageCode === languageCode);
+      const res = stored
+        ? await notesApi.fetchTranslation(noteId, languageCode)
+        : await notesApi.translateNote(noteId, languageCode);
+      if (!stored) setTranslations((prev) => [...prev, res.translation]);
+      onChange(res.translation);
+    } catch (err) {
+      setError(err.message || 'Failed to load translation');
+      setSelected('');
+      onChange(null);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Translate the shown language again from the current version of the note
+  const retranslate = async () => {
+    setBusy(true);
+    setError('');
+    try {
+      const res = await notesApi.translateNote(noteId, selected);
+      setTranslations((prev) => prev.map((t) => (t.languageCode === selected ? res.translation : t)));
+      onChange(res.translation);
+    } catch (err) {
+      setError(err.message || 'Failed to translate note');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const canTranslate = !!authApi.getToken();
+  const newLanguages = languages.filter((l) => (
+    (!original || l.languageCode !== original.languageCode) && !translations.some((t) => t.languageCode === l.languageCode)
+  ));
+  const current = translations.find((t) => t.languageCode === selected);
+
+  if (translations.length === 0 && (!canTranslate || newLanguages.length === 0)) return null;
+
+  return (
+    <div className="language-switcher">
+      <select value={selected} onChange={(e) => show(e.target.value)} disabled={busy} aria-label="Language">
+        <option value="">
+          Original{original && original.language && original.language !== 'unknown' ? ` (${original.language})` : ''}
+        </option>
+        {translations.map((t) => <option key={t.languageCode} value={t.languageCode}>{t.language}</option>)}
+        {canTranslate && newLanguages.length > 0 && (
+          <optgroup label="Translate into">
+            {newLanguages.map((l) => <option key={l.languageCode} value={l.languageCode}>{l.language}</option>)}
+          </optgroup>
+        )}
+      </select>
+      {busy && <span className="language-status">{current ? 'Loading...' : 'Translating...'}</span>}
+      {!busy && current && current.outdated && (
+        <span className="language-status">
+          Translated from an older version.
+          {canTranslate && <button className="language-retranslate" onClick={retranslate}>Translate again</button>}
+        </span>
+      )}
+      {error && <span className="language-error">{error}</span>}
+    </div>
+  );
+};
+
+export default LanguageSwitcher;
@@ -0,0 +1,58 @@
+import React from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import remarkMath from 'remark-math';
+import rehypeKatex from 'rehype-katex';
+import rehypeHighlight from 'rehype-highlight';
+import 'katex/dist/katex.min.css';
+// Adds \ce{...} (chemical formulas and reaction equations) and \pu{...} (units) to KaTeX
+import 'katex/contrib/mhchem';
+import './MarkdownContent.css';
+
+// GitHub-flavored Markdown (tables, strikethrough, task lists) and $...$ / $$...$$ math
+const remarkPlugins = [remarkGfm, remarkMath];
+// Invalid TeX is shown in red instead of breaking the note; code blocks without a
+// language get one detected
+const rehypePlugins = [
+  [rehypeKatex, { throwOnError: false, strict: false }],
+  [rehypeHighlight, { detect: true }]
+];
+
+// Paragraphs are unwrapped when rendering a one-line preview
+const inlineComponents = { p: ({ children }) => <>{children}</> };
+
+// Anchor id of a note section's heading (sections come from the note's structure)
+export const sectionAnchor = (section) => `section-${section.id}`;
+
+// Give section headings their anchor ids. The sections of a note are its last headings
+// of the section level (only the title can come before them at that level).
+const rehypeSectionAnchors = ({ sections }) => (tree) => {
+  const level = `h${sections[0].level}`;
+  const headings = [];
+  const visit = (node) => {
+    if (node.type === 'element' && node.tagName === level) headings.push(node);
+    (node.children || []).forEach(visit);
+  };
+  visit(tree);
+  const offset = headings.length - sections.length;
+  sections.forEach((section, i) => {
+    const heading = headings[offset + i];
+    if (heading) heading.properties = { ...heading.properties, id: sectionAnchor(section) };
+  });
+};
+
+// Markdown of generated notes with math, chemistry, tables and highlighted code.
+// Passing the note's `sections` gives their headings anchor ids for a table of contents.
+const MarkdownContent = ({ children, inline = false, sections = null }) => (
+  <div className={`markdown-content${inline ? ' markdown-inline' : ''}`}>
+    <ReactMarkdown
+      remarkPlugins={remarkPlugins}
+      rehypePlugins={sections && sections.length > 0 ? [...rehypePlugins, [rehypeSectionAnchors, { sections }]] : rehypePlugins}
+      components={inline ? inlineComponents : undefined}
+    >
+      {children || ''}
+    </ReactMarkdown>
+  </div>
+);
+
+export default MarkdownContent;
@@ -1,5 +1,5 @@
 import React from 'react';
-import ReactMarkdown from 'react-markdown';
+import MarkdownContent from './MarkdownContent';
 import './NoteItem.css';
 
 const NoteItem = ({ note, formatDate, onClick }) => {
@@ -33,11 +33,26 @@ const NoteItem = ({ note, formatDate, onClick }) => {
       .replace(/\n+/g, ' ') // Replace newlines with spaces
       .trim();
     
-    // Limit to 150 characters
-    const preview = plainText.length > 150 
-      ? plainText.substring(0, 150) + '...' 
-      : plainText;
-    return preview;
+    // Limit to 150 characters, without cutting a $...$ formula in half
+    let preview = plainText.substring(0, 150);
+    const dollars = [...preview.matchAll(/(?<!\\)\$/g)];
+    if (dollars.length % 2 === 1) {
+      preview = preview.substring(0, dollars[dollars.length - 1].index);
+    }
+    return preview.length < plainText.length ? preview + '...' : preview;
+  };
+
+  // Search snippet with its matched words wrapped in <mark>
+  const renderSnippet = (snippet) => {
+    const parts = [];
+    let last = 0;
+    snippet.highlights.forEach(([start, end], index) => {
+      if (start > last) parts.push(snippet.text.substring(last, start));
+      parts.push(<mark key={index}>{snippet.text.substring(start, end)}</mark>);
+      last = end;
+    });
+    parts.push(snippet.text.substring(last));
+    return parts;
   };
 
   const handleClick = () => {
@@ -73,9 +88,26 @@ const NoteItem = ({ note, formatDate, onClick }) => {
       </div>
       
       <div className="note-content">
-        <div className="note-preview">
-          {createPreview(note.generatedNotes)}
-        </div>
+        {note.searchSnippets && note.searchSnippets.length > 0 ? (
+          note.searchSnippets.map((snippet, index) => (
+            <div key={`${snippet.field}-${index}`} className="note-preview note-snippet">
+              {snippet.field === 'transcript' && <span className="note-snippet-field">Transcript: </span>}
+              {renderSnippet(snippet)}
+              {snippet.score !== undefined && (
+                <span className="note-snippet-score" title="Similarity to the search">{Math.round(snippet.score * 100)}% match</span>
+              )}
+            </div>
+          ))
+        ) : (
+          <div className="note-preview">
+            <MarkdownContent inline>{createPreview(note.generatedNotes)}</MarkdownContent>
+          </div>
+        )}
+        {note.tags && note.tags.length > 0 && (
+          <div className="note-tags">
+            {note.tags.map((tag) => <span key={tag} className="note-tag">#{tag}</span>)}
+          </div>
+        )}
         <div className="note-click-hint">
           Click to view full content
         </div>
@@ -1,15 +1,42 @@
 import React, { useState, useEffect } from 'react';
 import notesApi from '../services/notesApi';
-import ReactMarkdown from 'react-markdown';
+import authApi from '../services/authApi';
+import RevisionHistory from './RevisionHistory';
+import ExportMenu from './ExportMenu';
+import StudyPanel from './StudyPanel';
+import TagEditor from './TagEditor';
+import CollectionMenu from './CollectionMenu';
+import LanguageSwitcher from './LanguageSwitcher';
+import TableOfContents from './TableOfContents';
+import MarkdownContent from './MarkdownContent';
 import './NoteModal.css';
 
-const NoteModal = ({ note, isOpen, onClose, formatDate, isAdmin }) => {
+const NoteModal = ({ note, isOpen, onClose, formatDate, canEdit, isAdmin }) => {
   const [editing, setEditing] = useState(false);
   const [generatedNotesValue, setGeneratedNotesValue] = useState(note ? note.generatedNotes : '');
+  const [showTranscript, setShowTranscript] = useState(false);
+  const [transcript, setTranscript] = useState(null);
+  const [transcriptError, setTranscriptError] = useState('');
+  const [showHistory, setShowHistory] = useState(false);
+  const [showPractice, setShowPractice] = useState(false);
+  // Optional reason stored with the revision an edit creates
+  const [editReason, setEditReason] = useState('');
+  // Translation shown instead of the original notes (null shows the original)
+  const [translation, setTranslation] = useState(null);
+  // Title, sections, definitions and formulas of the note (for the table of contents)
+  const [structure, setStructure] = useState(null);
 
   // keep local state in sync when note prop changes
   useEffect(() => {
     setGeneratedNotesValue(note ? note.generatedNotes : '');
+    setShowTranscript(false);
+    setTranscript(null);
+    setTranscriptError('');
+    setShowHistory(false);
+    setShowPractice(false);
+    setEditReason('');
+    setTranslation(null);
+    setStructure(null);
   }, [note]);
 
   if (!isOpen || !note) return null;
@@ -30,6 +57,42 @@ const NoteModal = ({ note, isOpen, onClose, formatDate, isAdmin }) => {
     }
   };
 
+  // Format seconds as m:ss for transcript timestamps
+  const formatTimestamp = (seconds) => {
+    const total = Math.floor(seconds || 0);
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+  };
+
+  const toggleTranscript = async () => {
+    if (showTranscript) {
+      setShowTranscript(false);
+      return;
+    }
+    setShowTranscript(true);
+    if (transcript) return;
+    try {
+      const res = await notesApi.fetchTranscript(note._id);
+      setTranscript(res.transcript);
+      setTranscriptError('');
+    } catch (err) {
+      console.error('Failed to load transcript', err);
+      setTranscriptError('No transcript available for this note.');
+    }
+  };
+
+  // e.g. "WAV · 12:05 · 16 kHz · mono"
+  const formatAudioInfo = (audio) => {
+    const parts = [audio.format ? audio.format.toUpperCase() : 'Audio'];
+    if (audio.durationSeconds) {
+      const minutes = Math.floor(audio.durationSeconds / 60);
+      const seconds = Math.floor(audio.durationSeconds % 60);
+      parts.push(`${minutes}:${String(seconds).padStart(2, '0')}`);
+    }
+    if (audio.sampleRate) parts.push(`${audio.sampleRate / 1000} kHz`);
+    if (audio.channels) parts.push(audio.channels === 1 ? 'mono' : audio.channels === 2 ? 'stereo' : `${audio.channels} channels`);
+    return parts.join(' · ');
+  };
+
   const handleBackdropClick = (e) => {
     if (e.target === e.currentTarget) {
       onClose();
@@ -65,7 +128,29 @@ const NoteModal = ({ note, isOpen, onClose, formatDate, isAdmin }) => {
                   <strong>Updated:</strong> {formatDate(note.updatedAt)}
                 </div>
               )}
+              {note.detectedLanguage && note.detectedLanguage !== 'unknown' && (
+                <div className="modal-date">
+                  <strong>Language:</strong>{' '}
+                  {note.mixedLanguage && note.languages && note.languages.length > 1
+                    ? `Mixed (${note.languages.map((l) => `${l.name} ${Math.round(l.share * 100)}%`).join(', ')})`
+                    : note.detectedLanguage}
+                </div>
+              )}
+              {note.subjects && note.subjects.length > 0 && (
+                <div className="modal-date">
+                  <strong>Subjects:</strong>{' '}
+                  {note.subjectSource === 'manual'
+                    ? `${note.subjects.map((s) => s.name).join(', ')} (set manually)`
+                    : note.subjects.map((s) => `${s.name} ${Math.round(s.confidence * 100)}%`).join(', ')}
+                </div>
+              )}
+              {note.audio && (
+                <div className="modal-date">
+                  <strong>Audio:</strong> {formatAudioInfo(note.audio)}
+                </div>
+              )}
             </div>
+            <TagEditor key={note._id} noteId={note._id} tags={note.tags || []} canEdit={canEdit} />
           </div>
           <button 
             className="modal-close-btn"
@@ -78,7 +163,38 @@ const NoteModal = ({ note, isOpen, onClose, formatDate, isAdmin }) => {
 
         <div className="modal-content">
           <div className="modal-note-content">
-            {!editing && <ReactMarkdown>{note.generatedNotes}</ReactMarkdown>}
+            <LanguageSwitcher key={note._id} noteId={note._id} onChange={setTranslation} />
+            <TableOfContents key={note._id} noteId={note._id} onLoad={setStructure} hidden={editing || !!translation} />
+            {!editing && (
+              <MarkdownContent sections={translation || !structure ? null : structure.sections}>
+                {translation ? translation.content : note.generatedNotes}
+              </MarkdownContent>
+            )}
+            {!editing && showTranscript && (
+              <div className="transcript-panel">
+                <h4>Transcript</h4>
+                {transcriptError && <div className="transcript-error">{transcriptError}</div>}
+                {!transcriptError && !transcript && <div className="transcript-loading">Loading transcript...</div>}
+                {transcript && transcript.segments && transcript.segments.length > 0 ? (
+                  <ul className="transcript-lines">
+                    {transcript.segments.map((segment, index) => (
+                      <li key={index}>
+                        <span className="transcript-time">{formatTimestamp(segment.start)}</span>
+                        <span className="transcript-text">{segment.text}</span>
+                      </li>
+                    ))}
+                  </ul>
+                ) : (
+                  transcript && <p className="transcript-text">{transcript.text}</p>
+                )}
+              </div>
+            )}
+            {!editing && showHistory && (
+              <RevisionHistory noteId={note._id} canEdit={canEdit} formatDate={formatDate} />
+            )}
+            {!editing && showPractice && (
+              <StudyPanel noteId={note._id} />
+            )}
             {editing && (
               <div className="note-edit-form">
                 <label>Generated Notes</label>
@@ -86,23 +202,79 @@ const NoteModal = ({ note, isOpen, onClose, formatDate, isAdmin }) => {
                   value={generatedNotesValue}
                   onChange={(e) => setGeneratedNotesValue(e.target.value)}
                 />
+                <label>Reason for change</label>
+                <input
+                  type="text"
+                  value={editReason}
+                  onChange={(e) => setEditReason(e.target.value)}
+                  placeholder="e.g. Fixed the formula in section 2"
+                />
               </div>
             )}
           </div>
         </div>
 
         <div className="modal-footer">
-          {isAdmin && !editing && (
+          {note.inputType === 'audio' && !editing && (
+            <button className="modal-transcript-button" onClick={toggleTranscript}>
+              {showTranscript ? 'Hide Transcript' : 'Transcript'}
+            </button>
+          )}
+
+          {!editing && (
+            <button className="modal-history-button" onClick={() => setShowHistory(!showHistory)}>
+              {showHistory ? 'Hide History' : 'History'}
+            </button>
+          )}
+
+          {!editing && (
+            <button className="modal-history-button" onClick={() => setShowPractice(!showPractice)}>
+              {showPractice ? 'Hide Practice' : 'Practice'}
+            </button>
+          )}
+
+          {!editing && (
+            <ExportMenu onExport={(format) => notesApi.exportNote(note._id, format)} />
+          )}
+
+          {!editing && authApi.getToken() && (
+            <CollectionMenu noteId={note._id} />
+          )}
+
+          {canEdit && !editing && (
             <button className="modal-edit-button" onClick={() => setEditing(true)}>Edit</button>
           )}
 
-          {isAdmin && editing && (
+          {isAdmin && !editing && (
+            <button
+              className="modal-edit-button"
+              onClick={async () => {
+                const current = (note.subjects && note.subjects.length > 0)
+                  ? note.subjects.map((s) => s.name).join(', ')
+                  : note.detectedSubject;
+                const value = window.prompt('Subjects, primary first (comma separated)', current);
+                if (value === null) return;
+                const subjects = value.split(',').map((s) => s.trim()).filter(Boolean);
+                if (subjects.length === 0) return;
+                try {
+                  await notesApi.updateNoteSubjects(note._id, subjects);
+                  window.location.reload();
+                } catch (err) {
+                  alert(err.message || 'Failed to update subjects');
+                }
+              }}
+            >
+              Subjects
+            </button>
+          )}
+
+          {canEdit && editing && (
             <button
               className="modal-save-button"
               onClick={async () => {
                 try {
-                  // Only send the generatedNotes field as requested
-                  const res = await notesApi.updateNote(note._id, { generatedNotes: generatedNotesValue });
+                  // Only send the generatedNotes field (and the reason for the revision history)
+                  const res = await notesApi.updateNote(note._id, { generatedNotes: generatedNotesValue, reason: editReason });
                   // On success, refresh the page to reflect changes (could be optimized to update in-place)
                   window.location.reload();
                 } catch (err) {
@@ -114,11 +286,11 @@ const NoteModal = ({ note, isOpen, onClose, formatDate, isAdmin }) => {
             </button>
           )}
 
-          {isAdmin && (
+          {canEdit && (
             <button
               className="modal-delete-button"
               onClick={async () => {
-                if (!window.confirm('Delete this note?')) return;
+                if (!window.confirm('Move this note to the trash?')) return;
                 try {
                   await notesApi.deleteNote(note._id);
                   // refresh list
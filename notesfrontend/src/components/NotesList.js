@@ -2,6 +2,8 @@ import React, { useState } from 'react';
 import NoteItem from './NoteItem';
 import NoteModal from './NoteModal';
 import Pagination from './Pagination';
+import ExportMenu from './ExportMenu';
+import notesApi from '../services/notesApi';
 import './NotesList.css';
 
 const NotesList = ({ 
@@ -11,6 +13,7 @@ const NotesList = ({
   error, 
   onPageChange,
   appliedFilters,
+  canEdit,
   isAdmin
 }) => {
   const [selectedNote, setSelectedNote] = useState(null);
@@ -31,6 +34,14 @@ const NotesList = ({
     setIsModalOpen(true);
   };
 
+  // Download every note matching the current filters as one zip
+  const handleExportAll = async (format) => {
+    const result = await notesApi.exportNotes(appliedFilters || {}, format);
+    if (result.skipped > 0) {
+      alert(`${result.skipped} note(s) could not be exported as ${format}; see skipped.txt in the download.`);
+    }
+  };
+
   const handleCloseModal = () => {
     setIsModalOpen(false);
     setSelectedNote(null);
@@ -73,6 +84,9 @@ const NotesList = ({
                 Filtered results
               </span>
             )}
+            {pagination.totalCount > 0 && (
+              <ExportMenu onExport={handleExportAll} label="Export all" />
+            )}
           </div>
         )}
       </div>
@@ -118,6 +132,7 @@ const NotesList = ({
         isOpen={isModalOpen}
         onClose={handleCloseModal}
         formatDate={formatDate}
+        canEdit={canEdit}
         isAdmin={isAdmin}
       />
     </div>
@@ -0,0 +1,106 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import reviewApi from '../services/reviewApi';
+import './ReviewPage.css';
+
+// Recall grades sent to the SM-2 scheduler (0 = forgot ... 5 = perfect)
+const GRADES = [
+  { grade: 1, label: 'Again', hint: 'Forgot it' },
+  { grade: 3, label: 'Hard', hint: 'Recalled with effort' },
+  { grade: 4, label: 'Good', hint: 'Recalled after a pause' },
+  { grade: 5, label: 'Easy', hint: 'Instant recall' }
+];
+
+// Review session: shows each due card, reveals the definition and records a grade
+const ReviewPage = ({ subject, onBack }) => {
+  const [cards, setCards] = useState([]);
+  const [index, setIndex] = useState(0);
+  const [revealed, setRevealed] = useState(false);
+  const [reviewed, setReviewed] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadDue = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await reviewApi.fetchDue({ subject });
+      setCards(res.cards || []);
+      setIndex(0);
+      setRevealed(false);
+    } catch (err) {
+      setError(err.message || 'Failed to load due cards');
+      setCards([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [subject]);
+
+  useEffect(() => {
+    loadDue();
+  }, [loadDue]);
+
+  const handleGrade = async (grade) => {
+    const card = cards[index];
+    try {
+      await reviewApi.reviewCard(card.cardId, grade);
+      setReviewed(reviewed + 1);
+      // Forgotten cards come back at the end of this session
+      if (grade < 3) {
+        setCards([...cards, { ...card, isNew: false }]);
+      }
+      setIndex(index + 1);
+      setRevealed(false);
+    } catch (err) {
+      setError(err.message || 'Failed to record review');
+    }
+  };
+
+  const card = cards[index];
+  const remaining = cards.length - index;
+
+  return (
+    <div className="review-page">
+      <div className="review-header">
+        <button className="back-to-subjects" onClick={onBack}>← Back</button>
+        <h2 className="review-title">Review{subject ? `: ${subject}` : ''}</h2>
+        <span className="review-progress">{reviewed} reviewed · {Math.max(remaining, 0)} left</span>
+      </div>
+
+      {error && <div className="review-error">{error}</div>}
+
+      {loading ? (
+        <div className="review-empty">Loading...</div>
+      ) : !card ? (
+        <div className="review-empty">
+          <p>🎉 Nothing left to review{subject ? ` in ${subject}` : ''} right now.</p>
+          <button className="review-reload" onClick={loadDue}>Check again</button>
+        </div>
+      ) : (
+        <div className="review-card">
+          <div className="review-meta">
+            {card.isNew && <span className="review-new">New</span>}
+            <span>{card.subject}</span>
+            {card.noteTitle && <span>· {card.noteTitle}</span>}
+          </div>
+          <div className="review-term">{card.term}</div>
+          {revealed ? (
+            <>
+              <div className="review-definition">{card.definition}</div>
+              <div className="review-grades">
+                {GRADES.map((g) => (
+                  <button key={g.grade} className={`review-grade grade-${g.grade}`} title={g.hint} onClick={() => handleGrade(g.grade)}>
+                    {g.label}
+                  </button>
+                ))}
+              </div>
+            </>
+          ) : (
+            <button className="review-reveal" onClick={() => setRevealed(true)}>Show definition</button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReviewPage;
@@ -0,0 +1,124 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import notesApi from '../services/notesApi';
+import './RevisionHistory.css';
+
+const SOURCE_LABELS = {
+  generated: 'Generated',
+  edit: 'Edited',
+  regenerate: 'Regenerated',
+  restore: 'Restored'
+};
+
+const DIFF_MARKS = { added: '+', removed: '-', equal: ' ' };
+
+// Revision list of a note with a line diff between any two revisions
+const RevisionHistory = ({ noteId, canEdit, formatDate }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [from, setFrom] = useState(null);
+  const [to, setTo] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    notesApi.fetchRevisions(noteId)
+      .then((res) => {
+        const list = res.revisions || [];
+        setRevisions(list);
+        // Start with the latest change: previous revision against the current one
+        if (list.length > 0) {
+          setTo(list[0].rev);
+          setFrom(list.length > 1 ? list[1].rev : list[0].rev);
+        }
+      })
+      .catch(() => setError('Failed to load revision history.'));
+  }, [noteId]);
+
+  const loadDiff = useCallback(async () => {
+    if (from === null || to === null) return;
+    try {
+      const res = await notesApi.fetchRevisionDiff(noteId, from, to);
+      setDiff(res);
+      setError('');
+    } catch (err) {
+      setError('Failed to load the diff.');
+    }
+  }, [noteId, from, to]);
+
+  useEffect(() => {
+    loadDiff();
+  }, [loadDiff]);
+
+  const handleRestore = async (revision) => {
+    const reason = window.prompt(`Restore revision ${revision.rev}? Reason (optional)`, '');
+    if (reason === null) return;
+    try {
+      await notesApi.restoreRevision(noteId, revision.rev, reason);
+      window.location.reload();
+    } catch (err) {
+      alert(err.message || 'Failed to restore revision');
+    }
+  };
+
+  const describe = (revision) => [
+    `r${revision.rev}`,
+    SOURCE_LABELS[revision.source] || revision.source,
+    revision.authorName ? `by ${revision.authorName}` : null,
+    formatDate(revision.createdAt)
+  ].filter(Boolean).join(' · ');
+
+  return (
+    <div className="revision-panel">
+      <h4>History</h4>
+      {error && <div className="revision-error">{error}</div>}
+
+      <ul className="revision-list">
+        {revisions.map((revision) => (
+          <li key={revision.rev} className={revision.rev === to ? 'selected' : ''}>
+            <button className="revision-select" onClick={() => { setTo(revision.rev); setFrom(Math.max(revision.rev - 1, 1)); }}>
+              <span className="revision-meta">{describe(revision)}</span>
+              {revision.reason && <span className="revision-reason">{revision.reason}</span>}
+            </button>
+            {revision.current ? (
+              <span className="revision-current">current</span>
+            ) : canEdit && (
+              <button className="revision-restore" onClick={() => handleRestore(revision)}>Restore</button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {revisions.length > 1 && (
+        <div className="revision-compare">
+          <label>
+            Compare
+            <select value={from || ''} onChange={(e) => setFrom(parseInt(e.target.value))}>
+              {revisions.map((revision) => <option key={revision.rev} value={revision.rev}>r{revision.rev}</option>)}
+            </select>
+          </label>
+          <label>
+            with
+            <select value={to || ''} onChange={(e) => setTo(parseInt(e.target.value))}>
+              {revisions.map((revision) => <option key={revision.rev} value={revision.rev}>r{revision.rev}</option>)}
+            </select>
+          </label>
+          {diff && <span className="revision-stats">+{diff.diff.added} −{diff.diff.removed}</span>}
+        </div>
+      )}
+
+      {diff && revisions.length > 1 && (
+        <pre className="revision-diff">
+          {diff.diff.hunks.map((hunk, index) => (
+            <div key={index} className={`diff-${hunk.type}`}>
+              {hunk.lines.map((line) => `${DIFF_MARKS[hunk.type]} ${line}`).join('\n')}
+            </div>
+          ))}
+        </pre>
+      )}
+      {diff && diff.changedFields.length > 0 && (
+        <div className="revision-fields">Also changed: {diff.changedFields.join(', ')}</div>
+      )}
+    </div>
+  );
+};
+
+export default RevisionHistory;
@@ -0,0 +1,210 @@
+import React, { useState, useEffect } from 'react';
+import studyApi from '../services/studyApi';
+import authApi from '../services/authApi';
+import './StudyPanel.css';
+
+// Practice quiz and flashcards for a note: take the quiz, get it scored, flip through cards
+const StudyPanel = ({ noteId }) => {
+  const [studySet, setStudySet] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [generating, setGenerating] = useState(false);
+  const [error, setError] = useState('');
+  const [mode, setMode] = useState('quiz');
+  const [answers, setAnswers] = useState({});
+  const [result, setResult] = useState(null);
+  const [cardIndex, setCardIndex] = useState(0);
+  const [showDefinition, setShowDefinition] = useState(false);
+  const signedIn = !!authApi.getToken();
+
+  const openStudySet = async (id) => {
+    const res = await studyApi.fetchStudySet(id);
+    setStudySet(res.studySet);
+    setAnswers({});
+    setResult(null);
+    setCardIndex(0);
+    setShowDefinition(false);
+  };
+
+  // Open the newest study set of the note, if there is one
+  useEffect(() => {
+    setLoading(true);
+    setStudySet(null);
+    studyApi.fetchNoteStudySets(noteId)
+      .then((res) => (res.studySets && res.studySets.length > 0 ? openStudySet(res.studySets[0]._id) : null))
+      .catch(() => setError('Failed to load the practice quiz.'))
+      .finally(() => setLoading(false));
+  }, [noteId]);
+
+  const handleGenerate = async () => {
+    setGenerating(true);
+    setError('');
+    try {
+      const res = await studyApi.generateStudySet(noteId);
+      await openStudySet(res.studySet._id);
+      setMode('quiz');
+    } catch (err) {
+      setError(err.message || 'Failed to generate a quiz.');
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  const handleSubmit = async () => {
+    try {
+      const res = await studyApi.submitAttempt(studySet._id, answers);
+      setResult(res);
+      setError('');
+    } catch (err) {
+      setError(err.message || 'Failed to score the quiz.');
+    }
+  };
+
+  const setAnswer = (questionId, value) => {
+    if (result) return;
+    setAnswers((current) => ({ ...current, [questionId]: value }));
+  };
+
+  const resultFor = (questionId) => result && result.results.find((r) => r.question === questionId);
+
+  const correctText = (question, outcome) => {
+    if (question.type === 'multiple-choice') return question.options[outcome.correctOption];
+    if (question.type === 'true-false') return outcome.correctAnswer ? 'True' : 'False';
+    return (outcome.acceptedAnswers || []).join(' / ');
+  };
+
+  const renderQuestion = (question, index) => {
+    const outcome = resultFor(question._id);
+    const given = answers[question._id];
+    return (
+      <li key={question._id} className={`quiz-question ${outcome ? (outcome.correct ? 'correct' : 'wrong') : ''}`}>
+        <div className="quiz-prompt">{index + 1}. {question.question}</div>
+
+        {question.type === 'multiple-choice' && (
+          <div className="quiz-options">
+            {question.options.map((option, optionIndex) => (
+              <label key={optionIndex}>
+                <input
+                  type="radio"
+                  name={question._id}
+                  checked={given === optionIndex}
+                  onChange={() => setAnswer(question._id, optionIndex)}
+                  disabled={!!result}
+                />
+                {option}
+              </label>
+            ))}
+          </div>
+        )}
+
+        {question.type === 'true-false' && (
+          <div className="quiz-options quiz-options-inline">
+            {[true, false].map((value) => (
+              <label key={String(value)}>
+                <input
+                  type="radio"
+                  name={question._id}
+                  checked={given === value}
+                  onChange={() => setAnswer(question._id, value)}
+                  disabled={!!result}
+                />
+                {value ? 'True' : 'False'}
+              </label>
+            ))}
+          </div>
+        )}
+
+        {question.type === 'short-answer' && (
+          <input
+            type="text"
+            className="quiz-text-answer"
+            value={given || ''}
+            onChange={(e) => setAnswer(question._id, e.target.value)}
+            disabled={!!result}
+          />
+        )}
+
+        {outcome && (
+          <div className="quiz-feedback">
+            <strong>{outcome.correct ? '✅ Correct' : `❌ Answer: ${correctText(question, outcome)}`}</strong>
+            {outcome.explanation && <p>{outcome.explanation}</p>}
+          </div>
+        )}
+      </li>
+    );
+  };
+
+  const renderFlashcards = () => {
+    const cards = studySet.flashcards || [];
+    if (cards.length === 0) {
+      return <p className="study-empty">This note has no key definitions to make flashcards from.</p>;
+    }
+    const card = cards[cardIndex];
+    const move = (step) => {
+      setCardIndex((cardIndex + step + cards.length) % cards.length);
+      setShowDefinition(false);
+    };
+    return (
+      <div className="flashcards">
+        <button className="flashcard" onClick={() => setShowDefinition(!showDefinition)}>
+          {showDefinition ? card.definition : card.term}
+        </button>
+        <div className="flashcard-nav">
+          <button onClick={() => move(-1)}>← Prev</button>
+          <span>{cardIndex + 1} / {cards.length}</span>
+          <button onClick={() => move(1)}>Next →</button>
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className="study-panel">
+      <div className="study-header">
+        <h4>Practice</h4>
+        {studySet && (
+          <div className="study-tabs">
+            <button className={mode === 'quiz' ? 'active' : ''} onClick={() => setMode('quiz')}>
+              Quiz ({studySet.questions.length})
+            </button>
+            <button className={mode === 'flashcards' ? 'active' : ''} onClick={() => setMode('flashcards')}>
+              Flashcards ({studySet.flashcards.length})
+            </button>
+          </div>
+        )}
+        {signedIn && (
+          <button className="study-generate" onClick={handleGenerate} disabled={generating}>
+            {generating ? 'Generating...' : studySet ? 'New quiz' : 'Generate quiz'}
+          </button>
+        )}
+      </div>
+
+      {error && <div className="study-error">{error}</div>}
+      {loading && <p className="study-empty">Loading...</p>}
+      {!loading && !studySet && (
+        <p className="study-empty">
+          {signedIn ? 'No quiz yet for this note.' : 'No quiz yet for this note. Sign in to generate one.'}
+        </p>
+      )}
+
+      {studySet && mode === 'quiz' && (
+        <>
+          <ol className="quiz-questions">
+            {studySet.questions.map(renderQuestion)}
+          </ol>
+          {result ? (
+            <div className="quiz-score">
+              Score: {result.attempt.score} / {result.attempt.total}
+              <button onClick={() => { setAnswers({}); setResult(null); }}>Try again</button>
+            </div>
+          ) : (
+            <button className="quiz-submit" onClick={handleSubmit}>Check answers</button>
+          )}
+        </>
+      )}
+
+      {studySet && mode === 'flashcards' && renderFlashcards()}
+    </div>
+  );
+};
+
+export default StudyPanel;
@@ -0,0 +1,124 @@
+import React, { useState } from 'react';
+import subjectsApi from '../services/subjectsApi';
+import './SubjectsPage.css';
+
+const emptyForm = { name: '', description: '', icon: '', color: '#9AA5FF', synonyms: '', keywords: '' };
+
+// Comma-separated lists are sent as-is; the server splits and lowercases them
+const toForm = (subject) => ({
+  name: subject.name,
+  description: subject.description || '',
+  icon: subject.icon || '',
+  color: subject.color || '#9AA5FF',
+  synonyms: (subject.synonyms || []).join(', '),
+  keywords: (subject.keywords || []).join(', ')
+});
+
+const SubjectsPage = ({ subjects, onBack, onChange }) => {
+  const [form, setForm] = useState(emptyForm);
+  // Subject being edited (null while adding a new one)
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const setField = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const resetForm = () => {
+    setForm(emptyForm);
+    setEditingId(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.name.trim()) return;
+    setSaving(true);
+    try {
+      if (editingId) {
+        const res = await subjectsApi.updateSubject(editingId, form);
+        if (res.movedNotes) {
+          alert(`${res.movedNotes} note(s) moved to "${res.subject.name}"`);
+        }
+      } else {
+        await subjectsApi.createSubject(form);
+      }
+      resetForm();
+      onChange();
+    } catch (err) {
+      alert(err.message || 'Failed to save subject');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (subject) => {
+    if (!window.confirm(`Delete "${subject.name}"? Its notes will move to General.`)) return;
+    try {
+      await subjectsApi.deleteSubject(subject._id);
+      if (editingId === subject._id) resetForm();
+      onChange();
+    } catch (err) {
+      alert(err.message || 'Failed to delete subject');
+    }
+  };
+
+  return (
+    <div className="subjects-page">
+      <div className="subjects-page-header">
+        <button className="back-to-subjects" onClick={onBack}>← Back</button>
+        <h2 className="subjects-page-title">Subjects</h2>
+      </div>
+
+      <form className="subjects-form" onSubmit={handleSubmit}>
+        <input placeholder="Name" value={form.name} onChange={(e) => setField('name', e.target.value)} />
+        <input placeholder="Description" value={form.description} onChange={(e) => setField('description', e.target.value)} />
+        <input className="subjects-form-icon" placeholder="Icon" value={form.icon} onChange={(e) => setField('icon', e.target.value)} />
+        <input type="color" value={form.color} onChange={(e) => setField('color', e.target.value)} title="Color" />
+        <input placeholder="Synonyms (comma separated)" value={form.synonyms} onChange={(e) => setField('synonyms', e.target.value)} />
+        <textarea placeholder="Classifier keywords (comma separated)" value={form.keywords} onChange={(e) => setField('keywords', e.target.value)} />
+        <div className="subjects-form-actions">
+          <button type="submit" disabled={saving || !form.name.trim()}>
+            {editingId ? 'Save subject' : 'Add subject'}
+          </button>
+          {editingId && <button type="button" className="secondary" onClick={resetForm}>Cancel</button>}
+        </div>
+      </form>
+
+      <table className="subjects-table">
+        <thead>
+          <tr>
+            <th />
+            <th>Name</th>
+            <th>Description</th>
+            <th>Synonyms</th>
+            <th>Keywords</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {subjects.length === 0 ? (
+            <tr>
+              <td colSpan={6} className="subjects-empty">No subjects</td>
+            </tr>
+          ) : subjects.map((subject) => (
+            <tr key={subject._id}>
+              <td>
+                <span className="subjects-table-icon" style={{ backgroundColor: subject.color }}>{subject.icon}</span>
+              </td>
+              <td>{subject.name}</td>
+              <td>{subject.description || '—'}</td>
+              <td>{(subject.synonyms || []).join(', ') || '—'}</td>
+              <td>{(subject.keywords || []).length}</td>
+              <td className="subject-actions">
+                <button onClick={() => { setEditingId(subject._id); setForm(toForm(subject)); }}>Edit</button>
+                {subject.name !== 'General' && (
+                  <button className="danger" onClick={() => handleDelete(subject)}>Delete</button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default SubjectsPage;
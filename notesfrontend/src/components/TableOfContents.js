@@ -0,0 +1,60 @@
+import React, { useState, useEffect } from 'react';
+import notesApi from '../services/notesApi';
+import { sectionAnchor } from './MarkdownContent';
+import './TableOfContents.css';
+
+// Table of contents of a note, with links that jump to its sections, and a notice when
+// the notes miss parts of the expected structure (structure.issues). Calls
+// onLoad(structure) once the note's structure ({ title, sections, ... }) is fetched; pass
+// a stable function such as a state setter.
+// Render with key={noteId} so it resets when another note is shown.
+const TableOfContents = ({ noteId, onLoad, hidden = false }) => {
+  const [sections, setSections] = useState([]);
+  const [issues, setIssues] = useState([]);
+
+  useEffect(() => {
+    notesApi.fetchStructure(noteId)
+      .then((res) => {
+        setSections(res.structure.sections || []);
+        setIssues(res.structure.valid === false ? res.structure.issues || [] : []);
+        onLoad(res.structure);
+      })
+      .catch(() => {
+        setSections([]);
+        setIssues([]);
+      });
+  }, [noteId, onLoad]);
+
+  if (hidden) return null;
+  const warning = issues.length > 0 && (
+    <div className="note-structure-warning" role="note">
+      These notes are incomplete: {issues.join(', ')}
+    </div>
+  );
+  // A single section needs no contents
+  if (sections.length < 2) return warning || null;
+
+  const jumpTo = (e, section) => {
+    e.preventDefault();
+    const heading = document.getElementById(sectionAnchor(section));
+    if (heading) heading.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  };
+
+  return (
+    <>
+      {warning}
+      <nav className="note-toc" aria-label="Contents">
+        <div className="note-toc-title">Contents</div>
+        <ol>
+          {sections.map((section) => (
+            <li key={section.id}>
+              <a href={`#${sectionAnchor(section)}`} onClick={(e) => jumpTo(e, section)}>{section.heading}</a>
+            </li>
+          ))}
+        </ol>
+      </nav>
+    </>
+  );
+};
+
+export default TableOfContents;
@@ -0,0 +1,79 @@
+import React, { useState, useEffect } from 'react';
+import notesApi from '../services/notesApi';
+import './TagEditor.css';
+
+// A note's tags as chips; editors can add tags (comma separated) and remove them.
+// Render with key={noteId} so the tags reset when another note is shown.
+const TagEditor = ({ noteId, tags: initialTags = [], canEdit }) => {
+  const [tags, setTags] = useState(initialTags);
+  const [input, setInput] = useState('');
+  // Tags already used on other notes, suggested while typing
+  const [knownTags, setKnownTags] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!canEdit) return;
+    notesApi.fetchTags()
+      .then((res) => setKnownTags((res.tags || []).map((t) => t.name)))
+      .catch(() => setKnownTags([]));
+  }, [canEdit]);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const newTags = input.split(',').map((t) => t.trim()).filter(Boolean);
+    if (newTags.length === 0) return;
+    setSaving(true);
+    try {
+      const res = await notesApi.addTags(noteId, newTags);
+      setTags(res.tags || []);
+      setInput('');
+    } catch (err) {
+      alert(err.message || 'Failed to add tags');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async (tag) => {
+    try {
+      const res = await notesApi.removeTag(noteId, tag);
+      setTags(res.tags || []);
+    } catch (err) {
+      alert(err.message || 'Failed to remove tag');
+    }
+  };
+
+  if (!canEdit && tags.length === 0) return null;
+
+  return (
+    <div className="tag-editor">
+      {tags.map((tag) => (
+        <span key={tag} className="tag-chip">
+          #{tag}
+          {canEdit && (
+            <button className="tag-remove" onClick={() => handleRemove(tag)} aria-label={`Remove tag ${tag}`}>×</button>
+          )}
+        </span>
+      ))}
+      {canEdit && (
+        <form className="tag-add" onSubmit={handleAdd}>
+          <input
+            type="text"
+            list={`tag-suggestions-${noteId}`}
+            value={input}
+            onChange={(e) => setInput(e.target.value)}
+            placeholder="Add tags..."
+            disabled={saving}
+          />
+          <datalist id={`tag-suggestions-${noteId}`}>
+            {knownTags.filter((t) => !tags.includes(t)).map((t) => (
+              <option key={t} value={t} />
+            ))}
+          </datalist>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default TagEditor;
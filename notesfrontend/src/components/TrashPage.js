@@ -0,0 +1,132 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import trashApi from '../services/trashApi';
+import Pagination from './Pagination';
+import './TrashPage.css';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+// First non-empty line of the notes without Markdown heading marks
+const previewTitle = (notes) => {
+  const line = (notes || '').split('\n').find((l) => l.trim());
+  return line ? line.replace(/^#+\s*/, '') : 'Untitled note';
+};
+
+const TrashPage = ({ onBack }) => {
+  const [notes, setNotes] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadTrash = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await trashApi.fetchTrash(page);
+      setNotes(res.notes || []);
+      setPagination(res.pagination);
+    } catch (err) {
+      setError(err.message || 'Failed to load trash');
+      setNotes([]);
+      setPagination(null);
+    } finally {
+      setLoading(false);
+    }
+  }, [page]);
+
+  useEffect(() => {
+    loadTrash();
+  }, [loadTrash]);
+
+  const handleRestore = async (note) => {
+    try {
+      await trashApi.restoreNote(note._id);
+      loadTrash();
+    } catch (err) {
+      alert(err.message || 'Failed to restore note');
+    }
+  };
+
+  const handlePurge = async (note) => {
+    if (!window.confirm('Delete this note permanently? This cannot be undone.')) return;
+    try {
+      await trashApi.purgeNote(note._id);
+      loadTrash();
+    } catch (err) {
+      alert(err.message || 'Failed to delete note');
+    }
+  };
+
+  const handleEmpty = async () => {
+    if (!window.confirm('Permanently delete every note in the trash? This cannot be undone.')) return;
+    try {
+      await trashApi.emptyTrash();
+      setPage(1);
+      loadTrash();
+    } catch (err) {
+      alert(err.message || 'Failed to empty trash');
+    }
+  };
+
+  return (
+    <div className="trash-page">
+      <div className="trash-header">
+        <button className="back-to-subjects" onClick={onBack}>← Back</button>
+        <h2 className="trash-title">Trash</h2>
+        {notes.length > 0 && (
+          <button className="trash-empty-btn" onClick={handleEmpty}>Empty trash</button>
+        )}
+      </div>
+
+      {error && <div className="trash-error">{error}</div>}
+      {loading ? (
+        <div className="trash-loading">Loading trash...</div>
+      ) : (
+        <table className="trash-table">
+          <thead>
+            <tr>
+              <th>Note</th>
+              <th>Subject</th>
+              <th>Deleted</th>
+              <th>Deleted by</th>
+              <th>Purged on</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {notes.length === 0 ? (
+              <tr>
+                <td colSpan={6} className="trash-empty">The trash is empty</td>
+              </tr>
+            ) : notes.map((note) => (
+              <tr key={note._id}>
+                <td className="trash-note-title">{previewTitle(note.generatedNotes)}</td>
+                <td>{note.detectedSubject}</td>
+                <td>{formatDate(note.deletedAt)}</td>
+                <td>{note.deletedByName || '—'}</td>
+                <td>{note.purgeAt ? formatDate(note.purgeAt) : 'Never'}</td>
+                <td className="trash-actions">
+                  <button onClick={() => handleRestore(note)}>Restore</button>
+                  <button className="danger" onClick={() => handlePurge(note)}>Delete forever</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {pagination && pagination.totalPages > 1 && (
+        <Pagination
+          currentPage={pagination.currentPage}
+          totalPages={pagination.totalPages}
+          hasNextPage={pagination.hasNextPage}
+          hasPrevPage={pagination.hasPrevPage}
+          onPageChange={setPage}
+          loading={loading}
+        />
+      )}
+    </div>
+  );
+};
+
+export default TrashPage;
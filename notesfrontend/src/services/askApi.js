@@ -0,0 +1,40 @@
+import authApi from './authApi';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || '/api';
+
+class AskApiService {
+  async request(path, options = {}) {
+    const response = await fetch(`${API_BASE_URL}/ask${path}`, {
+      ...options,
+      headers: authApi.getHeaders()
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.message || `HTTP error! status: ${response.status}`);
+    }
+    return data;
+  }
+
+  // Answer a question from the notes, optionally within a subject, course or note
+  async ask(question, { subject = '', courseId = '', noteId = '' } = {}) {
+    try {
+      return await this.request('', {
+        method: 'POST',
+        body: JSON.stringify({
+          question,
+          subject: subject || undefined,
+          courseId: courseId || undefined,
+          noteId: noteId || undefined
+        })
+      });
+    } catch (error) {
+      console.error('Error asking question:', error);
+      throw error;
+    }
+  }
+}
+
+const askApiService = new AskApiService();
+
+export default askApiService;
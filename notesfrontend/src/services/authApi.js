@@ -0,0 +1,86 @@
+const API_BASE_URL = process.env.REACT_APP_API_URL || '/api';
+
+class AuthApiService {
+  // Bearer token from the last successful login
+  getToken() {
+    try {
+      return localStorage.getItem('authToken') || '';
+    } catch (e) {
+      return '';
+    }
+  }
+
+  setToken(token) {
+    try {
+      if (token) {
+        localStorage.setItem('authToken', token);
+      } else {
+        localStorage.removeItem('authToken');
+      }
+    } catch (e) { /* ignore */ }
+  }
+
+  // Headers for API requests, including the session token when signed in
+  getHeaders() {
+    const token = this.getToken();
+    return {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    };
+  }
+
+  async login(username, password) {
+    const response = await fetch(`${API_BASE_URL}/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password })
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.message || `HTTP error! status: ${response.status}`);
+    }
+    this.setToken(data.token);
+    return data.user;
+  }
+
+  async logout() {
+    try {
+      await fetch(`${API_BASE_URL}/auth/logout`, {
+        method: 'POST',
+        headers: this.getHeaders()
+      });
+    } catch (error) {
+      console.error('Error signing out:', error);
+    } finally {
+      this.setToken('');
+    }
+  }
+
+  // Current user for the stored token, or null when signed out or expired
+  async fetchCurrentUser() {
+    if (!this.getToken()) return null;
+    try {
+      const response = await fetch(`${API_BASE_URL}/auth/me`, {
+        method: 'GET',
+        headers: this.getHeaders()
+      });
+      if (response.status === 401) {
+        this.setToken('');
+        return null;
+      }
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      const data = await response.json();
+      return data.user;
+    } catch (error) {
+      console.error('Error fetching current user:', error);
+      return null;
+    }
+  }
+}
+
+const authApiService = new AuthApiService();
+
+export default authApiService;
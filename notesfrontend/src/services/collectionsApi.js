@@ -0,0 +1,96 @@
+import authApi from './authApi';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || '/api';
+
+class CollectionsApiService {
+  async request(path, options = {}) {
+    const response = await fetch(`${API_BASE_URL}/collections${path}`, {
+      ...options,
+      headers: authApi.getHeaders()
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.message || `HTTP error! status: ${response.status}`);
+    }
+    return data;
+  }
+
+  async fetchCollections() {
+    try {
+      return await this.request('');
+    } catch (error) {
+      console.error('Error fetching collections:', error);
+      throw error;
+    }
+  }
+
+  // A collection with its notes in order
+  async fetchCollection(id) {
+    try {
+      return await this.request(`/${id}`);
+    } catch (error) {
+      console.error('Error fetching collection:', error);
+      throw error;
+    }
+  }
+
+  async createCollection(body = {}) {
+    try {
+      return await this.request('', { method: 'POST', body: JSON.stringify(body) });
+    } catch (error) {
+      console.error('Error creating collection:', error);
+      throw error;
+    }
+  }
+
+  async updateCollection(id, body = {}) {
+    try {
+      return await this.request(`/${id}`, { method: 'PATCH', body: JSON.stringify(body) });
+    } catch (error) {
+      console.error('Error updating collection:', error);
+      throw error;
+    }
+  }
+
+  // Replace the collection's notes with this ordered list of note ids
+  async setNotes(id, notes) {
+    try {
+      return await this.request(`/${id}/notes`, { method: 'PUT', body: JSON.stringify({ notes }) });
+    } catch (error) {
+      console.error('Error reordering collection:', error);
+      throw error;
+    }
+  }
+
+  async addNote(id, noteId) {
+    try {
+      return await this.request(`/${id}/notes`, { method: 'POST', body: JSON.stringify({ noteId }) });
+    } catch (error) {
+      console.error('Error adding note to collection:', error);
+      throw error;
+    }
+  }
+
+  async removeNote(id, noteId) {
+    try {
+      return await this.request(`/${id}/notes/${noteId}`, { method: 'DELETE' });
+    } catch (error) {
+      console.error('Error removing note from collection:', error);
+      throw error;
+    }
+  }
+
+  async deleteCollection(id) {
+    try {
+      return await this.request(`/${id}`, { method: 'DELETE' });
+    } catch (error) {
+      console.error('Error deleting collection:', error);
+      throw error;
+    }
+  }
+}
+
+const collectionsApiService = new CollectionsApiService();
+
+export default collectionsApiService;
@@ -0,0 +1,54 @@
+import authApi from './authApi';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || '/api';
+
+class CoursesApiService {
+  async request(path, options = {}) {
+    const response = await fetch(`${API_BASE_URL}${path}`, {
+      ...options,
+      headers: authApi.getHeaders()
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.message || `HTTP error! status: ${response.status}`);
+    }
+    return data;
+  }
+
+  async fetchCourses({ semester = '', subject = '' } = {}) {
+    try {
+      const queryParams = new URLSearchParams();
+      if (semester) queryParams.append('semester', semester);
+      if (subject) queryParams.append('subject', subject);
+      return await this.request(`/courses?${queryParams.toString()}`);
+    } catch (error) {
+      console.error('Error fetching courses:', error);
+      throw error;
+    }
+  }
+
+  // A course with its lectures in order
+  async fetchCourse(id) {
+    try {
+      return await this.request(`/courses/${id}`);
+    } catch (error) {
+      console.error('Error fetching course:', error);
+      throw error;
+    }
+  }
+
+  // A lecture with its course and notes
+  async fetchLecture(id) {
+    try {
+      return await this.request(`/lectures/${id}`);
+    } catch (error) {
+      console.error('Error fetching lecture:', error);
+      throw error;
+    }
+  }
+}
+
+const coursesApiService = new CoursesApiService();
+
+export default coursesApiService;
@@ -0,0 +1,67 @@
+import authApi from './authApi';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || '/api';
+
+class DevicesApiService {
+  async request(path, options = {}) {
+    const response = await fetch(`${API_BASE_URL}/devices${path}`, {
+      ...options,
+      headers: authApi.getHeaders()
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.message || `HTTP error! status: ${response.status}`);
+    }
+    return data;
+  }
+
+  async fetchDevices() {
+    try {
+      return await this.request('');
+    } catch (error) {
+      console.error('Error fetching devices:', error);
+      throw error;
+    }
+  }
+
+  async registerDevice(body = {}) {
+    try {
+      return await this.request('', { method: 'POST', body: JSON.stringify(body) });
+    } catch (error) {
+      console.error('Error registering device:', error);
+      throw error;
+    }
+  }
+
+  async updateDevice(id, body = {}) {
+    try {
+      return await this.request(`/${id}`, { method: 'PATCH', body: JSON.stringify(body) });
+    } catch (error) {
+      console.error('Error updating device:', error);
+      throw error;
+    }
+  }
+
+  async revokeDevice(id) {
+    try {
+      return await this.request(`/${id}/revoke`, { method: 'POST' });
+    } catch (error) {
+      console.error('Error revoking device:', error);
+      throw error;
+    }
+  }
+
+  async rotateDeviceKey(id) {
+    try {
+      return await this.request(`/${id}/rotate-key`, { method: 'POST' });
+    } catch (error) {
+      console.error('Error rotating device key:', error);
+      throw error;
+    }
+  }
+}
+
+const devicesApiService = new DevicesApiService();
+
+export default devicesApiService;
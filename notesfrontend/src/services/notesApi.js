@@ -1,3 +1,5 @@
+import authApi from './authApi';
+
 const API_BASE_URL = process.env.REACT_APP_API_URL || '/api';
 
 class NotesApiService {
@@ -12,6 +14,8 @@ class NotesApiService {
         endDate = '',
         language = '',
         subject = '',
+        tags = '',
+        tagMode = '',
         sort = '',
         sortBy = ''
       } = params;
@@ -27,6 +31,9 @@ class NotesApiService {
       if (endDate) queryParams.append('endDate', endDate);
       if (language) queryParams.append('language', language);
       if (subject) queryParams.append('subject', subject);
+      // Tags are sent comma separated; tagMode 'any' matches notes with at least one of them
+      if (tags && tags.length > 0) queryParams.append('tags', Array.isArray(tags) ? tags.join(',') : tags);
+      if (tagMode) queryParams.append('tagMode', tagMode);
       if (sort) queryParams.append('sort', sort);
       if (sortBy) queryParams.append('sortBy', sortBy);
 
@@ -34,9 +41,7 @@ class NotesApiService {
       
       const response = await fetch(url, {
         method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-        },
+        headers: authApi.getHeaders(),
       });
 
       if (!response.ok) {
@@ -78,9 +83,7 @@ NotesApiService.prototype.updateNote = async function(id, body = {}) {
     const url = `${API_BASE_URL}/notes/${id}`;
     const response = await fetch(url, {
       method: 'PUT',
-      headers: {
-        'Content-Type': 'application/json'
-      },
+      headers: authApi.getHeaders(),
       body: JSON.stringify(body)
     });
 
@@ -102,9 +105,7 @@ NotesApiService.prototype.deleteNote = async function(id) {
     const url = `${API_BASE_URL}/notes/${id}`;
     const response = await fetch(url, {
       method: 'DELETE',
-      headers: {
-        'Content-Type': 'application/json'
-      }
+      headers: authApi.getHeaders()
     });
 
     if (!response.ok) {
@@ -118,4 +119,320 @@ NotesApiService.prototype.deleteNote = async function(id) {
     throw error;
   }
 };
+
+// Add fetchTranscript method (time-stamped transcript of an audio note)
+NotesApiService.prototype.fetchTranscript = async function(id) {
+  try {
+    const url = `${API_BASE_URL}/notes/${id}/transcript`;
+    const response = await fetch(url, {
+      method: 'GET',
+      headers: authApi.getHeaders()
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return data;
+  } catch (error) {
+    console.error('Error fetching transcript:', error);
+    throw error;
+  }
+};
+// Add fetchStructure method (title, introduction, sections, key definitions and formulas of a note)
+NotesApiService.prototype.fetchStructure = async function(id) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/notes/${id}/structure`, {
+      method: 'GET',
+      headers: authApi.getHeaders()
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching note structure:', error);
+    throw error;
+  }
+};
+// Add updateNoteSubjects method (admin override of the subject classification)
+NotesApiService.prototype.updateNoteSubjects = async function(id, subjects = []) {
+  try {
+    const url = `${API_BASE_URL}/notes/${id}/subjects`;
+    const response = await fetch(url, {
+      method: 'PUT',
+      headers: authApi.getHeaders(),
+      body: JSON.stringify({ subjects })
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.message || `HTTP error! status: ${response.status}`);
+    }
+    return data;
+  } catch (error) {
+    console.error('Error updating note subjects:', error);
+    throw error;
+  }
+};
+// Add translation methods (list a note's translations, fetch one, translate the note)
+NotesApiService.prototype.fetchTranslations = async function(id) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/notes/${id}/translations`, {
+      method: 'GET',
+      headers: authApi.getHeaders()
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching translations:', error);
+    throw error;
+  }
+};
+
+NotesApiService.prototype.fetchTranslation = async function(id, languageCode) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/notes/${id}/translations/${encodeURIComponent(languageCode)}`, {
+      method: 'GET',
+      headers: authApi.getHeaders()
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.message || `HTTP error! status: ${response.status}`);
+    }
+    return data;
+  } catch (error) {
+    console.error('Error fetching translation:', error);
+    throw error;
+  }
+};
+
+NotesApiService.prototype.translateNote = async function(id, languageCode) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/notes/${id}/translations`, {
+      method: 'POST',
+      headers: authApi.getHeaders(),
+      body: JSON.stringify({ language: languageCode })
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.message || `HTTP error! status: ${response.status}`);
+    }
+    return data;
+  } catch (error) {
+    console.error('Error translating note:', error);
+    throw error;
+  }
+};
+
+// Add semanticSearch method: passages closest in meaning to `search`, within the list filters
+NotesApiService.prototype.semanticSearch = async function(params = {}) {
+  try {
+    const { search = '', limit = 20, startDate = '', endDate = '', language = '', subject = '', tags = '', tagMode = '' } = params;
+    const queryParams = new URLSearchParams({ q: search, limit });
+    if (startDate) queryParams.append('startDate', startDate);
+    if (endDate) queryParams.append('endDate', endDate);
+    if (language) queryParams.append('language', language);
+    if (subject) queryParams.append('subject', subject);
+    if (tags && tags.length > 0) queryParams.append('tags', Array.isArray(tags) ? tags.join(',') : tags);
+    if (tagMode) queryParams.append('tagMode', tagMode);
+
+    const response = await fetch(`${API_BASE_URL}/notes/semantic?${queryParams.toString()}`, {
+      method: 'GET',
+      headers: authApi.getHeaders()
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.message || `HTTP error! status: ${response.status}`);
+    }
+    return data;
+  } catch (error) {
+    console.error('Error in semantic search:', error);
+    throw error;
+  }
+};
+
+// Add tag methods (every tag in use, add tags to a note, remove one)
+NotesApiService.prototype.fetchTags = async function() {
+  try {
+    const response = await fetch(`${API_BASE_URL}/notes/tags`, {
+      method: 'GET',
+      headers: authApi.getHeaders()
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching tags:', error);
+    throw error;
+  }
+};
+
+NotesApiService.prototype.addTags = async function(id, tags = []) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/notes/${id}/tags`, {
+      method: 'POST',
+      headers: authApi.getHeaders(),
+      body: JSON.stringify({ tags })
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.message || `HTTP error! status: ${response.status}`);
+    }
+    return data;
+  } catch (error) {
+    console.error('Error adding tags:', error);
+    throw error;
+  }
+};
+
+NotesApiService.prototype.removeTag = async function(id, tag) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/notes/${id}/tags/${encodeURIComponent(tag)}`, {
+      method: 'DELETE',
+      headers: authApi.getHeaders()
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.message || `HTTP error! status: ${response.status}`);
+    }
+    return data;
+  } catch (error) {
+    console.error('Error removing tag:', error);
+    throw error;
+  }
+};
+// Add revision history methods (list, diff between two revisions, restore)
+NotesApiService.prototype.fetchRevisions = async function(id) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/notes/${id}/revisions`, {
+      method: 'GET',
+      headers: authApi.getHeaders()
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching revisions:', error);
+    throw error;
+  }
+};
+
+NotesApiService.prototype.fetchRevisionDiff = async function(id, from, to) {
+  try {
+    const queryParams = new URLSearchParams({ from, to });
+    const response = await fetch(`${API_BASE_URL}/notes/${id}/revisions/diff?${queryParams.toString()}`, {
+      method: 'GET',
+      headers: authApi.getHeaders()
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching revision diff:', error);
+    throw error;
+  }
+};
+
+NotesApiService.prototype.restoreRevision = async function(id, rev, reason = '') {
+  try {
+    const response = await fetch(`${API_BASE_URL}/notes/${id}/revisions/${rev}/restore`, {
+      method: 'POST',
+      headers: authApi.getHeaders(),
+      body: JSON.stringify({ reason })
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.message || `HTTP error! status: ${response.status}`);
+    }
+    return data;
+  } catch (error) {
+    console.error('Error restoring revision:', error);
+    throw error;
+  }
+};
+
+// Save a downloaded export, using the file name the server chose
+const saveDownload = async (response, fallbackName) => {
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.message || `HTTP error! status: ${response.status}`);
+  }
+
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const encoded = disposition.match(/filename\*=UTF-8''([^;]+)/i);
+  const plain = disposition.match(/filename="([^"]+)"/i);
+  const filename = encoded ? decodeURIComponent(encoded[1]) : plain ? plain[1] : fallbackName;
+
+  const url = URL.createObjectURL(await response.blob());
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+
+  return {
+    filename,
+    exported: parseInt(response.headers.get('X-Exported-Notes')) || null,
+    skipped: parseInt(response.headers.get('X-Skipped-Notes')) || 0
+  };
+};
+
+// Download one note as markdown, html, pdf, docx or anki
+NotesApiService.prototype.exportNote = async function(id, format) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/notes/${id}/export?format=${encodeURIComponent(format)}`, {
+      method: 'GET',
+      headers: authApi.getHeaders()
+    });
+    return await saveDownload(response, `note.${format}`);
+  } catch (error) {
+    console.error('Error exporting note:', error);
+    throw error;
+  }
+};
+
+// Download every note matching the list filters as a zip
+NotesApiService.prototype.exportNotes = async function(filters = {}, format) {
+  try {
+    const queryParams = new URLSearchParams({ format });
+    ['search', 'inputType', 'startDate', 'endDate', 'language', 'subject', 'tags', 'tagMode'].forEach((key) => {
+      if (filters[key]) queryParams.append(key, filters[key]);
+    });
+
+    const response = await fetch(`${API_BASE_URL}/notes/export?${queryParams.toString()}`, {
+      method: 'GET',
+      headers: authApi.getHeaders()
+    });
+    return await saveDownload(response, `notes-${format}.zip`);
+  } catch (error) {
+    console.error('Error exporting notes:', error);
+    throw error;
+  }
+};
+
 export default notesApiService;
@@ -0,0 +1,43 @@
+import authApi from './authApi';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || '/api';
+
+class ReviewApiService {
+  async request(path, options = {}) {
+    const response = await fetch(`${API_BASE_URL}/review${path}`, {
+      ...options,
+      headers: authApi.getHeaders()
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.message || `HTTP error! status: ${response.status}`);
+    }
+    return data;
+  }
+
+  async fetchDue({ subject = '', limit = '' } = {}) {
+    try {
+      const queryParams = new URLSearchParams();
+      if (subject) queryParams.append('subject', subject);
+      if (limit !== '') queryParams.append('limit', limit);
+      return await this.request(`/due?${queryParams.toString()}`);
+    } catch (error) {
+      console.error('Error fetching due cards:', error);
+      throw error;
+    }
+  }
+
+  async reviewCard(cardId, grade) {
+    try {
+      return await this.request(`/${cardId}`, { method: 'POST', body: JSON.stringify({ grade }) });
+    } catch (error) {
+      console.error('Error recording review:', error);
+      throw error;
+    }
+  }
+}
+
+const reviewApiService = new ReviewApiService();
+
+export default reviewApiService;
@@ -0,0 +1,58 @@
+import authApi from './authApi';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || '/api';
+
+class StudyApiService {
+  async request(path, options = {}) {
+    const response = await fetch(`${API_BASE_URL}${path}`, {
+      ...options,
+      headers: authApi.getHeaders()
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.message || `HTTP error! status: ${response.status}`);
+    }
+    return data;
+  }
+
+  async fetchNoteStudySets(noteId) {
+    try {
+      return await this.request(`/notes/${noteId}/study-sets`);
+    } catch (error) {
+      console.error('Error fetching study sets:', error);
+      throw error;
+    }
+  }
+
+  async generateStudySet(noteId, counts = {}) {
+    try {
+      return await this.request(`/notes/${noteId}/quiz`, { method: 'POST', body: JSON.stringify(counts) });
+    } catch (error) {
+      console.error('Error generating study set:', error);
+      throw error;
+    }
+  }
+
+  async fetchStudySet(id) {
+    try {
+      return await this.request(`/study-sets/${id}`);
+    } catch (error) {
+      console.error('Error fetching study set:', error);
+      throw error;
+    }
+  }
+
+  async submitAttempt(id, answers) {
+    try {
+      return await this.request(`/study-sets/${id}/attempts`, { method: 'POST', body: JSON.stringify({ answers }) });
+    } catch (error) {
+      console.error('Error submitting quiz attempt:', error);
+      throw error;
+    }
+  }
+}
+
+const studyApiService = new StudyApiService();
+
+export default studyApiService;
@@ -0,0 +1,58 @@
+import authApi from './authApi';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || '/api';
+
+class SubjectsApiService {
+  async request(path, options = {}) {
+    const response = await fetch(`${API_BASE_URL}/subjects${path}`, {
+      ...options,
+      headers: authApi.getHeaders()
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.message || `HTTP error! status: ${response.status}`);
+    }
+    return data;
+  }
+
+  async fetchSubjects() {
+    try {
+      return await this.request('');
+    } catch (error) {
+      console.error('Error fetching subjects:', error);
+      throw error;
+    }
+  }
+
+  async createSubject(body = {}) {
+    try {
+      return await this.request('', { method: 'POST', body: JSON.stringify(body) });
+    } catch (error) {
+      console.error('Error creating subject:', error);
+      throw error;
+    }
+  }
+
+  async updateSubject(id, body = {}) {
+    try {
+      return await this.request(`/${id}`, { method: 'PATCH', body: JSON.stringify(body) });
+    } catch (error) {
+      console.error('Error updating subject:', error);
+      throw error;
+    }
+  }
+
+  async deleteSubject(id) {
+    try {
+      return await this.request(`/${id}`, { method: 'DELETE' });
+    } catch (error) {
+      console.error('Error deleting subject:', error);
+      throw error;
+    }
+  }
+}
+
+const subjectsApiService = new SubjectsApiService();
+
+export default subjectsApiService;
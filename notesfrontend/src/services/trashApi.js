@@ -0,0 +1,58 @@
+import authApi from './authApi';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || '/api';
+
+class TrashApiService {
+  async request(path, options = {}) {
+    const response = await fetch(`${API_BASE_URL}/trash${path}`, {
+      ...options,
+      headers: authApi.getHeaders()
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.message || `HTTP error! status: ${response.status}`);
+    }
+    return data;
+  }
+
+  async fetchTrash(page = 1) {
+    try {
+      return await this.request(`?page=${page}&limit=10`);
+    } catch (error) {
+      console.error('Error fetching trash:', error);
+      throw error;
+    }
+  }
+
+  async restoreNote(id) {
+    try {
+      return await this.request(`/${id}/restore`, { method: 'POST' });
+    } catch (error) {
+      console.error('Error restoring note:', error);
+      throw error;
+    }
+  }
+
+  async purgeNote(id) {
+    try {
+      return await this.request(`/${id}`, { method: 'DELETE' });
+    } catch (error) {
+      console.error('Error purging note:', error);
+      throw error;
+    }
+  }
+
+  async emptyTrash() {
+    try {
+      return await this.request('', { method: 'DELETE' });
+    } catch (error) {
+      console.error('Error emptying trash:', error);
+      throw error;
+    }
+  }
+}
+
+const trashApiService = new TrashApiService();
+
+export default trashApiService;